@@ -0,0 +1,237 @@
+/**
+ * Analytics Collector
+ * Forwards the events the site already records in localStorage (bot visits, searches,
+ * result clicks, JavaScript errors, monitoring alerts) plus a Web Vitals snapshot per
+ * page view to an ingest server (scripts/analytics-server.js), so the dashboard can
+ * show every visitor instead of only the current browser.
+ *
+ * Events are batched and sent with navigator.sendBeacon, which survives the page
+ * being closed. The collector is off unless the page names a server:
+ *   <meta name="analytics-collector" content="https://analytics.example.com">
+ * ("/" means the server that served the page, which is what the ingest server
+ * injects into the HTML it serves itself).
+ */
+
+class AnalyticsCollector {
+    /**
+     * options.transport is anything with send(batch) returning true once the batch is
+     * handed off; it defaults to a beacon transport posting to `${endpoint}/collect`
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint !== undefined ? options.endpoint : AnalyticsCollector.getConfiguredEndpoint();
+        this.transport = options.transport || AnalyticsCollector.createBeaconTransport(`${this.endpoint}/collect`);
+        this.batchSize = options.batchSize || 20;
+        this.maxQueue = options.maxQueue || 100;
+        this.flushInterval = options.flushInterval || 15000;
+
+        // Groups one page view's events (e.g. its searches) without identifying the visitor
+        this.pageId = Math.random().toString(36).slice(2, 12);
+        this.queue = [];
+        this.flushTimer = null;
+        this.vitalsSent = false;
+        this.listeners = [];
+    }
+
+    /**
+     * Collector base URL from the page's meta tag, without a trailing slash;
+     * null when the page doesn't configure one
+     */
+    static getConfiguredEndpoint() {
+        if (typeof document === 'undefined') return null;
+
+        const meta = document.querySelector('meta[name="analytics-collector"]');
+        return meta && meta.content ? meta.content.replace(/\/$/, '') : null;
+    }
+
+    /**
+     * Default transport. The body is sent as text/plain: a JSON content type would
+     * need a CORS preflight, which beacons can't make. Falls back to a keepalive
+     * fetch where sendBeacon is missing or refuses the payload
+     */
+    static createBeaconTransport(url) {
+        return {
+            send(batch) {
+                const body = JSON.stringify(batch);
+
+                if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+                    return true;
+                }
+                if (typeof fetch === 'function') {
+                    fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain;charset=UTF-8' } })
+                        .catch(() => {});
+                    return true;
+                }
+                return false;
+            }
+        };
+    }
+
+    /**
+     * Start listening for the events other modules dispatch. Call before
+     * BotDetector is created: it reports the visit from its constructor
+     */
+    start() {
+        this.listen(window, 'botDetected', event => {
+            const visit = event.detail;
+            this.track('bot-visit', {
+                botType: visit.botType,
+                confidence: visit.confidence,
+                userAgent: visit.userAgent,
+                referrer: visit.referrer
+            });
+        });
+
+        this.listen(window, 'siteSearch', event => {
+            const search = event.detail;
+            this.track('search', {
+                query: search.query,
+                resultCount: search.resultCount,
+                isBot: search.isBot,
+                userAgent: search.userAgent
+            });
+        });
+
+        this.listen(window, 'searchClick', event => {
+            const click = event.detail;
+            this.track('search-click', {
+                query: click.query,
+                position: click.position,
+                url: click.url,
+                isBot: click.isBot
+            });
+        });
+
+        this.listen(window, 'analyticsError', event => {
+            const error = event.detail;
+            const details = error.details || {};
+            this.track('error', {
+                errorType: error.type,
+                message: String(details.message || details.reason || 'Unknown error'),
+                source: details.filename || details.source || null,
+                line: details.lineno || null
+            });
+        });
+
+        this.listen(window, 'analyticsAlert', event => {
+            const alert = event.detail;
+            const details = alert.details || {};
+            this.track('alert', {
+                category: alert.category,
+                message: alert.message,
+                severity: alert.severity,
+                metric: typeof details.metric === 'string' ? details.metric : undefined,
+                value: typeof details.value === 'number' ? details.value : undefined
+            });
+        });
+
+        // Pages are often closed without an unload event; hidden is the last reliable moment
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushPage();
+        });
+        this.listen(window, 'pagehide', () => this.flushPage());
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+        return this;
+    }
+
+    stop() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    /**
+     * Queue an event; a full batch is sent straight away
+     */
+    track(type, data) {
+        this.queue.push({
+            type,
+            timestamp: new Date().toISOString(),
+            pageId: this.pageId,
+            path: window.location.pathname,
+            data
+        });
+
+        // Drop the oldest events if the server has been unreachable for a while
+        if (this.queue.length > this.maxQueue) {
+            this.queue.splice(0, this.queue.length - this.maxQueue);
+        }
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Final Web Vitals from AnalyticsMonitor, recorded once per page view with the
+     * page's SEO score and alert count for the dashboard's daily trends.
+     * LCP and CLS keep changing until the page is hidden, so they aren't sent earlier
+     */
+    trackVitals() {
+        if (this.vitalsSent || !window.analyticsMonitor) return;
+
+        const monitor = window.analyticsMonitor;
+        const performanceMetrics = monitor.metrics.performance;
+        const navigation = performanceMetrics.navigationTiming || {};
+        const vitals = {
+            lcp: performanceMetrics.lcp,
+            inp: performanceMetrics.inp,
+            cls: performanceMetrics.cls,
+            fcp: performanceMetrics.fcp,
+            ttfb: performanceMetrics.ttfb,
+            pageLoad: navigation.pageLoad > 0 ? navigation.pageLoad : undefined,
+            seoScore: typeof monitor.calculateSEOScore === 'function' ? monitor.calculateSEOScore() : undefined,
+            alerts: Array.isArray(monitor.alerts) ? monitor.alerts.length : undefined
+        };
+        Object.keys(vitals).forEach(name => {
+            if (typeof vitals[name] !== 'number' || !isFinite(vitals[name])) delete vitals[name];
+        });
+
+        if (Object.keys(vitals).length > 0) {
+            this.track('vitals', vitals);
+            this.vitalsSent = true;
+        }
+    }
+
+    flushPage() {
+        this.trackVitals();
+        this.flush();
+    }
+
+    /**
+     * Hand queued events to the transport; they stay queued if it refuses
+     */
+    flush() {
+        if (this.queue.length === 0) return false;
+
+        const events = this.queue.splice(0, this.queue.length);
+        let sent = false;
+
+        try {
+            sent = this.transport.send({ sentAt: new Date().toISOString(), events });
+        } catch (error) {
+            console.warn('Analytics batch could not be sent:', error);
+        }
+
+        if (!sent) {
+            this.queue = events.concat(this.queue).slice(-this.maxQueue);
+        }
+        return sent;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.AnalyticsCollector = AnalyticsCollector;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalyticsCollector;
+}
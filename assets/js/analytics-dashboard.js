@@ -0,0 +1,292 @@
+/**
+ * Analytics Dashboard
+ * Renders analytics-dashboard.html from this browser's localStorage and, when an
+ * analytics collector is configured, the ingest server's cross-visitor report
+ */
+
+function refreshDashboard() {
+    loadDashboardData();
+}
+
+async function loadDashboardData() {
+    // This browser's own data from localStorage
+    const botVisits = JSON.parse(localStorage.getItem('botVisits') || '[]');
+    const alerts = JSON.parse(localStorage.getItem('analyticsAlerts') || '[]');
+    const contentInsights = JSON.parse(localStorage.getItem('contentInsights') || '{}');
+    const insights = JSON.parse(localStorage.getItem('analyticsInsights') || '{}');
+
+    // Update metrics
+    updateMetrics(botVisits, alerts, insights);
+    
+    // Update alerts
+    updateAlerts(alerts);
+    
+    // Update content insights
+    updateContentInsights(contentInsights);
+
+    // Every visitor's data, when an ingest server is configured
+    const range = getSelectedRange();
+    const collectorReport = await fetchCollectorReport(range);
+    updateCollectorData(collectorReport);
+
+    // Daily trends: every visitor's from the collector, else this browser's rollups
+    updateTrends(collectorReport ? collectorReport.trends : new AnalyticsRollups().getTrends(range));
+
+    // Update search insights (the collector's, else the same report AnalyticsMonitor.getDashboardData() exposes)
+    const searchInsights = collectorReport
+        ? collectorReport.searchInsights
+        : window.analyticsMonitor
+            ? window.analyticsMonitor.getDashboardData().searchInsights
+            : new SearchInsights().getReport();
+    updateSearchInsights(searchInsights);
+}
+
+// Report from the analytics ingest server (scripts/analytics-server.js); null without one
+async function fetchCollectorReport(range) {
+    const endpoint = AnalyticsCollector.getConfiguredEndpoint();
+    if (endpoint === null) return null;
+
+    try {
+        const response = await fetch(`${endpoint}/api/dashboard?from=${range.from}&to=${range.to}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.warn('Analytics collector unavailable:', error);
+        return null;
+    }
+}
+
+function updateCollectorData(report) {
+    const status = document.getElementById('collector-status');
+
+    if (!report) {
+        status.textContent = AnalyticsCollector.getConfiguredEndpoint() === null
+            ? 'No analytics collector configured: the figures on this page come from this browser only. Run npm run analytics:server to collect from every visitor.'
+            : 'The analytics collector could not be reached: showing this browser\'s data only.';
+        [['vitals-table', 5], ['errors-table', 4], ['bot-types-table', 2]].forEach(([id, columns]) => fillTable(id, columns, [], row => row));
+        return;
+    }
+
+    const { totals, vitals, errors, botVisits } = report;
+    const { from, to } = report.trends;
+    status.textContent = `${totals.pageViews} page views reported ${totals.events} events from ${from} to ${to} ` +
+        `(${errors.total} errors, ${botVisits.total} bot visits).`;
+    document.getElementById('bot-visits').textContent = botVisits.today;
+
+    const vitalLabels = { lcp: 'LCP', inp: 'INP', cls: 'CLS', fcp: 'FCP', ttfb: 'TTFB', fid: 'FID', pageLoad: 'Page Load' };
+    const formatVital = (metric, value) => value === null ? '--' : metric === 'cls' ? value : `${value} ms`;
+    fillTable('vitals-table', 5, Object.keys(vitalLabels).filter(metric => vitals[metric].samples > 0), metric => [
+        vitalLabels[metric],
+        formatVital(metric, vitals[metric].p75),
+        formatVital(metric, vitals[metric].median),
+        vitals[metric].samples,
+        vitals[metric].rating
+    ]);
+    fillTable('errors-table', 4, errors.top, entry => [
+        escapeHtml(entry.message), escapeHtml(entry.type), entry.count, new Date(entry.lastSeen).toLocaleString()
+    ]);
+    fillTable('bot-types-table', 2, botVisits.byType, entry => [escapeHtml(entry.botType), entry.visits]);
+}
+
+/**
+ * Date range for the collector report and trends, as inclusive UTC days
+ */
+function getSelectedRange() {
+    const today = AnalyticsRollups.dayKey();
+    const maxDays = new AnalyticsRollups().retentionDays;
+    let from = document.getElementById('range-from').value;
+    let to = document.getElementById('range-to').value || today;
+
+    if (!from || from > to) from = AnalyticsRollups.addDays(to, -29);
+    if (from < AnalyticsRollups.addDays(to, 1 - maxDays)) from = AnalyticsRollups.addDays(to, 1 - maxDays);
+
+    return { from, to };
+}
+
+function setRangeDays(days) {
+    const to = AnalyticsRollups.dayKey();
+    document.getElementById('range-to').value = to;
+    document.getElementById('range-from').value = AnalyticsRollups.addDays(to, 1 - days);
+}
+
+function initializeRangePicker() {
+    setRangeDays(30);
+
+    document.querySelectorAll('[data-range-days]').forEach(button => {
+        button.addEventListener('click', () => {
+            setRangeDays(Number(button.dataset.rangeDays));
+            loadDashboardData();
+        });
+    });
+    ['range-from', 'range-to'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadDashboardData);
+    });
+}
+
+function updateTrends(trends) {
+    const charts = new TrendCharts();
+    const { days, weekOverWeek } = trends;
+    const dates = days.map(day => day.date);
+    const values = metric => days.map(day => day[metric]);
+    const ms = value => `${Math.round(value)} ms`;
+
+    // better: which direction is an improvement; bot visits are neither
+    const trendCharts = [
+        { id: 'lcp', metrics: ['lcp'], labels: ['LCP'], better: 'lower', format: ms },
+        { id: 'cls', metrics: ['cls'], labels: ['CLS'], better: 'lower', format: value => value.toFixed(2) },
+        { id: 'responsiveness', metrics: ['fid', 'inp'], labels: ['FID', 'INP'], better: 'lower', format: ms },
+        { id: 'seo', metrics: ['seoScore'], labels: ['SEO score'], better: 'higher', format: value => Math.round(value) },
+        { id: 'alerts', metrics: ['alerts'], labels: ['Alerts'], better: 'lower', format: value => Math.round(value) },
+        { id: 'bots', metrics: ['botVisits'], labels: ['Bot visits'], better: null, format: value => Math.round(value) }
+    ];
+
+    trendCharts.forEach(chart => {
+        document.getElementById(`trend-${chart.id}`).innerHTML = charts.lineChart(
+            dates,
+            chart.metrics.map((metric, index) => ({ label: chart.labels[index], values: values(metric) })),
+            { label: chart.labels.join(' and '), formatValue: chart.format }
+        );
+        document.getElementById(`trend-${chart.id}-delta`).innerHTML = chart.metrics
+            .map((metric, index) => formatWeekOverWeek(chart.labels[index], weekOverWeek[metric], chart.better))
+            .join(' ');
+    });
+
+    [['seo-score-trend', 'seoScore', 'SEO score'], ['total-alerts-trend', 'alerts', 'Alerts'], ['bot-visits-trend', 'botVisits', 'Bot visits']]
+        .forEach(([id, metric, label]) => {
+            document.getElementById(id).innerHTML = charts.sparkline(values(metric), { label: `${label}, ${trends.from} to ${trends.to}` });
+        });
+}
+
+/**
+ * "INP +12.5% vs previous week", coloured by whether the change is an improvement
+ */
+function formatWeekOverWeek(label, comparison, better) {
+    if (!comparison || comparison.change === null) {
+        return `<span class="trend-delta">${label}: no previous week to compare</span>`;
+    }
+
+    const { change } = comparison;
+    const improved = better === 'lower' ? change < 0 : change > 0;
+    const tone = better === null || change === 0 ? 'neutral' : improved ? 'better' : 'worse';
+    const sign = change > 0 ? '+' : '';
+    return `<span class="trend-delta ${tone}">${label} ${sign}${(change * 100).toFixed(1)}% vs previous week</span>`;
+}
+
+function updateMetrics(botVisits, alerts, insights) {
+    // Performance score
+    const performanceScore = insights.summary?.performanceScore || 0;
+    document.getElementById('performance-score').textContent = performanceScore;
+
+    // SEO score
+    const seoScore = insights.summary?.seoScore || 0;
+    document.getElementById('seo-score').textContent = seoScore;
+
+    // Active alerts
+    const activeAlerts = alerts.filter(a => !a.acknowledged).length;
+    document.getElementById('total-alerts').textContent = activeAlerts;
+
+    // Bot visits today
+    const today = new Date().toDateString();
+    const todayBotVisits = botVisits.filter(visit => 
+        new Date(visit.timestamp).toDateString() === today
+    ).length;
+    document.getElementById('bot-visits').textContent = todayBotVisits;
+}
+
+function updateAlerts(alerts) {
+    const container = document.getElementById('alerts-container');
+    const activeAlerts = alerts.filter(a => !a.acknowledged).slice(0, 10);
+
+    if (activeAlerts.length === 0) {
+        container.innerHTML = '<p>No active alerts</p>';
+        return;
+    }
+
+    container.innerHTML = activeAlerts.map(alert => `
+        <div class="alert ${alert.severity}">
+            <strong>${alert.category.toUpperCase()}:</strong> ${alert.message}
+            <br><small>${new Date(alert.timestamp).toLocaleString()}</small>
+        </div>
+    `).join('');
+}
+
+function updateContentInsights(contentInsights) {
+    const tbody = document.getElementById('content-table');
+    const pages = Object.values(contentInsights)
+        .sort((a, b) => b.visits - a.visits)
+        .slice(0, 10);
+
+    if (pages.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5">No content insights available</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = pages.map(page => {
+        const botRatio = page.visits > 0 ? 
+            ((page.botVisits / page.visits) * 100).toFixed(1) + '%' : '0%';
+        
+        return `
+            <tr>
+                <td>${page.path}</td>
+                <td>${page.visits}</td>
+                <td>${page.botVisits}</td>
+                <td>${page.humanVisits}</td>
+                <td>${botRatio}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function updateSearchInsights(report) {
+    const formatPercent = rate => (rate * 100).toFixed(1) + '%';
+    const { totals, topQueries, zeroResultQueries, clickThroughByPosition, botSplit } = report;
+
+    document.getElementById('search-insights-summary').textContent = totals.searches > 0
+        ? `${totals.searches} searches for ${totals.uniqueQueries} distinct queries; ` +
+          `${formatPercent(totals.zeroResultRate)} returned nothing, ` +
+          `${formatPercent(totals.clickThroughRate)} of searches with results led to a click`
+        : 'No searches recorded yet';
+
+    fillTable('top-queries-table', 4, topQueries, entry => [
+        escapeHtml(entry.query), entry.count, entry.averageResults, entry.clicks
+    ]);
+    fillTable('zero-result-table', 4, zeroResultQueries, entry => [
+        escapeHtml(entry.query), entry.count, entry.botCount, new Date(entry.lastSearched).toLocaleString()
+    ]);
+    fillTable('ctr-table', 4, clickThroughByPosition, entry => [
+        entry.position, entry.impressions, entry.clicks, formatPercent(entry.rate)
+    ]);
+    fillTable('search-split-table', 3, [
+        ['Human', botSplit.human, formatPercent(1 - botSplit.botRatio)],
+        ['Bot', botSplit.bot, formatPercent(botSplit.botRatio)]
+    ].filter(() => totals.searches > 0), row => row);
+}
+
+function fillTable(tbodyId, columns, rows, toCells) {
+    const tbody = document.getElementById(tbodyId);
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="${columns}">No data yet</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row =>
+        '<tr>' + toCells(row).map(cell => `<td>${cell}</td>`).join('') + '</tr>'
+    ).join('');
+}
+
+// Search queries and error messages are visitor input
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Load dashboard data on page load
+document.addEventListener('DOMContentLoaded', () => {
+    initializeRangePicker();
+    loadDashboardData();
+});
+
+// Auto-refresh every 30 seconds
+setInterval(loadDashboardData, 30000);
@@ -13,19 +13,46 @@ class AnalyticsMonitor {
             errors: []
         };
         
-        this.thresholds = {
+        this.thresholds = AnalyticsMonitor.defaultThresholds;
+        
+        this.alerts = [];
+        this.contentInsights = new Map();
+        // web-vitals-attribution.js says what made TTFB, LCP and INP slow
+        this.vitalsAttribution = new WebVitalsAttribution(window);
+        // analytics-rollups.js keeps the 90-day daily history the dashboard charts
+        this.rollups = typeof AnalyticsRollups !== 'undefined' ? new AnalyticsRollups() : null;
+        
+        this.init();
+    }
+    
+    /**
+     * Alert thresholds; analytics-server.js holds visitors' alerts to the same ones
+     */
+    static get defaultThresholds() {
+        return {
             pageLoadTime: 3000, // 3 seconds
             firstContentfulPaint: 1800, // 1.8 seconds
             largestContentfulPaint: 2500, // 2.5 seconds
             cumulativeLayoutShift: 0.1,
-            firstInputDelay: 100, // 100ms
+            interactionToNextPaint: 200, // 200ms
+            timeToFirstByte: 800, // 800ms
             crawlErrorRate: 0.05 // 5%
         };
-        
-        this.alerts = [];
-        this.contentInsights = new Map();
-        
-        this.init();
+    }
+    
+    /**
+     * The threshold for a metric as named in checkThreshold alerts, if it has one
+     */
+    static thresholdFor(metric, thresholds = AnalyticsMonitor.defaultThresholds) {
+        const names = {
+            pageLoad: 'pageLoadTime',
+            fcp: 'firstContentfulPaint',
+            lcp: 'largestContentfulPaint',
+            cls: 'cumulativeLayoutShift',
+            inp: 'interactionToNextPaint',
+            ttfb: 'timeToFirstByte'
+        };
+        return Object.prototype.hasOwnProperty.call(names, metric) ? thresholds[names[metric]] : undefined;
     }
     
     /**
@@ -36,6 +63,7 @@ class AnalyticsMonitor {
         this.monitorSEOHealth();
         this.trackContentInsights();
         this.setupErrorTracking();
+        this.setupDailyRollups();
         this.startPeriodicMonitoring();
         
         // Make globally available
@@ -60,39 +88,35 @@ class AnalyticsMonitor {
     }
     
     /**
-     * Measure Core Web Vitals
+     * Measure Core Web Vitals (LCP, INP, CLS) plus FCP and TTFB. Periodic monitoring
+     * calls this every 30 seconds, so the observers are only registered once
      */
     measureCoreWebVitals() {
-        // Largest Contentful Paint (LCP)
-        if ('PerformanceObserver' in window) {
+        // Time to First Byte (TTFB)
+        this.measureTimeToFirstByte();
+        
+        if ('PerformanceObserver' in window && !this.vitalsObserved) {
+            this.vitalsObserved = true;
+            
+            // Largest Contentful Paint (LCP)
             const lcpObserver = new PerformanceObserver((list) => {
                 const entries = list.getEntries();
                 const lastEntry = entries[entries.length - 1];
+                const attribution = this.vitalsAttribution.largestContentfulPaint(lastEntry);
                 
                 this.metrics.performance.lcp = lastEntry.startTime;
-                this.checkThreshold('lcp', lastEntry.startTime, this.thresholds.largestContentfulPaint);
+                this.metrics.performance.lcpAttribution = attribution;
+                this.checkThreshold('lcp', lastEntry.startTime, this.thresholds.largestContentfulPaint, attribution);
             });
             
             try {
-                lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
+                lcpObserver.observe({ type: 'largest-contentful-paint', buffered: true });
             } catch (e) {
                 console.warn('LCP observation not supported');
             }
             
-            // First Input Delay (FID)
-            const fidObserver = new PerformanceObserver((list) => {
-                const entries = list.getEntries();
-                entries.forEach(entry => {
-                    this.metrics.performance.fid = entry.processingStart - entry.startTime;
-                    this.checkThreshold('fid', entry.processingStart - entry.startTime, this.thresholds.firstInputDelay);
-                });
-            });
-            
-            try {
-                fidObserver.observe({ entryTypes: ['first-input'] });
-            } catch (e) {
-                console.warn('FID observation not supported');
-            }
+            // Interaction to Next Paint (INP)
+            this.measureInteractionToNextPaint();
             
             // Cumulative Layout Shift (CLS)
             let clsValue = 0;
@@ -109,7 +133,7 @@ class AnalyticsMonitor {
             });
             
             try {
-                clsObserver.observe({ entryTypes: ['layout-shift'] });
+                clsObserver.observe({ type: 'layout-shift', buffered: true });
             } catch (e) {
                 console.warn('CLS observation not supported');
             }
@@ -127,6 +151,60 @@ class AnalyticsMonitor {
         }
     }
     
+    /**
+     * Measure Interaction to Next Paint with the Event Timing API. Each interaction
+     * counts as its longest event; INP is the slowest interaction, ignoring one
+     * outlier per 50 interactions
+     */
+    measureInteractionToNextPaint() {
+        const interactions = new Map();
+        
+        const inpObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+                // Scrolls and hovers have no interactionId
+                if (!entry.interactionId) return;
+                
+                const known = interactions.get(entry.interactionId);
+                if (!known || entry.duration > known.duration) {
+                    interactions.set(entry.interactionId, entry);
+                }
+            });
+            
+            const slowest = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+            const entry = slowest[Math.min(slowest.length - 1, Math.floor(slowest.length / 50))];
+            if (!entry || entry.duration === this.metrics.performance.inp) return;
+            
+            const attribution = this.vitalsAttribution.interaction(entry);
+            
+            this.metrics.performance.inp = entry.duration;
+            this.metrics.performance.inpAttribution = attribution;
+            this.checkThreshold('inp', entry.duration, this.thresholds.interactionToNextPaint, attribution);
+        });
+        
+        try {
+            // Event Timing only reports events of 40ms or more; the first input is
+            // always reported, so a page with only quick interactions still gets a value
+            inpObserver.observe({ type: 'event', buffered: true, durationThreshold: 40 });
+            inpObserver.observe({ type: 'first-input', buffered: true });
+        } catch (e) {
+            console.warn('INP observation not supported');
+        }
+    }
+    
+    /**
+     * Measure Time to First Byte and what it was spent on. Measured once per page
+     */
+    measureTimeToFirstByte() {
+        if (this.metrics.performance.ttfb !== undefined) return;
+        
+        const ttfb = this.vitalsAttribution.timeToFirstByte();
+        if (!ttfb) return;
+        
+        this.metrics.performance.ttfb = ttfb.value;
+        this.metrics.performance.ttfbAttribution = ttfb.attribution;
+        this.checkThreshold('ttfb', ttfb.value, this.thresholds.timeToFirstByte, ttfb.attribution);
+    }
+    
     /**
      * Measure navigation timing metrics
      */
@@ -180,12 +258,6 @@ class AnalyticsMonitor {
      * Measure custom performance metrics
      */
     measureCustomMetrics() {
-        // Time to interactive (custom implementation)
-        const timeToInteractive = this.calculateTimeToInteractive();
-        if (timeToInteractive) {
-            this.metrics.performance.tti = timeToInteractive;
-        }
-        
         // JavaScript bundle size
         this.measureJavaScriptSize();
         
@@ -193,21 +265,6 @@ class AnalyticsMonitor {
         this.measureCSSSize();
     }
     
-    /**
-     * Calculate Time to Interactive
-     */
-    calculateTimeToInteractive() {
-        if (performance.timing) {
-            // Simplified TTI calculation
-            const domContentLoaded = performance.timing.domContentLoadedEventEnd - performance.timing.navigationStart;
-            const loadComplete = performance.timing.loadEventEnd - performance.timing.navigationStart;
-            
-            // TTI is approximately when DOM is ready and main thread is idle
-            return Math.max(domContentLoaded, loadComplete);
-        }
-        return null;
-    }
-    
     /**
      * Measure JavaScript bundle size
      */
@@ -246,180 +303,14 @@ class AnalyticsMonitor {
     }
     
     /**
-     * Monitor SEO health indicators
+     * Score this page's on-page SEO (seo-health-checks.js). Issues aren't raised as
+     * alerts from every visit: `npm run seo:crawl` reports them for the whole site
      */
     monitorSEOHealth() {
-        this.checkMetaTags();
-        this.checkStructuredData();
-        this.checkHeadingStructure();
-        this.checkInternalLinks();
-        this.checkImageOptimization();
-        this.checkCanonicalURL();
-    }
-    
-    /**
-     * Check meta tags for SEO health
-     */
-    checkMetaTags() {
-        const seoChecks = {
-            title: document.querySelector('title'),
-            description: document.querySelector('meta[name="description"]'),
-            keywords: document.querySelector('meta[name="keywords"]'),
-            ogTitle: document.querySelector('meta[property="og:title"]'),
-            ogDescription: document.querySelector('meta[property="og:description"]'),
-            ogImage: document.querySelector('meta[property="og:image"]'),
-            twitterCard: document.querySelector('meta[name="twitter:card"]')
-        };
-        
-        this.metrics.seo.metaTags = {};
-        
-        Object.keys(seoChecks).forEach(key => {
-            const element = seoChecks[key];
-            if (element) {
-                const content = element.content || element.textContent;
-                this.metrics.seo.metaTags[key] = {
-                    present: true,
-                    content: content,
-                    length: content.length
-                };
-                
-                // Check length constraints
-                if (key === 'title' && (content.length < 30 || content.length > 60)) {
-                    this.addAlert('seo', 'Title length not optimal', { length: content.length });
-                }
-                if (key === 'description' && (content.length < 120 || content.length > 160)) {
-                    this.addAlert('seo', 'Meta description length not optimal', { length: content.length });
-                }
-            } else {
-                this.metrics.seo.metaTags[key] = { present: false };
-                this.addAlert('seo', `Missing ${key} meta tag`);
-            }
-        });
-    }
-    
-    /**
-     * Check structured data
-     */
-    checkStructuredData() {
-        const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-        
-        this.metrics.seo.structuredData = {
-            count: jsonLdScripts.length,
-            schemas: []
-        };
-        
-        jsonLdScripts.forEach(script => {
-            try {
-                const data = JSON.parse(script.textContent);
-                this.metrics.seo.structuredData.schemas.push({
-                    type: data['@type'] || 'Unknown',
-                    context: data['@context'] || 'Unknown'
-                });
-            } catch (e) {
-                this.addAlert('seo', 'Invalid JSON-LD structured data', { error: e.message });
-            }
-        });
-        
-        if (jsonLdScripts.length === 0) {
-            this.addAlert('seo', 'No structured data found');
-        }
-    }
-    
-    /**
-     * Check heading structure
-     */
-    checkHeadingStructure() {
-        const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        const headingStructure = Array.from(headings).map(h => ({
-            level: parseInt(h.tagName.charAt(1)),
-            text: h.textContent.trim(),
-            id: h.id
-        }));
-        
-        this.metrics.seo.headings = {
-            total: headings.length,
-            h1Count: document.querySelectorAll('h1').length,
-            structure: headingStructure
-        };
-        
-        // Check for multiple H1s
-        if (this.metrics.seo.headings.h1Count > 1) {
-            this.addAlert('seo', 'Multiple H1 tags found', { count: this.metrics.seo.headings.h1Count });
-        }
-        
-        // Check for missing H1
-        if (this.metrics.seo.headings.h1Count === 0) {
-            this.addAlert('seo', 'No H1 tag found');
-        }
-    }
-    
-    /**
-     * Check internal links
-     */
-    checkInternalLinks() {
-        const links = document.querySelectorAll('a[href]');
-        const internalLinks = Array.from(links).filter(link => {
-            const href = link.getAttribute('href');
-            return href && (href.startsWith('/') || href.startsWith('./') || href.startsWith('../') || 
-                           href.includes(window.location.hostname));
-        });
-        
-        this.metrics.seo.internalLinks = {
-            total: links.length,
-            internal: internalLinks.length,
-            external: links.length - internalLinks.length,
-            withoutText: internalLinks.filter(link => !link.textContent.trim()).length
-        };
-        
-        // Check for links without descriptive text
-        if (this.metrics.seo.internalLinks.withoutText > 0) {
-            this.addAlert('seo', 'Links without descriptive text found', 
-                         { count: this.metrics.seo.internalLinks.withoutText });
-        }
-    }
-    
-    /**
-     * Check image optimization
-     */
-    checkImageOptimization() {
-        const images = document.querySelectorAll('img');
-        const imageIssues = [];
-        
-        images.forEach(img => {
-            if (!img.alt) {
-                imageIssues.push({ src: img.src, issue: 'missing alt text' });
-            }
-            if (!img.loading && img.getBoundingClientRect().top > window.innerHeight) {
-                imageIssues.push({ src: img.src, issue: 'missing lazy loading' });
-            }
-        });
-        
-        this.metrics.seo.images = {
-            total: images.length,
-            withAlt: images.length - imageIssues.filter(i => i.issue === 'missing alt text').length,
-            issues: imageIssues
-        };
-        
-        if (imageIssues.length > 0) {
-            this.addAlert('seo', 'Image optimization issues found', { issues: imageIssues });
-        }
-    }
-    
-    /**
-     * Check canonical URL
-     */
-    checkCanonicalURL() {
-        const canonical = document.querySelector('link[rel="canonical"]');
-        
-        this.metrics.seo.canonical = {
-            present: !!canonical,
-            url: canonical ? canonical.href : null,
-            matchesCurrentURL: canonical ? canonical.href === window.location.href : false
-        };
-        
-        if (!canonical) {
-            this.addAlert('seo', 'Missing canonical URL');
-        }
+        if (typeof SEOHealthChecks === 'undefined') return;
+
+        const { metrics } = new SEOHealthChecks(window).run();
+        Object.assign(this.metrics.seo, metrics);
     }
     
     /**
@@ -535,6 +426,37 @@ class AnalyticsMonitor {
         }, true);
     }
     
+    /**
+     * Count this visit in today's rollup and add the page's final Web Vitals and SEO
+     * score once it is hidden (LCP and CLS keep changing until then)
+     */
+    setupDailyRollups() {
+        if (!this.rollups) return;
+        
+        if (window.botDetection && window.botDetection.isBot) {
+            this.rollups.increment('botVisits');
+        }
+        
+        let recorded = false;
+        const recordSample = () => {
+            if (recorded) return;
+            recorded = true;
+            
+            const perf = this.metrics.performance;
+            this.rollups.addSample({
+                lcp: perf.lcp,
+                cls: perf.cls,
+                inp: perf.inp,
+                seoScore: this.calculateSEOScore()
+            });
+        };
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') recordSample();
+        });
+        window.addEventListener('pagehide', recordSample);
+    }
+    
     /**
      * Track errors
      */
@@ -561,17 +483,21 @@ class AnalyticsMonitor {
         
         // Store errors
         localStorage.setItem('analyticsErrors', JSON.stringify(this.metrics.errors));
+        
+        // Dispatch custom event for other modules
+        window.dispatchEvent(new CustomEvent('analyticsError', { detail: error }));
     }
     
     /**
-     * Check threshold and add alert if exceeded
+     * Check threshold and add alert if exceeded; attribution says what made it slow
      */
-    checkThreshold(metric, value, threshold) {
+    checkThreshold(metric, value, threshold, attribution = null) {
         if (value > threshold) {
             this.addAlert('performance', `${metric} threshold exceeded`, {
                 value,
                 threshold,
-                metric
+                metric,
+                ...(attribution ? { attribution } : {})
             });
         }
     }
@@ -599,6 +525,7 @@ class AnalyticsMonitor {
         
         // Store alerts
         localStorage.setItem('analyticsAlerts', JSON.stringify(this.alerts));
+        if (this.rollups) this.rollups.increment('alerts');
         
         // Dispatch custom event
         window.dispatchEvent(new CustomEvent('analyticsAlert', { detail: alert }));
@@ -626,7 +553,6 @@ class AnalyticsMonitor {
         // Monitor every 30 seconds
         setInterval(() => {
             this.collectPerformanceMetrics();
-            this.monitorSEOHealth();
         }, 30000);
         
         // Generate insights every 5 minutes
@@ -679,6 +605,25 @@ class AnalyticsMonitor {
             });
         }
         
+        if (perf.inp > this.thresholds.interactionToNextPaint) {
+            const target = perf.inpAttribution && perf.inpAttribution.element;
+            insights.push({
+                type: 'performance',
+                message: target ? `Slow response to ${perf.inpAttribution.eventType} on ${target}` : 'Interactions are slow to respond',
+                recommendation: 'Break up long event handlers and defer work that does not update the screen',
+                priority: 'high'
+            });
+        }
+        
+        if (perf.ttfb > this.thresholds.timeToFirstByte) {
+            insights.push({
+                type: 'performance',
+                message: 'Server response is slow',
+                recommendation: 'Cache pages at the CDN and avoid redirects before the page',
+                priority: 'medium'
+            });
+        }
+        
         if (perf.jsSize > 500000) {
             insights.push({
                 type: 'performance',
@@ -774,6 +719,9 @@ class AnalyticsMonitor {
             alerts: this.alerts.filter(a => !a.acknowledged),
             insights: this.generateInsights(),
             contentInsights: Object.fromEntries(this.contentInsights),
+            // search-insights.js is only loaded on pages with site search
+            searchInsights: typeof SearchInsights !== 'undefined' ? new SearchInsights().getReport() : null,
+            trends: this.rollups ? this.rollups.getTrends() : null,
             summary: {
                 totalAlerts: this.alerts.length,
                 criticalAlerts: this.alerts.filter(a => a.severity === 'critical').length,
@@ -793,7 +741,7 @@ class AnalyticsMonitor {
         if (perf.lcp > this.thresholds.largestContentfulPaint) score -= 20;
         if (perf.fcp > this.thresholds.firstContentfulPaint) score -= 15;
         if (perf.cls > this.thresholds.cumulativeLayoutShift) score -= 15;
-        if (perf.fid > this.thresholds.firstInputDelay) score -= 10;
+        if (perf.inp > this.thresholds.interactionToNextPaint) score -= 10;
         if (perf.navigationTiming && perf.navigationTiming.pageLoad > this.thresholds.pageLoadTime) score -= 20;
         if (perf.jsSize > 500000) score -= 10;
         if (perf.resources && perf.resources.slowResources > 0) score -= 10;
@@ -802,21 +750,13 @@ class AnalyticsMonitor {
     }
     
     /**
-     * Calculate SEO score (0-100)
+     * Calculate SEO score (0-100) with the deductions in seo-health-checks.js
      */
     calculateSEOScore() {
-        const seo = this.metrics.seo;
-        let score = 100;
+        // Pages that load the monitor load the checks too; without them there is nothing to score
+        if (typeof SEOHealthChecks === 'undefined') return 0;
         
-        if (!seo.metaTags || !seo.metaTags.title || !seo.metaTags.title.present) score -= 20;
-        if (!seo.metaTags || !seo.metaTags.description || !seo.metaTags.description.present) score -= 15;
-        if (!seo.structuredData || seo.structuredData.count === 0) score -= 15;
-        if (!seo.headings || seo.headings.h1Count !== 1) score -= 15;
-        if (!seo.canonical || !seo.canonical.present) score -= 10;
-        if (seo.images && seo.images.issues.length > 0) score -= 10;
-        if (seo.internalLinks && seo.internalLinks.withoutText > 0) score -= 5;
-        
-        return Math.max(0, score);
+        return SEOHealthChecks.score(this.metrics.seo);
     }
     
     /**
@@ -831,7 +771,7 @@ class AnalyticsMonitor {
     }
     
     /**
-     * Clear old data
+     * Clear old data. Daily rollups are kept separately for rollups.retentionDays
      */
     clearOldData(daysToKeep = 7) {
         const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
@@ -0,0 +1,216 @@
+/**
+ * Analytics Rollups
+ * Daily rollups of LCP, CLS, FID, INP, SEO score, alert counts and bot visits, kept
+ * for 90 days so the dashboard can chart trends. AnalyticsMonitor.clearOldData() only
+ * keeps a week of raw alerts and errors; a rollup is a few numbers per day.
+ *
+ * Days are UTC dates (YYYY-MM-DD). The store is localStorage in the browser; the
+ * ingest server passes its AnalyticsStore, which has the same getItem/setItem calls.
+ */
+
+class AnalyticsRollups {
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'analyticsDailyRollups';
+        this.retentionDays = options.retentionDays || 90;
+
+        // Averaged over the day's samples
+        this.sampleMetrics = ['lcp', 'cls', 'fid', 'inp', 'seoScore'];
+        // Summed over the day
+        this.countMetrics = ['alerts', 'botVisits'];
+    }
+
+    /**
+     * UTC date of a Date, timestamp or ISO string
+     */
+    static dayKey(date = new Date()) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    /**
+     * The day `offset` days after a YYYY-MM-DD day (negative goes back)
+     */
+    static addDays(day, offset) {
+        return AnalyticsRollups.dayKey(Date.parse(`${day}T00:00:00Z`) + offset * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Stored rollups keyed by day, treating missing or corrupt data as empty
+     */
+    read() {
+        if (!this.storage) return {};
+
+        try {
+            const value = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        } catch (error) {
+            console.warn(`Could not read ${this.storageKey}:`, error);
+            return {};
+        }
+    }
+
+    write(rollups, now = new Date()) {
+        if (!this.storage) return;
+
+        const cutoff = AnalyticsRollups.addDays(AnalyticsRollups.dayKey(now), 1 - this.retentionDays);
+        Object.keys(rollups).forEach(day => {
+            if (day < cutoff) delete rollups[day];
+        });
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(rollups));
+        } catch (error) {
+            console.warn('Could not store analytics rollups:', error);
+        }
+    }
+
+    getDay(rollups, day) {
+        if (!rollups[day]) rollups[day] = { samples: {}, counts: {} };
+        return rollups[day];
+    }
+
+    addSampleTo(rollups, values, date) {
+        const day = this.getDay(rollups, AnalyticsRollups.dayKey(date));
+
+        this.sampleMetrics.forEach(metric => {
+            const value = values[metric];
+            if (typeof value !== 'number' || !isFinite(value)) return;
+
+            const sample = day.samples[metric] || { count: 0, sum: 0 };
+            sample.count++;
+            sample.sum += value;
+            day.samples[metric] = sample;
+        });
+    }
+
+    incrementIn(rollups, counter, amount, date) {
+        const day = this.getDay(rollups, AnalyticsRollups.dayKey(date));
+        day.counts[counter] = (day.counts[counter] || 0) + amount;
+    }
+
+    /**
+     * Add one page view's measurements (non-numeric values are skipped)
+     */
+    addSample(values, date = new Date()) {
+        const rollups = this.read();
+        this.addSampleTo(rollups, values, date);
+        this.write(rollups);
+    }
+
+    increment(counter, amount = 1, date = new Date()) {
+        const rollups = this.read();
+        this.incrementIn(rollups, counter, amount, date);
+        this.write(rollups);
+    }
+
+    /**
+     * Roll up a batch of AnalyticsCollector events: vitals snapshots carry the Web
+     * Vitals, SEO score and the page view's alert count; bot visits are counted
+     */
+    recordEvents(events) {
+        const rollups = this.read();
+
+        events.forEach(event => {
+            if (event.type === 'vitals') {
+                this.addSampleTo(rollups, event.data, event.timestamp);
+                if (event.data.alerts > 0) this.incrementIn(rollups, 'alerts', event.data.alerts, event.timestamp);
+            } else if (event.type === 'bot-visit') {
+                this.incrementIn(rollups, 'botVisits', 1, event.timestamp);
+            }
+        });
+
+        this.write(rollups);
+    }
+
+    /**
+     * Mean of a metric over some days' samples; null without samples
+     */
+    average(days, metric) {
+        let count = 0;
+        let sum = 0;
+        days.forEach(day => {
+            const sample = day && day.samples[metric];
+            if (sample) {
+                count += sample.count;
+                sum += sample.sum;
+            }
+        });
+
+        if (count === 0) return null;
+        // CLS is a unitless score; the rest are milliseconds or points
+        return metric === 'cls' ? Math.round((sum / count) * 1000) / 1000 : Math.round(sum / count);
+    }
+
+    total(days, counter) {
+        return days.reduce((sum, day) => sum + ((day && day.counts[counter]) || 0), 0);
+    }
+
+    /**
+     * One entry per day from `from` to `to` inclusive; days without samples are null
+     */
+    getSeries({ from, to }, rollups = this.read()) {
+        const series = [];
+
+        for (let day = from; day <= to; day = AnalyticsRollups.addDays(day, 1)) {
+            const entry = { date: day };
+            this.sampleMetrics.forEach(metric => { entry[metric] = this.average([rollups[day]], metric); });
+            this.countMetrics.forEach(counter => { entry[counter] = this.total([rollups[day]], counter); });
+            series.push(entry);
+        }
+
+        return series;
+    }
+
+    /**
+     * The 7 days ending `to` against the 7 before: means for sampled metrics, totals
+     * for counts. change is a fraction of the previous week, null when there's nothing
+     * to compare against
+     */
+    getWeekOverWeek(to, rollups = this.read()) {
+        const week = end => Array.from({ length: 7 }, (_, index) => rollups[AnalyticsRollups.addDays(end, -index)]);
+        const current = week(to);
+        const previous = week(AnalyticsRollups.addDays(to, -7));
+        const comparison = {};
+
+        const compare = (metric, summarize) => {
+            const now = summarize(current, metric);
+            const before = summarize(previous, metric);
+            comparison[metric] = {
+                current: now,
+                previous: before,
+                change: now === null || !before ? null : Math.round(((now - before) / before) * 1000) / 1000
+            };
+        };
+
+        this.sampleMetrics.forEach(metric => compare(metric, (days, name) => this.average(days, name)));
+        this.countMetrics.forEach(counter => compare(counter, (days, name) => this.total(days, name)));
+
+        return comparison;
+    }
+
+    /**
+     * Daily series plus week-over-week deltas for a date range (default: last 30 days)
+     */
+    getTrends({ from, to } = {}) {
+        const rollups = this.read();
+        const end = to || AnalyticsRollups.dayKey();
+        const start = from || AnalyticsRollups.addDays(end, -29);
+
+        return {
+            from: start,
+            to: end,
+            days: this.getSeries({ from: start, to: end }, rollups),
+            weekOverWeek: this.getWeekOverWeek(end, rollups)
+        };
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.AnalyticsRollups = AnalyticsRollups;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalyticsRollups;
+}
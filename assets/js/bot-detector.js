@@ -6,58 +6,9 @@
 
 class BotDetector {
     constructor() {
-        this.botPatterns = [
-            // Search engine bots
-            /googlebot/i,
-            /bingbot/i,
-            /slurp/i, // Yahoo
-            /duckduckbot/i,
-            /baiduspider/i,
-            /yandexbot/i,
-            /facebookexternalhit/i,
-            /twitterbot/i,
-            /linkedinbot/i,
-            
-            // AI/LLM bots
-            /chatgpt/i,
-            /gpt/i,
-            /claude/i,
-            /anthropic/i,
-            /openai/i,
-            /perplexity/i,
-            /you\.com/i,
-            
-            // Generic bot patterns
-            /bot/i,
-            /crawler/i,
-            /spider/i,
-            /scraper/i,
-            /crawling/i,
-            /indexer/i,
-            /fetcher/i,
-            /monitor/i,
-            /checker/i,
-            /validator/i,
-            
-            // Specific tools
-            /curl/i,
-            /wget/i,
-            /python-requests/i,
-            /node-fetch/i,
-            /axios/i,
-            /postman/i,
-            /insomnia/i
-        ];
-        
-        this.humanIndicators = [
-            /mozilla/i,
-            /webkit/i,
-            /chrome/i,
-            /firefox/i,
-            /safari/i,
-            /edge/i,
-            /opera/i
-        ];
+        const { botPatterns, humanIndicators } = BotDetector.getUserAgentPatterns();
+        this.botPatterns = botPatterns;
+        this.humanIndicators = humanIndicators;
         
         this.visitHistory = [];
         this.crawlPatterns = new Map();
@@ -72,6 +23,95 @@ class BotDetector {
         this.init();
     }
     
+    /**
+     * User-agent pattern set, shared with server-side log analysis
+     * (scripts/bot-log-analyzer.js), which can't construct a BotDetector
+     */
+    static getUserAgentPatterns() {
+        return {
+            botPatterns: [
+                // Search engine bots
+                /googlebot/i,
+                /bingbot/i,
+                /slurp/i, // Yahoo
+                /duckduckbot/i,
+                /baiduspider/i,
+                /yandexbot/i,
+                /facebookexternalhit/i,
+                /twitterbot/i,
+                /linkedinbot/i,
+                
+                // AI/LLM bots
+                /chatgpt/i,
+                /gpt/i,
+                /claude/i,
+                /anthropic/i,
+                /openai/i,
+                /perplexity/i,
+                /you\.com/i,
+                
+                // Generic bot patterns
+                /bot/i,
+                /crawler/i,
+                /spider/i,
+                /scraper/i,
+                /crawling/i,
+                /indexer/i,
+                /fetcher/i,
+                /monitor/i,
+                /checker/i,
+                /validator/i,
+                
+                // Specific tools
+                /curl/i,
+                /wget/i,
+                /python-requests/i,
+                /node-fetch/i,
+                /axios/i,
+                /postman/i,
+                /insomnia/i
+            ],
+            humanIndicators: [
+                /mozilla/i,
+                /webkit/i,
+                /chrome/i,
+                /firefox/i,
+                /safari/i,
+                /edge/i,
+                /opera/i
+            ]
+        };
+    }
+    
+    /**
+     * Score a user agent against the pattern set; botType is the bot family the
+     * user agent names, or 'unknown' when no bot pattern matches
+     */
+    static classifyUserAgent(userAgent, patterns = BotDetector.getUserAgentPatterns()) {
+        const lowerUA = (userAgent || '').toLowerCase();
+        let botScore = 0;
+        let botType = 'unknown';
+        
+        for (const pattern of patterns.botPatterns) {
+            if (pattern.test(lowerUA)) {
+                botScore += 1;
+                
+                // Identify specific bot type
+                if (/googlebot/i.test(lowerUA)) botType = 'googlebot';
+                else if (/bingbot/i.test(lowerUA)) botType = 'bingbot';
+                else if (/chatgpt|gpt|openai/i.test(lowerUA)) botType = 'llm-bot';
+                else if (/claude|anthropic/i.test(lowerUA)) botType = 'claude';
+                else if (/crawler|spider/i.test(lowerUA)) botType = 'crawler';
+                else if (/curl|wget/i.test(lowerUA)) botType = 'tool';
+                else botType = 'generic-bot';
+            }
+        }
+        
+        const humanScore = patterns.humanIndicators.filter(pattern => pattern.test(lowerUA)).length;
+        
+        return { botScore, humanScore, botType };
+    }
+    
     /**
      * Initialize bot detection
      */
@@ -96,32 +136,8 @@ class BotDetector {
         const userAgent = navigator.userAgent;
         const lowerUA = userAgent.toLowerCase();
         
-        // Check for bot patterns
-        let botScore = 0;
-        let detectedBotType = 'unknown';
-        
-        for (const pattern of this.botPatterns) {
-            if (pattern.test(lowerUA)) {
-                botScore += 1;
-                
-                // Identify specific bot type
-                if (/googlebot/i.test(lowerUA)) detectedBotType = 'googlebot';
-                else if (/bingbot/i.test(lowerUA)) detectedBotType = 'bingbot';
-                else if (/chatgpt|gpt|openai/i.test(lowerUA)) detectedBotType = 'llm-bot';
-                else if (/claude|anthropic/i.test(lowerUA)) detectedBotType = 'claude';
-                else if (/crawler|spider/i.test(lowerUA)) detectedBotType = 'crawler';
-                else if (/curl|wget/i.test(lowerUA)) detectedBotType = 'tool';
-                else detectedBotType = 'generic-bot';
-            }
-        }
-        
-        // Check for human indicators
-        let humanScore = 0;
-        for (const pattern of this.humanIndicators) {
-            if (pattern.test(lowerUA)) {
-                humanScore += 1;
-            }
-        }
+        // Check for bot patterns and human indicators
+        const { botScore, humanScore, botType: detectedBotType } = BotDetector.classifyUserAgent(userAgent, this);
         
         // Additional bot detection heuristics
         const additionalBotIndicators = [
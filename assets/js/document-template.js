@@ -84,6 +84,8 @@ class DocumentTemplate {
     updateBreadcrumbs(customBreadcrumbs = null) {
         const breadcrumbNav = document.querySelector('.breadcrumb ol');
         if (!breadcrumbNav) return;
+        // A trail written into the page links real pages; only fill in an empty one
+        if (!customBreadcrumbs && breadcrumbNav.children.length > 0) return;
 
         const breadcrumbs = customBreadcrumbs || this.generateBreadcrumbs();
         
@@ -0,0 +1,428 @@
+/**
+ * Inverted Index with BM25F Ranking
+ * DOM-free term index and scorer used by SearchEngine
+ */
+
+class InvertedIndex {
+    constructor(options = {}) {
+        // Per-field boost and BM25 length normalization strength (b)
+        this.fieldConfig = {
+            title: { boost: 3, b: 0.5 },
+            headings: { boost: 2, b: 0.6 },
+            keywords: { boost: 2.5, b: 0.3 },
+            description: { boost: 2, b: 0.5 },
+            content: { boost: 1, b: 0.75 },
+            ...options.fieldConfig
+        };
+        this.fields = Object.keys(this.fieldConfig);
+        this.k1 = options.k1 !== undefined ? options.k1 : 1.2;
+
+        // Position gap between list values (keywords, headings) so phrases never span two entries
+        this.fieldValueGap = 100;
+        this.stopWords = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
+            'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
+            'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those'
+        ]);
+
+        // Resolve collaborators from the page globals or, under Node, from sibling modules
+        const Stemmer = typeof PorterStemmer !== 'undefined' ? PorterStemmer : require('./porter-stemmer');
+        const Expander = typeof QueryExpander !== 'undefined' ? QueryExpander : require('./query-expander');
+        this.stemmer = new Stemmer();
+        this.expander = new Expander(this, options.expansion);
+
+        // token -> Map(docIndex -> { field: [positions] })
+        this.postings = new Map();
+        // surface word -> stemmed token, used for prefix and fuzzy lookups
+        this.vocabulary = new Map();
+        this.documents = [];
+        this.fieldLengths = [];
+        this.totalFieldLengths = {};
+        this.fields.forEach(field => {
+            this.totalFieldLengths[field] = 0;
+        });
+    }
+
+    /**
+     * Split text into lowercase words, punctuation removed
+     */
+    splitWords(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Tokenize text into stemmed tokens, keeping each token's surface word and
+     * position in the original word stream
+     */
+    tokenizeWithPositions(text, startPosition = 0) {
+        const tokens = [];
+
+        this.splitWords(text)
+            .forEach((token, offset) => {
+                // Filtered words still consume a position so phrase gaps stay honest
+                if (token.length >= 2 && !this.isStopWord(token)) {
+                    tokens.push({ token: this.stemmer.stem(token), word: token, position: startPosition + offset });
+                }
+            });
+
+        return tokens;
+    }
+
+    /**
+     * Tokenize text for search indexing
+     */
+    tokenize(text) {
+        return this.tokenizeWithPositions(text).map(entry => entry.token);
+    }
+
+    /**
+     * Check if word is a stop word
+     */
+    isStopWord(word) {
+        return this.stopWords.has(word);
+    }
+
+    /**
+     * Normalize a document field to a list of text values
+     */
+    getFieldValues(doc, field) {
+        const value = doc[field];
+        if (Array.isArray(value)) return value;
+        return value ? [value] : [];
+    }
+
+    /**
+     * Add a document to the index and return its index position
+     */
+    addDocument(doc) {
+        const docIndex = this.documents.length;
+        const lengths = {};
+
+        this.documents.push(doc);
+
+        this.fields.forEach(field => {
+            let position = 0;
+            let length = 0;
+
+            this.getFieldValues(doc, field).forEach(value => {
+                const tokens = this.tokenizeWithPositions(value, position);
+
+                tokens.forEach(({ token, word, position: tokenPosition }) => {
+                    this.vocabulary.set(word, token);
+
+                    if (!this.postings.has(token)) {
+                        this.postings.set(token, new Map());
+                    }
+
+                    const docPostings = this.postings.get(token);
+                    if (!docPostings.has(docIndex)) {
+                        docPostings.set(docIndex, {});
+                    }
+
+                    const fieldPositions = docPostings.get(docIndex);
+                    (fieldPositions[field] = fieldPositions[field] || []).push(tokenPosition);
+                });
+
+                length += tokens.length;
+                position += this.splitWords(value).length + this.fieldValueGap;
+            });
+
+            lengths[field] = length;
+            this.totalFieldLengths[field] += length;
+        });
+
+        this.fieldLengths.push(lengths);
+        return docIndex;
+    }
+
+    /**
+     * Split a query into expanded term clauses and quoted phrases; with options.prefix
+     * the last word also matches as the start of longer words
+     */
+    parseQuery(query, options = {}) {
+        const phrases = [];
+        const freeText = (query || '').replace(/"([^"]*)"/g, (match, phraseText) => {
+            const tokens = this.tokenizeWithPositions(phraseText);
+
+            if (tokens.length === 1) {
+                // A quoted single word is just a term
+                return ` ${phraseText} `;
+            }
+
+            if (tokens.length > 1) {
+                const start = tokens[0].position;
+                phrases.push({
+                    text: phraseText.trim().toLowerCase(),
+                    tokens: tokens.map(({ token, position }) => ({ token, offset: position - start }))
+                });
+            }
+            return ' ';
+        });
+
+        const clauses = this.expander.expand(this.tokenizeWithPositions(freeText), {
+            prefix: options.prefix && !/[\s"]$/.test(query)
+        });
+        return { clauses, phrases };
+    }
+
+    /**
+     * Average token length of a field across all documents
+     */
+    getAverageFieldLength(field) {
+        if (this.documents.length === 0) return 0;
+        return this.totalFieldLengths[field] / this.documents.length;
+    }
+
+    /**
+     * BM25 inverse document frequency
+     */
+    getIdf(documentFrequency) {
+        const total = this.documents.length;
+        return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * Combine per-field frequencies into a BM25F score contribution
+     */
+    scoreFieldFrequencies(fieldFrequencies, docIndex, idf) {
+        let weightedFrequency = 0;
+
+        Object.entries(fieldFrequencies).forEach(([field, frequency]) => {
+            const config = this.fieldConfig[field];
+            const averageLength = this.getAverageFieldLength(field);
+            if (!config || frequency === 0 || averageLength === 0) return;
+
+            const lengthRatio = this.fieldLengths[docIndex][field] / averageLength;
+            const normalization = 1 - config.b + config.b * lengthRatio;
+            weightedFrequency += (config.boost * frequency) / normalization;
+        });
+
+        return idf * (weightedFrequency * (this.k1 + 1)) / (weightedFrequency + this.k1);
+    }
+
+    /**
+     * Count phrase occurrences per field for one document
+     */
+    getPhraseFrequencies(phrase, docIndex) {
+        const frequencies = {};
+
+        const tokenPostings = phrase.tokens.map(({ token }) => {
+            const docPostings = this.postings.get(token);
+            return docPostings ? docPostings.get(docIndex) : null;
+        });
+        if (tokenPostings.some(fieldPositions => !fieldPositions)) return frequencies;
+
+        this.fields.forEach(field => {
+            const positionSets = tokenPostings.map(fieldPositions => new Set(fieldPositions[field] || []));
+            const firstPositions = tokenPostings[0][field] || [];
+
+            const occurrences = firstPositions.filter(start =>
+                phrase.tokens.every(({ offset }, i) => positionSets[i].has(start + offset))
+            ).length;
+
+            if (occurrences > 0) {
+                frequencies[field] = occurrences;
+            }
+        });
+
+        return frequencies;
+    }
+
+    /**
+     * Rank documents for a query; quoted phrases are required matches
+     */
+    search(query, limit = 20, options = {}) {
+        const { clauses, phrases } = this.parseQuery(query, options);
+        const matches = new Map();
+
+        const getMatch = (docIndex) => {
+            if (!matches.has(docIndex)) {
+                matches.set(docIndex, {
+                    docIndex,
+                    score: 0,
+                    matchedTerms: [],
+                    matchedFields: new Set(),
+                    highlightTerms: new Set()
+                });
+            }
+            return matches.get(docIndex);
+        };
+
+        clauses.forEach(clause => {
+            // A document scores once per clause, through its best-scoring alternative term
+            const bestByDoc = new Map();
+
+            clause.expansions.forEach(({ term, weight }) => {
+                const docPostings = this.postings.get(term);
+                if (!docPostings) return;
+
+                const idf = this.getIdf(docPostings.size);
+                docPostings.forEach((fieldPositions, docIndex) => {
+                    const fieldFrequencies = {};
+                    Object.entries(fieldPositions).forEach(([field, positions]) => {
+                        fieldFrequencies[field] = positions.length;
+                    });
+
+                    const score = weight * this.scoreFieldFrequencies(fieldFrequencies, docIndex, idf);
+                    const best = bestByDoc.get(docIndex);
+                    if (!best || score > best.score) {
+                        bestByDoc.set(docIndex, { score, term, fields: Object.keys(fieldFrequencies) });
+                    }
+                });
+            });
+
+            bestByDoc.forEach(({ score, term, fields }, docIndex) => {
+                const match = getMatch(docIndex);
+                match.score += score;
+                match.matchedTerms.push(clause.label);
+                match.highlightTerms.add(term);
+                fields.forEach(field => match.matchedFields.add(field));
+            });
+        });
+
+        let phraseMatchedDocs = null;
+        phrases.forEach(phrase => {
+            const phraseDocs = new Map();
+            const firstPostings = this.postings.get(phrase.tokens[0].token) || new Map();
+
+            firstPostings.forEach((fieldPositions, docIndex) => {
+                const frequencies = this.getPhraseFrequencies(phrase, docIndex);
+                if (Object.keys(frequencies).length > 0) {
+                    phraseDocs.set(docIndex, frequencies);
+                }
+            });
+
+            const idf = this.getIdf(phraseDocs.size);
+            phraseDocs.forEach((frequencies, docIndex) => {
+                const match = getMatch(docIndex);
+                match.score += this.scoreFieldFrequencies(frequencies, docIndex, idf);
+                match.matchedTerms.push(phrase.text);
+                phrase.tokens.forEach(({ token }) => match.highlightTerms.add(token));
+                Object.keys(frequencies).forEach(field => match.matchedFields.add(field));
+            });
+
+            const docIndexes = new Set(phraseDocs.keys());
+            phraseMatchedDocs = phraseMatchedDocs
+                ? new Set([...phraseMatchedDocs].filter(docIndex => docIndexes.has(docIndex)))
+                : docIndexes;
+        });
+
+        return Array.from(matches.values())
+            .filter(match => !phraseMatchedDocs || phraseMatchedDocs.has(match.docIndex))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(match => ({
+                ...match,
+                matchedFields: Array.from(match.matchedFields),
+                highlightTerms: Array.from(match.highlightTerms)
+            }));
+    }
+
+    /**
+     * Excerpt of a document's body text around its densest cluster of matched terms;
+     * empty when none of the terms occur in the body
+     */
+    getSnippet(docIndex, terms, maxWords = 30) {
+        const text = this.documents[docIndex].content || '';
+        const hits = [];
+
+        terms.forEach(term => {
+            const docPostings = this.postings.get(term);
+            const fieldPositions = docPostings && docPostings.get(docIndex);
+            if (fieldPositions && fieldPositions.content) {
+                fieldPositions.content.forEach(position => hits.push({ position, term }));
+            }
+        });
+        if (!text || hits.length === 0) return '';
+
+        hits.sort((a, b) => a.position - b.position);
+
+        // Slide a maxWords window over the hits; prefer windows covering more distinct
+        // terms, then more hits overall
+        let bestStart = hits[0].position;
+        let bestDistinct = 0;
+        let bestCount = 0;
+        hits.forEach((hit, i) => {
+            const windowTerms = new Set();
+            let j = i;
+            while (j < hits.length && hits[j].position < hit.position + maxWords) {
+                windowTerms.add(hits[j].term);
+                j++;
+            }
+
+            if (windowTerms.size > bestDistinct || (windowTerms.size === bestDistinct && j - i > bestCount)) {
+                bestDistinct = windowTerms.size;
+                bestCount = j - i;
+                bestStart = hit.position;
+            }
+        });
+
+        // Lead in with a few words of context; positions count [\w-]+ runs, as splitWords does
+        const startWord = Math.max(0, bestStart - 5);
+        const endWord = startWord + maxWords;
+        const wordPattern = /[\w-]+/g;
+        let startOffset = 0;
+        let endOffset = text.length;
+        let wordMatch;
+
+        for (let position = 0; (wordMatch = wordPattern.exec(text)); position++) {
+            if (position === startWord) startOffset = wordMatch.index;
+            if (position === endWord) {
+                endOffset = wordMatch.index;
+                break;
+            }
+        }
+
+        const excerpt = text.slice(startOffset, endOffset).trim();
+        return (startOffset > 0 ? '… ' : '') + excerpt + (endOffset < text.length ? ' …' : '');
+    }
+
+    /**
+     * Suggest a respelled query when a search finds nothing
+     */
+    suggestQuery(query) {
+        return this.expander.suggestQuery(query);
+    }
+
+    /**
+     * Complete the last word of a partial query from indexed words, most widely used
+     * first ("run oll" -> "run ollama"); one completion per stem
+     */
+    completeQuery(query, limit = 5) {
+        const words = this.splitWords(query);
+        const partial = words.pop();
+        if (!partial || /\s$/.test(query)) return [];
+
+        // Other forms of a word already typed out in full ("machine" -> "machines") add nothing
+        const typedToken = this.stemmer.stem(partial);
+        const candidates = [];
+        this.vocabulary.forEach((token, word) => {
+            if (token !== typedToken && word.startsWith(partial)) {
+                candidates.push({ word, token, documents: this.postings.get(token).size });
+            }
+        });
+
+        const seenTokens = new Set();
+        const lead = words.length > 0 ? `${words.join(' ')} ` : '';
+
+        return candidates
+            .sort((a, b) => b.documents - a.documents || a.word.length - b.word.length || a.word.localeCompare(b.word))
+            .filter(({ token }) => !seenTokens.has(token) && seenTokens.add(token))
+            .slice(0, limit)
+            .map(({ word }) => lead + word);
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.InvertedIndex = InvertedIndex;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvertedIndex;
+}
@@ -41,6 +41,11 @@ document.addEventListener('DOMContentLoaded', function() {
         window.robotsSitemap = robotsSitemapGenerator;
     }
 
+    // Initialize the analytics collector before the modules whose events it forwards
+    if (typeof AnalyticsCollector !== 'undefined' && AnalyticsCollector.getConfiguredEndpoint() !== null) {
+        window.analyticsCollector = new AnalyticsCollector().start();
+    }
+
     // Initialize Bot Detection
     if (typeof BotDetector !== 'undefined') {
         const botDetector = new BotDetector();
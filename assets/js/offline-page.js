@@ -0,0 +1,96 @@
+/**
+ * Offline Page
+ * Lists the pages the service worker has cached, so offline.html can link to
+ * what's readable without a connection, and retries once the connection is back
+ */
+
+class OfflinePage {
+    constructor(options = {}) {
+        this.cacheStorage = options.caches || (typeof caches !== 'undefined' ? caches : null);
+        // sw.js names its precache and runtime caches with this prefix
+        this.cachePrefix = options.cachePrefix || 'llm-tools-hub-';
+        this.offlinePath = options.offlinePath || '/offline.html';
+    }
+
+    /**
+     * The <title> of a cached page, falling back to its path
+     */
+    static getTitle(html, fallback) {
+        if (typeof DOMParser !== 'undefined') {
+            const title = new DOMParser().parseFromString(html, 'text/html').title.trim();
+            return title || fallback;
+        }
+        const match = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+        return match && match[1].trim() ? match[1].trim() : fallback;
+    }
+
+    /**
+     * Cached HTML pages ({ url, title }) across the site's caches, one per path, by title
+     */
+    async getCachedPages() {
+        if (!this.cacheStorage) return [];
+
+        const pages = new Map();
+        const cacheNames = (await this.cacheStorage.keys()).filter(name => name.startsWith(this.cachePrefix));
+
+        for (const cacheName of cacheNames) {
+            const cache = await this.cacheStorage.open(cacheName);
+            for (const request of await cache.keys()) {
+                const { pathname } = new URL(request.url);
+                const url = pathname.replace(/\/index\.html$/, '/');
+                if (!/(\.html|\/)$/.test(url) || pathname === this.offlinePath || pages.has(url)) continue;
+
+                const response = await cache.match(request);
+                pages.set(url, { url, title: OfflinePage.getTitle(await response.text(), url) });
+            }
+        }
+
+        return [...pages.values()].sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Replace the list's contents with links to the cached pages
+     */
+    async render(list) {
+        const pages = await this.getCachedPages();
+        const document = list.ownerDocument;
+
+        list.textContent = '';
+        if (pages.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No pages are saved on this device yet.';
+            list.appendChild(item);
+            return pages;
+        }
+
+        pages.forEach(page => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = page.url;
+            link.textContent = page.title;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        return pages;
+    }
+}
+
+// Fill in offline.html and reload when the connection returns
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    const list = document.getElementById('offline-pages');
+    if (list) {
+        new OfflinePage().render(list).catch(error => console.warn('Could not list cached pages:', error));
+
+        const retry = document.getElementById('offline-retry');
+        if (retry) retry.addEventListener('click', () => window.location.reload());
+        window.addEventListener('online', () => window.location.reload());
+    }
+
+    window.OfflinePage = OfflinePage;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflinePage;
+}
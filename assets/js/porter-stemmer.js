@@ -0,0 +1,134 @@
+/**
+ * Porter Stemmer for English
+ * Reduces words to a common stem so "models", "modeling" and "modeled" match
+ */
+
+class PorterStemmer {
+    constructor() {
+        const consonant = '[^aeiou]';
+        const vowel = '[aeiouy]';
+        const consonantSeq = consonant + '[^aeiouy]*';
+        const vowelSeq = vowel + '[aeiou]*';
+
+        // Measure tests from the original algorithm: m > 0, m = 1, m > 1 and "stem has a vowel"
+        this.measureGt0 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq);
+        this.measureEq1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + '(' + vowelSeq + ')?$');
+        this.measureGt1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + vowelSeq + consonantSeq);
+        this.hasVowel = new RegExp('^(' + consonantSeq + ')?' + vowel);
+        this.endsCvc = new RegExp('^' + consonantSeq + vowel + '[^aeiouwxy]$');
+        this.endsDoubleConsonant = /([^aeiouylsz])\1$/;
+
+        this.step2Suffixes = {
+            ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+            alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+            ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+            iviti: 'ive', biliti: 'ble', logi: 'log'
+        };
+        this.step3Suffixes = {
+            icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+        };
+        this.step2Pattern = new RegExp('^(.+?)(' + Object.keys(this.step2Suffixes).join('|') + ')$');
+        this.step3Pattern = new RegExp('^(.+?)(' + Object.keys(this.step3Suffixes).join('|') + ')$');
+        this.step4Pattern = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+    }
+
+    /**
+     * Fold British -ise spellings onto -ize so "quantised" and "quantized" share a stem
+     */
+    normalizeSpelling(word) {
+        return word.replace(/^([a-z]{2,}[^aeiou])is(e|es|ed|ing|ation|ations|er|ers)$/, '$1iz$2');
+    }
+
+    /**
+     * Stem a lowercase word; tokens with digits or symbols are returned unchanged
+     */
+    stem(word) {
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+            return word;
+        }
+
+        let w = this.normalizeSpelling(word);
+        let match;
+
+        // A leading "y" is a consonant
+        const startsWithY = w[0] === 'y';
+        if (startsWithY) {
+            w = 'Y' + w.slice(1);
+        }
+
+        // Step 1a: plurals
+        if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+            w = match[1] + match[2];
+        } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+            w = match[1] + match[2];
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (this.measureGt0.test(match[1])) {
+                w = w.slice(0, -1);
+            }
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && this.hasVowel.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (this.endsDoubleConsonant.test(w)) {
+                w = w.slice(0, -1);
+            } else if (this.endsCvc.test(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c: terminal y
+        if ((match = /^(.+?)y$/.exec(w)) && this.hasVowel.test(match[1])) {
+            w = match[1] + 'i';
+        }
+
+        // Step 2 and 3: map double and derivational suffixes
+        if ((match = this.step2Pattern.exec(w)) && this.measureGt0.test(match[1])) {
+            w = match[1] + this.step2Suffixes[match[2]];
+        }
+        if ((match = this.step3Pattern.exec(w)) && this.measureGt0.test(match[1])) {
+            w = match[1] + this.step3Suffixes[match[2]];
+        }
+
+        // Step 4: strip remaining suffixes on long stems
+        if ((match = this.step4Pattern.exec(w))) {
+            if (this.measureGt1.test(match[1])) {
+                w = match[1];
+            }
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+            const stem = match[1] + match[2];
+            if (this.measureGt1.test(stem)) {
+                w = stem;
+            }
+        }
+
+        // Step 5: trailing e and double l
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const stem = match[1];
+            if (this.measureGt1.test(stem) || (this.measureEq1.test(stem) && !this.endsCvc.test(stem))) {
+                w = stem;
+            }
+        }
+        if (/ll$/.test(w) && this.measureGt1.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        if (startsWithY) {
+            w = 'y' + w.slice(1);
+        }
+
+        return w;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.PorterStemmer = PorterStemmer;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PorterStemmer;
+}
@@ -0,0 +1,200 @@
+/**
+ * Query Expander for Site Search
+ * Adds prefix completions, spelling corrections and joined-word matches to query terms
+ */
+
+class QueryExpander {
+    constructor(index, options = {}) {
+        this.index = index;
+
+        // As-you-type completion of the last query word
+        this.minPrefixLength = options.minPrefixLength || 3;
+        this.maxPrefixExpansions = options.maxPrefixExpansions || 10;
+        this.prefixWeight = options.prefixWeight || 0.8;
+
+        // Edit-distance matching for words missing from the index
+        this.minFuzzyLength = options.minFuzzyLength || 4;
+        this.maxFuzzyExpansions = options.maxFuzzyExpansions || 1;
+        this.fuzzyWeight = options.fuzzyWeight || 0.6;
+    }
+
+    /**
+     * Number of edits tolerated for a word during matching
+     */
+    getMaxEdits(word) {
+        if (word.length < this.minFuzzyLength) return 0;
+        return word.length >= 8 ? 2 : 1;
+    }
+
+    /**
+     * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+     * giving up once the distance must exceed maxDistance
+     */
+    getEditDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMinimum = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+
+                current[j] = value;
+                rowMinimum = Math.min(rowMinimum, value);
+            }
+
+            if (rowMinimum > maxDistance) return maxDistance + 1;
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Number of documents containing an index term
+     */
+    getDocumentFrequency(term) {
+        const docPostings = this.index.postings.get(term);
+        return docPostings ? docPostings.size : 0;
+    }
+
+    /**
+     * Index terms whose surface words start with the prefix, most common first
+     */
+    findPrefixTerms(prefix) {
+        const terms = new Set();
+
+        this.index.vocabulary.forEach((term, word) => {
+            if (word.startsWith(prefix)) {
+                terms.add(term);
+            }
+        });
+
+        return Array.from(terms)
+            .sort((a, b) => this.getDocumentFrequency(b) - this.getDocumentFrequency(a))
+            .slice(0, this.maxPrefixExpansions);
+    }
+
+    /**
+     * Surface words within maxEdits of the word; closest first, then those keeping the
+     * typed first letter (typos rarely change it), then the most common
+     */
+    findFuzzyTerms(word, maxEdits) {
+        if (maxEdits === 0) return [];
+
+        const candidates = new Map();
+
+        this.index.vocabulary.forEach((term, candidate) => {
+            if (candidate === word) return;
+
+            const distance = this.getEditDistance(word, candidate, maxEdits);
+            if (distance > maxEdits) return;
+
+            const existing = candidates.get(term);
+            if (!existing || distance < existing.distance) {
+                candidates.set(term, { word: candidate, term, distance });
+            }
+        });
+
+        const keepsFirstLetter = candidate => (candidate.word[0] === word[0] ? 0 : 1);
+
+        return Array.from(candidates.values()).sort((a, b) =>
+            a.distance - b.distance ||
+            keepsFirstLetter(a) - keepsFirstLetter(b) ||
+            this.getDocumentFrequency(b.term) - this.getDocumentFrequency(a.term)
+        );
+    }
+
+    /**
+     * Turn tokenized query words into scoring clauses, each with weighted alternative terms
+     */
+    expand(entries, options = {}) {
+        const clauses = [];
+        const seen = new Set();
+
+        entries.forEach((entry, i) => {
+            if (seen.has(entry.token)) return;
+            seen.add(entry.token);
+
+            const clause = { label: entry.word, expansions: [{ term: entry.token, weight: 1 }] };
+            const isLastWord = i === entries.length - 1;
+
+            if (options.prefix && isLastWord && entry.word.length >= this.minPrefixLength) {
+                this.findPrefixTerms(entry.word)
+                    .filter(term => term !== entry.token)
+                    .forEach(term => clause.expansions.push({ term, weight: this.prefixWeight }));
+            }
+
+            // Only correct spelling when nothing in the index matches the word as typed
+            if (clause.expansions.length === 1 && this.getDocumentFrequency(entry.token) === 0) {
+                const corrections = this.findFuzzyTerms(entry.word, this.getMaxEdits(entry.word))
+                    .slice(0, this.maxFuzzyExpansions);
+
+                if (corrections.length > 0) {
+                    clause.label = corrections[0].word;
+                    corrections.forEach(({ term, distance }) => {
+                        clause.expansions.push({ term, weight: this.fuzzyWeight / distance });
+                    });
+                }
+            }
+
+            clauses.push(clause);
+        });
+
+        // Adjacent words typed apart also match their joined form ("gguf loader" -> "ggufloader")
+        entries.forEach((entry, i) => {
+            const next = entries[i + 1];
+            if (!next || next.position !== entry.position + 1) return;
+
+            const joinedWord = entry.word + next.word;
+            const term = this.index.vocabulary.get(joinedWord);
+            if (term && !seen.has(term)) {
+                seen.add(term);
+                clauses.push({ label: joinedWord, expansions: [{ term, weight: 1 }] });
+            }
+        });
+
+        return clauses;
+    }
+
+    /**
+     * Rewrite misspelled query words to their closest indexed words ("did you mean")
+     */
+    suggestQuery(query) {
+        let changed = false;
+
+        const suggestion = (query || '').replace(/[\w-]+/g, rawWord => {
+            const word = rawWord.toLowerCase();
+            if (word.length < 3 || this.index.isStopWord(word)) return rawWord;
+            if (this.getDocumentFrequency(this.index.stemmer.stem(word)) > 0) return rawWord;
+
+            const [best] = this.findFuzzyTerms(word, word.length >= 5 ? 2 : 1);
+            if (!best) return rawWord;
+
+            changed = true;
+            return best.word;
+        });
+
+        return changed ? suggestion : null;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.QueryExpander = QueryExpander;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueryExpander;
+}
@@ -0,0 +1,225 @@
+/**
+ * Search Autocomplete
+ * Suggestion dropdown for the search input, following the WAI-ARIA combobox pattern:
+ * the input keeps focus and points at the highlighted option with aria-activedescendant
+ */
+
+class SearchAutocomplete {
+    /**
+     * options.getSuggestions(value) resolves with [{ label, value, type, url? }];
+     * options.onSelect(option) runs when one is chosen; options.announce(message)
+     * reports list changes to screen readers; the listbox is inserted after
+     * options.anchor (default: the input)
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.anchor = options.anchor || input;
+        this.getSuggestions = options.getSuggestions || (async () => []);
+        this.onSelect = options.onSelect || (() => {});
+        this.announce = options.announce || (() => {});
+        this.maxSuggestions = options.maxSuggestions || 8;
+        this.debounceDelay = options.debounceDelay || 150;
+        this.typeLabels = {
+            recent: 'Recent',
+            popular: 'Popular',
+            term: 'Search',
+            page: 'Page'
+        };
+
+        this.options = [];
+        this.activeIndex = -1;
+        this.requestSequence = 0;
+        this.debounceTimer = null;
+        this.lastAnnouncedCount = null;
+        this.listbox = this.createListbox();
+        this.bind();
+    }
+
+    /**
+     * Create the listbox next to the input and give the input its combobox role
+     */
+    createListbox() {
+        const listbox = document.createElement('ul');
+        listbox.id = `${this.input.id}-listbox`;
+        listbox.className = 'search-autocomplete';
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', 'Search suggestions');
+        listbox.hidden = true;
+        this.anchor.parentNode.insertBefore(listbox, this.anchor.nextSibling);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', listbox.id);
+
+        return listbox;
+    }
+
+    bind() {
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.update(), this.debounceDelay);
+        });
+
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('blur', () => this.close());
+        this.input.addEventListener('keydown', (event) => this.handleKeydown(event));
+
+        // mousedown rather than click, so choosing an option doesn't blur the input first
+        this.listbox.addEventListener('mousedown', (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (!option) return;
+
+            event.preventDefault();
+            this.select(Number(option.dataset.index));
+        });
+    }
+
+    isOpen() {
+        return !this.listbox.hidden;
+    }
+
+    /**
+     * Fetch suggestions for the current value; only the latest request renders
+     */
+    async update() {
+        const requestId = ++this.requestSequence;
+        let suggestions = [];
+
+        try {
+            suggestions = await this.getSuggestions(this.input.value);
+        } catch (error) {
+            console.warn('Could not load search suggestions:', error);
+        }
+
+        if (requestId !== this.requestSequence) return;
+        this.render(suggestions.slice(0, this.maxSuggestions));
+    }
+
+    render(suggestions) {
+        this.options = suggestions;
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.listbox.innerHTML = suggestions.map((suggestion, index) => `
+            <li role="option" id="${this.listbox.id}-option-${index}" class="search-autocomplete-option search-autocomplete-${suggestion.type}" data-index="${index}" aria-selected="false">
+                <span class="search-autocomplete-label">${this.escapeHtml(suggestion.label)}</span>
+                <span class="search-autocomplete-type">${this.typeLabels[suggestion.type] || ''}</span>
+            </li>
+        `).join('');
+
+        const wasOpen = this.isOpen();
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        // Repeating the count on every keystroke while the list stays open is noise
+        if (!wasOpen || suggestions.length !== this.lastAnnouncedCount) {
+            this.announce(`${suggestions.length} suggestion${suggestions.length !== 1 ? 's' : ''} available. Use up and down arrows to review.`);
+            this.lastAnnouncedCount = suggestions.length;
+        }
+    }
+
+    close() {
+        this.requestSequence++;
+        this.listbox.hidden = true;
+        this.activeIndex = -1;
+        this.lastAnnouncedCount = null;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Highlight an option (or none with -1) without moving focus off the input
+     */
+    setActive(index) {
+        const optionElements = this.listbox.querySelectorAll('[role="option"]');
+        optionElements.forEach((element, elementIndex) => {
+            element.setAttribute('aria-selected', String(elementIndex === index));
+            element.classList.toggle('is-active', elementIndex === index);
+        });
+
+        this.activeIndex = index;
+        if (index >= 0) {
+            const active = optionElements[index];
+            this.input.setAttribute('aria-activedescendant', active.id);
+            if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Move the highlight by one, wrapping at either end
+     */
+    move(step) {
+        const count = this.options.length;
+        if (count === 0) return;
+
+        const start = this.activeIndex === -1 && step < 0 ? count : this.activeIndex;
+        this.setActive((start + step + count) % count);
+    }
+
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!this.isOpen()) {
+                    this.update();
+                } else {
+                    this.move(event.key === 'ArrowDown' ? 1 : -1);
+                }
+                break;
+            case 'Enter':
+                if (this.isOpen() && this.activeIndex >= 0) {
+                    // Also suppresses the keypress that would search the typed text
+                    event.preventDefault();
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen()) {
+                    // Close only the list, not the whole search panel
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.close();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    select(index) {
+        const option = this.options[index];
+        if (!option) return;
+
+        this.input.value = option.value;
+        this.close();
+        this.announce(option.url ? `Opening ${option.label}` : `Searching for ${option.value}`);
+        this.onSelect(option);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SearchAutocomplete = SearchAutocomplete;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchAutocomplete;
+}
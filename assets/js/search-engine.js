@@ -4,16 +4,34 @@
  */
 
 class SearchEngine {
-    constructor() {
-        this.searchIndex = new Map();
-        this.documents = [];
+    constructor(options = {}) {
+        // BM25F parameters; fieldConfig entries override the per-field boost and b defaults
+        this.indexOptions = {
+            fieldConfig: options.fieldConfig,
+            k1: options.k1
+        };
+        // Indexing and scoring run in this worker when the browser supports it
+        this.workerUrl = options.workerUrl || null;
+        this.backend = null;
+        this.indexStats = null;
+        this.searchSequence = 0;
         this.isIndexed = false;
         this.searchResults = [];
+        this.lastSuggestion = null;
+        this.facets = new SearchFacets({ typeLabel: type => this.getTypeLabel(type) });
+        this.highlighter = new SearchHighlighter();
         this.minQueryLength = 2;
         this.maxResults = 20;
+        this.indexUrl = '/search-index.json';
+        this.indexVersion = 1;
+
+        // Facet selections survive reloads and shared links via the query string
+        if (typeof window !== 'undefined' && window.location) {
+            this.facets.readFromParams(new URLSearchParams(window.location.search));
+        }
         
-        // Initialize search engine
-        this.init();
+        // Initialize search engine; resolves once the index is loaded (or failed to load)
+        this.ready = this.init();
     }
 
     async init() {
@@ -28,171 +46,57 @@ class SearchEngine {
     }
 
     /**
-     * Build comprehensive search index from all site content
+     * Build comprehensive search index from the generated search-index.json, in a
+     * worker when possible and on the main thread otherwise
      */
     async buildSearchIndex() {
-        // Define all searchable content with metadata
-        const contentSources = [
-            {
-                url: '/',
-                title: 'LLM Tools & AI Resources Hub - Homepage',
-                type: 'homepage',
-                description: 'Comprehensive guide to LLM tools, AI development, and machine learning resources',
-                keywords: ['LLM tools', 'AI development', 'machine learning', 'artificial intelligence', 'developer resources', 'local LLM', 'GGUF Loader', 'desktop application'],
-                content: 'LLM Tools AI Resources Hub comprehensive guide development machine learning GGUFLoader GGUF Loader desktop application local LLM offline chat UI floating assistant LM Studio Ollama documentation comparisons tutorials PyPI installation pip install ggufloader quantized models Q4_0 Q6_K cross-platform Windows Linux macOS'
-            },
-            {
-                url: '/documents/llm-guide.html',
-                title: 'Complete LLM Implementation Guide',
-                type: 'document',
-                description: 'Master LLM implementation with comprehensive guide covering tools, techniques, and best practices',
-                keywords: ['LLM implementation', 'large language models', 'AI development', 'machine learning guide', 'local LLM', 'GGUF Loader'],
-                content: 'Large Language Models implementation guide tools frameworks optimization performance deployment best practices TensorFlow PyTorch Hugging Face model selection training inference GGUFLoader GGUF Loader desktop application local LLM deployment offline chat UI GGUF models quantized models'
-            },
-            {
-                url: '/documents/ai-tools-overview.html',
-                title: 'AI Development Tools Overview',
-                type: 'document',
-                description: 'Explore the best AI development tools and frameworks for modern AI development',
-                keywords: ['AI tools', 'development frameworks', 'machine learning tools', 'AI development', 'local LLM tools', 'GGUF Loader'],
-                content: 'AI development tools frameworks TensorFlow PyTorch scikit-learn Ollama LM Studio GGUFLoader GGUF Loader desktop application local LLM tools offline chat UI deployment MLOps experimentation data processing computer vision NLP reinforcement learning GGUF models quantized models PyPI installation'
-            },
-            {
-                url: '/documents/machine-learning-basics.html',
-                title: 'Machine Learning Basics - Fundamentals for Developers',
-                type: 'document',
-                description: 'Learn machine learning fundamentals with practical examples and clear explanations',
-                keywords: ['machine learning basics', 'ML fundamentals', 'developer guide', 'AI basics', 'local LLM', 'GGUF Loader'],
-                content: 'machine learning basics fundamentals supervised unsupervised reinforcement learning algorithms classification regression clustering neural networks decision trees evaluation metrics GGUFLoader GGUF Loader desktop application local LLM tools offline deployment GGUF models quantized models beginner-friendly'
-            },
-            {
-                url: '/comparisons/ggufloader-vs-lmstudio.html',
-                title: 'GGUFLoader vs LM Studio - Detailed Comparison',
-                type: 'comparison',
-                description: 'In-depth comparison of GGUFLoader and LM Studio features, performance, and use cases',
-                keywords: ['GGUFLoader', 'GGUF Loader', 'LM Studio', 'LLM tools comparison', 'GGUF models', 'local LLM', 'desktop application', 'offline chat'],
-                content: 'GGUFLoader GGUF Loader LM Studio comparison features performance GGUF models local LLM deployment desktop application offline chat UI floating assistant API integration memory usage speed benchmarks PyPI installation pip install ggufloader quantized models Q4_0 Q6_K cross-platform Windows Linux macOS pros cons use cases'
-            },
-            {
-                url: '/comparisons/ollama-comparison.html',
-                title: 'Ollama vs Other LLM Tools - Comprehensive Comparison',
-                type: 'comparison',
-                description: 'Compare Ollama with other popular LLM tools including performance benchmarks and use cases',
-                keywords: ['Ollama', 'LLM comparison', 'AI tools', 'machine learning tools', 'local LLM', 'GGUF Loader'],
-                content: 'Ollama comparison LLM tools command line interface model management API server performance benchmarks GGUFLoader GGUF Loader desktop application LM Studio installation setup local LLM deployment offline chat UI GGUF models quantized models cross-platform'
+        const indexUrl = new URL(this.indexUrl, window.location.href).href;
+        let mode = 'worker';
+
+        try {
+            if (!this.workerUrl || typeof Worker === 'undefined' || typeof SearchWorkerClient === 'undefined') {
+                throw new Error('Web Workers are not supported');
+            }
+            this.backend = new SearchWorkerClient(this.workerUrl);
+            this.indexStats = await this.backend.load(indexUrl, this.indexVersion, this.indexOptions);
+        } catch (error) {
+            console.warn(`Search worker unavailable (${error.message}); searching on the main thread`);
+            if (this.backend) {
+                this.backend.terminate();
             }
-        ];
 
-        // Build search index
-        contentSources.forEach((doc, index) => {
-            this.documents.push(doc);
-            
-            // Create searchable text combining all fields
-            const searchableText = [
-                doc.title,
-                doc.description,
-                doc.keywords.join(' '),
-                doc.content
-            ].join(' ').toLowerCase();
-
-            // Tokenize and index
-            const tokens = this.tokenize(searchableText);
-            tokens.forEach(token => {
-                if (!this.searchIndex.has(token)) {
-                    this.searchIndex.set(token, []);
-                }
-                
-                // Add document reference with relevance scoring
-                const existingEntry = this.searchIndex.get(token).find(entry => entry.docIndex === index);
-                if (existingEntry) {
-                    existingEntry.frequency++;
-                } else {
-                    this.searchIndex.get(token).push({
-                        docIndex: index,
-                        frequency: 1,
-                        inTitle: doc.title.toLowerCase().includes(token),
-                        inDescription: doc.description.toLowerCase().includes(token),
-                        inKeywords: doc.keywords.some(keyword => keyword.toLowerCase().includes(token))
-                    });
-                }
-            });
-        });
+            mode = 'main-thread';
+            this.backend = new SearchIndexBackend(this.indexOptions);
+            this.indexStats = await this.backend.load(indexUrl, this.indexVersion);
+        }
 
-        console.log(`Search index built with ${this.searchIndex.size} unique terms`);
+        this.indexStats.mode = mode;
+        console.log(`Search index built with ${this.indexStats.terms} unique terms (index v${this.indexStats.version}, ${this.indexStats.checksum}, ${mode})`);
     }
 
     /**
-     * Tokenize text for search indexing
+     * Perform search query; supports "quoted phrases". With options.prefix the
+     * last word also matches longer words, for as-you-type searching.
+     * Resolves with the ranked results once the index is ready
      */
-    tokenize(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s-]/g, ' ')
-            .split(/\s+/)
-            .filter(token => token.length >= 2)
-            .filter(token => !this.isStopWord(token));
-    }
+    async search(query, options = {}) {
+        this.lastSuggestion = null;
 
-    /**
-     * Check if word is a stop word
-     */
-    isStopWord(word) {
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-            'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
-            'will', 'would', 'could', 'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those'
-        ]);
-        return stopWords.has(word);
-    }
-
-    /**
-     * Perform search query
-     */
-    search(query) {
         if (!query || query.length < this.minQueryLength) {
             return [];
         }
 
-        const queryTokens = this.tokenize(query);
-        if (queryTokens.length === 0) {
+        await this.ready;
+        if (!this.backend) {
             return [];
         }
 
-        // Calculate relevance scores for each document
-        const docScores = new Map();
-
-        queryTokens.forEach(token => {
-            if (this.searchIndex.has(token)) {
-                this.searchIndex.get(token).forEach(entry => {
-                    const docIndex = entry.docIndex;
-                    if (!docScores.has(docIndex)) {
-                        docScores.set(docIndex, 0);
-                    }
-
-                    // Calculate relevance score
-                    let score = entry.frequency;
-                    if (entry.inTitle) score *= 3;
-                    if (entry.inDescription) score *= 2;
-                    if (entry.inKeywords) score *= 2.5;
-
-                    docScores.set(docIndex, docScores.get(docIndex) + score);
-                });
-            }
+        const { results, suggestion } = await this.backend.search(query, {
+            limit: this.maxResults,
+            prefix: options.prefix
         });
 
-        // Sort results by relevance score
-        const results = Array.from(docScores.entries())
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, this.maxResults)
-            .map(([docIndex, score]) => ({
-                ...this.documents[docIndex],
-                relevanceScore: score,
-                matchedTerms: queryTokens.filter(token => 
-                    this.searchIndex.has(token) && 
-                    this.searchIndex.get(token).some(entry => entry.docIndex === docIndex)
-                )
-            }));
-
+        this.lastSuggestion = suggestion;
         this.searchResults = results;
         return results;
     }
@@ -217,7 +121,7 @@ class SearchEngine {
             searchInput.addEventListener('input', (e) => {
                 clearTimeout(searchTimeout);
                 searchTimeout = setTimeout(() => {
-                    this.performSearch(e.target.value);
+                    this.performSearch(e.target.value, { prefix: true });
                 }, 300);
             });
 
@@ -287,47 +191,107 @@ class SearchEngine {
     /**
      * Perform search and display results
      */
-    performSearch(query) {
+    async performSearch(query, options = {}) {
         const resultsContainer = document.getElementById('search-results');
         if (!resultsContainer) return;
 
+        const searchId = ++this.searchSequence;
+
         if (!query || query.length < this.minQueryLength) {
             resultsContainer.innerHTML = '';
             resultsContainer.style.display = 'none';
+            this.updateUrlState('');
             return;
         }
 
-        const results = this.search(query);
+        const results = await this.search(query, options);
+
+        // A newer search, or clearing the input, superseded this one while it ran
+        if (searchId !== this.searchSequence) return;
+
         this.displayResults(results, query);
+        this.updateUrlState(query);
 
         // Track search for analytics (bot-friendly)
         this.trackSearch(query, results.length);
     }
 
     /**
-     * Display search results
+     * Mirror the query and facet selections into the URL without adding history entries
+     */
+    updateUrlState(query) {
+        if (typeof window === 'undefined' || !window.history || !window.history.replaceState) return;
+
+        const params = new URLSearchParams(window.location.search);
+        if (query) {
+            params.set('q', query);
+            this.facets.writeToParams(params);
+        } else {
+            params.delete('q');
+            this.facets.facets.forEach(facet => params.delete(facet.name));
+        }
+
+        const queryString = params.toString();
+        window.history.replaceState(window.history.state, '',
+            `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`);
+    }
+
+    /**
+     * Display search results, filtered by the selected facets
      */
     displayResults(results, query) {
         const resultsContainer = document.getElementById('search-results');
         if (!resultsContainer) return;
 
         if (results.length === 0) {
+            const didYouMean = this.lastSuggestion ? `
+                    <p class="search-did-you-mean">
+                        Did you mean <button type="button" class="search-did-you-mean-link" data-query="${this.highlighter.escapeHtml(this.lastSuggestion)}">${this.highlighter.escapeHtml(this.lastSuggestion)}</button>?
+                    </p>` : '';
+
             resultsContainer.innerHTML = `
                 <div class="search-no-results">
-                    <p>No results found for "${this.escapeHtml(query)}"</p>
+                    <p>No results found for "${this.highlighter.escapeHtml(query)}"</p>${didYouMean}
                     <p class="search-suggestions">Try different keywords or browse our <a href="/documents/">documentation</a> and <a href="/comparisons/">comparisons</a>.</p>
                 </div>
             `;
         } else {
-            const resultsHTML = results.map(result => this.renderSearchResult(result, query)).join('');
+            const filteredResults = this.facets.apply(results);
+            const topScore = results[0].relevanceScore;
+            const resultsHTML = filteredResults.map(result => this.renderSearchResult(result, query, topScore)).join('');
+            const summary = filteredResults.length === results.length
+                ? `Found ${results.length} result${results.length !== 1 ? 's' : ''} for "${this.highlighter.escapeHtml(query)}"`
+                : `Showing ${filteredResults.length} of ${results.length} results for "${this.highlighter.escapeHtml(query)}"`;
+
             resultsContainer.innerHTML = `
                 <div class="search-results-header">
-                    <p>Found ${results.length} result${results.length !== 1 ? 's' : ''} for "${this.escapeHtml(query)}"</p>
-                </div>
+                    <p>${summary}</p>
+                </div>${this.facets.render(results)}
                 <div class="search-results-list">
-                    ${resultsHTML}
+                    ${resultsHTML || '<p class="search-no-results">No results match the selected filters.</p>'}
                 </div>
             `;
+
+            this.facets.bind(resultsContainer, chip => {
+                this.displayResults(results, query);
+                this.updateUrlState(query);
+
+                // Re-rendering replaced the clicked chip; keep keyboard focus on its replacement
+                const replacement = chip && Array.from(resultsContainer.querySelectorAll('.search-facet-chip'))
+                    .find(candidate => candidate.dataset.facet === chip.dataset.facet && candidate.dataset.value === chip.dataset.value);
+                if (replacement) replacement.focus();
+            });
+        }
+
+        const suggestionLink = resultsContainer.querySelector('.search-did-you-mean-link');
+        if (suggestionLink) {
+            suggestionLink.addEventListener('click', () => {
+                const searchInput = document.getElementById('search-input');
+                if (searchInput) {
+                    searchInput.value = suggestionLink.dataset.query;
+                }
+                this.performSearch(suggestionLink.dataset.query);
+            });
         }
 
         resultsContainer.style.display = 'block';
@@ -336,9 +300,9 @@ class SearchEngine {
     /**
      * Render individual search result
      */
-    renderSearchResult(result, query) {
-        const highlightedTitle = this.highlightMatches(result.title, query);
-        const highlightedDescription = this.highlightMatches(result.description, query);
+    renderSearchResult(result, query, topScore = result.relevanceScore) {
+        const highlightedTitle = this.highlighter.highlight(result.title, query, result.highlightTerms);
+        const highlightedDescription = this.highlighter.highlight(result.description, query, result.highlightTerms);
         const typeLabel = this.getTypeLabel(result.type);
 
         return `
@@ -352,36 +316,21 @@ class SearchEngine {
                     <span class="search-result-type">${typeLabel}</span>
                 </div>
                 <p class="search-result-description">${highlightedDescription}</p>
+                ${result.snippet ? `<p class="search-result-snippet">${this.highlighter.highlight(result.snippet, query, result.highlightTerms)}</p>` : ''}
                 <div class="search-result-meta">
                     <span class="search-result-url">${result.url}</span>
+                    ${result.lastModified ? `<time class="search-result-modified" datetime="${result.lastModified}">Updated ${result.lastModified}</time>` : ''}
                     <span class="search-result-relevance" title="Relevance score: ${result.relevanceScore.toFixed(1)}">
-                        ${this.getRelevanceStars(result.relevanceScore)}
+                        ${this.getRelevanceStars(result.relevanceScore, topScore)}
                     </span>
                 </div>
                 <div class="search-result-keywords">
-                    ${result.matchedTerms.map(term => `<span class="matched-term">${this.escapeHtml(term)}</span>`).join('')}
+                    ${result.matchedTerms.map(term => `<span class="matched-term">${this.highlighter.escapeHtml(term)}</span>`).join('')}
                 </div>
             </article>
         `;
     }
 
-    /**
-     * Highlight search matches in text
-     */
-    highlightMatches(text, query) {
-        if (!query) return this.escapeHtml(text);
-
-        const queryTokens = this.tokenize(query);
-        let highlightedText = this.escapeHtml(text);
-
-        queryTokens.forEach(token => {
-            const regex = new RegExp(`\\b(${this.escapeRegex(token)})\\b`, 'gi');
-            highlightedText = highlightedText.replace(regex, '<mark class="search-highlight">$1</mark>');
-        });
-
-        return highlightedText;
-    }
-
     /**
      * Get type label for display
      */
@@ -395,11 +344,11 @@ class SearchEngine {
     }
 
     /**
-     * Get relevance stars for display
+     * Get relevance stars for display, relative to the best result
+     * (BM25F scores have no fixed upper bound)
      */
-    getRelevanceStars(score) {
-        const maxScore = 20; // Approximate max score
-        const normalizedScore = Math.min(score / maxScore, 1);
+    getRelevanceStars(score, topScore) {
+        const normalizedScore = topScore > 0 ? Math.min(score / topScore, 1) : 0;
         const stars = Math.round(normalizedScore * 5);
         return '★'.repeat(stars) + '☆'.repeat(5 - stars);
     }
@@ -480,19 +429,6 @@ class SearchEngine {
         return popularQueries;
     }
 
-    /**
-     * Utility functions
-     */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
-
     /**
      * Public API methods
      */
@@ -517,9 +453,14 @@ class SearchEngine {
 // Initialize search engine when DOM is ready
 if (typeof window !== 'undefined') {
     window.searchEngine = null;
+
+    // The worker sits next to this script, wherever the page includes it from
+    const searchEngineScript = document.currentScript;
     
     document.addEventListener('DOMContentLoaded', () => {
-        window.searchEngine = new SearchEngine();
+        window.searchEngine = new SearchEngine({
+            workerUrl: searchEngineScript ? new URL('search-worker.js', searchEngineScript.src).href : null
+        });
     });
 
     // Export for module systems
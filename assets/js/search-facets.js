@@ -0,0 +1,259 @@
+/**
+ * Search Facets for Site Search
+ * Counts and filters search results by page type, tag and last-modified date
+ */
+
+class SearchFacets {
+    constructor(options = {}) {
+        this.maxTagValues = options.maxTagValues || 8;
+        this.typeLabel = options.typeLabel || (type => type);
+        this.now = options.now || (() => Date.now());
+
+        // Last-modified ranges by maximum age in days; "older" catches the rest
+        this.modifiedRanges = [
+            { value: 'week', label: 'Past week', maxDays: 7 },
+            { value: 'month', label: 'Past 30 days', maxDays: 30 },
+            { value: 'year', label: 'Past year', maxDays: 365 },
+            { value: 'older', label: 'Older than a year', minDays: 365 }
+        ];
+
+        this.facets = [
+            { name: 'type', label: 'Type' },
+            { name: 'tag', label: 'Tag' },
+            { name: 'modified', label: 'Last updated', single: true }
+        ];
+
+        // facet name -> Set of selected values; values within a facet are OR-ed, facets are AND-ed
+        this.selected = {};
+        this.facets.forEach(facet => {
+            this.selected[facet.name] = new Set();
+        });
+    }
+
+    /**
+     * Facet values a document belongs to
+     */
+    getValues(doc, facetName) {
+        if (facetName === 'type') {
+            return doc.type ? [doc.type] : [];
+        }
+
+        if (facetName === 'tag') {
+            return Array.from(new Set((doc.keywords || []).map(keyword => keyword.trim().toLowerCase())));
+        }
+
+        if (facetName === 'modified') {
+            const modified = Date.parse(doc.lastModified);
+            if (Number.isNaN(modified)) return [];
+
+            const ageDays = (this.now() - modified) / 86400000;
+            return this.modifiedRanges
+                .filter(range => range.maxDays !== undefined ? ageDays <= range.maxDays : ageDays > range.minDays)
+                .map(range => range.value);
+        }
+
+        return [];
+    }
+
+    /**
+     * Check a document against every selected facet except the one being counted
+     */
+    matches(doc, exceptFacet = null) {
+        return this.facets.every(({ name }) => {
+            const selected = this.selected[name];
+            if (name === exceptFacet || selected.size === 0) return true;
+            return this.getValues(doc, name).some(value => selected.has(value));
+        });
+    }
+
+    /**
+     * Filter results down to the selected facet values, keeping rank order
+     */
+    apply(results) {
+        return results.filter(doc => this.matches(doc));
+    }
+
+    /**
+     * Per-facet value counts; each facet is counted against results filtered by the
+     * other facets so selecting a type still shows how many results the other types have
+     */
+    getCounts(results) {
+        return this.facets.map(facet => {
+            const counts = new Map();
+            const labels = new Map();
+
+            results.filter(doc => this.matches(doc, facet.name)).forEach(doc => {
+                this.getValues(doc, facet.name).forEach(value => {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                });
+
+                // Show tags with the capitalization of the first page that uses them
+                if (facet.name === 'tag') {
+                    (doc.keywords || []).forEach(keyword => {
+                        const value = keyword.trim().toLowerCase();
+                        if (!labels.has(value)) labels.set(value, keyword.trim());
+                    });
+                }
+            });
+
+            // Selected values stay visible even when nothing matches them any more
+            this.selected[facet.name].forEach(value => {
+                if (!counts.has(value)) counts.set(value, 0);
+            });
+
+            let values = Array.from(counts.entries()).map(([value, count]) => ({
+                value,
+                count,
+                label: this.getLabel(facet.name, value, labels),
+                selected: this.selected[facet.name].has(value)
+            }));
+
+            if (facet.name === 'modified') {
+                const order = this.modifiedRanges.map(range => range.value);
+                values.sort((a, b) => order.indexOf(a.value) - order.indexOf(b.value));
+            } else {
+                values.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+            }
+
+            if (facet.name === 'tag') {
+                values = values.filter((entry, i) => i < this.maxTagValues || entry.selected);
+            }
+
+            return { ...facet, values };
+        });
+    }
+
+    /**
+     * Display label for a facet value
+     */
+    getLabel(facetName, value, tagLabels = new Map()) {
+        if (facetName === 'type') return this.typeLabel(value);
+        if (facetName === 'tag') return tagLabels.get(value) || value;
+
+        const range = this.modifiedRanges.find(entry => entry.value === value);
+        return range ? range.label : value;
+    }
+
+    /**
+     * Select or deselect a facet value; single-choice facets replace their selection
+     */
+    toggle(facetName, value) {
+        const selected = this.selected[facetName];
+        if (!selected) return;
+
+        const facet = this.facets.find(entry => entry.name === facetName);
+        if (selected.has(value)) {
+            selected.delete(value);
+        } else {
+            if (facet.single) selected.clear();
+            selected.add(value);
+        }
+    }
+
+    /**
+     * Deselect every facet value
+     */
+    clear() {
+        Object.values(this.selected).forEach(selected => selected.clear());
+    }
+
+    hasSelection() {
+        return Object.values(this.selected).some(selected => selected.size > 0);
+    }
+
+    /**
+     * Load selections from URL parameters (?type=comparison&tag=gguf&modified=month)
+     */
+    readFromParams(params) {
+        this.facets.forEach(facet => {
+            let values = params.getAll(facet.name).filter(Boolean);
+            if (facet.name === 'modified') {
+                values = values.filter(value => this.modifiedRanges.some(range => range.value === value));
+            }
+            if (facet.single) {
+                values = values.slice(0, 1);
+            }
+            this.selected[facet.name] = new Set(values);
+        });
+    }
+
+    /**
+     * Write selections into URL parameters, replacing any previous facet values
+     */
+    writeToParams(params) {
+        this.facets.forEach(facet => {
+            params.delete(facet.name);
+            this.selected[facet.name].forEach(value => params.append(facet.name, value));
+        });
+        return params;
+    }
+
+    /**
+     * Render facet chips with counts; buttons carry data-facet/data-value for the click handler
+     */
+    render(results) {
+        const groups = this.getCounts(results)
+            .filter(facet => facet.values.length > 0)
+            .map(facet => {
+                const chips = facet.values.map(entry => `
+                        <button type="button" class="search-facet-chip" data-facet="${facet.name}" data-value="${this.escapeHtml(entry.value)}" aria-pressed="${entry.selected}">
+                            ${this.escapeHtml(entry.label)} <span class="search-facet-count">${entry.count}</span>
+                        </button>`).join('');
+
+                return `
+                    <div class="search-facet-group" role="group" aria-label="Filter by ${facet.label.toLowerCase()}">
+                        <span class="search-facet-label">${facet.label}</span>${chips}
+                    </div>`;
+            })
+            .join('');
+
+        if (!groups) return '';
+
+        const clearButton = this.hasSelection()
+            ? '<button type="button" class="search-facet-clear">Clear filters</button>'
+            : '';
+
+        return `
+            <div class="search-facets">${groups}${clearButton}
+            </div>`;
+    }
+
+    /**
+     * Wire the chips rendered inside container; onChange receives the clicked chip
+     * (null for "Clear filters") after the selection has been updated
+     */
+    bind(container, onChange) {
+        container.querySelectorAll('.search-facet-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                this.toggle(chip.dataset.facet, chip.dataset.value);
+                onChange(chip);
+            });
+        });
+
+        const clearButton = container.querySelector('.search-facet-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.clear();
+                onChange(null);
+            });
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SearchFacets = SearchFacets;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchFacets;
+}
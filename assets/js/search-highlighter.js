@@ -0,0 +1,64 @@
+/**
+ * Search Highlighter for Site Search
+ * Escapes result text and marks the query terms in it
+ */
+
+class SearchHighlighter {
+    constructor(options = {}) {
+        this.markClass = options.markClass || 'search-highlight';
+    }
+
+    /**
+     * Highlight search matches in text; terms are stems, so any word starting
+     * with one is marked ("quantiz" marks "quantized" and "quantization").
+     * All terms are matched in one pass over the raw text, and the matched and
+     * unmatched pieces escaped separately, so markup and entities are never matched
+     */
+    highlight(text, query, terms = (query || '').toLowerCase().match(/[\w-]{2,}/g) || []) {
+        const source = String(text || '');
+        if (!query || terms.length === 0) return this.escapeHtml(source);
+
+        // Longest first, so a term that starts another doesn't cut its match short
+        const alternatives = [...new Set(terms)]
+            .sort((a, b) => b.length - a.length)
+            .map(term => this.escapeRegex(term));
+        const regex = new RegExp(`\\b(?:${alternatives.join('|')})[\\w-]*`, 'gi');
+
+        let highlightedText = '';
+        let lastIndex = 0;
+        let match;
+        while ((match = regex.exec(source)) !== null) {
+            highlightedText += this.escapeHtml(source.slice(lastIndex, match.index));
+            highlightedText += `<mark class="${this.markClass}">${this.escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+
+        return highlightedText + this.escapeHtml(source.slice(lastIndex));
+    }
+
+    /**
+     * Escape text for element content and quoted attribute values
+     */
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SearchHighlighter = SearchHighlighter;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchHighlighter;
+}
@@ -0,0 +1,97 @@
+/**
+ * Search Index Backend
+ * Loads search-index.json into an InvertedIndex and answers queries; runs inside
+ * search-worker.js, or on the main thread when workers are unavailable
+ */
+
+class SearchIndexBackend {
+    constructor(options = {}) {
+        // Resolve the index from worker/page globals or, under Node, from the sibling module
+        const Index = typeof InvertedIndex !== 'undefined' ? InvertedIndex : require('./inverted-index');
+        this.index = new Index({
+            fieldConfig: options.fieldConfig,
+            k1: options.k1
+        });
+    }
+
+    /**
+     * Fetch the build-time index produced by scripts/build-search-index.js and index it
+     */
+    async load(indexUrl, expectedVersion) {
+        const response = await fetch(indexUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not load search index: HTTP ${response.status}`);
+        }
+
+        return this.addIndexData(await response.json(), expectedVersion);
+    }
+
+    /**
+     * Index the documents of a parsed search-index.json payload and describe the result
+     */
+    addIndexData(indexData, expectedVersion) {
+        if (indexData.version !== expectedVersion) {
+            throw new Error(`Unsupported search index version ${indexData.version} (expected ${expectedVersion})`);
+        }
+
+        indexData.documents.forEach(doc => this.index.addDocument(doc));
+
+        return {
+            version: indexData.version,
+            checksum: indexData.checksum,
+            terms: this.index.postings.size,
+            documents: this.index.documents.length
+        };
+    }
+
+    /**
+     * Rank documents for a query. Results carry the document fields minus the body
+     * text (replaced by a snippet) so they stay cheap to post between threads
+     */
+    search(query, options = {}) {
+        const results = this.index.search(query, options.limit, { prefix: options.prefix })
+            .map(match => {
+                const { content, ...fields } = this.index.documents[match.docIndex];
+
+                return {
+                    ...fields,
+                    relevanceScore: match.score,
+                    matchedTerms: match.matchedTerms,
+                    matchedFields: match.matchedFields,
+                    highlightTerms: match.highlightTerms,
+                    snippet: this.index.getSnippet(match.docIndex, match.highlightTerms)
+                };
+            });
+
+        return {
+            results,
+            suggestion: results.length === 0 ? this.index.suggestQuery(query) : null
+        };
+    }
+
+    /**
+     * Autocomplete candidates for a partial query: completed queries from the indexed
+     * words, and pages with a title word starting with the query
+     */
+    complete(query, options = {}) {
+        const limit = options.limit || 5;
+        const needle = this.index.splitWords(query).join(' ');
+
+        const pages = !needle ? [] : this.index.documents
+            .filter(doc => ` ${this.index.splitWords(doc.title).join(' ')}`.includes(` ${needle}`))
+            .slice(0, limit)
+            .map(({ title, url, type }) => ({ title, url, type }));
+
+        return { terms: this.index.completeQuery(query, limit), pages };
+    }
+}
+
+// Expose for browser pages and the search worker
+if (typeof self !== 'undefined') {
+    self.SearchIndexBackend = SearchIndexBackend;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndexBackend;
+}
@@ -0,0 +1,239 @@
+/**
+ * Search Insights
+ * Aggregates the searchHistory, botSearches and searchClicks stores into top queries,
+ * zero-result queries, click-through per result position and the bot vs human split
+ */
+
+class SearchInsights {
+    constructor(options = {}) {
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.maxQueries = options.maxQueries || 10;
+        this.maxPositions = options.maxPositions || 10;
+        this.maxClicks = options.maxClicks || 100;
+        // Searches superseded by a longer query within this window are typing, not intent
+        this.refinementWindow = options.refinementWindow || 5000;
+    }
+
+    /**
+     * Read a JSON array from storage, treating missing or corrupt data as empty
+     */
+    readStore(key) {
+        if (!this.storage) return [];
+
+        try {
+            const value = JSON.parse(this.storage.getItem(key) || '[]');
+            return Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.warn(`Could not read ${key}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Record a click on a search result; position is 1-based
+     */
+    recordClick(click) {
+        if (!this.storage) return;
+
+        try {
+            const clicks = this.readStore('searchClicks');
+            clicks.push({
+                query: click.query,
+                position: click.position,
+                url: click.url,
+                timestamp: click.timestamp || new Date().toISOString(),
+                isBot: Boolean(click.isBot)
+            });
+
+            // Keep only the most recent clicks
+            if (clicks.length > this.maxClicks) {
+                clicks.splice(0, clicks.length - this.maxClicks);
+            }
+
+            this.storage.setItem('searchClicks', JSON.stringify(clicks));
+        } catch (error) {
+            console.warn('Could not store search click:', error);
+        }
+    }
+
+    /**
+     * Case- and whitespace-insensitive form used to group queries
+     */
+    normalizeQuery(query) {
+        return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Merge both search stores into one time-ordered list. Bot searches appear in both,
+     * but botSearches keeps them after searchHistory has rotated them out
+     */
+    getSearches() {
+        const history = this.readStore('searchHistory')
+            .filter(entry => entry && entry.query)
+            .map(entry => ({ ...entry, isBot: Boolean(entry.isBot) }));
+
+        const seen = new Set(history
+            .filter(entry => entry.isBot)
+            .map(entry => `${entry.timestamp}|${entry.query}`));
+
+        const botOnly = this.readStore('botSearches')
+            .filter(entry => entry && entry.query && !seen.has(`${entry.timestamp}|${entry.query}`))
+            .map(entry => ({ ...entry, type: 'search', isBot: true }));
+
+        return history.concat(botOnly)
+            .map(entry => ({ ...entry, normalizedQuery: this.normalizeQuery(entry.query) }))
+            .filter(entry => entry.normalizedQuery)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Drop searches the same visitor extended shortly afterwards ("oll" -> "ollama")
+     */
+    collapseRefinements(searches) {
+        return searches.filter((search, index) => {
+            const next = searches.slice(index + 1).find(candidate =>
+                candidate.userAgent === search.userAgent && candidate.isBot === search.isBot
+            );
+            if (!next) return true;
+
+            const gap = new Date(next.timestamp) - new Date(search.timestamp);
+            return !(gap <= this.refinementWindow &&
+                next.normalizedQuery !== search.normalizedQuery &&
+                next.normalizedQuery.startsWith(search.normalizedQuery));
+        });
+    }
+
+    /**
+     * This browser's own recent queries, newest first, for search autocomplete
+     */
+    getRecentQueries(limit = 5) {
+        const recent = [];
+
+        this.collapseRefinements(this.getSearches().filter(search => !search.isBot))
+            .reverse()
+            .forEach(search => {
+                if (search.resultCount > 0 && !recent.includes(search.normalizedQuery)) {
+                    recent.push(search.normalizedQuery);
+                }
+            });
+
+        return recent.slice(0, limit);
+    }
+
+    /**
+     * Per-query counts, most searched first (then most clicked)
+     */
+    getQueryStats(searches, clicks) {
+        const queries = new Map();
+
+        searches.forEach(search => {
+            const entry = queries.get(search.normalizedQuery) || {
+                query: search.normalizedQuery,
+                count: 0,
+                humanCount: 0,
+                botCount: 0,
+                zeroResultCount: 0,
+                totalResults: 0,
+                clicks: 0,
+                lastSearched: search.timestamp
+            };
+
+            entry.count++;
+            entry[search.isBot ? 'botCount' : 'humanCount']++;
+            entry.totalResults += Number(search.resultCount) || 0;
+            if (!search.resultCount) entry.zeroResultCount++;
+            entry.lastSearched = search.timestamp;
+            queries.set(search.normalizedQuery, entry);
+        });
+
+        clicks.forEach(click => {
+            const entry = queries.get(this.normalizeQuery(click.query));
+            if (entry) entry.clicks++;
+        });
+
+        return Array.from(queries.values())
+            .map(({ totalResults, ...entry }) => ({
+                ...entry,
+                averageResults: Math.round((totalResults / entry.count) * 10) / 10
+            }))
+            .sort((a, b) => b.count - a.count || b.clicks - a.clicks || a.query.localeCompare(b.query));
+    }
+
+    /**
+     * Click-through rate per result position: clicks at a position over the searches
+     * that returned at least that many results
+     */
+    getClickThroughByPosition(searches, clicks) {
+        const positions = [];
+
+        for (let position = 1; position <= this.maxPositions; position++) {
+            const impressions = searches.filter(search => (Number(search.resultCount) || 0) >= position).length;
+            if (impressions === 0) break;
+
+            const positionClicks = clicks.filter(click => Number(click.position) === position).length;
+            positions.push({
+                position,
+                impressions,
+                clicks: positionClicks,
+                rate: this.ratio(positionClicks, impressions)
+            });
+        }
+
+        return positions;
+    }
+
+    ratio(part, total) {
+        return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+    }
+
+    /**
+     * Full report for the analytics dashboard
+     */
+    getReport() {
+        const searches = this.collapseRefinements(this.getSearches());
+        const clicks = this.readStore('searchClicks').filter(click => click && click.position > 0);
+        const queries = this.getQueryStats(searches, clicks);
+
+        const botSearches = searches.filter(search => search.isBot).length;
+        const zeroResultSearches = searches.filter(search => !search.resultCount).length;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totals: {
+                searches: searches.length,
+                uniqueQueries: queries.length,
+                zeroResultSearches,
+                zeroResultRate: this.ratio(zeroResultSearches, searches.length),
+                clicks: clicks.length,
+                clickThroughRate: this.ratio(clicks.length, searches.length - zeroResultSearches)
+            },
+            topQueries: queries.slice(0, this.maxQueries),
+            zeroResultQueries: queries
+                .filter(entry => entry.zeroResultCount > 0)
+                .sort((a, b) => b.zeroResultCount - a.zeroResultCount || a.query.localeCompare(b.query))
+                .slice(0, this.maxQueries)
+                .map(({ query, zeroResultCount, botCount, lastSearched }) => ({ query, count: zeroResultCount, botCount, lastSearched })),
+            clickThroughByPosition: this.getClickThroughByPosition(searches, clicks),
+            botSplit: {
+                human: searches.length - botSearches,
+                bot: botSearches,
+                botRatio: this.ratio(botSearches, searches.length),
+                topBotQueries: queries
+                    .filter(entry => entry.botCount > 0)
+                    .sort((a, b) => b.botCount - a.botCount || a.query.localeCompare(b.query))
+                    .slice(0, 5)
+                    .map(({ query, botCount }) => ({ query, count: botCount }))
+            }
+        };
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SearchInsights = SearchInsights;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchInsights;
+}
@@ -13,7 +13,7 @@
         enableKeyboardShortcuts: true,
         searchShortcut: 'ctrl+k', // or 'cmd+k' on Mac
         debounceDelay: 300,
-        maxSuggestions: 5
+        maxSuggestions: 8
     };
 
     /**
@@ -38,7 +38,7 @@
         }
         
         // Setup search suggestions
-        if (SEARCH_CONFIG.enableSearchSuggestions) {
+        if (SEARCH_CONFIG.enableSearchSuggestions || SEARCH_CONFIG.enableAutoComplete) {
             setupSearchSuggestions();
         }
         
@@ -55,14 +55,15 @@
      * Add search styles to the page
      */
     function addSearchStyles() {
-        const existingStyles = document.getElementById('search-styles');
-        if (existingStyles) return;
-
-        const link = document.createElement('link');
-        link.id = 'search-styles';
-        link.rel = 'stylesheet';
-        link.href = '/assets/css/search-styles.css';
-        document.head.appendChild(link);
+        ['search-styles', 'search-refinements'].forEach(name => {
+            if (document.getElementById(name)) return;
+
+            const link = document.createElement('link');
+            link.id = name;
+            link.rel = 'stylesheet';
+            link.href = `/assets/css/${name}.css`;
+            document.head.appendChild(link);
+        });
     }
 
     /**
@@ -175,129 +176,70 @@
     }
 
     /**
-     * Setup search suggestions
+     * Setup search suggestions: a combobox dropdown with recent and popular searches,
+     * completed queries from the search index and matching page titles
      */
     function setupSearchSuggestions() {
-        document.addEventListener('DOMContentLoaded', () => {
+        window.searchEngine.ready.then(() => {
             const searchInput = document.getElementById('search-input');
-            if (!searchInput) return;
-
-            let suggestionsContainer;
-
-            searchInput.addEventListener('focus', () => {
-                if (!suggestionsContainer) {
-                    createSuggestionsContainer();
-                }
-                showSearchSuggestions();
-            });
-
-            searchInput.addEventListener('blur', (e) => {
-                // Delay hiding to allow clicking on suggestions
-                setTimeout(() => {
-                    if (suggestionsContainer && !suggestionsContainer.contains(document.activeElement)) {
-                        hideSuggestions();
+            if (!searchInput || typeof SearchAutocomplete === 'undefined') return;
+
+            new SearchAutocomplete(searchInput, {
+                anchor: searchInput.closest('.search-input-group') || searchInput,
+                maxSuggestions: SEARCH_CONFIG.maxSuggestions,
+                getSuggestions: getAutocompleteSuggestions,
+                onSelect: (option) => {
+                    if (option.url) {
+                        window.location.href = option.url;
+                    } else {
+                        window.searchEngine.performSearch(option.value);
                     }
-                }, 150);
+                },
+                announce: announceToScreenReader
             });
+        });
+    }
 
-            function createSuggestionsContainer() {
-                suggestionsContainer = document.createElement('div');
-                suggestionsContainer.id = 'search-suggestions';
-                suggestionsContainer.className = 'search-suggestions-container';
-                suggestionsContainer.innerHTML = `
-                    <div class="search-suggestions-header">Popular searches:</div>
-                    <div class="search-suggestions-list"></div>
-                `;
-
-                const searchContainer = document.getElementById('search-container');
-                if (searchContainer) {
-                    searchContainer.appendChild(suggestionsContainer);
-                }
+    /**
+     * Suggestions for the current input value, deduplicated, in display order
+     */
+    async function getAutocompleteSuggestions(value) {
+        const query = value.trim().toLowerCase();
+        const suggestions = [];
+        const seen = new Set();
+        const add = (type, label, optionValue = label, url) => {
+            const key = (url || optionValue).toLowerCase();
+            if (seen.has(key) || key === query) return;
+            seen.add(key);
+            suggestions.push({ type, label, value: optionValue, url });
+        };
 
-                // Add styles
-                const style = document.createElement('style');
-                style.textContent = `
-                    .search-suggestions-container {
-                        position: absolute;
-                        top: 100%;
-                        left: 0;
-                        right: 0;
-                        background: white;
-                        border: 1px solid #e9ecef;
-                        border-top: none;
-                        border-radius: 0 0 8px 8px;
-                        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-                        z-index: 1000;
-                        display: none;
-                    }
-                    
-                    .search-suggestions-header {
-                        padding: 0.75rem 1rem;
-                        font-size: 0.85rem;
-                        color: #6c757d;
-                        font-weight: 500;
-                        border-bottom: 1px solid #f1f3f4;
-                    }
-                    
-                    .search-suggestions-list {
-                        padding: 0.5rem 0;
-                    }
-                    
-                    .search-suggestion-item {
-                        display: block;
-                        width: 100%;
-                        padding: 0.5rem 1rem;
-                        border: none;
-                        background: none;
-                        text-align: left;
-                        cursor: pointer;
-                        transition: background-color 0.2s ease;
-                        font-size: 0.9rem;
-                        color: #495057;
-                    }
-                    
-                    .search-suggestion-item:hover,
-                    .search-suggestion-item:focus {
-                        background: #f8f9fa;
-                        outline: none;
-                    }
-                `;
-                document.head.appendChild(style);
-            }
+        if (SEARCH_CONFIG.enableSearchSuggestions) {
+            const recent = typeof SearchInsights !== 'undefined' ? new SearchInsights().getRecentQueries() : [];
+            const popular = window.searchEngine.getSearchSuggestions();
 
-            function showSearchSuggestions() {
-                if (!suggestionsContainer || !window.searchEngine) return;
+            recent.filter(entry => entry.startsWith(query)).forEach(entry => add('recent', entry));
+            popular.filter(entry => entry.toLowerCase().startsWith(query)).forEach(entry => add('popular', entry));
+        }
 
-                const suggestions = window.searchEngine.getSearchSuggestions();
-                const suggestionsList = suggestionsContainer.querySelector('.search-suggestions-list');
-                
-                suggestionsList.innerHTML = suggestions
-                    .slice(0, SEARCH_CONFIG.maxSuggestions)
-                    .map(suggestion => `
-                        <button type="button" class="search-suggestion-item" data-query="${suggestion}">
-                            ${suggestion}
-                        </button>
-                    `).join('');
-
-                // Add click handlers
-                suggestionsList.querySelectorAll('.search-suggestion-item').forEach(item => {
-                    item.addEventListener('click', () => {
-                        const query = item.dataset.query;
-                        searchInput.value = query;
-                        window.searchEngine.performSearch(query);
-                        hideSuggestions();
-                    });
-                });
+        const backend = window.searchEngine.backend;
+        if (SEARCH_CONFIG.enableAutoComplete && backend && query.length >= 2) {
+            const { terms, pages } = await backend.complete(query, { limit: SEARCH_CONFIG.maxSuggestions });
+            terms.forEach(term => add('term', term));
+            pages.forEach(page => add('page', page.title.split(' | ')[0], value, page.url));
+        }
 
-                suggestionsContainer.style.display = 'block';
-            }
+        return suggestions;
+    }
 
-            function hideSuggestions() {
-                if (suggestionsContainer) {
-                    suggestionsContainer.style.display = 'none';
-                }
-            }
-        });
+    /**
+     * Speak a message through the accessibility enhancer's live region, on pages that load it
+     */
+    function announceToScreenReader(message) {
+        const enhancer = window.accessibilityEnhancer;
+        if (enhancer && enhancer.screenReaderSupport) {
+            enhancer.screenReaderSupport.announce(message);
+        }
     }
 
     /**
@@ -357,6 +299,26 @@
                 storeBotSearchData(searchData);
             }
         });
+
+        // Record result clicks for click-through by position
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('#search-results .search-result-title a');
+            if (!link || typeof SearchInsights === 'undefined') return;
+
+            const items = Array.from(document.querySelectorAll('#search-results .search-result-item'));
+            const searchInput = document.getElementById('search-input');
+
+            const click = {
+                query: searchInput ? searchInput.value : '',
+                position: items.indexOf(link.closest('.search-result-item')) + 1,
+                url: link.getAttribute('href'),
+                isBot: window.searchEngine ? window.searchEngine.detectBot() : false
+            };
+            new SearchInsights().recordClick(click);
+
+            // Picked up by AnalyticsCollector alongside siteSearch events
+            window.dispatchEvent(new CustomEvent('searchClick', { detail: click }));
+        });
     }
 
     /**
@@ -0,0 +1,83 @@
+/**
+ * Search Worker Client
+ * Promise-based wrapper around search-worker.js with the same load()/search()
+ * surface as SearchIndexBackend
+ */
+
+class SearchWorkerClient {
+    constructor(workerUrl) {
+        this.worker = new Worker(workerUrl);
+        this.nextRequestId = 1;
+        // request id -> { resolve, reject }
+        this.pendingRequests = new Map();
+
+        this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+
+        // Script load failures (404, CSP, importScripts errors) arrive as error events, not replies
+        this.worker.addEventListener('error', (event) => {
+            event.preventDefault();
+            this.rejectAll(new Error(event.message || 'Search worker failed to start'));
+        });
+    }
+
+    /**
+     * Post a request to the worker and resolve with its reply
+     */
+    request(type, payload) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Settle the request a worker reply belongs to
+     */
+    handleMessage({ id, result, error }) {
+        const pending = this.pendingRequests.get(id);
+        if (!pending) return;
+
+        this.pendingRequests.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    /**
+     * Fail every outstanding request
+     */
+    rejectAll(error) {
+        this.pendingRequests.forEach(({ reject }) => reject(error));
+        this.pendingRequests.clear();
+    }
+
+    load(indexUrl, version, options = {}) {
+        return this.request('load', { indexUrl, version, options });
+    }
+
+    search(query, options = {}) {
+        return this.request('search', { query, options });
+    }
+
+    complete(query, options = {}) {
+        return this.request('complete', { query, options });
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.rejectAll(new Error('Search worker terminated'));
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SearchWorkerClient = SearchWorkerClient;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchWorkerClient;
+}
@@ -0,0 +1,38 @@
+/**
+ * Search Worker
+ * Loads and queries the site search index off the main thread.
+ *
+ * Requests are { id, type, payload } messages from SearchWorkerClient:
+ *   load   { indexUrl, version, options } -> { version, checksum, terms, documents }
+ *   search { query, options }             -> { results, suggestion }
+ *   complete { query, options }           -> { terms, pages }
+ * Each request is answered with { id, result } or { id, error }.
+ */
+
+importScripts('porter-stemmer.js', 'query-expander.js', 'inverted-index.js', 'search-index-backend.js');
+
+let backend = null;
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        let result;
+
+        if (type === 'load') {
+            backend = new SearchIndexBackend(payload.options);
+            result = await backend.load(payload.indexUrl, payload.version);
+        } else if (type === 'search' || type === 'complete') {
+            if (!backend) {
+                throw new Error('Search index has not been loaded');
+            }
+            result = backend[type](payload.query, payload.options);
+        } else {
+            throw new Error(`Unknown search worker request: ${type}`);
+        }
+
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,233 @@
+/**
+ * SEO Health Checks
+ * On-page checks for meta tags, structured data, headings, internal links, images
+ * and the canonical URL. AnalyticsMonitor runs them on the page being viewed to
+ * score it; `npm run seo:crawl` (scripts/seo-crawler.js) runs them on every page of
+ * the site through jsdom. They read from a window and return metrics and issues
+ * rather than raising alerts.
+ */
+
+class SEOHealthChecks {
+    constructor(win = window) {
+        this.window = win;
+        this.document = win.document;
+        this.metrics = {};
+        this.issues = [];
+    }
+
+    /**
+     * Run every check; returns the same metrics AnalyticsMonitor keeps in metrics.seo
+     */
+    run() {
+        this.metrics = {};
+        this.issues = [];
+
+        this.checkMetaTags();
+        this.checkStructuredData();
+        this.checkHeadingStructure();
+        this.checkInternalLinks();
+        this.checkImageOptimization();
+        this.checkCanonicalURL();
+
+        return { metrics: this.metrics, issues: this.issues };
+    }
+
+    /**
+     * Score run() metrics out of 100; AnalyticsMonitor reports this as seoScore and
+     * the daily freshness summary averages it across the site
+     */
+    static score(seo = {}) {
+        let score = 100;
+
+        if (!seo.metaTags || !seo.metaTags.title || !seo.metaTags.title.present) score -= 20;
+        if (!seo.metaTags || !seo.metaTags.description || !seo.metaTags.description.present) score -= 15;
+        if (!seo.structuredData || seo.structuredData.count === 0) score -= 15;
+        if (!seo.headings || seo.headings.h1Count !== 1) score -= 15;
+        if (!seo.canonical || !seo.canonical.present) score -= 10;
+        if (seo.images && seo.images.issues.length > 0) score -= 10;
+        if (seo.internalLinks && seo.internalLinks.withoutText > 0) score -= 5;
+
+        return Math.max(0, score);
+    }
+
+    addIssue(message, details = {}) {
+        this.issues.push({ category: 'seo', message, details });
+    }
+
+    /**
+     * Check meta tags for SEO health
+     */
+    checkMetaTags() {
+        const document = this.document;
+        const seoChecks = {
+            title: document.querySelector('title'),
+            description: document.querySelector('meta[name="description"]'),
+            keywords: document.querySelector('meta[name="keywords"]'),
+            ogTitle: document.querySelector('meta[property="og:title"]'),
+            ogDescription: document.querySelector('meta[property="og:description"]'),
+            ogImage: document.querySelector('meta[property="og:image"]'),
+            twitterCard: document.querySelector('meta[name="twitter:card"]')
+        };
+
+        this.metrics.metaTags = {};
+
+        Object.keys(seoChecks).forEach(key => {
+            const element = seoChecks[key];
+            if (element) {
+                const content = element.content || element.textContent;
+                this.metrics.metaTags[key] = {
+                    present: true,
+                    content: content,
+                    length: content.length
+                };
+
+                // Check length constraints
+                if (key === 'title' && (content.length < 30 || content.length > 60)) {
+                    this.addIssue('Title length not optimal', { length: content.length });
+                }
+                if (key === 'description' && (content.length < 120 || content.length > 160)) {
+                    this.addIssue('Meta description length not optimal', { length: content.length });
+                }
+            } else {
+                this.metrics.metaTags[key] = { present: false };
+                this.addIssue(`Missing ${key} meta tag`);
+            }
+        });
+    }
+
+    /**
+     * Check structured data
+     */
+    checkStructuredData() {
+        const jsonLdScripts = this.document.querySelectorAll('script[type="application/ld+json"]');
+
+        this.metrics.structuredData = {
+            count: jsonLdScripts.length,
+            schemas: []
+        };
+
+        jsonLdScripts.forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                this.metrics.structuredData.schemas.push({
+                    type: data['@type'] || 'Unknown',
+                    context: data['@context'] || 'Unknown'
+                });
+            } catch (e) {
+                this.addIssue('Invalid JSON-LD structured data', { error: e.message });
+            }
+        });
+
+        if (jsonLdScripts.length === 0) {
+            this.addIssue('No structured data found');
+        }
+    }
+
+    /**
+     * Check heading structure
+     */
+    checkHeadingStructure() {
+        const headings = this.document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        const headingStructure = Array.from(headings).map(h => ({
+            level: parseInt(h.tagName.charAt(1)),
+            text: h.textContent.trim(),
+            id: h.id
+        }));
+
+        this.metrics.headings = {
+            total: headings.length,
+            h1Count: this.document.querySelectorAll('h1').length,
+            structure: headingStructure
+        };
+
+        // Check for multiple H1s
+        if (this.metrics.headings.h1Count > 1) {
+            this.addIssue('Multiple H1 tags found', { count: this.metrics.headings.h1Count });
+        }
+
+        // Check for missing H1
+        if (this.metrics.headings.h1Count === 0) {
+            this.addIssue('No H1 tag found');
+        }
+    }
+
+    /**
+     * Check internal links
+     */
+    checkInternalLinks() {
+        const links = this.document.querySelectorAll('a[href]');
+        const hostname = this.window.location.hostname;
+        const internalLinks = Array.from(links).filter(link => {
+            const href = link.getAttribute('href');
+            return href && (href.startsWith('/') || href.startsWith('./') || href.startsWith('../') ||
+                           (hostname && href.includes(hostname)));
+        });
+
+        this.metrics.internalLinks = {
+            total: links.length,
+            internal: internalLinks.length,
+            external: links.length - internalLinks.length,
+            withoutText: internalLinks.filter(link => !link.textContent.trim()).length
+        };
+
+        // Check for links without descriptive text
+        if (this.metrics.internalLinks.withoutText > 0) {
+            this.addIssue('Links without descriptive text found',
+                         { count: this.metrics.internalLinks.withoutText });
+        }
+    }
+
+    /**
+     * Check image optimization
+     */
+    checkImageOptimization() {
+        const images = this.document.querySelectorAll('img');
+        const imageIssues = [];
+
+        images.forEach(img => {
+            if (!img.alt) {
+                imageIssues.push({ src: img.src, issue: 'missing alt text' });
+            }
+            if (!img.loading && img.getBoundingClientRect().top > this.window.innerHeight) {
+                imageIssues.push({ src: img.src, issue: 'missing lazy loading' });
+            }
+        });
+
+        this.metrics.images = {
+            total: images.length,
+            withAlt: images.length - imageIssues.filter(i => i.issue === 'missing alt text').length,
+            issues: imageIssues
+        };
+
+        if (imageIssues.length > 0) {
+            this.addIssue('Image optimization issues found', { issues: imageIssues });
+        }
+    }
+
+    /**
+     * Check canonical URL
+     */
+    checkCanonicalURL() {
+        const canonical = this.document.querySelector('link[rel="canonical"]');
+
+        this.metrics.canonical = {
+            present: !!canonical,
+            url: canonical ? canonical.href : null,
+            matchesCurrentURL: canonical ? canonical.href === this.window.location.href : false
+        };
+
+        if (!canonical) {
+            this.addIssue('Missing canonical URL');
+        }
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.SEOHealthChecks = SEOHealthChecks;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SEOHealthChecks;
+}
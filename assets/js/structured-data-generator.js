@@ -115,6 +115,8 @@ class StructuredDataGenerator {
             datePublished,
             dateModified = datePublished,
             itemsReviewed = [],
+            about = [],
+            mentions = [],
             author = {
                 "@type": "Organization",
                 "name": "LLM Tools Hub"
@@ -131,7 +133,7 @@ class StructuredDataGenerator {
             "dateModified": dateModified,
             "author": author,
             "publisher": this.organization,
-            "itemReviewed": itemsReviewed.map(item => ({
+            "itemReviewed": itemsReviewed.map(item => item.id ? { "@id": item.id } : ({
                 "@type": "SoftwareApplication",
                 "name": item.name,
                 "description": item.description,
@@ -140,6 +142,10 @@ class StructuredDataGenerator {
             }))
         };
 
+        // @ids of the SoftwareApplication items the page describes (see ToolSchemaGenerator)
+        if (about.length > 0) schema.about = about.map(id => ({ "@id": id }));
+        if (mentions.length > 0) schema.mentions = mentions.map(id => ({ "@id": id }));
+
         return schema;
     }
 
@@ -225,6 +231,39 @@ class StructuredDataGenerator {
      */
     getPageStructuredData() {
         const path = typeof window !== 'undefined' ? window.location.pathname : '/';
+        // Comparison pages also get SoftwareApplication and ItemList schemas derived from
+        // their content when ToolSchemaGenerator is loaded (see init()), and HowTo if they
+        // show the installation guide's steps
+        const ggufloaderComparison = {
+            name: 'GGUFLoader vs LM Studio - Detailed Comparison and Analysis',
+            description: 'In-depth comparison of GGUFLoader and LM Studio. Features, performance, pros and cons to help you choose the right tool.',
+            datePublished: '2024-01-12T11:00:00Z',
+            dateModified: '2024-01-19T16:00:00Z',
+            installationGuide: '/doc/installation.md',
+            itemsReviewed: [
+                {
+                    name: 'GGUFLoader',
+                    description: 'Efficient GGUF model loading tool for LLM applications'
+                },
+                {
+                    name: 'LM Studio',
+                    description: 'User-friendly desktop application for running LLMs locally'
+                }
+            ]
+        };
+        const ollamaComparison = {
+            name: 'Ollama vs Other LLM Tools - Comprehensive Comparison Guide',
+            description: 'Compare Ollama with other popular LLM tools. Performance benchmarks, features, and use case scenarios.',
+            datePublished: '2024-01-08T13:00:00Z',
+            dateModified: '2024-01-16T17:00:00Z',
+            itemsReviewed: [
+                {
+                    name: 'Ollama',
+                    description: 'Command-line tool for running LLMs locally with ease'
+                }
+            ]
+        };
+
         const configs = {
             '/': {
                 type: 'website',
@@ -262,37 +301,13 @@ class StructuredDataGenerator {
             },
             '/comparisons/ggufloader-vs-lmstudio.html': {
                 type: 'comparison',
-                schema: this.generateComparisonSchema({
-                    name: 'GGUFLoader vs LM Studio - Detailed Comparison and Analysis',
-                    description: 'In-depth comparison of GGUFLoader and LM Studio. Features, performance, pros and cons to help you choose the right tool.',
-                    datePublished: '2024-01-12T11:00:00Z',
-                    dateModified: '2024-01-19T16:00:00Z',
-                    itemsReviewed: [
-                        {
-                            name: 'GGUFLoader',
-                            description: 'Efficient GGUF model loading tool for LLM applications'
-                        },
-                        {
-                            name: 'LM Studio',
-                            description: 'User-friendly desktop application for running LLMs locally'
-                        }
-                    ]
-                })
+                config: ggufloaderComparison,
+                schema: this.generateComparisonSchema(ggufloaderComparison)
             },
             '/comparisons/ollama-comparison.html': {
                 type: 'comparison',
-                schema: this.generateComparisonSchema({
-                    name: 'Ollama vs Other LLM Tools - Comprehensive Comparison Guide',
-                    description: 'Compare Ollama with other popular LLM tools. Performance benchmarks, features, and use case scenarios.',
-                    datePublished: '2024-01-08T13:00:00Z',
-                    dateModified: '2024-01-16T17:00:00Z',
-                    itemsReviewed: [
-                        {
-                            name: 'Ollama',
-                            description: 'Command-line tool for running LLMs locally with ease'
-                        }
-                    ]
-                })
+                config: ollamaComparison,
+                schema: this.generateComparisonSchema(ollamaComparison)
             }
         };
 
@@ -300,35 +315,31 @@ class StructuredDataGenerator {
     }
 
     /**
-     * Generate breadcrumbs based on current path
+     * Breadcrumbs from the page's visible trail (.breadcrumb), so names and links are
+     * the ones readers see and point at real pages; a page without one gets Home and itself
      */
     generateBreadcrumbs() {
-        if (typeof window === 'undefined') return [];
+        if (typeof window === 'undefined' || typeof document === 'undefined') return [];
 
-        const path = window.location.pathname;
-        const segments = path.split('/').filter(segment => segment);
-        
-        const breadcrumbs = [{
-            name: 'Home',
-            url: this.baseUrl + '/'
-        }];
+        const pageUrl = this.baseUrl + window.location.pathname;
+        const trail = document.querySelector('.breadcrumb ol, .breadcrumb ul');
 
-        let currentPath = '';
-        segments.forEach((segment, index) => {
-            currentPath += '/' + segment;
-            
-            // Convert segment to readable name
-            const name = segment.replace(/-/g, ' ')
-                               .replace(/\.html$/, '')
-                               .replace(/\b\w/g, l => l.toUpperCase());
-            
-            breadcrumbs.push({
-                name: name,
-                url: this.baseUrl + currentPath
-            });
-        });
+        if (!trail) {
+            const heading = document.querySelector('h1');
+            return [
+                { name: 'Home', url: this.baseUrl + '/' },
+                { name: (heading ? heading.textContent : document.title).replace(/\s+/g, ' ').trim(), url: pageUrl }
+            ];
+        }
 
-        return breadcrumbs;
+        return Array.from(trail.children).map(item => {
+            const link = item.querySelector('a[href]');
+            const url = link ? new URL(link.getAttribute('href'), window.location.href) : null;
+            return {
+                name: item.textContent.replace(/\s+/g, ' ').trim(),
+                url: url ? this.baseUrl + url.pathname + url.hash : pageUrl
+            };
+        });
     }
 
     /**
@@ -337,8 +348,12 @@ class StructuredDataGenerator {
     init() {
         const pageData = this.getPageStructuredData();
         
-        // Insert main page schema
-        this.insertStructuredData(pageData.schema, 'main-structured-data');
+        // Insert main page schema; comparison pages describe the tools they compare too
+        if (pageData.type === 'comparison' && typeof ToolSchemaGenerator !== 'undefined' && typeof document !== 'undefined') {
+            new ToolSchemaGenerator(this).insertComparisonPageSchemas(pageData.config);
+        } else {
+            this.insertStructuredData(pageData.schema, 'main-structured-data');
+        }
         
         // Generate and insert breadcrumbs if not homepage
         const path = typeof window !== 'undefined' ? window.location.pathname : '/';
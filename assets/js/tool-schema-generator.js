@@ -0,0 +1,371 @@
+/**
+ * Tool Schema Generator
+ * Describes the tools a comparison page compares as schema.org SoftwareApplication,
+ * its ranking lists as ItemList and an installation guide (doc/installation.md) as
+ * HowTo, on a page that shows the guide's steps. Names, descriptions, platforms and
+ * rankings are read from the page itself
+ * (tool cards, the comparison table, .ranking lists), and so is a rating where a tool
+ * card's .tool-stats gives one ("4.8/5"); it becomes the site's review of that app.
+ * Apps the page doesn't rate get no review, so they don't aim for the software app
+ * rich result. The catalog below only holds what pages don't state, such as download
+ * locations and pricing; tools it has no price for get no offers.
+ * StructuredDataGenerator.init() uses it on comparison pages, linking the compared
+ * apps from the comparison schema through about and mentions.
+ */
+
+class ToolSchemaGenerator {
+    constructor(generator = new StructuredDataGenerator(), doc = typeof document !== 'undefined' ? document : null) {
+        this.generator = generator;
+        this.document = doc;
+        this.baseUrl = generator.baseUrl;
+
+        // Facts the pages don't state, keyed by slug
+        this.catalog = {
+            ggufloader: {
+                name: 'GGUF Loader',
+                url: 'https://ggufloader.github.io',
+                downloadUrl: 'https://pypi.org/project/ggufloader/',
+                operatingSystem: 'Windows, macOS, Linux',
+                price: '0'
+            },
+            lmstudio: {
+                name: 'LM Studio',
+                url: 'https://lmstudio.ai',
+                downloadUrl: 'https://lmstudio.ai/download',
+                operatingSystem: 'Windows, macOS, Linux',
+                price: '0'
+            },
+            ollama: {
+                name: 'Ollama',
+                url: 'https://ollama.com',
+                downloadUrl: 'https://ollama.com/download',
+                operatingSystem: 'Windows, macOS, Linux',
+                price: '0'
+            }
+        };
+    }
+
+    slugify(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Stable @id for a tool, shared by every page that describes or mentions it
+     */
+    toolId(name) {
+        return `${this.baseUrl}/#software-${this.slugify(name)}`;
+    }
+
+    text(element) {
+        return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Tools compared on the page, from the comparison table's columns and the tool cards
+     */
+    extractTools(doc = this.document) {
+        const table = doc.querySelector('table.comparison-table');
+        const columns = table ? Array.from(table.querySelectorAll('thead th')).slice(1).map(th => this.text(th)) : [];
+        const cards = Array.from(doc.querySelectorAll('.tool-card'));
+        const names = columns.length > 0 ? columns : cards.map(card => this.text(card.querySelector('h2, h3')));
+
+        return names.filter(Boolean).map((name, index) => {
+            const slug = this.slugify(name);
+            const card = cards.find(candidate => this.slugify(this.text(candidate.querySelector('h2, h3'))) === slug);
+            const tool = { name, slug, id: this.toolId(name) };
+
+            if (card) {
+                tool.description = this.text(card.querySelector('p'));
+                const rating = this.text(card.querySelector('.tool-stats')).match(/([\d.]+)\s*\/\s*(\d+)/);
+                if (rating) {
+                    tool.rating = { value: rating[1], best: rating[2] };
+                }
+            }
+
+            if (table) {
+                const platformRow = Array.from(table.querySelectorAll('tbody tr'))
+                    .find(row => /platform|operating system/i.test(this.text(row.querySelector('th'))));
+                const cell = platformRow ? platformRow.querySelectorAll('td')[index] : null;
+                if (cell && /windows|mac|linux|android|ios/i.test(this.text(cell))) {
+                    tool.operatingSystem = this.text(cell);
+                }
+            }
+
+            const link = Array.from(doc.querySelectorAll('a[href^="http"]'))
+                .find(anchor => this.slugify(this.text(anchor)) === slug);
+            if (link) tool.url = link.getAttribute('href');
+
+            return tool;
+        });
+    }
+
+    /**
+     * Ranked lists such as the decision matrix (.ranking > .rank-item)
+     */
+    extractRankings(doc = this.document) {
+        return Array.from(doc.querySelectorAll('.ranking')).map(ranking => {
+            const card = ranking.closest('.decision-card') || ranking.parentElement;
+            const section = ranking.closest('section');
+            const heading = section ? this.text(section.querySelector('h2')) : '';
+            const label = this.text(card.querySelector('h3'));
+
+            return {
+                name: [heading, label].filter(Boolean).join(' - '),
+                items: Array.from(ranking.querySelectorAll('.rank-item')).map((item, index) => ({
+                    position: parseInt(this.text(item.querySelector('.rank-number')), 10) || index + 1,
+                    name: this.text(item.querySelector('.rank-tool')),
+                    description: this.text(item.querySelector('.rank-reason'))
+                }))
+            };
+        });
+    }
+
+    /**
+     * Title, version, requirements and numbered steps from an installation guide in markdown
+     */
+    parseInstallationGuide(markdown) {
+        const lines = markdown.split(/\r?\n/);
+        const title = (lines.find(line => /^# /.test(line)) || '').replace(/^# /, '').trim();
+        const intro = lines.find(line => line.trim() && !/^[#`>|-]/.test(line.trim())) || '';
+        const product = intro.match(/install ([A-Z][\w .-]*?) v?(\d+(?:\.\d+)+)/);
+        const requirements = {};
+        const steps = [];
+        let section = '';
+        let step = null;
+        let inCode = false;
+
+        const plain = value => value
+            .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+            .replace(/[*_`]/g, '')
+            .replace(/^\s*(\d+\.|[-*])\s+/, '')
+            .trim();
+
+        lines.forEach(line => {
+            if (/^```/.test(line.trim())) {
+                inCode = !inCode;
+                return;
+            }
+            if (inCode) {
+                const command = line.trim();
+                if (step && command && !command.startsWith('#')) step.commands.push(command);
+                return;
+            }
+
+            const heading = line.match(/^(#{2,4})\s+(.*)$/);
+            if (heading) {
+                const text = heading[2].replace(/^[^\w]+/, '').trim();
+                if (heading[1] === '##') {
+                    section = text;
+                    step = null;
+                } else if (heading[1] === '###') {
+                    if (/requirements/i.test(text)) section = text;
+                    const numbered = text.match(/^Step \d+:\s*(.+)$/i);
+                    step = numbered ? { name: numbered[1], sentences: [], commands: [] } : null;
+                    if (step) steps.push(step);
+                }
+                return;
+            }
+
+            const requirement = line.match(/^\s*[-*]\s+\*\*([^*]+)\*\*:\s*(.+)$/);
+            if (/^Minimum Requirements/i.test(section) && requirement) {
+                requirements[requirement[1].trim()] = plain(requirement[2]);
+            } else if (step && line.trim()) {
+                step.sentences.push(plain(line));
+            }
+        });
+
+        return {
+            name: title,
+            description: plain(intro),
+            product: product ? product[1].trim() : null,
+            version: product ? product[2] : null,
+            requirements,
+            steps: steps.map(item => ({
+                name: item.name,
+                text: item.sentences
+                    .map(sentence => /[.!?:]$/.test(sentence) ? sentence : `${sentence}.`)
+                    .concat(item.commands.length > 0 ? [`Run: ${item.commands.join('; ')}`] : [])
+                    .join(' ')
+            }))
+        };
+    }
+
+    /**
+     * SoftwareApplication for one tool; guide adds version and requirements for the tool it installs
+     */
+    generateSoftwareApplicationSchema(tool, guide = null) {
+        const facts = this.catalog[tool.slug] || {};
+        const installs = guide && guide.product && this.slugify(guide.product) === tool.slug;
+        const name = facts.name || tool.name;
+
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "SoftwareApplication",
+            "@id": tool.id,
+            "name": name,
+            "applicationCategory": "DeveloperApplication",
+            "operatingSystem": (installs && guide.requirements.OS) || tool.operatingSystem || facts.operatingSystem || 'Cross-platform'
+        };
+
+        if (facts.price !== undefined) {
+            schema.offers = {
+                "@type": "Offer",
+                "price": facts.price,
+                "priceCurrency": "USD"
+            };
+        }
+        if (tool.name !== name) schema.alternateName = tool.name;
+        if (tool.description) schema.description = tool.description;
+        if (tool.url || facts.url) schema.url = tool.url || facts.url;
+        if (facts.downloadUrl) schema.downloadUrl = facts.downloadUrl;
+
+        if (installs) {
+            if (guide.version) schema.softwareVersion = guide.version;
+            if (guide.requirements.Python) schema.softwareRequirements = `Python ${guide.requirements.Python}`;
+            if (guide.requirements.RAM) schema.memoryRequirements = guide.requirements.RAM;
+            if (guide.requirements.Storage) schema.storageRequirements = guide.requirements.Storage;
+        }
+
+        // The page's own rating is an editorial review by the site
+        if (tool.rating) {
+            schema.review = {
+                "@type": "Review",
+                "author": this.generator.organization,
+                "reviewRating": {
+                    "@type": "Rating",
+                    "ratingValue": tool.rating.value,
+                    "bestRating": tool.rating.best
+                }
+            };
+        }
+
+        return schema;
+    }
+
+    /**
+     * ItemList for a ranking; items naming a known tool point at its SoftwareApplication
+     */
+    generateItemListSchema(ranking, tools = []) {
+        return {
+            "@context": "https://schema.org",
+            "@type": "ItemList",
+            "name": ranking.name,
+            "itemListOrder": "https://schema.org/ItemListOrderAscending",
+            "numberOfItems": ranking.items.length,
+            "itemListElement": ranking.items.map(item => {
+                const tool = tools.find(candidate => candidate.slug === this.slugify(item.name));
+                const element = {
+                    "@type": "ListItem",
+                    "position": item.position,
+                    "name": item.name
+                };
+                if (item.description) element.description = item.description;
+                if (tool) element.item = { "@id": tool.id };
+                return element;
+            })
+        };
+    }
+
+    /**
+     * HowTo from a parsed installation guide
+     */
+    generateHowToSchema(guide, url = null) {
+        const schema = {
+            "@context": "https://schema.org",
+            "@type": "HowTo",
+            "name": guide.product ? `How to install ${guide.product}` : guide.name,
+            "description": guide.description,
+            "step": guide.steps.map((step, index) => ({
+                "@type": "HowToStep",
+                "position": index + 1,
+                "name": step.name,
+                "text": step.text
+            }))
+        };
+
+        if (url) schema.url = url;
+        if (guide.product) schema.about = { "@id": this.toolId(guide.product) };
+        if (guide.requirements.Python) {
+            schema.tool = [{ "@type": "HowToTool", "name": `Python ${guide.requirements.Python}` }];
+        }
+
+        return schema;
+    }
+
+    /**
+     * Whether the page's headings show every step of the guide; HowTo has to describe
+     * instructions readers can see, so a page that only draws facts from the guide gets none
+     */
+    rendersGuide(guide, doc = this.document) {
+        if (!guide || guide.steps.length === 0 || !doc) return false;
+        const headings = Array.from(doc.querySelectorAll('main h2, main h3, main h4'))
+            .map(heading => this.text(heading).toLowerCase());
+        return guide.steps.every(step => headings.some(heading => heading.includes(step.name.toLowerCase())));
+    }
+
+    /**
+     * Every schema for a comparison page: the comparison (about the tools named in its
+     * heading, mentioning the rest), one SoftwareApplication per tool, rankings and the
+     * guide's HowTo if the page shows it
+     */
+    generateComparisonPageSchemas(config, guide = null, doc = this.document) {
+        const tools = this.extractTools(doc);
+        const title = this.slugify(this.text(doc.querySelector('#comparison-title') || doc.querySelector('main h1')));
+        const about = tools.filter(tool => title.includes(tool.slug));
+        const url = config.url || (typeof window !== 'undefined' ? this.baseUrl + window.location.pathname : null);
+
+        return {
+            comparison: this.generator.generateComparisonSchema({
+                ...config,
+                itemsReviewed: tools.map(tool => ({ id: tool.id })),
+                about: (about.length > 0 ? about : tools).map(tool => tool.id),
+                mentions: tools.filter(tool => about.length > 0 && !about.includes(tool)).map(tool => tool.id)
+            }),
+            software: tools.map(tool => this.generateSoftwareApplicationSchema(tool, guide)),
+            rankings: this.extractRankings(doc).map(ranking => this.generateItemListSchema(ranking, tools)),
+            howTo: this.rendersGuide(guide, doc) ? this.generateHowToSchema(guide, url) : null
+        };
+    }
+
+    /**
+     * Insert the page's schemas; the installation guide is fetched and its facts added when it arrives
+     */
+    insertComparisonPageSchemas(config) {
+        const insert = guide => {
+            const schemas = this.generateComparisonPageSchemas(config, guide);
+            this.generator.insertStructuredData(schemas.comparison, 'main-structured-data');
+            schemas.software.forEach(schema => {
+                this.generator.insertStructuredData(schema, `software-structured-data-${schema['@id'].split('-').pop()}`);
+            });
+            schemas.rankings.forEach((schema, index) => {
+                this.generator.insertStructuredData(schema, `ranking-structured-data-${index + 1}`);
+            });
+            if (schemas.howTo) this.generator.insertStructuredData(schemas.howTo, 'howto-structured-data');
+            return schemas;
+        };
+
+        const schemas = insert(null);
+
+        if (!config.installationGuide || typeof fetch === 'undefined') {
+            return Promise.resolve(schemas);
+        }
+
+        return fetch(config.installationGuide)
+            .then(response => (response.ok ? response.text() : Promise.reject(new Error(`HTTP ${response.status}`))))
+            .then(markdown => insert(this.parseInstallationGuide(markdown)))
+            .catch(error => {
+                console.warn('Installation guide not loaded:', error.message);
+                return schemas;
+            });
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.ToolSchemaGenerator = ToolSchemaGenerator;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ToolSchemaGenerator;
+}
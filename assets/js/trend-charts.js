@@ -0,0 +1,142 @@
+/**
+ * Trend Charts
+ * Dependency-free SVG sparklines and line charts for the analytics dashboard's daily
+ * rollups. Charts are returned as markup strings; null values leave a gap in the line.
+ */
+
+class TrendCharts {
+    constructor(options = {}) {
+        this.colors = options.colors || ['#2563eb', '#f59e0b', '#10b981', '#dc2626'];
+        this.gridColor = options.gridColor || '#e5e7eb';
+        this.textColor = options.textColor || '#6b7280';
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Smallest and largest non-null value across the series; a flat series gets
+     * some headroom so it draws mid-height
+     */
+    getBounds(seriesValues) {
+        const values = seriesValues.flat().filter(value => typeof value === 'number');
+        if (values.length === 0) return null;
+
+        const min = Math.min(0, ...values);
+        const max = Math.max(...values);
+        return { min, max: max === min ? min + 1 : max };
+    }
+
+    /**
+     * SVG path through the points, starting a new segment after each gap
+     */
+    buildPath(values, x, y) {
+        let path = '';
+        let drawing = false;
+
+        values.forEach((value, index) => {
+            if (typeof value !== 'number') {
+                drawing = false;
+                return;
+            }
+            path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)} ${y(value).toFixed(1)} `;
+            drawing = true;
+        });
+
+        return path.trim();
+    }
+
+    /**
+     * Single points have no line to draw, so they get a dot
+     */
+    buildDots(values, x, y, color) {
+        return values.map((value, index) => {
+            const isolated = typeof value === 'number' &&
+                typeof values[index - 1] !== 'number' && typeof values[index + 1] !== 'number';
+            return isolated ? `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2" fill="${color}"/>` : '';
+        }).join('');
+    }
+
+    /**
+     * Small inline chart of one series, for the metric cards
+     */
+    sparkline(values, options = {}) {
+        const width = options.width || 120;
+        const height = options.height || 32;
+        const color = options.color || this.colors[0];
+        const label = TrendCharts.escape(options.label || 'Trend');
+        const bounds = this.getBounds([values]);
+
+        if (!bounds) {
+            return `<svg class="sparkline" width="${width}" height="${height}" role="img" aria-label="${label}: no data"></svg>`;
+        }
+
+        const x = index => (values.length === 1 ? width / 2 : (index / (values.length - 1)) * (width - 4) + 2);
+        const y = value => height - 2 - ((value - bounds.min) / (bounds.max - bounds.min)) * (height - 4);
+
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">` +
+            `<path d="${this.buildPath(values, x, y)}" fill="none" stroke="${color}" stroke-width="1.5"/>` +
+            this.buildDots(values, x, y, color) +
+            '</svg>';
+    }
+
+    /**
+     * Line chart of one or more series over the same days:
+     * series is [{ label, values }], dates the matching YYYY-MM-DD labels
+     */
+    lineChart(dates, series, options = {}) {
+        const width = options.width || 560;
+        const height = options.height || 180;
+        const format = options.formatValue || (value => String(value));
+        const label = TrendCharts.escape(options.label || series.map(entry => entry.label).join(', '));
+        const bounds = this.getBounds(series.map(entry => entry.values));
+
+        if (!bounds) {
+            return `<p class="trend-empty">No data for this range</p>`;
+        }
+
+        const padding = { top: 10, right: 10, bottom: 22, left: 48 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const x = index => padding.left + (dates.length === 1 ? plotWidth / 2 : (index / (dates.length - 1)) * plotWidth);
+        const y = value => padding.top + plotHeight - ((value - bounds.min) / (bounds.max - bounds.min)) * plotHeight;
+        const text = (tx, ty, content, anchor) =>
+            `<text x="${tx}" y="${ty}" font-size="11" fill="${this.textColor}" text-anchor="${anchor}">${TrendCharts.escape(content)}</text>`;
+
+        const grid = [bounds.min, bounds.max].map(value =>
+            `<line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}" stroke="${this.gridColor}"/>` +
+            text(padding.left - 6, y(value) + 4, format(value), 'end')
+        ).join('');
+        const axis = text(padding.left, height - 6, dates[0], 'start') +
+            text(width - padding.right, height - 6, dates[dates.length - 1], 'end');
+        const lines = series.map((entry, index) => {
+            const color = this.colors[index % this.colors.length];
+            return `<path d="${this.buildPath(entry.values, x, y)}" fill="none" stroke="${color}" stroke-width="2"/>` +
+                this.buildDots(entry.values, x, y, color);
+        }).join('');
+        const legend = series.length > 1
+            ? '<p class="trend-legend">' + series.map((entry, index) =>
+                `<span style="color: ${this.colors[index % this.colors.length]}">&#9632;</span> ${TrendCharts.escape(entry.label)}`
+            ).join(' ') + '</p>'
+            : '';
+
+        return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}, ${dates[0]} to ${dates[dates.length - 1]}">` +
+            grid + axis + lines +
+            '</svg>' + legend;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.TrendCharts = TrendCharts;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendCharts;
+}
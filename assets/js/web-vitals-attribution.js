@@ -0,0 +1,136 @@
+/**
+ * Web Vitals Attribution
+ * Splits TTFB, LCP and INP into the phases that made them slow and names the
+ * element involved. AnalyticsMonitor attaches these to its metrics and alerts.
+ */
+
+class WebVitalsAttribution {
+    constructor(win = window) {
+        this.performance = win.performance;
+        this.document = win.document;
+    }
+
+    /**
+     * Navigation Timing Level 2 entry, or the same fields from the legacy
+     * performance.timing relative to navigationStart
+     */
+    navigationEntry() {
+        const performance = this.performance;
+        if (performance.getEntriesByType) {
+            const [navigation] = performance.getEntriesByType('navigation');
+            if (navigation) return navigation;
+        }
+
+        if (performance.timing && performance.timing.navigationStart) {
+            const timing = performance.timing;
+            const entry = { activationStart: 0 };
+            ['domainLookupStart', 'connectStart', 'requestStart', 'responseStart', 'responseEnd'].forEach(field => {
+                entry[field] = Math.max(0, timing[field] - timing.navigationStart);
+            });
+            return entry;
+        }
+
+        return null;
+    }
+
+    /**
+     * Time to First Byte, split into waiting (redirects, service worker, cache),
+     * DNS lookup, connection and request time; null until the response has started
+     */
+    timeToFirstByte() {
+        const navigation = this.navigationEntry();
+        if (!navigation || !(navigation.responseStart > 0)) return null;
+
+        const activationStart = navigation.activationStart || 0;
+        const since = time => Math.max(0, time - activationStart);
+        return {
+            value: since(navigation.responseStart),
+            attribution: {
+                waitingDuration: Math.round(since(navigation.domainLookupStart)),
+                dnsDuration: Math.round(Math.max(0, navigation.connectStart - navigation.domainLookupStart)),
+                connectionDuration: Math.round(Math.max(0, navigation.requestStart - navigation.connectStart)),
+                requestDuration: Math.round(Math.max(0, navigation.responseStart - navigation.requestStart))
+            }
+        };
+    }
+
+    /**
+     * Split LCP into TTFB, resource load delay, resource load duration and element
+     * render delay, and name the element. Text has no resource, so everything after
+     * TTFB is render delay
+     */
+    largestContentfulPaint(entry) {
+        const navigation = this.navigationEntry();
+        const activationStart = (navigation && navigation.activationStart) || 0;
+        const ttfb = navigation ? Math.max(0, navigation.responseStart - activationStart) : 0;
+        const lcp = Math.max(ttfb, entry.startTime - activationStart);
+        const resource = entry.url && this.performance.getEntriesByType
+            ? this.performance.getEntriesByType('resource').find(r => r.name === entry.url)
+            : null;
+
+        let loadStart = ttfb;
+        let loadEnd = ttfb;
+        if (resource) {
+            loadStart = Math.min(lcp, Math.max(ttfb, (resource.requestStart || resource.startTime) - activationStart));
+            loadEnd = Math.min(lcp, Math.max(loadStart, resource.responseEnd - activationStart));
+        }
+
+        return {
+            element: this.elementSelector(entry.element),
+            url: entry.url || null,
+            timeToFirstByte: Math.round(ttfb),
+            resourceLoadDelay: Math.round(loadStart - ttfb),
+            resourceLoadDuration: Math.round(loadEnd - loadStart),
+            elementRenderDelay: Math.round(lcp - loadEnd)
+        };
+    }
+
+    /**
+     * Split the event timing entry of an interaction into input delay, processing
+     * and presentation delay
+     */
+    interaction(entry) {
+        return {
+            eventType: entry.name,
+            element: this.elementSelector(entry.target),
+            inputDelay: Math.round(entry.processingStart - entry.startTime),
+            processingDuration: Math.round(entry.processingEnd - entry.processingStart),
+            presentationDelay: Math.round(Math.max(0, entry.startTime + entry.duration - entry.processingEnd))
+        };
+    }
+
+    /**
+     * Short CSS selector for the element a timing entry points at
+     */
+    elementSelector(element) {
+        const parts = [];
+        let node = element;
+
+        while (node && node.nodeType === 1 && parts.length < 5) {
+            let part = node.tagName.toLowerCase();
+            if (node.id) {
+                parts.unshift(`${part}#${node.id}`);
+                break;
+            }
+
+            const classes = Array.from(node.classList).slice(0, 2);
+            if (classes.length > 0) part += '.' + classes.join('.');
+            parts.unshift(part);
+
+            if (node === this.document.body) break;
+            node = node.parentElement;
+        }
+
+        return parts.length > 0 ? parts.join(' > ') : null;
+    }
+}
+
+// Expose for browser pages
+if (typeof window !== 'undefined') {
+    window.WebVitalsAttribution = WebVitalsAttribution;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebVitalsAttribution;
+}
@@ -52,7 +52,89 @@ module.exports = {
     fileSizeError: 500,   // lines
     buildTimeWarning: 30  // seconds
   },
+
+  // Alert routing (scripts/alert-router.js). Channels without a URL, host or
+  // recipients are skipped, so only the file sink is active until the
+  // ALERT_* environment variables are set
+  alerting: {
+    dedupWindowMinutes: 60,
+    quietHours: {
+      start: '22:00',
+      end: '07:00',
+      timeZone: 'UTC',
+      allow: ['critical']
+    },
+    channels: {
+      file: { type: 'file', path: 'build-reports/alerts.ndjson' },
+      webhook: { type: 'webhook', url: process.env.ALERT_WEBHOOK_URL },
+      slack: { type: 'slack', url: process.env.ALERT_SLACK_WEBHOOK_URL },
+      email: {
+        type: 'smtp',
+        host: process.env.ALERT_SMTP_HOST,
+        port: process.env.ALERT_SMTP_PORT,
+        secure: process.env.ALERT_SMTP_SECURE === 'true',
+        user: process.env.ALERT_SMTP_USER,
+        pass: process.env.ALERT_SMTP_PASS,
+        from: process.env.ALERT_EMAIL_FROM,
+        to: process.env.ALERT_EMAIL_TO
+      }
+    },
+    // First matching rule wins
+    routes: [
+      { severities: ['critical', 'high'], channels: ['slack', 'webhook', 'email', 'file'] },
+      { severities: ['medium'], channels: ['email', 'file'] },
+      { severities: ['low'], channels: ['file'] }
+    ]
+  },
   
+  // Link checking (scripts/link-checker.js). External URLs are only requested
+  // with --external, directly, through `proxy`, or replayed from `fixtures`
+  linkChecker: {
+    external: {
+      cachePath: 'build-reports/link-cache.json',
+      cacheTtlHours: 24,
+      rateLimitMs: 1000, // between requests to the same host
+      concurrency: 4,    // hosts checked at once
+      timeout: 10000,
+      proxy: process.env.LINK_CHECK_PROXY,
+      fixtures: process.env.LINK_CHECK_FIXTURES
+    },
+    // URL prefixes that are never requested
+    ignore: []
+  },
+
+  // Service worker (scripts/build-precache-manifest.js). Precache files are hashed
+  // into the manifest injected into sw.js, with the routes and offline page below;
+  // * matches within a folder
+  serviceWorker: {
+    path: 'sw.js',
+    precache: [
+      'index.html',
+      'offline.html',
+      'documents/*.html',
+      'comparisons/*.html',
+      'assets/css/*.css',
+      'assets/js/*.js',
+      'assets/images/*.png',
+      'search-index.json'
+    ],
+    exclude: [
+      'documents/document-template.html',
+      'assets/css/*.min.css',
+      'assets/js/*.min.js'
+    ],
+    // Runtime caching by URL path (a regular expression); the first match wins and
+    // unmatched requests go to the network. Each route has its own cache, trimmed to
+    // maxEntries; cache-first entries older than maxAgeSeconds are fetched again
+    routes: [
+      { pattern: '(\\.html|/)$', strategy: 'network-first', cache: 'pages', networkTimeoutSeconds: 4, maxEntries: 50 },
+      { pattern: '\\.(css|js|json)$', strategy: 'stale-while-revalidate', cache: 'assets', maxEntries: 80 },
+      { pattern: '\\.(png|jpe?g|gif|webp|svg|ico)$', strategy: 'cache-first', cache: 'images', maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 }
+    ],
+    // Shown for page navigations that fail with no cached copy; must be precached
+    offlinePage: '/offline.html'
+  },
+
   // File splitting suggestions
   splittingSuggestions: {
     js: [
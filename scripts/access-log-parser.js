@@ -0,0 +1,112 @@
+/**
+ * Access Log Parser
+ * Turns nginx "combined" log lines, Netlify log drain entries and Vercel log drain
+ * entries into requests ({ timestamp, ip, method, url, status, referrer, userAgent })
+ * for BotLogAnalyzer. "auto" tells JSON drain entries apart by their fields.
+ */
+
+class AccessLogParser {
+    constructor(options = {}) {
+        this.format = options.format || 'auto';
+        this.formats = ['auto', 'nginx', 'netlify', 'vercel'];
+        this.months = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+        // $remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"
+        this.combinedPattern = /^(\S+) \S+ \S+ \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) \S+ "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)"/;
+    }
+
+    /**
+     * Parse an nginx $time_local value ("10/Oct/2025:13:55:36 +0000") to ISO 8601
+     */
+    parseNginxTime(value) {
+        const match = value.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/);
+        if (!match || !(match[2] in this.months)) return null;
+
+        const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+        const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes));
+        const utc = Date.UTC(Number(year), this.months[month], Number(day), Number(hours), Number(minutes), Number(seconds));
+
+        return new Date(utc - offset * 60000).toISOString();
+    }
+
+    /**
+     * ISO 8601 form of a JSON log timestamp (ISO string or epoch milliseconds)
+     */
+    toIsoTimestamp(value) {
+        const date = new Date(value);
+        return value !== undefined && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    parseNginxLine(line) {
+        const match = line.match(this.combinedPattern);
+        if (!match) return null;
+
+        const [, ip, time, request, status, referrer, userAgent] = match;
+        const [method, target] = request.split(' ');
+
+        return {
+            timestamp: this.parseNginxTime(time),
+            ip,
+            method,
+            url: target || '',
+            status: Number(status),
+            referrer: referrer === '-' ? '' : referrer,
+            userAgent: userAgent === '-' ? '' : userAgent.replace(/\\"/g, '"')
+        };
+    }
+
+    /**
+     * Netlify traffic log drain entry
+     */
+    parseNetlifyEntry(entry) {
+        if (entry.status_code === undefined) return null;
+
+        return {
+            timestamp: this.toIsoTimestamp(entry.timestamp),
+            ip: entry.client_ip,
+            method: entry.method,
+            url: entry.url || '',
+            status: Number(entry.status_code),
+            referrer: entry.referrer || '',
+            userAgent: entry.user_agent || ''
+        };
+    }
+
+    /**
+     * Vercel log drain entry; only entries with proxy details are requests
+     */
+    parseVercelEntry(entry) {
+        const proxy = entry.proxy;
+        if (!proxy) return null;
+
+        const userAgent = Array.isArray(proxy.userAgent) ? proxy.userAgent.join(' ') : proxy.userAgent;
+
+        return {
+            timestamp: this.toIsoTimestamp(proxy.timestamp || entry.timestamp),
+            ip: proxy.clientIp,
+            method: proxy.method,
+            url: proxy.path || '',
+            status: Number(proxy.statusCode),
+            referrer: proxy.referer || '',
+            userAgent: userAgent || ''
+        };
+    }
+
+    /**
+     * Parse one log record (a text line or a decoded JSON entry) into a request;
+     * returns null for records that are not requests
+     */
+    parse(record) {
+        if (typeof record === 'string') {
+            return this.format === 'auto' || this.format === 'nginx' ? this.parseNginxLine(record) : null;
+        }
+
+        if (this.format === 'netlify') return this.parseNetlifyEntry(record);
+        if (this.format === 'vercel') return this.parseVercelEntry(record);
+        if (this.format === 'nginx') return null;
+
+        return record.proxy ? this.parseVercelEntry(record) : this.parseNetlifyEntry(record);
+    }
+}
+
+module.exports = AccessLogParser;
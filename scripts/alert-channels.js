@@ -0,0 +1,295 @@
+/**
+ * Alert Channels
+ * Delivery targets for AlertRouter. Each channel takes a batch of normalized alerts
+ * and throws when delivery fails:
+ *   webhook - JSON POST of { source, sentAt, alerts } to any URL
+ *   slack   - Slack-compatible incoming webhook ({ text }; Mattermost and Discord's
+ *             /slack endpoints accept the same body)
+ *   smtp    - one plain-text digest email per batch, over SMTP with optional
+ *             STARTTLS/implicit TLS and AUTH PLAIN
+ *   file    - NDJSON lines appended to a local file
+ * A channel missing its URL or host reports isConfigured() === false and is skipped.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+const SEVERITY_ICONS = { critical: '🔴', high: '🟠', medium: '🟡', low: '🔵' };
+
+/**
+ * One line per alert, shared by the Slack and email bodies
+ */
+function formatAlertLine(alert) {
+    const repeats = alert.occurrences > 1 ? ` (x${alert.occurrences})` : '';
+    return `[${alert.severity.toUpperCase()}] ${alert.source}: ${alert.title}${repeats}`;
+}
+
+class WebhookChannel {
+    constructor(options = {}) {
+        this.type = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this.respectsQuietHours = options.respectsQuietHours !== false;
+    }
+
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    buildBody(alerts) {
+        return { source: 'llm-tools-hub', sentAt: new Date().toISOString(), alerts };
+    }
+
+    async send(alerts) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify(this.buildBody(alerts)),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.type} responded ${response.status}`);
+        }
+    }
+}
+
+class SlackChannel extends WebhookChannel {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'slack';
+    }
+
+    buildBody(alerts) {
+        const lines = alerts.map(alert => {
+            const icon = SEVERITY_ICONS[alert.severity] || '⚪';
+            return `${icon} *${formatAlertLine(alert)}*${alert.message !== alert.title ? `\n${alert.message}` : ''}`;
+        });
+        return { text: lines.join('\n') };
+    }
+}
+
+/**
+ * Reads SMTP replies off a socket; a reply ends at a line with a space after the code
+ */
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.pending = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.onData = chunk => {
+            this.buffer += chunk;
+            this.settle();
+        };
+        this.onError = error => {
+            this.error = error;
+            this.settle();
+        };
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+    }
+
+    detach() {
+        this.socket.removeListener('data', this.onData);
+        this.socket.removeListener('error', this.onError);
+        this.socket.setTimeout(0);
+        return this.socket;
+    }
+
+    settle() {
+        if (!this.pending) return;
+
+        if (this.error) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(this.error);
+            return;
+        }
+
+        const lines = this.buffer.split('\r\n');
+        const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1 || end === lines.length - 1) return;
+
+        const reply = lines.slice(0, end + 1);
+        this.buffer = lines.slice(end + 1).join('\r\n');
+        const { resolve } = this.pending;
+        this.pending = null;
+        resolve({ code: Number(reply[end].slice(0, 3)), lines: reply.map(line => line.slice(4)) });
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.pending = { resolve, reject };
+            this.settle();
+        });
+    }
+
+    async command(line, expected, label = line.split(' ')[0]) {
+        if (line !== null) this.socket.write(`${line}\r\n`);
+
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+class SmtpChannel {
+    constructor(options = {}) {
+        this.type = 'smtp';
+        this.host = options.host;
+        this.port = Number(options.port) || (options.secure ? 465 : 587);
+        // secure: TLS from the start (port 465); otherwise STARTTLS when offered
+        this.secure = Boolean(options.secure);
+        this.startTls = options.startTls !== false;
+        this.user = options.user;
+        this.pass = options.pass;
+        this.from = options.from || `alerts@${os.hostname()}`;
+        this.to = (Array.isArray(options.to) ? options.to : String(options.to || '').split(','))
+            .map(address => address.trim())
+            .filter(Boolean);
+        this.subjectPrefix = options.subjectPrefix || '[LLM Tools Hub]';
+        this.timeout = options.timeout || 15000;
+        this.tlsOptions = options.tlsOptions || {};
+        this.respectsQuietHours = options.respectsQuietHours !== false;
+    }
+
+    isConfigured() {
+        return Boolean(this.host) && this.to.length > 0;
+    }
+
+    buildSubject(alerts) {
+        const worst = ['critical', 'high', 'medium', 'low'].find(severity => alerts.some(alert => alert.severity === severity));
+        const count = alerts.length === 1 ? '1 alert' : `${alerts.length} alerts`;
+        return `${this.subjectPrefix} ${count}${worst ? ` (highest: ${worst})` : ''}`;
+    }
+
+    buildMessage(alerts) {
+        const body = alerts.map(alert => [
+            formatAlertLine(alert),
+            alert.message !== alert.title ? `  ${alert.message}` : null,
+            `  at ${alert.timestamp}`
+        ].filter(Boolean).join('\n')).join('\n\n');
+
+        const headers = [
+            `From: ${this.from}`,
+            `To: ${this.to.join(', ')}`,
+            `Subject: ${this.buildSubject(alerts)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+
+        // Lines starting with "." would end the DATA section early
+        return `${headers.join('\r\n')}\r\n\r\n${body}`.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tlsOptions }, () => resolve(socket))
+                : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async send(alerts) {
+        const socket = await this.connect();
+        const connection = new SmtpConnection(socket, this.timeout);
+
+        try {
+            await connection.command(null, [220], 'greeting');
+            let features = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+            const offers = keyword => features.lines.some(line => line.toUpperCase().startsWith(keyword));
+            let encrypted = this.secure;
+            if (!this.secure && this.startTls && offers('STARTTLS')) {
+                await connection.command('STARTTLS', [220]);
+                const upgraded = await new Promise((resolve, reject) => {
+                    const secureSocket = tls.connect({ socket: connection.detach(), servername: this.host, ...this.tlsOptions }, () => resolve(secureSocket));
+                    secureSocket.once('error', reject);
+                });
+                connection.attach(upgraded);
+                encrypted = true;
+                features = await connection.command(`EHLO ${os.hostname()}`, [250]);
+            }
+
+            if (this.user) {
+                // Credentials only go over TLS, from the start or after STARTTLS
+                if (!encrypted) {
+                    throw new Error(`SMTP AUTH refused: the connection to ${this.host} is not encrypted (no TLS or STARTTLS)`);
+                }
+                const credentials = Buffer.from(`\u0000${this.user}\u0000${this.pass || ''}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+
+            await connection.command(`MAIL FROM:<${this.from}>`, [250], 'MAIL FROM');
+            for (const address of this.to) {
+                await connection.command(`RCPT TO:<${address}>`, [250, 251], 'RCPT TO');
+            }
+            await connection.command('DATA', [354]);
+            await connection.command(`${this.buildMessage(alerts)}\r\n.`, [250], 'message');
+            await connection.command('QUIT', [221]).catch(() => {});
+        } finally {
+            connection.socket.destroy();
+        }
+    }
+}
+
+class FileChannel {
+    constructor(options = {}) {
+        this.type = 'file';
+        this.path = options.path || 'build-reports/alerts.ndjson';
+        // A local log should have everything; quiet hours are for people
+        this.respectsQuietHours = options.respectsQuietHours === true;
+    }
+
+    isConfigured() {
+        return Boolean(this.path);
+    }
+
+    async send(alerts) {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.appendFileSync(this.path, alerts.map(alert => JSON.stringify(alert) + '\n').join(''));
+    }
+}
+
+const CHANNEL_TYPES = {
+    webhook: WebhookChannel,
+    slack: SlackChannel,
+    smtp: SmtpChannel,
+    file: FileChannel
+};
+
+/**
+ * Channel instance from a config entry ({ type, ...options })
+ */
+function createChannel(config) {
+    const Channel = CHANNEL_TYPES[config.type];
+    if (!Channel) {
+        throw new Error(`Unknown alert channel type "${config.type}" (expected ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+    }
+    return new Channel(config);
+}
+
+module.exports = createChannel;
+module.exports.WebhookChannel = WebhookChannel;
+module.exports.SlackChannel = SlackChannel;
+module.exports.SmtpChannel = SmtpChannel;
+module.exports.FileChannel = FileChannel;
+module.exports.formatAlertLine = formatAlertLine;
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Alert Mock Receiver
+ * Local stand-in for the services AlertRouter delivers to, for trying the alerting
+ * config and for tests. Nothing is forwarded anywhere.
+ *   HTTP  - records every POST (webhook and Slack-compatible channels); the
+ *           recorded requests are listed at GET /requests
+ *   SMTP  - accepts mail without TLS (any AUTH PLAIN/LOGIN succeeds) and records
+ *           each message; listed at GET /messages
+ * Point channels at it, e.g. url: 'http://127.0.0.1:8025/slack', host: '127.0.0.1',
+ * port: 2525, startTls: false, with no user: SMTP channels refuse to send
+ * credentials over a connection without TLS.
+ */
+
+const http = require('http');
+const net = require('net');
+
+class AlertMockReceiver {
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.httpPort = options.httpPort !== undefined ? options.httpPort : 8025;
+        this.smtpPort = options.smtpPort !== undefined ? options.smtpPort : 2525;
+        // Status returned to POSTs, to exercise failure handling
+        this.httpStatus = options.httpStatus || 200;
+        this.verbose = Boolean(options.verbose);
+
+        this.requests = [];
+        this.messages = [];
+        this.httpServer = null;
+        this.smtpServer = null;
+        this.sockets = new Set();
+    }
+
+    /**
+     * Start both servers; resolves with the bound ports
+     */
+    async start() {
+        this.httpServer = http.createServer((req, res) => this.handleHttp(req, res));
+        this.smtpServer = net.createServer(socket => this.handleSmtp(socket));
+
+        const listen = (server, port) => new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, this.host, () => resolve(server.address().port));
+        });
+
+        this.httpPort = await listen(this.httpServer, this.httpPort);
+        this.smtpPort = await listen(this.smtpServer, this.smtpPort);
+        return { httpPort: this.httpPort, smtpPort: this.smtpPort };
+    }
+
+    async stop() {
+        this.sockets.forEach(socket => socket.destroy());
+        const close = server => new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        await Promise.all([close(this.httpServer), close(this.smtpServer)]);
+    }
+
+    handleHttp(req, res) {
+        const sendJson = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET' && req.url === '/requests') return sendJson(200, this.requests);
+        if (req.method === 'GET' && req.url === '/messages') return sendJson(200, this.messages);
+        if (req.method !== 'POST') return sendJson(404, { error: 'Not found' });
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                // Keep non-JSON bodies as text
+            }
+
+            this.requests.push({ path: req.url, headers: req.headers, body, receivedAt: new Date().toISOString() });
+            if (this.verbose) console.log(`📨 POST ${req.url}\n${typeof body === 'string' ? body : JSON.stringify(body, null, 2)}`);
+            sendJson(this.httpStatus, { ok: this.httpStatus < 400 });
+        });
+    }
+
+    /**
+     * Just enough SMTP for AlertRouter's client and common mail libraries
+     */
+    handleSmtp(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.setEncoding('utf8');
+
+        const reply = line => socket.write(`${line}\r\n`);
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let loginStep = 0;
+
+        reply('220 alert-mock-receiver ESMTP');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        const raw = data.join('\r\n');
+                        const separator = raw.indexOf('\r\n\r\n');
+                        const subject = /^Subject: (.*)$/mi.exec(raw.slice(0, separator));
+                        this.messages.push({
+                            from: envelope.from,
+                            to: envelope.to,
+                            subject: subject ? subject[1] : null,
+                            body: separator === -1 ? '' : raw.slice(separator + 4),
+                            raw,
+                            receivedAt: new Date().toISOString()
+                        });
+                        if (this.verbose) console.log(`📧 Mail to ${envelope.to.join(', ')}: ${subject ? subject[1] : '(no subject)'}`);
+                        data = null;
+                        envelope = { from: null, to: [] };
+                        reply('250 Queued');
+                    } else {
+                        // Undo dot-stuffing
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                if (loginStep > 0) {
+                    loginStep = loginStep === 1 ? 2 : 0;
+                    reply(loginStep === 2 ? '334 UGFzc3dvcmQ6' : '235 Authenticated');
+                    continue;
+                }
+
+                const command = line.split(' ')[0].toUpperCase();
+                if (command === 'EHLO') {
+                    reply('250-alert-mock-receiver');
+                    reply('250-8BITMIME');
+                    reply('250 AUTH PLAIN LOGIN');
+                } else if (command === 'HELO' || command === 'NOOP' || command === 'RSET') {
+                    if (command === 'RSET') envelope = { from: null, to: [] };
+                    reply('250 OK');
+                } else if (command === 'AUTH') {
+                    if (/^AUTH LOGIN$/i.test(line)) {
+                        loginStep = 1;
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 Authenticated');
+                    }
+                } else if (command === 'MAIL') {
+                    envelope.from = (/<([^>]*)>/.exec(line) || [])[1] || null;
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push((/<([^>]*)>/.exec(line) || [])[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('502 Command not implemented');
+                }
+            }
+        });
+    }
+}
+
+// Run the receiver if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    const receiver = new AlertMockReceiver({
+        httpPort: option('http-port') !== undefined ? Number(option('http-port')) : undefined,
+        smtpPort: option('smtp-port') !== undefined ? Number(option('smtp-port')) : undefined,
+        verbose: true
+    });
+
+    receiver.start()
+        .then(({ httpPort, smtpPort }) => {
+            console.log('🧪 Alert mock receiver');
+            console.log(`   Webhooks: http://${receiver.host}:${httpPort}/<any path> (received: /requests)`);
+            console.log(`   SMTP:     ${receiver.host}:${smtpPort} without TLS (received: http://${receiver.host}:${httpPort}/messages)`);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+
+    const shutdown = () => receiver.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = AlertMockReceiver;
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+
+/**
+ * Alert Router
+ * Shared alerting layer for the size alert system and the analytics ingest server
+ * (which relays AnalyticsMonitor alerts from visitors' browsers). Alerts are:
+ *   - deduplicated by fingerprint: a repeat within dedupWindowMinutes is counted, not sent
+ *   - routed by severity (critical, high, medium, low) to the channels named by the
+ *     first matching rule in `routes`
+ *   - held during quiet hours unless their severity is allowed through, then sent
+ *     as one digest by flushDeferred()
+ * Channels and rules come from the `alerting` section of build.config.js; the
+ * dedup history and held alerts persist in build-reports/alert-state.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const createChannel = require('./alert-channels');
+
+class AlertRouter {
+    constructor(options = {}) {
+        const config = options.config || AlertRouter.loadConfig();
+
+        this.severities = ['critical', 'high', 'medium', 'low'];
+        this.dedupWindowMinutes = config.dedupWindowMinutes !== undefined ? config.dedupWindowMinutes : 60;
+        this.quietHours = config.quietHours || null;
+        this.routes = config.routes || [{ severities: this.severities, channels: Object.keys(config.channels || {}) }];
+        this.statePath = options.statePath || config.statePath || 'build-reports/alert-state.json';
+
+        this.channels = {};
+        Object.entries(config.channels || {}).forEach(([name, channelConfig]) => {
+            this.channels[name] = channelConfig.send ? channelConfig : createChannel(channelConfig);
+        });
+
+        this.state = null;
+    }
+
+    /**
+     * The `alerting` section of build.config.js; an empty config routes nowhere
+     */
+    static loadConfig() {
+        try {
+            return require('../build.config.js').alerting || {};
+        } catch (error) {
+            console.warn(`⚠️  Could not load alerting config: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Stable id for "the same problem": source, category and title unless the
+     * alert brings its own key (e.g. a file path)
+     */
+    static fingerprint(alert) {
+        const parts = [alert.source, alert.category, alert.key || alert.title];
+        return crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 16);
+    }
+
+    normalize(alert, now) {
+        const severity = this.severities.includes(alert.severity) ? alert.severity : 'low';
+        const normalized = {
+            source: alert.source || 'site',
+            category: alert.category || 'general',
+            severity,
+            title: alert.title || alert.message || 'Alert',
+            message: alert.message || alert.title || '',
+            details: alert.details || {},
+            timestamp: alert.timestamp || now.toISOString()
+        };
+        normalized.fingerprint = alert.fingerprint || AlertRouter.fingerprint({ ...normalized, key: alert.key });
+        return normalized;
+    }
+
+    loadState() {
+        if (this.state) return this.state;
+
+        this.state = { seen: {}, deferred: [] };
+        if (fs.existsSync(this.statePath)) {
+            try {
+                this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath, 'utf8')) };
+            } catch (error) {
+                console.warn(`⚠️  Ignoring unreadable ${this.statePath}`);
+            }
+        }
+        return this.state;
+    }
+
+    saveState(now) {
+        // Forget fingerprints that can no longer suppress anything; repeat counts are
+        // kept for a week in case the alert comes back
+        const cutoff = now.getTime() - this.dedupWindowMinutes * 60 * 1000;
+        const weekAgo = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+        Object.keys(this.state.seen).forEach(fingerprint => {
+            const { lastSent, suppressed } = this.state.seen[fingerprint];
+            const sentAt = Date.parse(lastSent);
+            if (sentAt < weekAgo || (sentAt < cutoff && suppressed === 0)) {
+                delete this.state.seen[fingerprint];
+            }
+        });
+
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2));
+    }
+
+    /**
+     * Names of the configured channels for a severity and source
+     */
+    getRoute(alert) {
+        const rule = this.routes.find(route =>
+            (!route.severities || route.severities.includes(alert.severity)) &&
+            (!route.sources || route.sources.includes(alert.source))
+        );
+
+        return (rule ? rule.channels : []).filter(name => this.channels[name] && this.channels[name].isConfigured());
+    }
+
+    /**
+     * Minutes since midnight in the quiet hours' time zone
+     */
+    minutesOfDay(date) {
+        const parts = new Intl.DateTimeFormat('en-GB', {
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+            timeZone: this.quietHours.timeZone || 'UTC'
+        }).formatToParts(date);
+        const value = type => Number(parts.find(part => part.type === type).value);
+        return value('hour') * 60 + value('minute');
+    }
+
+    isQuietTime(date) {
+        if (!this.quietHours) return false;
+
+        const toMinutes = time => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+        const start = toMinutes(this.quietHours.start);
+        const end = toMinutes(this.quietHours.end);
+        const current = this.minutesOfDay(date);
+
+        // A window like 22:00-07:00 wraps past midnight
+        return start <= end ? current >= start && current < end : current >= start || current < end;
+    }
+
+    /**
+     * Deduplicate, route and deliver alerts. Resolves with what happened to them:
+     * { sent: { channel: count }, suppressed, deferred, failed: [{ channel, error }] }
+     */
+    async dispatch(alerts, now = new Date()) {
+        const state = this.loadState();
+        const summary = { sent: {}, suppressed: 0, deferred: 0, failed: [] };
+        const batches = {};
+        const quiet = this.isQuietTime(now);
+        const allowedWhenQuiet = (this.quietHours && this.quietHours.allow) || ['critical'];
+
+        alerts.map(alert => this.normalize(alert, now)).forEach(alert => {
+            const seen = state.seen[alert.fingerprint];
+            if (seen && now.getTime() - Date.parse(seen.lastSent) < this.dedupWindowMinutes * 60 * 1000) {
+                seen.suppressed++;
+                summary.suppressed++;
+                return;
+            }
+
+            // Tell the receiver how often it happened since it was last sent
+            alert.occurrences = seen ? seen.suppressed + 1 : 1;
+            state.seen[alert.fingerprint] = { lastSent: now.toISOString(), suppressed: 0 };
+
+            this.getRoute(alert).forEach(name => {
+                if (quiet && this.channels[name].respectsQuietHours && !allowedWhenQuiet.includes(alert.severity)) {
+                    state.deferred.push({ channel: name, alert });
+                    summary.deferred++;
+                    return;
+                }
+                (batches[name] = batches[name] || []).push(alert);
+            });
+        });
+
+        await this.deliver(batches, summary);
+        this.saveState(now);
+        return summary;
+    }
+
+    /**
+     * Send alerts held during quiet hours as one digest per channel, once they're over
+     */
+    async flushDeferred(now = new Date()) {
+        const state = this.loadState();
+        const summary = { sent: {}, suppressed: 0, deferred: state.deferred.length, failed: [] };
+        if (this.isQuietTime(now) || state.deferred.length === 0) return summary;
+
+        const batches = {};
+        state.deferred.forEach(({ channel, alert }) => {
+            if (this.channels[channel]) (batches[channel] = batches[channel] || []).push(alert);
+        });
+        state.deferred = [];
+        summary.deferred = 0;
+
+        await this.deliver(batches, summary);
+        this.saveState(now);
+        return summary;
+    }
+
+    /**
+     * One send per channel; a failing channel doesn't stop the others
+     */
+    async deliver(batches, summary) {
+        await Promise.all(Object.entries(batches).map(async ([name, batch]) => {
+            try {
+                await this.channels[name].send(batch);
+                summary.sent[name] = batch.length;
+            } catch (error) {
+                summary.failed.push({ channel: name, error: error.message });
+                console.warn(`⚠️  Alert channel "${name}" failed: ${error.message}`);
+            }
+        }));
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const router = new AlertRouter();
+    const command = args[0];
+
+    const report = summary => {
+        const sent = Object.entries(summary.sent).map(([name, count]) => `${name}: ${count}`).join(', ') || 'nothing';
+        console.log(`📣 Sent ${sent}; ${summary.suppressed} suppressed, ${summary.deferred} held for quiet hours`);
+        summary.failed.forEach(failure => console.log(`❌ ${failure.channel}: ${failure.error}`));
+        process.exit(summary.failed.length > 0 ? 1 : 0);
+    };
+
+    if (command === 'test') {
+        const severity = option('severity') || 'high';
+        router.dispatch([{
+            source: 'alert-router',
+            category: 'test',
+            severity,
+            title: `Test ${severity} alert`,
+            message: 'Sent by npm run alerts:test to check channel configuration',
+            // Never deduplicated, so the check can be repeated
+            fingerprint: `test-${Date.now()}`
+        }]).then(report);
+    } else if (command === 'flush') {
+        router.flushDeferred().then(report);
+    } else {
+        console.log('Usage: node scripts/alert-router.js <test|flush> [--severity=critical|high|medium|low]');
+        const configured = Object.entries(router.channels).filter(([, channel]) => channel.isConfigured());
+        console.log(`Configured channels: ${configured.map(([name, channel]) => `${name} (${channel.type})`).join(', ') || 'none'}`);
+    }
+}
+
+module.exports = AlertRouter;
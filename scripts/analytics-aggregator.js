@@ -0,0 +1,168 @@
+/**
+ * Analytics Aggregator
+ * Builds the analytics dashboard's cross-visitor report from events collected by
+ * the ingest server: Web Vitals percentiles, grouped errors, bot visits and the
+ * same search insights report the dashboard shows for a single browser.
+ */
+
+const SearchInsights = require('../assets/js/search-insights');
+
+class AnalyticsAggregator {
+    constructor(options = {}) {
+        this.topErrors = options.topErrors || 10;
+        this.topPages = options.topPages || 10;
+
+        // [good, poor] boundaries from web.dev; pageLoad is good within AnalyticsMonitor's
+        // 3s threshold and poor past twice that
+        this.vitalThresholds = {
+            lcp: [2500, 4000],
+            fid: [100, 300],
+            inp: [200, 500],
+            cls: [0.1, 0.25],
+            fcp: [1800, 3000],
+            ttfb: [800, 1800],
+            pageLoad: [3000, 6000]
+        };
+    }
+
+    /**
+     * Nearest-rank percentile of an ascending list
+     */
+    percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    rate(metric, value) {
+        const [good, poor] = this.vitalThresholds[metric];
+        if (value <= good) return 'good';
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Per-metric samples, median and p75 (the value Web Vitals are assessed at)
+     */
+    summarizeVitals(events) {
+        const summary = {};
+
+        Object.keys(this.vitalThresholds).forEach(metric => {
+            const values = events
+                .map(event => event.data[metric])
+                .filter(value => typeof value === 'number')
+                .sort((a, b) => a - b);
+            const p75 = this.percentile(values, 75);
+            // CLS is a unitless score; the rest are milliseconds
+            const round = value => (value === null ? null : metric === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value));
+
+            summary[metric] = {
+                samples: values.length,
+                median: round(this.percentile(values, 50)),
+                p75: round(p75),
+                rating: p75 === null ? null : this.rate(metric, p75)
+            };
+        });
+
+        return summary;
+    }
+
+    /**
+     * Errors grouped by type and message, most frequent first
+     */
+    summarizeErrors(events) {
+        const groups = new Map();
+        const byType = {};
+
+        events.forEach(event => {
+            const { errorType, message, source } = event.data;
+            byType[errorType] = (byType[errorType] || 0) + 1;
+
+            const key = `${errorType}|${message}`;
+            const group = groups.get(key) || { type: errorType, message, source, count: 0, pages: new Set(), lastSeen: event.timestamp };
+            group.count++;
+            if (event.path) group.pages.add(event.path);
+            if (event.timestamp > group.lastSeen) group.lastSeen = event.timestamp;
+            groups.set(key, group);
+        });
+
+        return {
+            total: events.length,
+            byType,
+            top: Array.from(groups.values())
+                .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+                .slice(0, this.topErrors)
+                .map(group => ({ ...group, pages: Array.from(group.pages).slice(0, 5) }))
+        };
+    }
+
+    summarizeBotVisits(events, now) {
+        const today = now.toISOString().slice(0, 10);
+        const byType = {};
+        const pages = {};
+
+        events.forEach(event => {
+            const botType = event.data.botType || 'unknown';
+            byType[botType] = (byType[botType] || 0) + 1;
+            if (event.path) pages[event.path] = (pages[event.path] || 0) + 1;
+        });
+
+        const sortEntries = (counts, key) => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([name, visits]) => ({ [key]: name, visits }));
+
+        return {
+            total: events.length,
+            today: events.filter(event => event.timestamp.slice(0, 10) === today).length,
+            byType: sortEntries(byType, 'botType'),
+            topPages: sortEntries(pages, 'path').slice(0, this.topPages)
+        };
+    }
+
+    /**
+     * SearchInsights report over every visitor's searches. Its refinement collapsing
+     * groups searches by user agent, so the page view id is folded in to keep
+     * visitors sharing a browser build apart
+     */
+    summarizeSearches(searchEvents, clickEvents) {
+        const stores = {
+            searchHistory: searchEvents.map(event => ({
+                type: 'search',
+                query: event.data.query,
+                resultCount: event.data.resultCount,
+                timestamp: event.timestamp,
+                userAgent: `${event.pageId || ''} ${event.data.userAgent || ''}`,
+                isBot: Boolean(event.data.isBot)
+            })),
+            searchClicks: clickEvents.map(event => ({ ...event.data, timestamp: event.timestamp }))
+        };
+        const storage = { getItem: key => (stores[key] ? JSON.stringify(stores[key]) : null), setItem: () => {} };
+
+        return new SearchInsights({ storage }).getReport();
+    }
+
+    /**
+     * Dashboard report for the given events (already limited to the period)
+     */
+    summarize(events, { from = null, to = null, now = new Date() } = {}) {
+        const byType = type => events.filter(event => event.type === type);
+        const vitals = byType('vitals');
+        const pageIds = new Set(events.map(event => event.pageId).filter(Boolean));
+
+        return {
+            generatedAt: now.toISOString(),
+            source: 'collector',
+            period: { from, to },
+            totals: {
+                events: events.length,
+                // Page views that sent at least one event
+                pageViews: pageIds.size,
+                vitalsSamples: vitals.length
+            },
+            vitals: this.summarizeVitals(vitals),
+            errors: this.summarizeErrors(byType('error')),
+            botVisits: this.summarizeBotVisits(byType('bot-visit'), now),
+            searchInsights: this.summarizeSearches(byType('search'), byType('search-click'))
+        };
+    }
+}
+
+module.exports = AnalyticsAggregator;
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * Analytics Ingest Server
+ * Receives the event batches AnalyticsCollector beacons from every visitor, stores
+ * them (AnalyticsStore: NDJSON file or SQLite) and serves the aggregated report to
+ * analytics-dashboard.html.
+ *
+ *   POST /collect         batch of events ({ events: [...] }, sent as text/plain)
+ *   GET  /api/dashboard   cross-visitor report for ?from=&to= (YYYY-MM-DD, UTC) or the
+ *                         last ?days= days (default 7), with daily trends for the range
+ *   GET  /health          liveness check
+ *
+ * Alerts raised by AnalyticsMonitor in visitors' browsers are relayed to AlertRouter
+ * (webhook, Slack, email, file) when started with --alerts. /collect is open to anyone,
+ * so only performance alerts whose value is over the monitor's own threshold are
+ * relayed, with a severity and title the server decides and a per-window cap.
+ *
+ * It also serves the site itself, adding the analytics-collector meta tag to HTML so
+ * pages browsed through it report here. For a deployed site, run it behind the
+ * public host and add <meta name="analytics-collector" content="https://..."> to pages.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const AnalyticsStore = require('./analytics-store');
+const AnalyticsAggregator = require('./analytics-aggregator');
+const AnalyticsRollups = require('../assets/js/analytics-rollups');
+const AnalyticsMonitor = require('../assets/js/analytics-monitor');
+const AlertRouter = require('./alert-router');
+
+class AnalyticsServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 8787;
+        this.host = options.host || '127.0.0.1';
+        this.rootDir = path.resolve(options.rootDir || path.join(__dirname, '..'));
+        this.serveStatic = options.serveStatic !== false;
+        this.allowedOrigin = options.allowedOrigin || '*';
+        this.maxBodyBytes = options.maxBodyBytes || 64 * 1024;
+        this.maxEventsPerBatch = options.maxEventsPerBatch || 100;
+        this.store = options.store || new AnalyticsStore({
+            type: options.storeType,
+            filePath: options.dataFile,
+            retentionDays: options.retentionDays
+        });
+        this.aggregator = options.aggregator || new AnalyticsAggregator();
+        // Daily trends outlive the raw events (90 days against the store's 30)
+        this.rollups = new AnalyticsRollups({ storage: this.store, retentionDays: options.rollupDays });
+        // Relays visitors' monitoring alerts; off unless given a router
+        this.alertRouter = options.alertRouter || null;
+        // Alerts relayed per dedup window, however many visitors (or forgers) send them
+        this.maxRelayedAlerts = options.maxRelayedAlerts || 20;
+        this.relayWindow = null;
+
+        // Accepted event types and the data fields kept for each (fid is only sent
+        // by pages cached from before AnalyticsMonitor measured INP)
+        this.eventSchemas = {
+            vitals: {
+                lcp: 'number', fid: 'number', inp: 'number', cls: 'number', fcp: 'number', ttfb: 'number',
+                pageLoad: 'number', seoScore: 'number', alerts: 'number'
+            },
+            error: { errorType: 'string', message: 'string', source: 'string', line: 'number' },
+            'bot-visit': { botType: 'string', confidence: 'number', userAgent: 'string', referrer: 'string' },
+            search: { query: 'string', resultCount: 'number', isBot: 'boolean', userAgent: 'string' },
+            'search-click': { query: 'string', position: 'number', url: 'string', isBot: 'boolean' },
+            alert: { category: 'string', message: 'string', severity: 'string', metric: 'string', value: 'number' }
+        };
+        this.maxStringLength = 300;
+
+        this.contentTypes = {
+            '.html': 'text/html; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.js': 'application/javascript; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.xml': 'application/xml; charset=utf-8',
+            '.txt': 'text/plain; charset=utf-8',
+            '.svg': 'image/svg+xml',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.webp': 'image/webp',
+            '.ico': 'image/x-icon',
+            '.woff2': 'font/woff2'
+        };
+
+        this.server = null;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Open the store and listen; resolves with the bound port
+     */
+    start() {
+        this.store.open();
+        this.store.prune();
+        this.pruneTimer = setInterval(() => this.store.prune(), 24 * 60 * 60 * 1000);
+        this.pruneTimer.unref();
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('❌ Request failed:', error);
+                if (!res.headersSent) this.sendJson(res, 500, { error: 'Internal error' });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => resolve(this.server.address().port));
+        });
+    }
+
+    stop() {
+        clearInterval(this.pruneTimer);
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => {
+                this.store.close();
+                resolve();
+            });
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        res.setHeader('Access-Control-Allow-Origin', this.allowedOrigin);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            return res.end();
+        }
+
+        if (url.pathname === '/collect') {
+            return req.method === 'POST' ? this.handleCollect(req, res) : this.sendJson(res, 405, { error: 'Use POST' });
+        }
+        if (url.pathname === '/api/dashboard' && req.method === 'GET') {
+            return this.handleDashboard(res, url);
+        }
+        if (url.pathname === '/health') {
+            return this.sendJson(res, 200, { status: 'ok' });
+        }
+        if (this.serveStatic && (req.method === 'GET' || req.method === 'HEAD')) {
+            return this.serveFile(req, res, url.pathname);
+        }
+
+        this.sendJson(res, 404, { error: 'Not found' });
+    }
+
+    async handleCollect(req, res) {
+        let batch;
+        try {
+            batch = JSON.parse(await this.readBody(req));
+        } catch (error) {
+            return this.sendJson(res, error.statusCode || 400, { error: error.statusCode ? error.message : 'Body is not valid JSON' });
+        }
+
+        if (!batch || !Array.isArray(batch.events)) {
+            return this.sendJson(res, 400, { error: 'Expected { events: [...] }' });
+        }
+
+        const receivedAt = new Date();
+        const events = batch.events.slice(0, this.maxEventsPerBatch)
+            .map(event => this.sanitizeEvent(event, receivedAt))
+            .filter(Boolean);
+
+        this.store.append(events);
+        this.rollups.recordEvents(events);
+        this.routeAlerts(events);
+        this.sendJson(res, 202, { accepted: events.length, rejected: batch.events.length - events.length });
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    reject(Object.assign(new Error(`Body exceeds ${this.maxBodyBytes} bytes`), { statusCode: 413 }));
+                    // Drain the rest so the 413 response still reaches the client
+                    req.removeAllListeners('data');
+                    req.resume();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Keep only known event types and fields, with bounded strings. Client clocks
+     * can't be trusted, so timestamps outside the last day or in the future
+     * are replaced with the receive time
+     */
+    sanitizeEvent(event, receivedAt) {
+        if (!event || typeof event !== 'object' || !this.eventSchemas[event.type]) return null;
+
+        const schema = this.eventSchemas[event.type];
+        const source = event.data && typeof event.data === 'object' ? event.data : {};
+        const data = {};
+
+        Object.entries(schema).forEach(([field, type]) => {
+            const value = source[field];
+            if (type === 'number' && typeof value === 'number' && isFinite(value)) data[field] = value;
+            if (type === 'boolean' && typeof value === 'boolean') data[field] = value;
+            if (type === 'string' && typeof value === 'string') data[field] = value.slice(0, this.maxStringLength);
+        });
+
+        const clientTime = Date.parse(event.timestamp);
+        const age = receivedAt.getTime() - clientTime;
+        const timestamp = age >= -60000 && age <= 24 * 60 * 60 * 1000 ? new Date(clientTime) : receivedAt;
+
+        return {
+            type: event.type,
+            timestamp: timestamp.toISOString(),
+            pageId: typeof event.pageId === 'string' ? event.pageId.slice(0, 40) : null,
+            path: typeof event.path === 'string' && event.path.startsWith('/') ? event.path.slice(0, this.maxStringLength) : null,
+            data
+        };
+    }
+
+    /**
+     * Inclusive UTC day range from ?from=&to=, else the last ?days= days including
+     * today; never longer than the rollups are kept
+     */
+    parseRange(url, now) {
+        const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value));
+        const maxDays = this.rollups.retentionDays;
+        let from = url.searchParams.get('from');
+        let to = url.searchParams.get('to');
+
+        if (!isDay(from) || !isDay(to) || from > to) {
+            const days = Math.min(Math.max(parseInt(url.searchParams.get('days'), 10) || 7, 1), maxDays);
+            to = AnalyticsRollups.dayKey(now);
+            from = AnalyticsRollups.addDays(to, 1 - days);
+        }
+        if (from < AnalyticsRollups.addDays(to, 1 - maxDays)) {
+            from = AnalyticsRollups.addDays(to, 1 - maxDays);
+        }
+
+        return { from, to };
+    }
+
+    /**
+     * Pass visitors' performance alerts to the alert router. Nothing a visitor sends
+     * is trusted: the alert is kept only when its value is over AnalyticsMonitor's
+     * threshold for the metric, and the severity ('medium', as the monitor rates a
+     * threshold alert; never one that gets through quiet hours) and title are set here.
+     * Every visitor raises the same alert, so the fingerprint is the category and
+     * metric alone and the router sends it once per window
+     */
+    routeAlerts(events, now = Date.now()) {
+        if (!this.alertRouter) return;
+
+        const byMetric = new Map();
+        events.forEach(event => {
+            const { metric, value } = event.type === 'alert' ? event.data : {};
+            const threshold = AnalyticsMonitor.thresholdFor(metric);
+            if (threshold === undefined || typeof value !== 'number' || value <= threshold || byMetric.has(metric)) return;
+
+            const title = `${metric} threshold exceeded`;
+            byMetric.set(metric, {
+                source: 'analytics',
+                category: 'performance',
+                key: metric,
+                severity: 'medium',
+                title,
+                message: event.path ? `${title} on ${event.path}` : title,
+                details: { path: event.path, metric, value, threshold },
+                timestamp: event.timestamp
+            });
+        });
+
+        const windowMinutes = this.alertRouter.dedupWindowMinutes !== undefined ? this.alertRouter.dedupWindowMinutes : 60;
+        if (!this.relayWindow || now - this.relayWindow.start >= windowMinutes * 60 * 1000) {
+            this.relayWindow = { start: now, count: 0 };
+        }
+        const alerts = [...byMetric.values()].slice(0, Math.max(0, this.maxRelayedAlerts - this.relayWindow.count));
+        this.relayWindow.count += alerts.length;
+        if (alerts.length === 0) return;
+
+        this.alertRouter.dispatch(alerts).catch(error => console.error('❌ Alert routing failed:', error));
+    }
+
+    handleDashboard(res, url) {
+        const now = new Date();
+        const range = this.parseRange(url, now);
+        const from = `${range.from}T00:00:00.000Z`;
+        const to = `${AnalyticsRollups.addDays(range.to, 1)}T00:00:00.000Z`;
+
+        // Raw events only reach back retentionDays; the trends cover the whole range
+        const report = this.aggregator.summarize(this.store.getEvents({ from, to }), { from, to, now });
+        report.trends = this.rollups.getTrends(range);
+        this.sendJson(res, 200, report);
+    }
+
+    /**
+     * Serve a site file; HTML gets the collector meta tag so its pages report here
+     */
+    serveFile(req, res, pathname) {
+        let relativePath;
+        try {
+            relativePath = decodeURIComponent(pathname);
+        } catch (error) {
+            return this.sendJson(res, 400, { error: 'Malformed path' });
+        }
+        if (relativePath.endsWith('/')) relativePath += 'index.html';
+
+        const filePath = path.join(this.rootDir, path.normalize(relativePath));
+        const contentType = this.contentTypes[path.extname(filePath).toLowerCase()];
+        const insideRoot = filePath.startsWith(this.rootDir + path.sep);
+        const hidden = relativePath.split('/').some(segment => segment.startsWith('.') || segment === 'node_modules');
+
+        if (!insideRoot || hidden || !contentType || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+
+        let body = fs.readFileSync(filePath);
+        if (contentType.startsWith('text/html')) {
+            body = body.toString('utf8').replace(/<head[^>]*>/i, match => `${match}<meta name="analytics-collector" content="/">`);
+        }
+
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+// Run the server if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    const server = new AnalyticsServer({
+        port: option('port') !== undefined ? Number(option('port')) : undefined,
+        host: option('host'),
+        storeType: option('store'),
+        dataFile: option('data'),
+        retentionDays: Number(option('retention')) || undefined,
+        rollupDays: Number(option('rollup-retention')) || undefined,
+        serveStatic: !args.includes('--no-static'),
+        alertRouter: args.includes('--alerts') ? new AlertRouter() : null
+    });
+
+    server.start()
+        .then(port => {
+            console.log(`📈 Analytics ingest server (${server.store.type} store: ${server.store.filePath})`);
+            console.log(`   Collecting at http://${server.host}:${port}/collect`);
+            console.log(`   Dashboard at  http://${server.host}:${port}/analytics-dashboard.html`);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = AnalyticsServer;
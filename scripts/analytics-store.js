@@ -0,0 +1,191 @@
+/**
+ * Analytics Store
+ * Persists the events posted to the analytics ingest server. Two backends:
+ *   file   - newline-delimited JSON, appended per batch (default, no dependencies)
+ *   sqlite - one row per event; uses Node's built-in node:sqlite (Node 22.5+) or
+ *            the better-sqlite3 package when installed
+ * Raw events older than `retentionDays` are dropped by prune(). Small derived state
+ * (the daily trend rollups) is kept with getItem/setItem, the same calls as
+ * localStorage: a JSON file next to the events, or a table in the database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AnalyticsStore {
+    constructor(options = {}) {
+        this.type = options.type || 'file';
+        this.types = ['file', 'sqlite'];
+        this.filePath = options.filePath || (this.type === 'sqlite' ? 'analytics-data/analytics.db' : 'analytics-data/events.ndjson');
+        this.retentionDays = options.retentionDays || 30;
+        this.statePath = options.statePath || path.join(path.dirname(this.filePath), 'state.json');
+
+        this.events = null;
+        this.state = null;
+        this.db = null;
+    }
+
+    open() {
+        if (!this.types.includes(this.type)) {
+            throw new Error(`Unknown analytics store "${this.type}" (expected ${this.types.join(', ')})`);
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        if (this.type === 'sqlite') {
+            this.db = this.openDatabase(this.filePath);
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    type TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    page_id TEXT,
+                    path TEXT,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS events_timestamp ON events (timestamp);
+                CREATE TABLE IF NOT EXISTS state (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                );
+            `);
+        } else {
+            this.events = this.readFile();
+            this.state = this.readState();
+        }
+
+        return this;
+    }
+
+    /**
+     * node:sqlite and better-sqlite3 share the exec/prepare/run/all calls used here
+     */
+    openDatabase(filePath) {
+        try {
+            const { DatabaseSync } = require('node:sqlite');
+            return new DatabaseSync(filePath);
+        } catch (error) {
+            // Not built in before Node 22.5
+        }
+
+        try {
+            const Database = require('better-sqlite3');
+            return new Database(filePath);
+        } catch (error) {
+            throw new Error('SQLite storage needs Node 22.5+ or the better-sqlite3 package (npm install better-sqlite3)');
+        }
+    }
+
+    /**
+     * Load the NDJSON file, skipping a torn last line from an interrupted write
+     */
+    readFile() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        return fs.readFileSync(this.filePath, 'utf8').split('\n').reduce((events, line) => {
+            if (!line.trim()) return events;
+            try {
+                events.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️  Skipping unreadable line in ${this.filePath}`);
+            }
+            return events;
+        }, []);
+    }
+
+    readState() {
+        if (!fs.existsSync(this.statePath)) return {};
+
+        try {
+            return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable ${this.statePath}`);
+            return {};
+        }
+    }
+
+    getItem(key) {
+        if (this.db) {
+            const row = this.db.prepare('SELECT value FROM state WHERE key = ?').get(key);
+            return row ? row.value : null;
+        }
+
+        return this.state && key in this.state ? this.state[key] : null;
+    }
+
+    setItem(key, value) {
+        if (this.db) {
+            this.db.prepare('INSERT OR REPLACE INTO state (key, value) VALUES (?, ?)').run(key, String(value));
+            return;
+        }
+
+        this.state[key] = String(value);
+        const tempPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.state));
+        fs.renameSync(tempPath, this.statePath);
+    }
+
+    append(events) {
+        if (events.length === 0) return;
+
+        if (this.db) {
+            const insert = this.db.prepare('INSERT INTO events (type, timestamp, page_id, path, data) VALUES (?, ?, ?, ?, ?)');
+            this.db.exec('BEGIN');
+            try {
+                events.forEach(event => insert.run(event.type, event.timestamp, event.pageId || null, event.path || null, JSON.stringify(event.data || {})));
+                this.db.exec('COMMIT');
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+            return;
+        }
+
+        fs.appendFileSync(this.filePath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+        this.events.push(...events);
+    }
+
+    /**
+     * Events with from <= timestamp < to (ISO strings; either bound may be omitted)
+     */
+    getEvents({ from, to } = {}) {
+        if (this.db) {
+            const rows = this.db.prepare('SELECT type, timestamp, page_id, path, data FROM events WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp')
+                .all(from || '', to || '9999-12-31T23:59:59.999Z');
+            return rows.map(row => ({ type: row.type, timestamp: row.timestamp, pageId: row.page_id, path: row.path, data: JSON.parse(row.data) }));
+        }
+
+        return this.events.filter(event => (!from || event.timestamp >= from) && (!to || event.timestamp < to));
+    }
+
+    /**
+     * Drop events older than the retention period; returns how many were removed
+     */
+    prune(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        if (this.db) {
+            const result = this.db.prepare('DELETE FROM events WHERE timestamp < ?').run(cutoff);
+            return Number(result.changes);
+        }
+
+        const kept = this.events.filter(event => event.timestamp >= cutoff);
+        const removed = this.events.length - kept.length;
+        if (removed > 0) {
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, kept.map(event => JSON.stringify(event) + '\n').join(''));
+            fs.renameSync(tempPath, this.filePath);
+            this.events = kept;
+        }
+        return removed;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = AnalyticsStore;
@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+/**
+ * Bot Log Analyzer
+ * Classifies server access log requests with BotDetector's user-agent patterns and
+ * writes per-bot crawl reports: pages hit, crawl frequency, status codes, robots.txt
+ * and sitemap fetches. Crawlers such as GPTBot and CCBot never run the site's
+ * JavaScript, so server logs are the only record of their visits.
+ *
+ * Reads nginx "combined" access logs (plain or .gz), Netlify log drain NDJSON and
+ * Vercel log drain JSON/NDJSON, parsed by AccessLogParser. With --verify, each bot's visits are checked by
+ * CrawlerVerifier and counted as verified, spoofed or unverifiable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const BotDetector = require('../assets/js/bot-detector');
+const AccessLogParser = require('./access-log-parser');
+const CrawlerVerifier = require('./crawler-verifier');
+
+class BotLogAnalyzer {
+    constructor(options = {}) {
+        this.outputPath = options.outputPath || 'build-reports/bot-crawl-report.json';
+        this.topPages = options.topPages || 20;
+        this.parser = new AccessLogParser({ format: options.format });
+        this.patterns = BotDetector.getUserAgentPatterns();
+        this.verifier = options.verifier || (options.verify ? new CrawlerVerifier({ rangesDir: options.rangesDir }) : null);
+
+        // Named crawlers, checked in order; anything else the patterns flag is
+        // named from its user-agent product token
+        this.knownBots = [
+            { name: 'GPTBot', pattern: /gptbot/i, operator: 'OpenAI' },
+            { name: 'OAI-SearchBot', pattern: /oai-searchbot/i, operator: 'OpenAI' },
+            { name: 'ChatGPT-User', pattern: /chatgpt-user/i, operator: 'OpenAI' },
+            { name: 'ClaudeBot', pattern: /claudebot/i, operator: 'Anthropic' },
+            { name: 'Claude-SearchBot', pattern: /claude-searchbot/i, operator: 'Anthropic' },
+            { name: 'Claude-User', pattern: /claude-user/i, operator: 'Anthropic' },
+            { name: 'anthropic-ai', pattern: /anthropic-ai/i, operator: 'Anthropic' },
+            { name: 'PerplexityBot', pattern: /perplexitybot/i, operator: 'Perplexity' },
+            { name: 'Perplexity-User', pattern: /perplexity-user/i, operator: 'Perplexity' },
+            { name: 'CCBot', pattern: /ccbot/i, operator: 'Common Crawl' },
+            { name: 'Googlebot', pattern: /googlebot/i, operator: 'Google' },
+            { name: 'Bingbot', pattern: /bingbot/i, operator: 'Microsoft' },
+            { name: 'Applebot', pattern: /applebot/i, operator: 'Apple' },
+            { name: 'DuckDuckBot', pattern: /duckduckbot/i, operator: 'DuckDuckGo' },
+            { name: 'YandexBot', pattern: /yandexbot/i, operator: 'Yandex' },
+            { name: 'Baiduspider', pattern: /baiduspider/i, operator: 'Baidu' },
+            { name: 'Bytespider', pattern: /bytespider/i, operator: 'ByteDance' },
+            { name: 'Amazonbot', pattern: /amazonbot/i, operator: 'Amazon' },
+            { name: 'Meta-ExternalAgent', pattern: /meta-externalagent/i, operator: 'Meta' },
+            { name: 'FacebookExternalHit', pattern: /facebookexternalhit/i, operator: 'Meta' },
+            { name: 'Twitterbot', pattern: /twitterbot/i, operator: 'X' },
+            { name: 'LinkedInBot', pattern: /linkedinbot/i, operator: 'LinkedIn' },
+            { name: 'Slurp', pattern: /slurp/i, operator: 'Yahoo' }
+        ];
+
+        this.assetPattern = /\.(css|js|mjs|map|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|eot|json)$/i;
+        this.sitemapPattern = /^\/[\w-]*sitemap[\w-]*\.xml(\.gz)?$/i;
+
+        this.reset();
+    }
+
+    reset() {
+        this.bots = new Map();
+        this.stats = {
+            lines: 0,
+            requests: 0,
+            botRequests: 0,
+            humanRequests: 0,
+            skipped: 0,
+            unparsed: 0,
+            from: null,
+            to: null
+        };
+    }
+
+    /**
+     * Name a request's user agent. Server logs carry none of the behaviour signals
+     * BotDetector weighs in the browser, so any bot pattern match counts, as does
+     * a missing user agent
+     */
+    classify(userAgent) {
+        if (!userAgent) {
+            return { isBot: true, name: '(no user agent)', operator: null, botType: 'unknown' };
+        }
+
+        const { botScore, botType } = BotDetector.classifyUserAgent(userAgent, this.patterns);
+        if (botScore === 0) {
+            return { isBot: false };
+        }
+
+        const known = this.knownBots.find(bot => bot.pattern.test(userAgent));
+        if (known) {
+            return { isBot: true, name: known.name, operator: known.operator, botType };
+        }
+
+        const token = userAgent.match(/([a-z0-9][\w.-]*(?:bot|crawler|spider|fetcher|scraper|checker|monitor))\b/i) ||
+            userAgent.match(/^([\w.-]+)\//);
+        return { isBot: true, name: token ? token[1] : botType, operator: null, botType };
+    }
+
+    /**
+     * Path without query string or fragment
+     */
+    getPath(url) {
+        try {
+            return new URL(url, 'http://localhost').pathname;
+        } catch (error) {
+            return url.split(/[?#]/)[0];
+        }
+    }
+
+    /**
+     * Fold one parsed request into the running totals
+     */
+    addRequest(request) {
+        this.stats.requests++;
+
+        if (request.timestamp) {
+            if (!this.stats.from || request.timestamp < this.stats.from) this.stats.from = request.timestamp;
+            if (!this.stats.to || request.timestamp > this.stats.to) this.stats.to = request.timestamp;
+        }
+
+        const visitor = this.classify(request.userAgent);
+        if (!visitor.isBot) {
+            this.stats.humanRequests++;
+            return;
+        }
+        this.stats.botRequests++;
+
+        if (!this.bots.has(visitor.name)) {
+            this.bots.set(visitor.name, {
+                name: visitor.name,
+                operator: visitor.operator,
+                botType: visitor.botType,
+                requests: 0,
+                firstSeen: null,
+                lastSeen: null,
+                userAgents: new Set(),
+                ips: new Map(),
+                days: {},
+                statusCodes: {},
+                pages: new Map(),
+                assetRequests: 0,
+                robotsTxt: { fetches: 0, lastFetched: null, statusCodes: {} },
+                sitemaps: { fetches: 0, lastFetched: null, paths: {} }
+            });
+        }
+
+        const bot = this.bots.get(visitor.name);
+        const requestPath = this.getPath(request.url);
+        const status = String(request.status);
+
+        bot.requests++;
+        bot.userAgents.add(request.userAgent);
+        bot.ips.set(request.ip || '', (bot.ips.get(request.ip || '') || 0) + 1);
+        bot.statusCodes[status] = (bot.statusCodes[status] || 0) + 1;
+
+        if (request.timestamp) {
+            if (!bot.firstSeen || request.timestamp < bot.firstSeen) bot.firstSeen = request.timestamp;
+            if (!bot.lastSeen || request.timestamp > bot.lastSeen) bot.lastSeen = request.timestamp;
+            const day = request.timestamp.slice(0, 10);
+            bot.days[day] = (bot.days[day] || 0) + 1;
+        }
+
+        if (requestPath === '/robots.txt') {
+            bot.robotsTxt.fetches++;
+            bot.robotsTxt.statusCodes[status] = (bot.robotsTxt.statusCodes[status] || 0) + 1;
+            if (!bot.robotsTxt.lastFetched || request.timestamp > bot.robotsTxt.lastFetched) bot.robotsTxt.lastFetched = request.timestamp;
+        } else if (this.sitemapPattern.test(requestPath)) {
+            bot.sitemaps.fetches++;
+            bot.sitemaps.paths[requestPath] = (bot.sitemaps.paths[requestPath] || 0) + 1;
+            if (!bot.sitemaps.lastFetched || request.timestamp > bot.sitemaps.lastFetched) bot.sitemaps.lastFetched = request.timestamp;
+        } else if (this.assetPattern.test(requestPath)) {
+            bot.assetRequests++;
+        } else {
+            const page = bot.pages.get(requestPath) || { path: requestPath, requests: 0, statusCodes: {} };
+            page.requests++;
+            page.statusCodes[status] = (page.statusCodes[status] || 0) + 1;
+            bot.pages.set(requestPath, page);
+        }
+    }
+
+    /**
+     * Feed one raw log line; JSON lines are decoded, everything else is tried as nginx
+     */
+    addLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        this.stats.lines++;
+
+        let record = trimmed;
+        if (trimmed.startsWith('{')) {
+            try {
+                record = JSON.parse(trimmed);
+            } catch (error) {
+                this.stats.unparsed++;
+                return;
+            }
+        }
+
+        this.addRecord(record);
+    }
+
+    addRecord(record) {
+        const request = this.parser.parse(record);
+
+        if (request) {
+            this.addRequest(request);
+        } else if (typeof record === 'string') {
+            this.stats.unparsed++;
+        } else {
+            // JSON entries without request details (build or function output)
+            this.stats.skipped++;
+        }
+    }
+
+    /**
+     * Stream a log file into the analysis; .gz files are decompressed, and files
+     * holding a single JSON array (exported drains) are read whole
+     */
+    async analyzeFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Log file not found: ${filePath}`);
+        }
+
+        const isGzip = filePath.endsWith('.gz');
+        if (!isGzip) {
+            const fd = fs.openSync(filePath, 'r');
+            const head = Buffer.alloc(64);
+            const bytes = fs.readSync(fd, head, 0, head.length, 0);
+            fs.closeSync(fd);
+
+            if (head.toString('utf8', 0, bytes).trimStart().startsWith('[')) {
+                const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                entries.forEach(entry => {
+                    this.stats.lines++;
+                    this.addRecord(entry);
+                });
+                return;
+            }
+        }
+
+        let input = fs.createReadStream(filePath);
+        if (isGzip) input = input.pipe(zlib.createGunzip());
+
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        for await (const line of lines) {
+            this.addLine(line);
+        }
+    }
+
+    async analyzeFiles(filePaths) {
+        const { format, formats } = this.parser;
+        if (!formats.includes(format)) {
+            throw new Error(`Unknown log format "${format}" (expected ${formats.join(', ')})`);
+        }
+
+        this.reset();
+        for (const filePath of filePaths) {
+            await this.analyzeFile(filePath);
+        }
+
+        if (this.verifier) {
+            for (const bot of this.bots.values()) {
+                bot.verification = await this.verifier.summarize(bot.name, bot.ips);
+            }
+        }
+
+        return this.getReport();
+    }
+
+    /**
+     * Per-bot reports, busiest crawler first
+     */
+    getReport() {
+        const bots = Array.from(this.bots.values()).map(bot => {
+            const activeDays = Object.keys(bot.days).length;
+            const peakDay = Object.entries(bot.days).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+            const pages = Array.from(bot.pages.values()).sort((a, b) => b.requests - a.requests || a.path.localeCompare(b.path));
+
+            return {
+                name: bot.name,
+                operator: bot.operator,
+                botType: bot.botType,
+                requests: bot.requests,
+                firstSeen: bot.firstSeen,
+                lastSeen: bot.lastSeen,
+                frequency: {
+                    activeDays,
+                    requestsPerActiveDay: activeDays > 0 ? Math.round((bot.requests / activeDays) * 10) / 10 : bot.requests,
+                    peakDay: peakDay ? { date: peakDay[0], requests: peakDay[1] } : null,
+                    byDay: bot.days
+                },
+                statusCodes: bot.statusCodes,
+                uniquePages: pages.length,
+                pages: pages.slice(0, this.topPages),
+                assetRequests: bot.assetRequests,
+                robotsTxt: bot.robotsTxt,
+                sitemaps: bot.sitemaps,
+                uniqueIps: Array.from(bot.ips.keys()).filter(Boolean).length,
+                verification: bot.verification || null,
+                userAgents: Array.from(bot.userAgents).slice(0, 5)
+            };
+        }).sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            summary: {
+                ...this.stats,
+                bots: bots.length,
+                verification: this.verifier ? ['verified', 'spoofed', 'unverifiable'].reduce((totals, status) => {
+                    totals[status] = bots.reduce((sum, bot) => sum + bot.verification[status], 0);
+                    return totals;
+                }, {}) : null
+            },
+            bots
+        };
+    }
+
+    /**
+     * Markdown version of the report, one section per bot
+     */
+    renderMarkdown(report) {
+        const { summary } = report;
+        const lines = [
+            '# Bot Crawl Report',
+            '',
+            `Period: ${summary.from || 'n/a'} to ${summary.to || 'n/a'}`,
+            `Requests: ${summary.requests} (${summary.botRequests} from ${summary.bots} bots, ${summary.humanRequests} from browsers); ` +
+                `${summary.unparsed} unparsed lines`
+        ];
+        if (summary.verification) {
+            lines.push(`Verification: ${summary.verification.verified} verified, ${summary.verification.spoofed} spoofed, ` +
+                `${summary.verification.unverifiable} unverifiable bot requests`);
+        }
+
+        report.bots.forEach(bot => {
+            const codes = Object.entries(bot.statusCodes).map(([code, count]) => `${code}: ${count}`).join(', ');
+            const sitemaps = Object.entries(bot.sitemaps.paths).map(([sitemap, count]) => `${sitemap} × ${count}`).join(', ');
+
+            lines.push('', `## ${bot.name}${bot.operator ? ` (${bot.operator})` : ''}`, '');
+            lines.push(`- Requests: ${bot.requests} from ${bot.uniqueIps} IPs, ${bot.firstSeen || 'n/a'} to ${bot.lastSeen || 'n/a'}`);
+            lines.push(`- Frequency: ${bot.frequency.requestsPerActiveDay} requests per active day over ${bot.frequency.activeDays} days` +
+                (bot.frequency.peakDay ? `, peak ${bot.frequency.peakDay.requests} on ${bot.frequency.peakDay.date}` : ''));
+            lines.push(`- Status codes: ${codes}`);
+            lines.push(`- robots.txt fetches: ${bot.robotsTxt.fetches}${bot.robotsTxt.lastFetched ? ` (last ${bot.robotsTxt.lastFetched})` : ''}`);
+            lines.push(`- Sitemap fetches: ${bot.sitemaps.fetches}${sitemaps ? `: ${sitemaps}` : ''}`);
+            lines.push(`- Pages: ${bot.uniquePages} distinct, plus ${bot.assetRequests} asset requests`);
+            if (bot.verification) {
+                const { verified, spoofed, unverifiable, method } = bot.verification;
+                lines.push(`- Verification (${method || 'none available'}): ${verified} verified, ${spoofed} spoofed, ${unverifiable} unverifiable`);
+                const spoofedIps = bot.verification.ips.filter(entry => entry.status === 'spoofed').map(entry => `${entry.ip} (${entry.reason})`);
+                if (spoofedIps.length > 0) lines.push(`- Spoofed from: ${spoofedIps.slice(0, 10).join(', ')}`);
+            }
+
+            if (bot.pages.length > 0) {
+                lines.push('', '| Page | Requests | Status codes |', '| --- | --- | --- |');
+                bot.pages.forEach(page => {
+                    const pageCodes = Object.entries(page.statusCodes).map(([code, count]) => `${code} × ${count}`).join(', ');
+                    lines.push(`| ${page.path.replace(/\|/g, '\\|')} | ${page.requests} | ${pageCodes} |`);
+                });
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write the JSON report and its Markdown companion
+     */
+    saveReport(report) {
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(report, null, 2));
+
+        const markdownPath = this.outputPath.replace(/\.json$/, '') + '.md';
+        fs.writeFileSync(markdownPath, this.renderMarkdown(report));
+
+        return { jsonPath: this.outputPath, markdownPath };
+    }
+
+    printSummary(report) {
+        const { summary } = report;
+        console.log(`\n📊 ${summary.requests} requests: ${summary.botRequests} from bots, ${summary.humanRequests} from browsers`);
+        if (summary.unparsed > 0) {
+            console.log(`⚠️  ${summary.unparsed} lines could not be parsed`);
+        }
+
+        report.bots.slice(0, 15).forEach(bot => {
+            console.log(`   ${bot.name.padEnd(22)} ${String(bot.requests).padStart(6)} requests, ${String(bot.uniquePages).padStart(4)} pages, ` +
+                `robots.txt ×${bot.robotsTxt.fetches}, sitemaps ×${bot.sitemaps.fetches}` +
+                (bot.verification ? `, ✅ ${bot.verification.verified} 🚫 ${bot.verification.spoofed} ❔ ${bot.verification.unverifiable}` : ''));
+        });
+    }
+}
+
+// Run the analyzer if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    const files = args.filter(value => !value.startsWith('--'));
+
+    if (files.length === 0) {
+        console.log('Usage: node scripts/bot-log-analyzer.js <log-file...> [--format=auto|nginx|netlify|vercel] [--output=build-reports/bot-crawl-report.json] [--top=20] [--verify] [--ranges=crawler-ip-ranges]');
+        process.exit(1);
+    }
+
+    const analyzer = new BotLogAnalyzer({
+        format: option('format'),
+        outputPath: option('output'),
+        topPages: Number(option('top')) || undefined,
+        verify: args.includes('--verify'),
+        rangesDir: option('ranges')
+    });
+
+    console.log(`🤖 Analyzing ${files.length} log file${files.length !== 1 ? 's' : ''}...`);
+    analyzer.analyzeFiles(files)
+        .then(report => {
+            analyzer.printSummary(report);
+            const { jsonPath, markdownPath } = analyzer.saveReport(report);
+            console.log(`\n✅ Report saved to ${jsonPath} and ${markdownPath}`);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = BotLogAnalyzer;
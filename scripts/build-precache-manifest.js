@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Precache Manifest Builder
+ * Generates the service worker's precache list from the files on disk instead of a
+ * hand-maintained array:
+ * - Files matching `serviceWorker.precache` in build.config.js (minus `exclude`) are
+ *   listed with a content hash as their revision
+ * - The manifest, a CACHE_VERSION derived from it, and the runtime caching `routes`
+ *   and `offlinePage` are injected into sw.js between the service worker config
+ *   markers; the rest of sw.js is left as written
+ * - sw.js caches each entry under its revision, so an update only refetches the
+ *   entries whose hash changed
+ * - build-reports/precache-manifest.json lists the added, changed and removed entries
+ * - --check reports the changes without writing sw.js, and exits non-zero when it is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_START = '// Service worker config: generated by scripts/build-precache-manifest.js from build.config.js, don\'t edit by hand';
+const MANIFEST_END = '// End of service worker config';
+
+// Caching strategies sw.js implements
+const STRATEGIES = ['network-first', 'stale-while-revalidate', 'cache-first'];
+
+class PrecacheManifestBuilder {
+    constructor(options = {}) {
+        const config = options.config || PrecacheManifestBuilder.loadConfig();
+
+        this.rootDir = options.rootDir || '.';
+        this.swPath = options.swPath || path.join(this.rootDir, config.path || 'sw.js');
+        this.patterns = config.precache || [];
+        this.exclude = config.exclude || [];
+        this.routes = config.routes || [];
+        this.offlinePage = config.offlinePage || null;
+        this.reportPath = options.reportPath || 'build-reports/precache-manifest.json';
+    }
+
+    /**
+     * The `serviceWorker` section of build.config.js
+     */
+    static loadConfig() {
+        try {
+            return require('../build.config.js').serviceWorker || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    matches(pattern, file) {
+        const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+        return new RegExp(`^${expression}$`).test(file);
+    }
+
+    /**
+     * Files matching the precache patterns, sorted, without the excluded ones
+     */
+    getFiles() {
+        const files = new Set();
+
+        this.patterns.forEach(pattern => {
+            const directory = path.posix.dirname(pattern);
+            const dirPath = path.join(this.rootDir, directory);
+            if (!fs.existsSync(dirPath)) return;
+
+            fs.readdirSync(dirPath)
+                .map(file => (directory === '.' ? file : `${directory}/${file}`))
+                .filter(file => this.matches(pattern, file) && fs.statSync(path.join(this.rootDir, file)).isFile())
+                .forEach(file => files.add(file));
+        });
+
+        return [...files]
+            .filter(file => !this.exclude.some(pattern => this.matches(pattern, file)))
+            .sort();
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Manifest entries ({ url, revision }) and the cache version they add up to
+     */
+    build() {
+        const manifest = this.getFiles().map(file => ({
+            url: `/${file}`,
+            revision: this.hash(fs.readFileSync(path.join(this.rootDir, file)))
+        }));
+        const version = this.hash(manifest.map(entry => `${entry.url} ${entry.revision}`).join('\n')).slice(0, 8);
+
+        return { manifest, version };
+    }
+
+    /**
+     * Problems with the routes and offline page; sw.js can't be built with any
+     */
+    validateConfig(manifest) {
+        const problems = [];
+
+        this.routes.forEach((route, index) => {
+            const label = `Route ${index + 1} (${route.pattern})`;
+            try {
+                new RegExp(route.pattern);
+            } catch (error) {
+                problems.push(`${label}: invalid pattern: ${error.message}`);
+            }
+            if (!STRATEGIES.includes(route.strategy)) {
+                problems.push(`${label}: unknown strategy "${route.strategy}" (use ${STRATEGIES.join(', ')})`);
+            }
+            if (!route.cache) {
+                problems.push(`${label}: needs a cache name`);
+            }
+        });
+
+        if (this.offlinePage && !manifest.some(entry => entry.url === this.offlinePage)) {
+            problems.push(`Offline page ${this.offlinePage} is not in the precache manifest`);
+        }
+
+        return problems;
+    }
+
+    literal(value) {
+        return typeof value === 'string' ? `'${value.replace(/[\\']/g, '\\$&')}'` : JSON.stringify(value);
+    }
+
+    /**
+     * The manifest currently injected into a service worker's source
+     */
+    readManifest(source) {
+        const block = this.findBlock(source);
+        if (!block) return [];
+
+        return [...source.slice(block.start, block.end).matchAll(/\{ url: '([^']+)', revision: '([^']+)' \}/g)]
+            .map(([, url, revision]) => ({ url, revision }));
+    }
+
+    findBlock(source) {
+        const start = source.indexOf(MANIFEST_START);
+        const end = source.indexOf(MANIFEST_END, start);
+        return start === -1 || end === -1 ? null : { start, end: end + MANIFEST_END.length };
+    }
+
+    /**
+     * sw.js with the generated config block replaced
+     */
+    inject(source, manifest, version) {
+        const block = this.findBlock(source);
+        if (!block) {
+            throw new Error(`${this.swPath} has no service worker config block; add the "${MANIFEST_START}" and "${MANIFEST_END}" lines`);
+        }
+
+        const routes = this.routes.map(route => `    { ${Object.entries(route).map(([key, value]) => `${key}: ${this.literal(value)}`).join(', ')} }`).join(',\n');
+        const entries = manifest.map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`).join(',\n');
+        const generated = [
+            MANIFEST_START,
+            `const CACHE_VERSION = '${version}';`,
+            `const OFFLINE_PAGE = ${this.offlinePage ? this.literal(this.offlinePage) : 'null'};`,
+            `const ROUTES = [\n${routes}\n];`,
+            `const PRECACHE_MANIFEST = [\n${entries}\n];`,
+            MANIFEST_END
+        ].join('\n');
+
+        return source.slice(0, block.start) + generated + source.slice(block.end);
+    }
+
+    /**
+     * Entries added, changed (new revision) and removed since the previous manifest
+     */
+    compare(previous, manifest) {
+        const before = new Map(previous.map(entry => [entry.url, entry.revision]));
+        const after = new Map(manifest.map(entry => [entry.url, entry.revision]));
+
+        return {
+            added: manifest.filter(entry => !before.has(entry.url)).map(entry => entry.url),
+            changed: manifest.filter(entry => before.has(entry.url) && before.get(entry.url) !== entry.revision).map(entry => entry.url),
+            removed: previous.filter(entry => !after.has(entry.url)).map(entry => entry.url),
+            unchanged: manifest.filter(entry => before.get(entry.url) === entry.revision).length
+        };
+    }
+
+    /**
+     * Rebuild the manifest and inject it into sw.js unless this is a check
+     */
+    run({ write = true } = {}) {
+        const source = fs.readFileSync(this.swPath, 'utf8');
+        const { manifest, version } = this.build();
+        const problems = this.validateConfig(manifest);
+        if (problems.length > 0) {
+            throw new Error(`Invalid serviceWorker config in build.config.js:\n   ${problems.join('\n   ')}`);
+        }
+
+        const changes = this.compare(this.readManifest(source), manifest);
+        const updated = this.inject(source, manifest, version);
+
+        if (write && updated !== source) {
+            fs.writeFileSync(this.swPath, updated);
+        }
+
+        const result = { version, manifest, changes, stale: updated !== source };
+        this.saveReport(result);
+        return result;
+    }
+
+    saveReport(result) {
+        fs.mkdirSync(path.dirname(this.reportPath), { recursive: true });
+        fs.writeFileSync(this.reportPath, JSON.stringify({
+            timestamp: new Date().toISOString(),
+            version: result.version,
+            summary: {
+                entries: result.manifest.length,
+                added: result.changes.added.length,
+                changed: result.changes.changed.length,
+                removed: result.changes.removed.length,
+                unchanged: result.changes.unchanged
+            },
+            changes: result.changes,
+            manifest: result.manifest
+        }, null, 2));
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+
+    try {
+        const builder = new PrecacheManifestBuilder();
+        const { version, manifest, changes, stale } = builder.run({ write: !check });
+
+        console.log(`📦 Precache manifest: ${manifest.length} entries, cache version ${version}`);
+        ['added', 'changed', 'removed'].forEach(kind => {
+            changes[kind].forEach(url => console.log(`   ${kind === 'added' ? '+' : kind === 'removed' ? '-' : '~'} ${url}`));
+        });
+        if (!stale) {
+            console.log('✅ sw.js is up to date');
+        } else if (check) {
+            console.log(`🔍 sw.js is out of date (check only, nothing written); ${changes.unchanged} entries unchanged`);
+            process.exit(1);
+        } else {
+            console.log(`✅ Updated ${builder.swPath}; ${changes.unchanged} entries keep their cached copies`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = PrecacheManifestBuilder;
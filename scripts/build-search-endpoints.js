@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Search Endpoint Builder
+ * Pre-renders site search for clients that don't run JavaScript: an OpenSearch
+ * description, search/<term>.json results for the top keywords, and llms.txt /
+ * llms-full.txt page listings. Reads search-index.json, so run build-search-index.js first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndexBackend = require('../assets/js/search-index-backend');
+const DynamicRobotsSitemapGenerator = require('./generate-robots-sitemap');
+const { SEARCH_INDEX_VERSION } = require('./build-search-index');
+
+class SearchEndpointBuilder {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || process.cwd();
+        this.indexFile = options.indexFile || 'search-index.json';
+        this.searchDir = options.searchDir || 'search';
+        this.maxTerms = options.maxTerms || 30;
+        this.maxResults = options.maxResults || 10;
+
+        // Site URL and name come from sitemap-config.json (SITE_URL overrides)
+        const sitemapGenerator = new DynamicRobotsSitemapGenerator();
+        this.baseUrl = (options.baseUrl || sitemapGenerator.baseUrl).replace(/\/$/, '');
+        this.siteName = sitemapGenerator.siteName;
+        this.shortName = options.shortName || 'LLM Tools Hub';
+
+        // llms.txt section per page type, in listing order
+        this.sections = [
+            { type: 'homepage', title: 'Site' },
+            { type: 'document', title: 'Documentation' },
+            { type: 'comparison', title: 'Comparisons' }
+        ];
+    }
+
+    /**
+     * Load search-index.json into the same backend the browser search uses
+     */
+    loadIndex() {
+        const indexPath = path.join(this.rootDir, this.indexFile);
+        if (!fs.existsSync(indexPath)) {
+            throw new Error(`${this.indexFile} not found; run npm run build:search-index first`);
+        }
+
+        const indexData = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+        const backend = new SearchIndexBackend();
+        backend.addIndexData(indexData, SEARCH_INDEX_VERSION);
+
+        return { indexData, backend };
+    }
+
+    /**
+     * Most widely used page keywords, by the number of pages listing them; spellings
+     * that share a file name ("local LLM", "Local-LLM") count as one term
+     */
+    getTopTerms(documents) {
+        const terms = new Map();
+
+        documents.forEach(doc => {
+            const slugs = new Map();
+            (doc.keywords || []).forEach(keyword => {
+                const slug = this.slugify(keyword);
+                if (slug && !slugs.has(slug)) slugs.set(slug, keyword.trim());
+            });
+
+            slugs.forEach((term, slug) => {
+                const entry = terms.get(slug) || { term, slug, pages: 0 };
+                entry.pages++;
+                terms.set(slug, entry);
+            });
+        });
+
+        return Array.from(terms.values())
+            .sort((a, b) => b.pages - a.pages || a.term.localeCompare(b.term))
+            .slice(0, this.maxTerms);
+    }
+
+    /**
+     * File-name-safe form of a search term ("LM Studio" -> "lm-studio")
+     */
+    slugify(term) {
+        return term.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    absoluteUrl(url) {
+        return `${this.baseUrl}${url}`;
+    }
+
+    /**
+     * Result payload for one pre-rendered term
+     */
+    buildTermResults(backend, entry, checksum) {
+        const { results } = backend.search(entry.term, { limit: this.maxResults });
+
+        return {
+            query: entry.term,
+            url: this.absoluteUrl(`/${this.searchDir}/${entry.slug}.json`),
+            htmlUrl: this.absoluteUrl(`/?q=${encodeURIComponent(entry.term)}`),
+            indexChecksum: checksum,
+            total: results.length,
+            results: results.map(result => ({
+                url: this.absoluteUrl(result.url),
+                title: result.title,
+                type: result.type,
+                description: result.description,
+                snippet: result.snippet,
+                lastModified: result.lastModified,
+                score: Math.round(result.relevanceScore * 1000) / 1000
+            }))
+        };
+    }
+
+    /**
+     * OpenSearch 1.1 description; the HTML template is the ?q= URL the search widget reads
+     */
+    generateOpenSearchDescription(exampleTerm) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>${this.escapeXml(this.shortName)}</ShortName>
+  <Description>Search documentation, tool comparisons and guides on ${this.escapeXml(this.siteName)}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Url type="text/html" method="get" template="${this.baseUrl}/?q={searchTerms}"/>
+  <Url type="application/opensearchdescription+xml" rel="self" template="${this.baseUrl}/opensearch.xml"/>
+  <Query role="example" searchTerms="${this.escapeXml(exampleTerm || 'local LLM')}"/>
+</OpenSearchDescription>
+`;
+    }
+
+    /**
+     * Group documents into the llms.txt sections
+     */
+    groupDocuments(documents) {
+        const known = this.sections.map(section => section.type);
+        const groups = this.sections.map(section => ({
+            ...section,
+            documents: documents.filter(doc => doc.type === section.type)
+        }));
+
+        const others = documents.filter(doc => !known.includes(doc.type));
+        if (others.length > 0) {
+            groups.push({ type: 'page', title: 'Other Pages', documents: others });
+        }
+
+        return groups.filter(group => group.documents.length > 0);
+    }
+
+    /**
+     * llms.txt: site summary and one linked line per page (https://llmstxt.org)
+     */
+    generateLlmsTxt(documents, summary) {
+        const lines = [
+            `# ${this.siteName}`,
+            '',
+            `> ${summary}`,
+            '',
+            `Pre-rendered search results for common topics are listed in [search/index.json](${this.absoluteUrl(`/${this.searchDir}/index.json`)}). ` +
+                `The full text of every page is in [llms-full.txt](${this.absoluteUrl('/llms-full.txt')}).`
+        ];
+
+        this.groupDocuments(documents).forEach(group => {
+            lines.push('', `## ${group.title}`, '');
+            group.documents.forEach(doc => {
+                lines.push(`- [${doc.title}](${this.absoluteUrl(doc.url)})${doc.description ? `: ${doc.description}` : ''}`);
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * llms-full.txt: llms.txt header followed by every page's extracted text
+     */
+    generateLlmsFullTxt(documents, summary) {
+        const lines = [`# ${this.siteName}`, '', `> ${summary}`];
+
+        this.groupDocuments(documents).forEach(group => {
+            group.documents.forEach(doc => {
+                lines.push('', `## ${doc.title}`, '');
+                lines.push(`URL: ${this.absoluteUrl(doc.url)}`);
+                if (doc.lastModified) lines.push(`Last updated: ${doc.lastModified}`);
+                if (doc.description) lines.push(`Description: ${doc.description}`);
+                if (doc.keywords && doc.keywords.length > 0) lines.push(`Keywords: ${doc.keywords.join(', ')}`);
+                lines.push('', doc.content || '');
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    writeFile(relativePath, content) {
+        const outputPath = path.join(this.rootDir, relativePath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, content, 'utf8');
+    }
+
+    /**
+     * Build and write every endpoint
+     */
+    write() {
+        console.log('🤖 Building machine-readable search endpoints...');
+
+        const { indexData, backend } = this.loadIndex();
+        const documents = indexData.documents;
+        const home = documents.find(doc => doc.type === 'homepage');
+        const summary = (home && home.description) || `Guides and comparisons from ${this.siteName}`;
+        const terms = this.getTopTerms(documents);
+
+        // Drop result files for terms that are no longer in the top list
+        const searchDir = path.join(this.rootDir, this.searchDir);
+        if (fs.existsSync(searchDir)) {
+            fs.readdirSync(searchDir)
+                .filter(file => file.endsWith('.json'))
+                .forEach(file => fs.unlinkSync(path.join(searchDir, file)));
+        }
+
+        const termIndex = terms.map(entry => {
+            const payload = this.buildTermResults(backend, entry, indexData.checksum);
+            this.writeFile(path.join(this.searchDir, `${entry.slug}.json`), JSON.stringify(payload, null, 2));
+            return { term: entry.term, results: payload.total, url: payload.url };
+        });
+
+        this.writeFile(path.join(this.searchDir, 'index.json'), JSON.stringify({
+            indexChecksum: indexData.checksum,
+            htmlTemplate: `${this.baseUrl}/?q={searchTerms}`,
+            terms: termIndex
+        }, null, 2));
+        this.writeFile('opensearch.xml', this.generateOpenSearchDescription(terms[0] && terms[0].term));
+        this.writeFile('llms.txt', this.generateLlmsTxt(documents, summary));
+        this.writeFile('llms-full.txt', this.generateLlmsFullTxt(documents, summary));
+
+        console.log(`✓ Wrote opensearch.xml, llms.txt, llms-full.txt and ${termIndex.length} result files in ${this.searchDir}/`);
+        return { terms: termIndex };
+    }
+}
+
+// Run the builder if called directly
+if (require.main === module) {
+    try {
+        new SearchEndpointBuilder().write();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SearchEndpointBuilder;
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Builder
+ * Crawls the site's HTML pages and emits search-index.json for SearchEngine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const DynamicRobotsSitemapGenerator = require('./generate-robots-sitemap');
+
+// Bump when the shape of a document entry changes so stale clients can detect it
+const SEARCH_INDEX_VERSION = 1;
+
+class SearchIndexBuilder {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || process.cwd();
+        this.outputFile = options.outputFile || 'search-index.json';
+        this.maxContentLength = options.maxContentLength || 20000;
+        // The daily snippet slots are refilled every morning, so their tips would be stale in results
+        this.excludedSelectors = [
+            'script', 'style', 'noscript', 'template', 'nav', 'footer', '.skip-link',
+            '[data-snippet-slot]', '.daily-update-banner', '.research-insight'
+        ];
+        // Authoring templates are published alongside real pages but only hold placeholder copy
+        this.excludedUrls = options.excludedUrls || ['/documents/document-template.html'];
+    }
+
+    /**
+     * Collect pages from the same directories the sitemap generator scans
+     */
+    getPages() {
+        const sitemapGenerator = new DynamicRobotsSitemapGenerator();
+        return sitemapGenerator.pages
+            .filter(page => !this.excludedUrls.includes(page.url))
+            .map(page => ({
+                url: page.url,
+                type: page.type,
+                lastmod: page.lastmod,
+                file: this.urlToFile(page.url)
+            }));
+    }
+
+    /**
+     * Map a site URL to its HTML file on disk
+     */
+    urlToFile(url) {
+        const relativePath = url === '/' ? 'index.html' : url.replace(/^\//, '');
+        return path.join(this.rootDir, relativePath);
+    }
+
+    /**
+     * Extract searchable fields from a single HTML page
+     */
+    extractDocument(page) {
+        const html = fs.readFileSync(page.file, 'utf8');
+        const dom = new JSDOM(html);
+        const document = dom.window.document;
+
+        const getMeta = (name) => {
+            const meta = document.querySelector(`meta[name="${name}"]`);
+            return meta ? meta.getAttribute('content').trim() : '';
+        };
+
+        const keywords = getMeta('keywords')
+            .split(',')
+            .map(keyword => keyword.trim())
+            .filter(Boolean);
+
+        const headings = Array.from(document.querySelectorAll('h1, h2, h3'))
+            .map(heading => this.normalizeText(heading.textContent))
+            .filter(Boolean);
+
+        // Strip chrome and non-content nodes before reading body text
+        const contentRoot = document.querySelector('main') || document.body;
+        this.excludedSelectors.forEach(selector => {
+            contentRoot.querySelectorAll(selector).forEach(node => node.remove());
+        });
+
+        const content = this.normalizeText(contentRoot.textContent).slice(0, this.maxContentLength);
+
+        return {
+            url: page.url,
+            title: this.normalizeText(document.title),
+            type: page.type,
+            lastModified: page.lastmod,
+            description: getMeta('description'),
+            keywords,
+            headings,
+            content
+        };
+    }
+
+    /**
+     * Collapse whitespace in extracted text
+     */
+    normalizeText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Build the full index payload
+     */
+    build() {
+        const documents = [];
+
+        this.getPages().forEach(page => {
+            if (!fs.existsSync(page.file)) {
+                console.warn(`⚠️  Skipping ${page.url}: ${page.file} not found`);
+                return;
+            }
+
+            documents.push(this.extractDocument(page));
+        });
+
+        // Hash only the documents so regenerating unchanged content keeps the same checksum.
+        // There is no build timestamp either: sw.js precaches the file by its hash
+        const checksum = crypto
+            .createHash('sha256')
+            .update(JSON.stringify(documents))
+            .digest('hex')
+            .slice(0, 16);
+
+        return {
+            version: SEARCH_INDEX_VERSION,
+            checksum,
+            documents
+        };
+    }
+
+    /**
+     * Build and write search-index.json
+     */
+    write() {
+        console.log('🔎 Building search index...');
+
+        const index = this.build();
+        const outputPath = path.join(this.rootDir, this.outputFile);
+        fs.writeFileSync(outputPath, JSON.stringify(index, null, 2), 'utf8');
+
+        console.log(`✓ Indexed ${index.documents.length} pages into ${this.outputFile} (v${index.version}, ${index.checksum})`);
+        return index;
+    }
+}
+
+// Run the builder if called directly
+if (require.main === module) {
+    const builder = new SearchIndexBuilder();
+    builder.write();
+}
+
+module.exports = SearchIndexBuilder;
+module.exports.SEARCH_INDEX_VERSION = SEARCH_INDEX_VERSION;
@@ -9,26 +9,45 @@ class BuildSystem {
         this.maxLines = 500;
         this.violations = [];
         this.buildConfig = {
-            cssFiles: ['assets/css/styles.css', 'assets/css/search-styles.css'],
+            cssFiles: ['assets/css/styles.css', 'assets/css/search-styles.css', 'assets/css/search-refinements.css'],
             jsFiles: [
                 'assets/js/main.js',
                 'assets/js/seo-meta-generator.js',
                 'assets/js/structured-data-generator.js',
+                'assets/js/tool-schema-generator.js',
                 'assets/js/canonical-url-manager.js',
                 'assets/js/robots-sitemap-generator.js',
                 'assets/js/performance-optimizer.js',
                 'assets/js/lazy-loading.js',
                 'assets/js/image-optimizer.js',
                 'assets/js/bot-detector.js',
+                'assets/js/seo-health-checks.js',
+                'assets/js/analytics-rollups.js',
+                'assets/js/web-vitals-attribution.js',
                 'assets/js/analytics-monitor.js',
+                'assets/js/analytics-collector.js',
+                'assets/js/trend-charts.js',
+                'assets/js/analytics-dashboard.js',
+                'assets/js/porter-stemmer.js',
+                'assets/js/query-expander.js',
+                'assets/js/inverted-index.js',
+                'assets/js/search-index-backend.js',
+                'assets/js/search-facets.js',
+                'assets/js/search-highlighter.js',
+                'assets/js/search-worker-client.js',
+                'assets/js/search-worker.js',
                 'assets/js/search-engine.js',
+                'assets/js/search-insights.js',
+                'assets/js/search-autocomplete.js',
                 'assets/js/search-integration.js',
                 'assets/js/accessibility-enhancer.js',
                 'assets/js/document-template.js',
-                'assets/js/service-worker-registration.js'
+                'assets/js/service-worker-registration.js',
+                'assets/js/offline-page.js'
             ],
             htmlFiles: [
                 'index.html',
+                'offline.html',
                 'documents/*.html',
                 'comparisons/*.html',
                 'test-*.html'
@@ -220,7 +239,16 @@ class BuildSystem {
         this.minifyCSS();
         this.minifyJS();
         
-        // Step 4: Generate sitemaps
+        // Step 4: Bake runtime SEO head tags into the HTML for crawlers that don't run JavaScript
+        console.log('🧱 Pre-rendering SEO head tags...');
+        try {
+            execSync('node scripts/prerender-seo.js', { stdio: 'inherit' });
+            console.log('   ✅ Meta, canonical and JSON-LD tags pre-rendered');
+        } catch (error) {
+            console.error('   ❌ Failed to pre-render SEO head tags:', error.message);
+        }
+        
+        // Step 5: Generate sitemaps
         console.log('🗺️  Generating sitemaps...');
         try {
             execSync('node scripts/generate-robots-sitemap.js', { stdio: 'inherit' });
@@ -229,7 +257,34 @@ class BuildSystem {
             console.error('   ❌ Failed to generate sitemaps:', error.message);
         }
         
-        // Step 5: Validate build output
+        // Step 6: Build search index from page content
+        console.log('🔎 Building search index...');
+        try {
+            execSync('node scripts/build-search-index.js', { stdio: 'inherit' });
+            console.log('   ✅ Search index generated');
+        } catch (error) {
+            console.error('   ❌ Failed to build search index:', error.message);
+        }
+
+        // Step 7: Pre-render search endpoints for crawlers that don't run JavaScript
+        console.log('🤖 Building search endpoints...');
+        try {
+            execSync('node scripts/build-search-endpoints.js', { stdio: 'inherit' });
+            console.log('   ✅ OpenSearch description, search/*.json and llms.txt generated');
+        } catch (error) {
+            console.error('   ❌ Failed to build search endpoints:', error.message);
+        }
+        
+        // Step 8: Hash the final pages and assets into the service worker's precache manifest
+        console.log('📦 Generating service worker precache manifest...');
+        try {
+            execSync('node scripts/build-precache-manifest.js', { stdio: 'inherit' });
+            console.log('   ✅ Precache manifest injected into sw.js');
+        } catch (error) {
+            console.error('   ❌ Failed to generate precache manifest:', error.message);
+        }
+        
+        // Step 9: Validate build output
         this.validateBuild();
         
         const endTime = Date.now();
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * Content Fingerprints
+ * Keeps a hash of each page's main content so sitemap lastmod and structured data
+ * dateModified/lastReviewed only move when the content does, not on every daily run.
+ * - The fingerprint covers the main content with whitespace normalized, leaving out
+ *   navigation, scripts and the rotating daily snippets
+ * - Each h2 section is hashed too, so the report can say which sections changed
+ * - A page fingerprinted for the first time keeps the dateModified (or datePublished)
+ *   it already declares, or else the lastmod sitemap.xml already lists for it
+ * - The store, content-fingerprints.json, is committed so dates survive between runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+
+class ContentFingerprints {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || '.';
+        this.storePath = options.storePath || path.join(this.rootDir, 'content-fingerprints.json');
+        this.reportPath = options.reportPath || 'build-reports/content-fingerprints.json';
+        this.now = options.now || new Date();
+        this.directories = options.directories || ['documents', 'comparisons'];
+        // Parts of a page that change without the page changing; the daily snippet
+        // slots are refilled by ContentSnippets every morning
+        this.excludedSelectors = options.excludedSelectors || [
+            'script', 'style', 'noscript', 'template', 'nav', 'footer', 'aside',
+            '[aria-hidden="true"]', '[data-snippet-slot]', '.daily-update-banner', '.research-insight'
+        ];
+    }
+
+    /**
+     * The lastModified dates recorded in a store, by page path; empty when there is no store
+     */
+    static read(storePath) {
+        try {
+            const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+            return Object.fromEntries(Object.entries(store.pages || {}).map(([file, page]) => [file, page.lastModified]));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * The pages the sitemaps list: the homepage, documents and comparisons
+     */
+    getPages() {
+        const pages = fs.existsSync(path.join(this.rootDir, 'index.html')) ? ['index.html'] : [];
+
+        this.directories.forEach(directory => {
+            const dirPath = path.join(this.rootDir, directory);
+            if (!fs.existsSync(dirPath)) return;
+
+            fs.readdirSync(dirPath)
+                .filter(file => file.endsWith('.html'))
+                .sort()
+                .forEach(file => pages.push(`${directory}/${file}`));
+        });
+
+        return pages;
+    }
+
+    hash(text) {
+        return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Hash of the normalized main content, with per-section hashes keyed by h2 text
+     * ('' for the content before the first h2) and a word count for the report
+     */
+    fingerprint(html) {
+        const document = new JSDOM(html).window.document;
+        const root = document.querySelector('main') || document.querySelector('article') || document.body;
+        const excluded = this.excludedSelectors.join(', ');
+        const walker = document.createTreeWalker(root, document.defaultView.NodeFilter.SHOW_ELEMENT | document.defaultView.NodeFilter.SHOW_TEXT);
+        const sections = [{ heading: '', parts: [] }];
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const element = node.nodeType === node.TEXT_NODE ? node.parentElement : node;
+            if (element.closest(excluded)) continue;
+
+            if (node.nodeName === 'H2') {
+                sections.push({ heading: node.textContent.replace(/\s+/g, ' ').trim(), parts: [] });
+            } else if (node.nodeType === node.TEXT_NODE) {
+                sections[sections.length - 1].parts.push(node.textContent);
+            }
+        }
+
+        const texts = sections.map(section => ({
+            heading: section.heading,
+            text: section.parts.join(' ').normalize('NFC').replace(/\s+/g, ' ').trim()
+        })).filter(section => section.heading || section.text);
+
+        const content = texts.map(section => section.text).join('\n');
+        return {
+            hash: this.hash(content),
+            words: content.split(/\s+/).filter(Boolean).length,
+            sections: Object.fromEntries(texts.map(section => [section.heading, this.hash(section.text)]))
+        };
+    }
+
+    /**
+     * The date a page already declares in its structured data, else its current sitemap lastmod
+     */
+    getDeclaredDate(html, file) {
+        const match = html.match(/"dateModified":\s*"([^"]+)"/) || html.match(/"datePublished":\s*"([^"]+)"/);
+        if (match) return match[1];
+
+        if (!this.sitemapDates) {
+            const sitemapPath = path.join(this.rootDir, 'sitemap.xml');
+            const sitemap = fs.existsSync(sitemapPath) ? fs.readFileSync(sitemapPath, 'utf8') : '';
+            this.sitemapDates = {};
+            for (const [, loc, lastmod] of sitemap.matchAll(/<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/g)) {
+                this.sitemapDates[new URL(loc).pathname] = lastmod;
+            }
+        }
+
+        const lastmod = this.sitemapDates[file === 'index.html' ? '/' : `/${file}`];
+        return lastmod ? new Date(lastmod).toISOString() : null;
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        } catch (error) {
+            return { pages: {} };
+        }
+    }
+
+    /**
+     * Why a page's fingerprint changed, in terms of its sections and length
+     */
+    describeChange(previous, current) {
+        const before = previous.sections || {};
+        const after = current.sections;
+        const label = heading => heading || '(introduction)';
+        const reasons = [];
+
+        const changed = Object.keys(after).filter(heading => heading in before && before[heading] !== after[heading]);
+        const added = Object.keys(after).filter(heading => !(heading in before));
+        const removed = Object.keys(before).filter(heading => !(heading in after));
+
+        if (changed.length > 0) reasons.push(`sections changed: ${changed.map(label).join(', ')}`);
+        if (added.length > 0) reasons.push(`sections added: ${added.map(label).join(', ')}`);
+        if (removed.length > 0) reasons.push(`sections removed: ${removed.map(label).join(', ')}`);
+        if (reasons.length === 0) reasons.push('sections reordered');
+
+        const delta = current.words - (previous.words || 0);
+        return `${reasons.join('; ')} (${delta >= 0 ? '+' : ''}${delta} words)`;
+    }
+
+    /**
+     * Fingerprint every page against the store. Pages whose content changed get today's
+     * date; the rest keep theirs. Returns the lastModified date of each page and the
+     * list of pages whose date moved, were added or were removed
+     */
+    update({ write = true } = {}) {
+        const store = this.load();
+        const nowISO = this.now.toISOString();
+        const pages = {};
+        const changes = [];
+
+        this.getPages().forEach(file => {
+            const html = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+            const current = this.fingerprint(html);
+            const previous = store.pages[file];
+            let lastModified;
+
+            if (!previous) {
+                const declared = this.getDeclaredDate(html, file);
+                lastModified = declared || nowISO;
+                changes.push({
+                    file,
+                    status: 'new',
+                    lastModified,
+                    reason: declared ? 'first fingerprint; keeps the date the page declares' : 'first fingerprint; no declared date'
+                });
+            } else if (previous.hash === current.hash) {
+                lastModified = previous.lastModified;
+            } else {
+                lastModified = nowISO;
+                changes.push({
+                    file,
+                    status: 'changed',
+                    previousModified: previous.lastModified,
+                    lastModified,
+                    reason: this.describeChange(previous, current)
+                });
+            }
+
+            pages[file] = { hash: current.hash, lastModified, words: current.words, sections: current.sections };
+        });
+
+        Object.keys(store.pages)
+            .filter(file => !(file in pages))
+            .forEach(file => changes.push({ file, status: 'removed', previousModified: store.pages[file].lastModified, reason: 'page no longer exists' }));
+
+        if (write) {
+            fs.writeFileSync(this.storePath, JSON.stringify({ version: 1, pages }, null, 2) + '\n');
+        }
+        this.saveReport(pages, changes);
+
+        return {
+            pages: Object.fromEntries(Object.entries(pages).map(([file, page]) => [file, page.lastModified])),
+            changes
+        };
+    }
+
+    saveReport(pages, changes) {
+        fs.mkdirSync(path.dirname(this.reportPath), { recursive: true });
+        fs.writeFileSync(this.reportPath, JSON.stringify({
+            timestamp: this.now.toISOString(),
+            summary: {
+                pages: Object.keys(pages).length,
+                changed: changes.filter(change => change.status === 'changed').length,
+                new: changes.filter(change => change.status === 'new').length,
+                removed: changes.filter(change => change.status === 'removed').length
+            },
+            changes
+        }, null, 2));
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const fingerprints = new ContentFingerprints();
+    const { pages, changes } = fingerprints.update({ write: !check });
+
+    console.log(`🔏 Fingerprinted ${Object.keys(pages).length} pages${check ? ' (store not updated)' : ''}`);
+    if (changes.length === 0) {
+        console.log('✅ No content changes; modification dates kept');
+    }
+    changes.forEach(change => {
+        const icon = { changed: '✏️ ', new: '🆕', removed: '🗑️ ' }[change.status];
+        console.log(`   ${icon} ${change.file}: ${change.reason}${change.lastModified ? ` → ${change.lastModified.split('T')[0]}` : ''}`);
+    });
+    console.log(`\n💾 Report saved to: ${fingerprints.reportPath}`);
+}
+
+module.exports = ContentFingerprints;
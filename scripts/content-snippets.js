@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Content Snippets
+ * Fills the daily tip and research insight slots from a queue of reviewed snippets
+ * instead of canned strings:
+ * - The queue is the JSON files in content/snippets/: each snippet has an id, type
+ *   (tip or insight), text, topics, target pages (paths, * matches within a folder),
+ *   a status (only "reviewed" snippets are shown) and optional starts/expires dates
+ * - Pages mark where a snippet goes with <div data-snippet-slot="tip|insight">; only
+ *   the inside of the slot is rewritten, so the rest of the page stays byte for byte
+ * - Rotation shows every snippet for a slot before any repeats, avoids putting the
+ *   same snippet on two pages the same day, and keeps the day's choice on re-runs
+ * - Expired snippets leave their slots; an empty queue empties the slot
+ * - content/snippet-history.json records what was shown where (committed, pruned after 90 days)
+ * - --dry-run prints the slot changes as a diff without writing anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const ContentFingerprints = require('./content-fingerprints');
+
+class ContentSnippets {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || '.';
+        this.queueDir = options.queueDir || path.join(this.rootDir, 'content/snippets');
+        this.historyPath = options.historyPath || path.join(this.rootDir, 'content/snippet-history.json');
+        this.now = options.now || new Date();
+        this.today = this.now.toISOString().split('T')[0];
+        this.historyDays = options.historyDays || 90;
+        this.pages = options.pages || new ContentFingerprints({ rootDir: this.rootDir }).getPages();
+        this.dateLabel = this.now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+        // Markup per snippet type; the text is set with textContent, never parsed as HTML
+        this.templates = {
+            tip: {
+                className: 'daily-update-banner',
+                style: 'background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1rem; margin: 1rem 0; border-radius: 8px; text-align: center;',
+                paragraphStyle: 'margin: 0; font-size: 0.9rem;',
+                label: date => `📅 ${date}`,
+                separator: ' | '
+            },
+            insight: {
+                className: 'research-insight',
+                style: 'border-left: 4px solid #4CAF50; background: #f8f9fa; padding: 1rem; margin: 1rem 0;',
+                paragraphStyle: 'margin: 0; font-size: 0.9rem; color: #333;',
+                label: date => `🔬 Research Update (${date}):`,
+                separator: ' '
+            }
+        };
+    }
+
+    normalizeText(text) {
+        return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    /**
+     * Every snippet in the queue, with file defaults applied, and the problems found:
+     * missing fields, unknown types and duplicate ids or texts (the later copy is dropped)
+     */
+    loadQueue() {
+        const snippets = [];
+        const problems = [];
+        const ids = new Set();
+        const texts = new Map();
+
+        if (!fs.existsSync(this.queueDir)) return { snippets, problems };
+
+        fs.readdirSync(this.queueDir).filter(file => file.endsWith('.json')).sort().forEach(file => {
+            let queue;
+            try {
+                queue = JSON.parse(fs.readFileSync(path.join(this.queueDir, file), 'utf8'));
+            } catch (error) {
+                problems.push(`${file}: ${error.message}`);
+                return;
+            }
+
+            (queue.snippets || []).forEach((entry, index) => {
+                const snippet = { ...queue.defaults, ...entry, source: file };
+                const label = `${file} #${index + 1}${snippet.id ? ` (${snippet.id})` : ''}`;
+
+                if (!snippet.id || !snippet.text || !Array.isArray(snippet.pages)) {
+                    problems.push(`${label}: needs an id, text and pages`);
+                } else if (!this.templates[snippet.type]) {
+                    problems.push(`${label}: unknown type "${snippet.type}"`);
+                } else if (ids.has(snippet.id)) {
+                    problems.push(`${label}: duplicate id`);
+                } else if (texts.has(this.normalizeText(snippet.text))) {
+                    problems.push(`${label}: same text as ${texts.get(this.normalizeText(snippet.text))}`);
+                } else {
+                    ids.add(snippet.id);
+                    texts.set(this.normalizeText(snippet.text), snippet.id);
+                    snippets.push(snippet);
+                }
+            });
+        });
+
+        return { snippets, problems };
+    }
+
+    /**
+     * Reviewed, started and not yet expired
+     */
+    isActive(snippet) {
+        return snippet.status === 'reviewed' &&
+            (!snippet.starts || snippet.starts <= this.today) &&
+            (!snippet.expires || snippet.expires >= this.today);
+    }
+
+    targets(snippet, file) {
+        return snippet.pages.some(page => {
+            const pattern = new RegExp(`^${page.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+            return pattern.test(file);
+        });
+    }
+
+    loadHistory() {
+        try {
+            return JSON.parse(fs.readFileSync(this.historyPath, 'utf8')).entries || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * The snippet for a slot: today's earlier choice if it's still active, otherwise the
+     * one this slot has gone longest without (never-shown first, in queue order),
+     * preferring snippets no other page shows today
+     */
+    choose(snippets, history, file, slot, shownToday) {
+        const candidates = snippets.filter(snippet => snippet.type === slot && this.isActive(snippet) && this.targets(snippet, file));
+        const slotHistory = history.filter(entry => entry.file === file && entry.slot === slot);
+
+        const earlier = slotHistory.find(entry => entry.date === this.today);
+        const kept = earlier && candidates.find(snippet => snippet.id === earlier.id);
+        if (kept) return kept;
+
+        const lastShown = snippet => slotHistory
+            .filter(entry => entry.id === snippet.id)
+            .reduce((latest, entry) => (entry.date > latest ? entry.date : latest), '');
+
+        const ranked = candidates
+            .map((snippet, index) => ({ snippet, index, lastShown: lastShown(snippet) }))
+            .sort((a, b) => a.lastShown.localeCompare(b.lastShown) || a.index - b.index);
+        const unused = ranked.find(candidate => !shownToday.has(candidate.snippet.id));
+
+        return (unused || ranked[0] || {}).snippet || null;
+    }
+
+    /**
+     * The snippet's markup, built through the DOM so its text can't break the page
+     */
+    render(document, snippet) {
+        const template = this.templates[snippet.type];
+        const container = document.createElement('div');
+        const paragraph = document.createElement('p');
+        const label = document.createElement('strong');
+
+        container.className = template.className;
+        container.setAttribute('data-snippet-id', snippet.id);
+        container.setAttribute('style', template.style);
+        paragraph.setAttribute('style', template.paragraphStyle);
+        label.textContent = template.label(this.dateLabel);
+        paragraph.append(label, template.separator + snippet.text);
+        container.appendChild(paragraph);
+
+        return container.outerHTML;
+    }
+
+    /**
+     * New contents for every slot on every page, without writing anything
+     */
+    plan() {
+        const { snippets, problems } = this.loadQueue();
+        const history = this.loadHistory();
+        const shownToday = new Set();
+        const changes = [];
+        const shown = [];
+        const files = new Map();
+
+        this.pages.forEach(file => {
+            const html = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+            const dom = new JSDOM(html, { includeNodeLocations: true });
+            const document = dom.window.document;
+            const edits = [];
+
+            document.querySelectorAll('[data-snippet-slot]').forEach(slotElement => {
+                const slot = slotElement.getAttribute('data-snippet-slot');
+                const location = dom.nodeLocation(slotElement);
+                if (!location || !location.endTag) {
+                    problems.push(`${file}: ${slot} slot has no closing tag`);
+                    return;
+                }
+
+                const snippet = this.choose(snippets, history, file, slot, shownToday);
+                const indent = html.slice(html.lastIndexOf('\n', location.startOffset) + 1, location.startOffset).match(/^\s*/)[0];
+                const inner = snippet ? `\n${indent}    ${this.render(document, snippet)}\n${indent}` : '';
+                const current = html.slice(location.startTag.endOffset, location.endTag.startOffset);
+                const previous = slotElement.querySelector('[data-snippet-id]');
+
+                if (snippet) {
+                    shownToday.add(snippet.id);
+                    shown.push({ date: this.today, file, slot, id: snippet.id });
+                }
+                if (current !== inner) {
+                    edits.push({ start: location.startTag.endOffset, end: location.endTag.startOffset, inner });
+                    changes.push({
+                        file,
+                        slot,
+                        previousId: previous ? previous.getAttribute('data-snippet-id') : null,
+                        id: snippet ? snippet.id : null,
+                        before: current,
+                        after: inner
+                    });
+                }
+            });
+
+            if (edits.length > 0) {
+                const content = edits
+                    .sort((a, b) => b.start - a.start)
+                    .reduce((result, edit) => result.slice(0, edit.start) + edit.inner + result.slice(edit.end), html);
+                files.set(file, content);
+            }
+        });
+
+        const expired = snippets.filter(snippet => snippet.expires && snippet.expires < this.today).map(snippet => snippet.id);
+        return { changes, shown, files, problems, expired, history };
+    }
+
+    /**
+     * Write the planned slot contents and the rotation history; a dry run only plans
+     */
+    run({ dryRun = false } = {}) {
+        const result = this.plan();
+        if (dryRun) return result;
+
+        result.files.forEach((content, file) => fs.writeFileSync(path.join(this.rootDir, file), content));
+
+        const cutoff = new Date(this.now.getTime() - this.historyDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const entries = result.history
+            .filter(entry => entry.date >= cutoff && entry.date !== this.today)
+            .concat(result.shown);
+        fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+        fs.writeFileSync(this.historyPath, JSON.stringify({ entries }, null, 2) + '\n');
+
+        return result;
+    }
+
+    /**
+     * Slot changes as removed and added lines, one block per slot
+     */
+    formatDiff(changes) {
+        const lines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+        return changes.map(change => [
+            `--- ${change.file} [${change.slot}] ${change.previousId || '(no snippet)'}`,
+            `+++ ${change.file} [${change.slot}] ${change.id || '(empty)'}`,
+            ...lines(change.before).map(line => `- ${line}`),
+            ...lines(change.after).map(line => `+ ${line}`)
+        ].join('\n')).join('\n\n');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const dryRun = process.argv.includes('--dry-run');
+    const snippets = new ContentSnippets();
+    const { changes, problems, expired } = snippets.run({ dryRun });
+
+    problems.forEach(problem => console.warn(`⚠️  ${problem}`));
+    if (expired.length > 0) console.log(`⌛ Expired: ${expired.join(', ')}`);
+    if (changes.length === 0) {
+        console.log('✅ Every snippet slot is up to date');
+    } else if (dryRun) {
+        console.log(`${snippets.formatDiff(changes)}\n\n🔍 ${changes.length} slot${changes.length === 1 ? '' : 's'} would change (dry run, nothing written)`);
+    } else {
+        changes.forEach(change => console.log(`📝 ${change.file} [${change.slot}]: ${change.previousId || '(no snippet)'} → ${change.id || '(empty)'}`));
+    }
+}
+
+module.exports = ContentSnippets;
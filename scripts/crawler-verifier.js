@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Crawler Verifier
+ * Checks that a request claiming to be a known crawler really came from its operator.
+ * A user-agent string is free to fake, so the bot log report marks every visit as:
+ *   verified      - the IP belongs to the operator
+ *   spoofed       - the operator publishes a way to check, and the IP fails it
+ *   unverifiable  - no check exists for the bot, its IP list isn't cached, or DNS failed
+ *
+ * Googlebot and Bingbot are checked with forward-confirmed reverse DNS: the IP's PTR
+ * hostname must be under the operator's domain and resolve back to the same IP.
+ * OpenAI, Anthropic, Perplexity and Common Crawl publish IP range JSON files instead;
+ * save those into the ranges directory (crawler-ip-ranges/ by default) under the
+ * names in `rangeFiles`. Nothing is downloaded here, so reports are reproducible
+ * and work offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+
+class CrawlerVerifier {
+    /**
+     * options.resolver must provide reverse(ip), resolve4(host) and resolve6(host)
+     * like dns.promises.Resolver; tests pass a stub
+     */
+    constructor(options = {}) {
+        this.rangesDir = options.rangesDir || 'crawler-ip-ranges';
+        this.resolver = options.resolver || new dns.promises.Resolver({ timeout: options.dnsTimeout || 3000, tries: 2 });
+
+        this.dnsDomains = {
+            Googlebot: ['googlebot.com', 'google.com'],
+            Bingbot: ['search.msn.com']
+        };
+
+        this.rangeFiles = {
+            GPTBot: 'openai-gptbot.json',
+            'OAI-SearchBot': 'openai-searchbot.json',
+            'ChatGPT-User': 'openai-chatgpt-user.json',
+            ClaudeBot: 'anthropic.json',
+            'Claude-SearchBot': 'anthropic.json',
+            'Claude-User': 'anthropic.json',
+            'anthropic-ai': 'anthropic.json',
+            PerplexityBot: 'perplexitybot.json',
+            'Perplexity-User': 'perplexity-user.json',
+            CCBot: 'ccbot.json'
+        };
+
+        // DNS answers that mean "no such record" rather than "couldn't ask"
+        this.missingRecordCodes = ['ENOTFOUND', 'ENODATA'];
+
+        this.ranges = new Map();
+        this.cache = new Map();
+    }
+
+    /**
+     * Strip the IPv4-mapped IPv6 prefix some servers log ("::ffff:66.249.66.1")
+     */
+    normalizeIp(ip) {
+        const value = String(ip || '').trim();
+        return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(value) ? value.slice(7) : value;
+    }
+
+    /**
+     * CIDR strings from a published range file. Accepts the
+     * { prefixes: [{ ipv4Prefix | ipv6Prefix }] } layout the operators use, as well
+     * as plain arrays of CIDR strings
+     */
+    extractPrefixes(data) {
+        const entries = Array.isArray(data) ? data : (data && (data.prefixes || data.ranges || data.ips)) || [];
+
+        return entries.map(entry => {
+            if (typeof entry === 'string') return entry;
+            return entry && (entry.ipv4Prefix || entry.ipv6Prefix || entry.cidr || entry.prefix);
+        }).filter(Boolean);
+    }
+
+    /**
+     * Load a cached range file into a BlockList; null when the file isn't cached
+     */
+    loadRanges(fileName) {
+        if (this.ranges.has(fileName)) return this.ranges.get(fileName);
+
+        const filePath = path.join(this.rangesDir, fileName);
+        let list = null;
+
+        if (fs.existsSync(filePath)) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            list = { blockList: new net.BlockList(), prefixes: 0, creationTime: data.creationTime || null };
+
+            this.extractPrefixes(data).forEach(cidr => {
+                const [address, bits] = cidr.split('/');
+                const family = net.isIP(address);
+                if (!family) return;
+
+                const type = family === 6 ? 'ipv6' : 'ipv4';
+                list.blockList.addSubnet(address, bits === undefined ? (family === 6 ? 128 : 32) : Number(bits), type);
+                list.prefixes++;
+            });
+        }
+
+        this.ranges.set(fileName, list);
+        return list;
+    }
+
+    getMethod(botName) {
+        if (this.dnsDomains[botName]) return 'reverse-dns';
+        if (this.rangeFiles[botName]) return 'ip-ranges';
+        return null;
+    }
+
+    /**
+     * Verify one IP against the bot it claims to be; results are cached per bot and IP
+     */
+    async verify(botName, ip) {
+        const address = this.normalizeIp(ip);
+        const key = `${botName}|${address}`;
+
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.check(botName, address));
+        }
+
+        return this.cache.get(key);
+    }
+
+    async check(botName, ip) {
+        const method = this.getMethod(botName);
+
+        if (!method) {
+            return { status: 'unverifiable', method: null, reason: 'No published verification method' };
+        }
+        if (!net.isIP(ip)) {
+            return { status: 'unverifiable', method, reason: 'No client IP in the log' };
+        }
+
+        return method === 'reverse-dns'
+            ? this.checkReverseDns(ip, this.dnsDomains[botName])
+            : this.checkRanges(ip, this.rangeFiles[botName]);
+    }
+
+    checkRanges(ip, fileName) {
+        const method = 'ip-ranges';
+        const list = this.loadRanges(fileName);
+
+        if (!list || list.prefixes === 0) {
+            return { status: 'unverifiable', method, reason: `${fileName} is not cached in ${this.rangesDir}` };
+        }
+
+        const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+        return list.blockList.check(ip, type)
+            ? { status: 'verified', method, reason: `In ${fileName}` }
+            : { status: 'spoofed', method, reason: `Not in ${fileName}` };
+    }
+
+    /**
+     * Forward-confirmed reverse DNS: PTR hostname under an allowed domain whose
+     * A/AAAA records include the original IP
+     */
+    async checkReverseDns(ip, domains) {
+        const method = 'reverse-dns';
+        let hostnames;
+
+        try {
+            hostnames = await this.resolver.reverse(ip);
+        } catch (error) {
+            if (this.missingRecordCodes.includes(error.code)) {
+                return { status: 'spoofed', method, reason: 'No reverse DNS record' };
+            }
+            return { status: 'unverifiable', method, reason: `Reverse lookup failed (${error.code || error.message})` };
+        }
+
+        const hostname = hostnames
+            .map(name => name.replace(/\.$/, '').toLowerCase())
+            .find(name => domains.some(domain => name === domain || name.endsWith(`.${domain}`)));
+
+        if (!hostname) {
+            return { status: 'spoofed', method, hostname: hostnames[0] || null, reason: `Reverse DNS is outside ${domains.join(', ')}` };
+        }
+
+        let addresses;
+        try {
+            addresses = await (net.isIP(ip) === 6 ? this.resolver.resolve6(hostname) : this.resolver.resolve4(hostname));
+        } catch (error) {
+            if (this.missingRecordCodes.includes(error.code)) {
+                return { status: 'spoofed', method, hostname, reason: 'Hostname does not resolve' };
+            }
+            return { status: 'unverifiable', method, hostname, reason: `Forward lookup failed (${error.code || error.message})` };
+        }
+
+        // Compare in canonical form so differently abbreviated IPv6 addresses match
+        const canonical = value => (net.isIP(value) === 6 ? new net.SocketAddress({ address: value, family: 'ipv6' }).address : value);
+        return addresses.map(canonical).includes(canonical(ip))
+            ? { status: 'verified', method, hostname, reason: `Forward-confirmed ${hostname}` }
+            : { status: 'spoofed', method, hostname, reason: `${hostname} does not resolve back to ${ip}` };
+    }
+
+    /**
+     * Verification block for a bot's report entry, from its per-IP request counts.
+     * Counts are per request ("visit"); ips lists each address with its outcome
+     */
+    async summarize(botName, ipRequests) {
+        const summary = {
+            method: this.getMethod(botName),
+            verified: 0,
+            spoofed: 0,
+            unverifiable: 0,
+            ips: []
+        };
+
+        for (const [ip, requests] of ipRequests) {
+            const result = await this.verify(botName, ip);
+            summary[result.status] += requests;
+            summary.ips.push({ ip: ip || null, requests, ...result });
+        }
+
+        summary.ips.sort((a, b) => b.requests - a.requests || String(a.ip).localeCompare(String(b.ip)));
+        return summary;
+    }
+}
+
+// Check single IPs from the command line
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const rangesArg = args.find(value => value.startsWith('--ranges='));
+    const [botName, ...ips] = args.filter(value => !value.startsWith('--'));
+
+    if (!botName || ips.length === 0) {
+        console.log('Usage: node scripts/crawler-verifier.js <bot-name> <ip...> [--ranges=crawler-ip-ranges]');
+        process.exit(1);
+    }
+
+    const verifier = new CrawlerVerifier({ rangesDir: rangesArg ? rangesArg.slice('--ranges='.length) : undefined });
+    const icons = { verified: '✅', spoofed: '🚫', unverifiable: '❔' };
+
+    (async () => {
+        for (const ip of ips) {
+            const result = await verifier.verify(botName, ip);
+            console.log(`${icons[result.status]} ${botName} ${ip}: ${result.status} - ${result.reason}`);
+        }
+    })().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = CrawlerVerifier;
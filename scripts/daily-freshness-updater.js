@@ -2,11 +2,16 @@
 
 /**
  * Daily Freshness Updater
- * Automatically updates timestamps, generates fresh content, and maintains bot engagement
+ * Automatically updates timestamps, generates fresh content, and maintains bot engagement.
+ * Page modification dates come from content fingerprints, so they only advance for pages
+ * whose content changed since the last run
  */
 
 const fs = require('fs');
-const path = require('path');
+const ContentFingerprints = require('./content-fingerprints');
+const ContentSnippets = require('./content-snippets');
+const FreshnessMetrics = require('./freshness-metrics');
+const PrecacheManifestBuilder = require('./build-precache-manifest');
 
 class DailyFreshnessUpdater {
     constructor() {
@@ -18,48 +23,69 @@ class DailyFreshnessUpdater {
             day: 'numeric'
         });
         this.updatesApplied = [];
+        this.analyticsSummary = null;
+        this.fingerprints = new ContentFingerprints({ now: this.today });
+        this.contentDates = {};
+        this.contentChanges = [];
     }
 
     async updateDailyFreshness() {
         console.log(`🌅 Starting daily freshness update for ${this.todayFormatted}...`);
         
-        // 1. Update sitemaps with fresh timestamps
+        // 1. Find the pages whose content changed since the last run
+        await this.updateContentFingerprints();
+        
+        // 2. Regenerate sitemaps with each page's content date
         await this.updateSitemapTimestamps();
         
-        // 2. Update robots.txt with current date
+        // 3. Update robots.txt with current date
         await this.updateRobotsTxt();
         
-        // 3. Add daily content snippets
+        // 4. Add daily content snippets
         await this.addDailyContentSnippets();
         
-        // 4. Update structured data timestamps
+        // 5. Update structured data dates
         await this.updateStructuredDataTimestamps();
         
-        // 5. Generate daily analytics summary
+        // 6. Generate daily analytics summary
         await this.generateDailyAnalyticsSummary();
         
-        // 6. Update service worker cache version
+        // 7. Update the service worker precache manifest
         await this.updateServiceWorkerVersion();
         
-        // 7. Create daily changelog entry
+        // 8. Create daily changelog entry
         await this.createDailyChangelog();
         
         this.generateFreshnessReport();
     }
 
+    async updateContentFingerprints() {
+        console.log('🔏 Fingerprinting page content...');
+        
+        const { pages, changes } = this.fingerprints.update();
+        this.contentDates = pages;
+        this.contentChanges = changes;
+        
+        const moved = changes.filter(change => change.status === 'changed');
+        this.updatesApplied.push(moved.length > 0
+            ? `Recorded content changes on ${moved.length} page${moved.length === 1 ? '' : 's'}`
+            : 'No content changes; modification dates kept');
+    }
+
     async updateSitemapTimestamps() {
         console.log('📅 Updating sitemap timestamps...');
         
-        // Update sitemap configuration to use current date
+        // The site was last updated when its most recently changed page was
         const sitemapConfig = JSON.parse(fs.readFileSync('sitemap-config.json', 'utf8'));
-        sitemapConfig.lastUpdated = this.todayISO;
+        const latest = Object.values(this.contentDates).sort().pop();
+        if (latest) sitemapConfig.lastUpdated = latest;
         fs.writeFileSync('sitemap-config.json', JSON.stringify(sitemapConfig, null, 2));
         
-        // Regenerate sitemaps with fresh timestamps
+        // Regenerate sitemaps; lastmod comes from content-fingerprints.json
         const { execSync } = require('child_process');
         execSync('node scripts/generate-robots-sitemap.js', { stdio: 'inherit' });
         
-        this.updatesApplied.push('Updated sitemap timestamps');
+        this.updatesApplied.push('Regenerated sitemaps with content-based lastmod dates');
     }
 
     async updateRobotsTxt() {
@@ -95,149 +121,59 @@ class DailyFreshnessUpdater {
     async addDailyContentSnippets() {
         console.log('📝 Adding daily content snippets...');
         
-        // Create daily tips/insights for different pages
-        const dailyTips = this.generateDailyTips();
-        
-        // Update index.html with daily tip
-        this.addDailyTipToHomepage(dailyTips.homepage);
-        
-        // Update document pages with daily insights
-        this.addDailyInsightsToDocuments(dailyTips.documents);
-        
-        this.updatesApplied.push('Added daily content snippets to key pages');
-    }
-
-    generateDailyTips() {
-        const dayOfYear = Math.floor((this.today - new Date(this.today.getFullYear(), 0, 0)) / 1000 / 60 / 60 / 24);
-        
-        const homepageTips = [
-            "💡 Daily Insight: LLM performance can vary significantly based on prompt engineering techniques.",
-            "🚀 Today's Focus: Exploring the latest developments in transformer architecture optimization.",
-            "🔍 Fresh Perspective: New research shows improved results with multi-step reasoning approaches.",
-            "⚡ Current Trend: Edge deployment of LLMs is becoming increasingly viable for real-time applications.",
-            "🎯 Today's Tip: Fine-tuning smaller models often outperforms using larger general-purpose models.",
-            "🌟 Latest Update: Quantization techniques are making LLMs more accessible for local deployment.",
-            "🔧 Developer Focus: API rate limiting strategies are crucial for production LLM applications."
-        ];
-        
-        const documentInsights = [
-            "Recent studies show 40% improvement in LLM efficiency with proper context management.",
-            "New benchmarks indicate significant progress in multi-modal LLM capabilities.",
-            "Industry adoption of LLM tools has increased 300% in the past year.",
-            "Latest research reveals optimal token limits for different use cases.",
-            "Performance metrics show consistent improvements in reasoning tasks.",
-            "New deployment strategies reduce inference costs by up to 60%.",
-            "Updated best practices for prompt engineering yield better results."
-        ];
-        
-        return {
-            homepage: homepageTips[dayOfYear % homepageTips.length],
-            documents: documentInsights[dayOfYear % documentInsights.length]
-        };
-    }
-
-    addDailyTipToHomepage(tip) {
-        let indexContent = fs.readFileSync('index.html', 'utf8');
-        
-        const dailyTipHTML = `
-        <!-- Daily Freshness Indicator -->
-        <div class="daily-update-banner" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1rem; margin: 1rem 0; border-radius: 8px; text-align: center;">
-            <p style="margin: 0; font-size: 0.9rem;">
-                <strong>📅 ${this.todayFormatted}</strong> | ${tip}
-            </p>
-        </div>`;
-        
-        // Remove existing daily tip if present
-        indexContent = indexContent.replace(
-            /<!-- Daily Freshness Indicator -->[\s\S]*?<\/div>/,
-            ''
-        );
+        // Rotate reviewed tips and insights from content/snippets into the pages' snippet slots
+        const snippets = new ContentSnippets({ now: this.today });
+        const { changes, problems, expired } = snippets.run();
         
-        // Add new daily tip after hero section
-        indexContent = indexContent.replace(
-            '</section>\n\n        <section class="features-section"',
-            `</section>\n${dailyTipHTML}\n\n        <section class="features-section"`
-        );
+        problems.forEach(problem => console.warn(`⚠️  Snippet queue: ${problem}`));
+        if (expired.length > 0) {
+            console.log(`⌛ Expired snippets: ${expired.join(', ')}`);
+        }
         
-        fs.writeFileSync('index.html', indexContent);
-    }
-
-    addDailyInsightsToDocuments(insight) {
-        const documentFiles = [
-            'documents/llm-guide.html',
-            'documents/ai-tools-overview.html',
-            'documents/machine-learning-basics.html'
-        ];
-        
-        documentFiles.forEach(file => {
-            if (fs.existsSync(file)) {
-                let content = fs.readFileSync(file, 'utf8');
-                
-                const insightHTML = `
-        <!-- Daily Research Insight -->
-        <div class="research-insight" style="border-left: 4px solid #4CAF50; background: #f8f9fa; padding: 1rem; margin: 1rem 0;">
-            <p style="margin: 0; font-size: 0.9rem; color: #333;">
-                <strong>🔬 Research Update (${this.todayFormatted}):</strong> ${insight}
-            </p>
-        </div>`;
-                
-                // Remove existing insight if present
-                content = content.replace(
-                    /<!-- Daily Research Insight -->[\s\S]*?<\/div>/,
-                    ''
-                );
-                
-                // Add after the first h2 tag
-                content = content.replace(
-                    /(<h2[^>]*>.*?<\/h2>)/,
-                    `$1\n${insightHTML}`
-                );
-                
-                fs.writeFileSync(file, content);
-            }
-        });
+        this.updatesApplied.push(`Rotated content snippets in ${changes.length} slots`);
     }
 
     async updateStructuredDataTimestamps() {
         console.log('🏷️ Updating structured data timestamps...');
         
-        const htmlFiles = this.getHtmlFiles();
+        let updated = 0;
         
-        htmlFiles.forEach(file => {
-            let content = fs.readFileSync(file, 'utf8');
+        Object.entries(this.contentDates).forEach(([file, lastModified]) => {
+            const original = fs.readFileSync(file, 'utf8');
             
-            // Update dateModified in structured data
-            content = content.replace(
-                /"dateModified": "[^"]*"/g,
-                `"dateModified": "${this.todayISO}"`
-            );
+            // dateModified and lastReviewed follow the page's content date. lastReviewed is
+            // only updated where a page already declares it (on its WebPage node: schema.org
+            // has no lastReviewed on Article), never added
+            const content = original
+                .replace(/"dateModified": "[^"]*"/g, `"dateModified": "${lastModified}"`)
+                .replace(/"lastReviewed": "[^"]*"/g, `"lastReviewed": "${lastModified}"`);
             
-            // Add lastReviewed if not present
-            if (content.includes('"@type": "Article"') && !content.includes('lastReviewed')) {
-                content = content.replace(
-                    /"dateModified": "[^"]*"/g,
-                    `"dateModified": "${this.todayISO}",\n        "lastReviewed": "${this.todayISO}"`
-                );
+            if (content !== original) {
+                fs.writeFileSync(file, content);
+                updated++;
             }
-            
-            fs.writeFileSync(file, content);
         });
         
-        this.updatesApplied.push('Updated structured data timestamps');
+        this.updatesApplied.push(`Updated structured data dates on ${updated} page${updated === 1 ? '' : 's'}`);
     }
 
     async generateDailyAnalyticsSummary() {
         console.log('📊 Generating daily analytics summary...');
         
-        const analyticsData = {
+        // Server logs for crawler hits: FRESHNESS_LOGS=access.log,access.log.1
+        const logFiles = (process.env.FRESHNESS_LOGS || '').split(',').map(file => file.trim()).filter(Boolean);
+        const { metrics, formulas, inputs, trend } = await new FreshnessMetrics({ now: this.today, logFiles }).collect();
+        
+        const analyticsData = this.analyticsSummary = {
             date: this.todayFormatted,
             timestamp: this.todayISO,
             metrics: {
-                pagesUpdated: this.updatesApplied.length,
-                freshnessScore: 95 + Math.floor(Math.random() * 5), // 95-100%
-                botEngagement: 85 + Math.floor(Math.random() * 15), // 85-100%
-                contentRelevance: 90 + Math.floor(Math.random() * 10) // 90-100%
+                pagesUpdated: this.contentChanges.filter(change => change.status === 'changed').length,
+                ...metrics
             },
+            formulas,
+            trend,
+            inputs,
             updates: this.updatesApplied,
             nextUpdate: new Date(this.today.getTime() + 24 * 60 * 60 * 1000).toISOString()
         };
@@ -262,43 +198,44 @@ class DailyFreshnessUpdater {
     }
 
     async updateServiceWorkerVersion() {
-        console.log('🔄 Updating service worker cache version...');
+        console.log('🔄 Updating service worker precache manifest...');
         
         if (fs.existsSync('sw.js')) {
-            let swContent = fs.readFileSync('sw.js', 'utf8');
+            // Re-hash the precached files; only entries whose content changed get new revisions
+            const { version, changes } = new PrecacheManifestBuilder().run();
+            const refreshed = changes.added.length + changes.changed.length + changes.removed.length;
             
-            // Update cache version with today's date
-            const cacheVersion = `v${this.today.getFullYear()}.${(this.today.getMonth() + 1).toString().padStart(2, '0')}.${this.today.getDate().toString().padStart(2, '0')}`;
-            
-            swContent = swContent.replace(
-                /const CACHE_VERSION = '[^']*'/,
-                `const CACHE_VERSION = '${cacheVersion}'`
-            );
-            
-            fs.writeFileSync('sw.js', swContent);
-            this.updatesApplied.push('Updated service worker cache version');
+            this.updatesApplied.push(refreshed > 0
+                ? `Updated service worker precache manifest: ${refreshed} entr${refreshed === 1 ? 'y' : 'ies'} refreshed (cache version ${version})`
+                : 'Service worker precache manifest unchanged');
         }
     }
 
     async createDailyChangelog() {
         console.log('📋 Creating daily changelog entry...');
         
+        const moved = this.contentChanges.filter(change => change.status !== 'new');
+        const contentChanges = moved.length > 0
+            ? moved.map(change => `- \`${change.file}\`: ${change.reason}`).join('\n')
+            : '- No page content changed; lastmod and dateModified kept';
+        
         const changelogEntry = `
 ## ${this.todayFormatted}
 
 ### Daily Freshness Updates
 ${this.updatesApplied.map(update => `- ${update}`).join('\n')}
 
+### Content Changes
+${contentChanges}
+
 ### Content Status
-- ✅ All pages refreshed with current timestamps
-- ✅ Sitemap updated with latest modification dates  
+- ✅ Sitemap lastmod and structured data dates follow content changes
 - ✅ Robots.txt includes daily crawl recommendations
-- ✅ Structured data timestamps updated
 - ✅ Daily insights added to key pages
 
 ### Bot Engagement Optimizations
 - Fresh content signals for improved crawl frequency
-- Updated lastmod timestamps in XML sitemaps
+- lastmod dates in XML sitemaps only move when a page's content does
 - Daily research insights for content relevance
 - Cache versioning for proper content delivery
 
@@ -328,7 +265,13 @@ ${this.updatesApplied.map(update => `- ${update}`).join('\n')}
         console.log(`📅 Date: ${this.todayFormatted}`);
         console.log(`🕐 Time: ${this.today.toLocaleTimeString()}`);
         console.log(`✅ Updates Applied: ${this.updatesApplied.length}`);
-        console.log(`🤖 Bot Freshness: OPTIMIZED`);
+        if (this.analyticsSummary) {
+            const { metrics, trend } = this.analyticsSummary;
+            ['freshnessScore', 'botEngagement', 'contentRelevance'].forEach(name => {
+                const change = trend && trend.metrics[name] ? trend.metrics[name].change : null;
+                console.log(`📈 ${name}: ${metrics[name] === null ? 'n/a' : metrics[name]}${change === null ? '' : ` (${change >= 0 ? '+' : ''}${change} since ${trend.previousDate.split('T')[0]})`}`);
+            });
+        }
         console.log(`🔄 Next Update: Tomorrow at same time`);
         
         console.log('\n📋 Applied Updates:');
@@ -336,10 +279,18 @@ ${this.updatesApplied.map(update => `- ${update}`).join('\n')}
             console.log(`   • ${update}`);
         });
         
+        const moved = this.contentChanges.filter(change => change.status === 'changed');
+        console.log('\n🔏 Content Changes:');
+        if (moved.length === 0) {
+            console.log('   • None; sitemap lastmod and dateModified kept');
+        }
+        moved.forEach(change => {
+            console.log(`   • ${change.file}: ${change.reason}`);
+        });
+        
         console.log('\n🌟 Freshness Indicators for Bots:');
-        console.log('   • Sitemap lastmod timestamps updated');
+        console.log('   • Sitemap lastmod and dateModified moved only for changed pages');
         console.log('   • Robots.txt includes daily update notice');
-        console.log('   • Structured data timestamps refreshed');
         console.log('   • Daily content snippets added');
         console.log('   • Service worker cache version updated');
         
@@ -351,24 +302,6 @@ ${this.updatesApplied.map(update => `- ${update}`).join('\n')}
         
         console.log('\n🚀 Website appears fresh and updated daily!');
     }
-
-    getHtmlFiles() {
-        const files = [];
-        const scanDir = (dir) => {
-            const items = fs.readdirSync(dir);
-            items.forEach(item => {
-                const fullPath = path.join(dir, item);
-                const stat = fs.statSync(fullPath);
-                if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
-                    scanDir(fullPath);
-                } else if (item.endsWith('.html')) {
-                    files.push(fullPath);
-                }
-            });
-        };
-        scanDir('.');
-        return files;
-    }
 }
 
 // Run the daily freshness updater
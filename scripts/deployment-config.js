@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * Deployment Configuration Generator
+ * Writes the Netlify, Vercel, GitHub Pages and Docker configuration and the
+ * deployment checklist; FinalIntegrator runs it while preparing a deployment
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DeploymentConfigGenerator {
+    constructor() {
+        this.fixes = [];
+    }
+
+    /**
+     * Write every configuration file; returns what was created
+     */
+    generate() {
+        this.createNetlifyConfig();
+        this.createVercelConfig();
+        this.createGitHubPagesConfig();
+        this.createDockerConfig();
+        this.createDeploymentChecklist();
+
+        return this.fixes;
+    }
+
+    createNetlifyConfig() {
+        const netlifyConfig = {
+            build: {
+                publish: ".",
+                command: "npm run build"
+            },
+            headers: [
+                {
+                    for: "/*",
+                    values: {
+                        "X-Frame-Options": "DENY",
+                        "X-XSS-Protection": "1; mode=block",
+                        "X-Content-Type-Options": "nosniff",
+                        "Referrer-Policy": "strict-origin-when-cross-origin"
+                    }
+                },
+                {
+                    for: "*.html",
+                    values: {
+                        "Cache-Control": "public, max-age=3600"
+                    }
+                },
+                {
+                    for: "/assets/*",
+                    values: {
+                        "Cache-Control": "public, max-age=31536000"
+                    }
+                }
+            ],
+            redirects: [
+                {
+                    from: "/api/*",
+                    to: "/.netlify/functions/:splat",
+                    status: 200
+                }
+            ]
+        };
+        
+        fs.writeFileSync('netlify.toml', this.toToml(netlifyConfig));
+        this.fixes.push('Created Netlify configuration');
+    }
+
+    createVercelConfig() {
+        const vercelConfig = {
+            version: 2,
+            builds: [
+                {
+                    src: "package.json",
+                    use: "@vercel/static-build"
+                }
+            ],
+            routes: [
+                {
+                    src: "/(.*)",
+                    dest: "/$1"
+                }
+            ],
+            headers: [
+                {
+                    source: "/(.*)",
+                    headers: [
+                        {
+                            key: "X-Frame-Options",
+                            value: "DENY"
+                        },
+                        {
+                            key: "X-Content-Type-Options",
+                            value: "nosniff"
+                        }
+                    ]
+                }
+            ]
+        };
+        
+        fs.writeFileSync('vercel.json', JSON.stringify(vercelConfig, null, 2));
+        this.fixes.push('Created Vercel configuration');
+    }
+
+    createGitHubPagesConfig() {
+        const workflowDir = '.github/workflows';
+        if (!fs.existsSync(workflowDir)) {
+            fs.mkdirSync(workflowDir, { recursive: true });
+        }
+        
+        const workflow = `name: Deploy to GitHub Pages
+
+on:
+  push:
+    branches: [ main ]
+  pull_request:
+    branches: [ main ]
+
+jobs:
+  build-and-deploy:
+    runs-on: ubuntu-latest
+    
+    steps:
+    - uses: actions/checkout@v3
+    
+    - name: Setup Node.js
+      uses: actions/setup-node@v3
+      with:
+        node-version: '18'
+        cache: 'npm'
+    
+    - name: Install dependencies
+      run: npm ci
+    
+    - name: Build
+      run: npm run build
+    
+    - name: Deploy to GitHub Pages
+      uses: peaceiris/actions-gh-pages@v3
+      if: github.ref == 'refs/heads/main'
+      with:
+        github_token: \${{ secrets.GITHUB_TOKEN }}
+        publish_dir: ./
+`;
+        
+        fs.writeFileSync(path.join(workflowDir, 'deploy.yml'), workflow);
+        this.fixes.push('Created GitHub Pages workflow');
+    }
+
+    createDockerConfig() {
+        const dockerfile = `FROM nginx:alpine
+
+COPY . /usr/share/nginx/html
+
+COPY nginx.conf /etc/nginx/nginx.conf
+
+EXPOSE 80
+
+CMD ["nginx", "-g", "daemon off;"]
+`;
+
+        const nginxConfig = `events {
+    worker_connections 1024;
+}
+
+http {
+    include       /etc/nginx/mime.types;
+    default_type  application/octet-stream;
+    
+    gzip on;
+    gzip_types text/plain text/css application/json application/javascript text/xml application/xml application/xml+rss text/javascript;
+    
+    server {
+        listen 80;
+        server_name localhost;
+        
+        location / {
+            root   /usr/share/nginx/html;
+            index  index.html index.htm;
+            try_files $uri $uri/ /index.html;
+        }
+        
+        location ~* \\.(js|css|png|jpg|jpeg|gif|ico|svg)$ {
+            expires 1y;
+            add_header Cache-Control "public, immutable";
+        }
+        
+        add_header X-Frame-Options DENY;
+        add_header X-Content-Type-Options nosniff;
+        add_header X-XSS-Protection "1; mode=block";
+    }
+}
+`;
+        
+        fs.writeFileSync('Dockerfile', dockerfile);
+        fs.writeFileSync('nginx.conf', nginxConfig);
+        this.fixes.push('Created Docker configuration');
+    }
+
+    createDeploymentChecklist() {
+        const checklist = `# Deployment Checklist
+
+## Pre-deployment Validation
+- [ ] All tests pass (run \`npm run test:comprehensive\`)
+- [ ] SEO validation score > 80%
+- [ ] Performance score > 80%
+- [ ] All files under 500 lines
+- [ ] robots.txt configured
+- [ ] Sitemap generated and accessible
+- [ ] All images have alt text
+- [ ] Meta descriptions on all pages
+- [ ] Canonical URLs set
+- [ ] Structured data implemented
+- [ ] Open Graph tags added
+
+## Deployment Configuration
+- [ ] Choose hosting platform (Netlify/Vercel/GitHub Pages/Docker)
+- [ ] Update base URL in configuration
+- [ ] Set up custom domain (if applicable)
+- [ ] Configure SSL certificate
+- [ ] Set up CDN (if needed)
+
+## Post-deployment Validation
+- [ ] Test all pages load correctly
+- [ ] Verify robots.txt accessible
+- [ ] Check sitemap accessibility
+- [ ] Test search functionality
+- [ ] Validate structured data with Google Rich Results Test
+- [ ] Check Core Web Vitals
+- [ ] Submit sitemap to Google Search Console
+- [ ] Monitor crawl errors
+
+## SEO Monitoring Setup
+- [ ] Google Search Console configured
+- [ ] Google Analytics set up
+- [ ] Bot detection monitoring active
+- [ ] Performance monitoring in place
+- [ ] Regular SEO health checks scheduled
+
+## Security Checklist
+- [ ] Security headers configured
+- [ ] HTTPS enforced
+- [ ] Content Security Policy set
+- [ ] No sensitive data exposed
+- [ ] Regular security updates planned
+`;
+        
+        fs.writeFileSync('DEPLOYMENT_CHECKLIST.md', checklist);
+        this.fixes.push('Created deployment checklist');
+    }
+
+    toToml(obj) {
+        // Simple TOML converter for Netlify config
+        let toml = '';
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === 'object' && !Array.isArray(value)) {
+                toml += `[${key}]\n`;
+                for (const [subKey, subValue] of Object.entries(value)) {
+                    toml += `  ${subKey} = "${subValue}"\n`;
+                }
+            } else if (Array.isArray(value)) {
+                value.forEach(item => {
+                    toml += `[[${key}]]\n`;
+                    for (const [itemKey, itemValue] of Object.entries(item)) {
+                        if (typeof itemValue === 'object') {
+                            toml += `  [${key}.${itemKey}]\n`;
+                            for (const [valKey, valValue] of Object.entries(itemValue)) {
+                                toml += `    ${valKey} = "${valValue}"\n`;
+                            }
+                        } else {
+                            toml += `  ${itemKey} = "${itemValue}"\n`;
+                        }
+                    }
+                });
+            } else {
+                toml += `${key} = "${value}"\n`;
+            }
+        }
+        return toml;
+    }
+}
+
+// Run the generator if called directly
+if (require.main === module) {
+    const generator = new DeploymentConfigGenerator();
+    generator.generate().forEach(fix => console.log(`✅ ${fix}`));
+}
+
+module.exports = DeploymentConfigGenerator;
@@ -0,0 +1,202 @@
+/**
+ * External Link Checker
+ * Checks external URLs for LinkChecker: live (HEAD, falling back to GET, following
+ * redirects), through a forward proxy, or replayed from recorded fixtures. Live
+ * results are cached for cacheTtlHours, and requests to the same host are spaced
+ * out by rateLimitMs with a few hosts checked at once.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const tls = require('tls');
+
+class ExternalLinkChecker {
+    constructor(options = {}) {
+        this.fixturesPath = options.fixtures || null;
+        this.record = Boolean(options.record);
+        this.proxy = options.proxy || null;
+        this.useCache = options.cache !== false;
+        this.cachePath = options.cachePath || 'build-reports/link-cache.json';
+        this.cacheTtlHours = options.cacheTtlHours || 24;
+        // Between requests to the same host
+        this.rateLimitMs = options.rateLimitMs !== undefined ? options.rateLimitMs : 1000;
+        // Hosts checked at once
+        this.concurrency = options.concurrency || 4;
+        this.timeout = options.timeout || 10000;
+        this.maxRedirects = 5;
+        this.userAgent = options.userAgent || 'LLM-Tools-Hub-LinkChecker/1.0';
+    }
+
+    loadJson(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable ${filePath}`);
+            return {};
+        }
+    }
+
+    saveJson(filePath, data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * One request, directly or through the proxy; resolves { status, location }
+     */
+    request(url, method) {
+        const target = new URL(url);
+        const headers = { 'User-Agent': this.userAgent, Accept: '*/*' };
+        const client = target.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const onResponse = response => {
+                response.resume();
+                resolve({ status: response.statusCode, location: response.headers.location || null });
+            };
+            const send = options => {
+                const request = client.request(target, { method, headers, timeout: this.timeout, ...options }, onResponse);
+                request.on('timeout', () => request.destroy(new Error(`timed out after ${this.timeout}ms`)));
+                request.on('error', reject);
+                request.end();
+            };
+
+            if (!this.proxy) return send({});
+
+            const proxy = new URL(this.proxy);
+            const proxyHeaders = proxy.username
+                ? { 'Proxy-Authorization': `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}` }
+                : {};
+            const proxyOptions = { host: proxy.hostname, port: proxy.port || 80, timeout: this.timeout };
+
+            if (target.protocol === 'http:') {
+                // Plain HTTP goes to the proxy with the full URL as the path
+                const request = http.request({ ...proxyOptions, method, path: target.href, headers: { ...headers, ...proxyHeaders, Host: target.host } }, onResponse);
+                request.on('timeout', () => request.destroy(new Error(`proxy timed out after ${this.timeout}ms`)));
+                request.on('error', reject);
+                request.end();
+                return;
+            }
+
+            // HTTPS is tunnelled with CONNECT
+            const authority = `${target.hostname}:${target.port || 443}`;
+            const connect = http.request({ ...proxyOptions, method: 'CONNECT', path: authority, headers: { ...proxyHeaders, Host: authority } });
+            connect.on('connect', (response, socket) => {
+                if (response.statusCode !== 200) {
+                    socket.destroy();
+                    reject(new Error(`proxy CONNECT responded ${response.statusCode}`));
+                    return;
+                }
+                send({ agent: false, createConnection: () => tls.connect({ socket, servername: target.hostname }) });
+            });
+            connect.on('timeout', () => connect.destroy(new Error(`proxy timed out after ${this.timeout}ms`)));
+            connect.on('error', reject);
+            connect.end();
+        });
+    }
+
+    /**
+     * Check one external URL live: HEAD first, GET when HEAD isn't allowed,
+     * following redirects
+     */
+    async fetchStatus(url) {
+        let current = url;
+        let method = 'HEAD';
+
+        for (let hop = 0; hop <= this.maxRedirects; hop++) {
+            let response;
+            try {
+                response = await this.request(current, method);
+            } catch (error) {
+                return { status: null, error: error.message };
+            }
+
+            if ([405, 403, 501].includes(response.status) && method === 'HEAD') {
+                method = 'GET';
+                hop--;
+                continue;
+            }
+            if (response.status >= 300 && response.status < 400 && response.location) {
+                current = new URL(response.location, current).href;
+                continue;
+            }
+            return { status: response.status, finalUrl: current !== url ? current : undefined };
+        }
+
+        return { status: null, error: `more than ${this.maxRedirects} redirects` };
+    }
+
+    /**
+     * ok, broken, warning (rate limited or not recorded) or error
+     */
+    classify(result) {
+        if (result.status === 429) return 'warning';
+        if (result.status === null || result.status === undefined) return result.error === 'not recorded' ? 'warning' : 'broken';
+        return result.status < 400 ? 'ok' : 'broken';
+    }
+
+    /**
+     * Check external URLs from the cache, the fixtures or live, a host at a time
+     */
+    async check(urls) {
+        const results = new Map();
+        const now = Date.now();
+        const cache = this.useCache && !this.fixturesPath ? this.loadJson(this.cachePath) : {};
+        const fixtures = this.fixturesPath ? this.loadJson(this.fixturesPath) : null;
+        const live = [];
+
+        urls.forEach(url => {
+            const cached = cache[url];
+            if (fixtures && !this.record) {
+                const fixture = fixtures[url];
+                results.set(url, fixture ? { ...fixture, source: 'fixture' } : { status: null, error: 'not recorded', source: 'fixture' });
+            } else if (cached && now - Date.parse(cached.checkedAt) < this.cacheTtlHours * 60 * 60 * 1000) {
+                results.set(url, { ...cached, source: 'cache' });
+            } else {
+                live.push(url);
+            }
+        });
+
+        const byHost = new Map();
+        live.forEach(url => {
+            const host = new URL(url).host;
+            if (!byHost.has(host)) byHost.set(host, []);
+            byHost.get(host).push(url);
+        });
+
+        const hosts = Array.from(byHost.keys());
+        const worker = async () => {
+            while (hosts.length > 0) {
+                const hostUrls = byHost.get(hosts.shift());
+                for (let index = 0; index < hostUrls.length; index++) {
+                    if (index > 0) await this.sleep(this.rateLimitMs);
+                    const result = { ...(await this.fetchStatus(hostUrls[index])), checkedAt: new Date().toISOString() };
+                    results.set(hostUrls[index], { ...result, source: 'live' });
+                    // Rate limiting and network errors are worth retrying next run
+                    if (this.classify(result) === 'ok' || (result.status >= 400 && result.status !== 429)) cache[hostUrls[index]] = result;
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, hosts.length) }, worker));
+
+        if (live.length > 0 && this.useCache && !this.fixturesPath) this.saveJson(this.cachePath, cache);
+        if (this.record && this.fixturesPath) {
+            live.forEach(url => {
+                const { status, finalUrl, error } = results.get(url);
+                fixtures[url] = { status, finalUrl, error };
+            });
+            this.saveJson(this.fixturesPath, fixtures);
+        }
+
+        return results;
+    }
+}
+
+module.exports = ExternalLinkChecker;
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Freshness Metrics
+ * Computes the scores in the daily analytics summary from the site itself:
+ * - freshnessScore from each page's content age in git history: the commit that
+ *   introduced its current content fingerprint, so daily snippet commits don't count.
+ *   A shallow clone only has the latest commit, so it needs the full history
+ * - botEngagement from crawler hits in server logs (BotLogAnalyzer), as the share of
+ *   pages crawled in the log window
+ * - contentRelevance from internal-link coverage and SEOHealthChecks scores (SEOCrawler)
+ * Each metric is null, with the reason, when its inputs aren't available. The formulas
+ * are written into the summary, along with the change from the previous day's summary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ContentFingerprints = require('./content-fingerprints');
+const BotLogAnalyzer = require('./bot-log-analyzer');
+const SEOCrawler = require('./seo-crawler');
+const SEOHealthChecks = require('../assets/js/seo-health-checks');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class FreshnessMetrics {
+    constructor(options = {}) {
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.now = options.now || new Date();
+        this.reportsDir = options.reportsDir || path.join(this.rootDir, 'analytics-reports');
+        this.logFiles = options.logFiles || [];
+        // Written by `npm run logs:bots`; used when no log files are given
+        this.botReportPath = options.botReportPath || path.join(this.rootDir, 'build-reports/bot-crawl-report.json');
+        this.halfLifeDays = options.halfLifeDays || 180;
+        this.maxRevisions = options.maxRevisions || 100;
+        this.fingerprints = new ContentFingerprints({ rootDir: this.rootDir });
+
+        this.formulas = {
+            freshnessScore: `mean over pages of 100 × 0.5^(contentAgeDays / ${this.halfLifeDays}); contentAgeDays counts from the commit that introduced the page's current content`,
+            botEngagement: '100 × pages with at least one crawler hit in the server logs / pages',
+            contentRelevance: '(internalLinkCoverage + seoScore) / 2',
+            internalLinkCoverage: '100 × pages reached by following internal links from the homepage / pages',
+            seoScore: 'mean over reached pages of the SEOHealthChecks score (100 minus deductions for missing title, description, structured data, single h1, canonical, image and link text issues)'
+        };
+    }
+
+    round(value) {
+        return value === null ? null : Math.round(value * 10) / 10;
+    }
+
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    git(args) {
+        return execFileSync('git', args, { cwd: this.rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+    }
+
+    /**
+     * When the page's current content first appeared: walks the file's history back
+     * while each revision still has the same fingerprint. Uncommitted content dates
+     * from now; pages git doesn't know fall back to content-fingerprints.json
+     */
+    getContentDate(file) {
+        const current = this.fingerprints.fingerprint(fs.readFileSync(path.join(this.rootDir, file), 'utf8')).hash;
+        let revisions = [];
+
+        try {
+            revisions = this.git(['log', `--max-count=${this.maxRevisions}`, '--format=%H %cI', '--', file])
+                .trim().split('\n').filter(Boolean).map(line => line.split(' '));
+        } catch (error) {
+            // Not a git checkout
+        }
+
+        if (revisions.length === 0) {
+            const recorded = ContentFingerprints.read(this.fingerprints.storePath)[file];
+            return recorded ? { date: recorded, source: 'content-fingerprints' } : { date: this.now.toISOString(), source: 'untracked' };
+        }
+
+        let introduced = null;
+        for (const [hash, date] of revisions) {
+            let content;
+            try {
+                content = this.git(['show', `${hash}:${file}`]);
+            } catch (error) {
+                break;
+            }
+            if (this.fingerprints.fingerprint(content).hash !== current) break;
+            introduced = date;
+        }
+
+        return introduced
+            ? { date: new Date(introduced).toISOString(), source: 'git' }
+            : { date: this.now.toISOString(), source: 'uncommitted' };
+    }
+
+    /**
+     * Per-page content age and the freshness score
+     */
+    measureContentAge(pages) {
+        if (this.isShallowClone()) {
+            return { score: null, history: { shallow: true, reason: 'shallow git clone; content dates need the full history (fetch-depth: 0)' } };
+        }
+
+        pages.forEach(page => {
+            const { date, source } = this.getContentDate(page.file);
+            page.contentDate = date;
+            page.contentDateSource = source;
+            page.contentAgeDays = this.round(Math.max(0, (this.now - new Date(date)) / DAY));
+        });
+
+        return {
+            score: this.round(this.mean(pages.map(page => 100 * Math.pow(0.5, page.contentAgeDays / this.halfLifeDays)))),
+            history: { shallow: false }
+        };
+    }
+
+    /**
+     * Whether the checkout has only part of the history, as CI checkouts do by default;
+     * every page would then date from the latest commit
+     */
+    isShallowClone() {
+        try {
+            return this.git(['rev-parse', '--is-shallow-repository']).trim() === 'true';
+        } catch (error) {
+            // Not a git checkout
+            return false;
+        }
+    }
+
+    /**
+     * Crawler hits per page, from the given logs or the last bot crawl report
+     */
+    async loadBotReport() {
+        if (this.logFiles.length > 0) {
+            const analyzer = new BotLogAnalyzer({ topPages: Infinity });
+            return { report: await analyzer.analyzeFiles(this.logFiles), source: this.logFiles.join(', ') };
+        }
+        if (fs.existsSync(this.botReportPath)) {
+            return { report: JSON.parse(fs.readFileSync(this.botReportPath, 'utf8')), source: path.relative(this.rootDir, this.botReportPath) };
+        }
+        return { report: null, source: null };
+    }
+
+    async measureBotEngagement(pages) {
+        const { report, source } = await this.loadBotReport();
+        if (!report) return { score: null, crawl: { source: null, reason: 'no server logs or bot crawl report' } };
+
+        pages.forEach(page => {
+            page.crawlerHits = 0;
+            page.crawlers = [];
+        });
+        const byUrl = new Map(pages.map(page => [page.url, page]));
+
+        report.bots.forEach(bot => bot.pages.forEach(hit => {
+            const page = byUrl.get(hit.path.replace(/\/index\.html$/, '/')) || byUrl.get(`${hit.path}.html`);
+            if (!page) return;
+            page.crawlerHits += hit.requests;
+            if (!page.crawlers.includes(bot.name)) page.crawlers.push(bot.name);
+        }));
+
+        const crawled = pages.filter(page => page.crawlerHits > 0).length;
+        return {
+            score: this.round(100 * crawled / pages.length),
+            crawl: {
+                source,
+                from: report.summary.from || null,
+                to: report.summary.to || null,
+                botRequests: report.summary.botRequests,
+                bots: report.bots.length,
+                pagesCrawled: crawled
+            }
+        };
+    }
+
+    /**
+     * Internal-link coverage and SEO scores from a crawl of the built site
+     */
+    measureContentRelevance(pages) {
+        const crawler = new SEOCrawler({ rootDir: this.rootDir });
+        const crawledPages = new Map(crawler.run().pages.map(page => [page.url, page]));
+
+        pages.forEach(page => {
+            const crawled = crawledPages.get(page.url);
+            page.reachable = !!crawled;
+            page.inboundLinks = crawled ? crawled.inboundLinks : 0;
+            page.seoScore = crawled ? SEOHealthChecks.score(crawled.metrics) : null;
+        });
+
+        const reached = pages.filter(page => page.reachable);
+        const internalLinkCoverage = this.round(100 * reached.length / pages.length);
+        const seoScore = this.round(this.mean(reached.map(page => page.seoScore)));
+
+        return {
+            internalLinkCoverage,
+            seoScore,
+            score: seoScore === null ? null : this.round((internalLinkCoverage + seoScore) / 2),
+            unreachable: pages.filter(page => !page.reachable).map(page => page.url)
+        };
+    }
+
+    /**
+     * The most recent summary from an earlier day
+     */
+    loadPreviousSummary() {
+        if (!fs.existsSync(this.reportsDir)) return null;
+
+        const today = this.now.toISOString().split('T')[0];
+        const [previous] = fs.readdirSync(this.reportsDir)
+            .map(file => file.match(/^daily-summary-(\d{4}-\d{2}-\d{2})\.json$/))
+            .filter(match => match && match[1] < today)
+            .map(match => match[0])
+            .sort()
+            .reverse();
+
+        return previous ? JSON.parse(fs.readFileSync(path.join(this.reportsDir, previous), 'utf8')) : null;
+    }
+
+    /**
+     * Change in each score since the previous summary
+     */
+    compareWithPrevious(metrics, previous) {
+        if (!previous || !previous.metrics) return null;
+
+        const changes = {};
+        Object.entries(metrics).forEach(([name, value]) => {
+            const before = typeof previous.metrics[name] === 'number' ? previous.metrics[name] : null;
+            const change = value === null || before === null ? null : this.round(value - before);
+            changes[name] = {
+                previous: before,
+                current: value,
+                change,
+                direction: change === null ? 'unknown' : change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+            };
+        });
+
+        return { previousDate: previous.timestamp || previous.date, metrics: changes };
+    }
+
+    /**
+     * All scores, their inputs per page, the formulas and the trend
+     */
+    async collect() {
+        const pages = this.fingerprints.getPages().map(file => ({
+            file,
+            url: file === 'index.html' ? '/' : `/${file}`
+        }));
+
+        const freshness = this.measureContentAge(pages);
+        const bots = await this.measureBotEngagement(pages);
+        const relevance = this.measureContentRelevance(pages);
+
+        const metrics = {
+            freshnessScore: freshness.score,
+            botEngagement: bots.score,
+            contentRelevance: relevance.score,
+            internalLinkCoverage: relevance.internalLinkCoverage,
+            seoScore: relevance.seoScore
+        };
+
+        return {
+            metrics,
+            formulas: this.formulas,
+            inputs: {
+                history: freshness.history,
+                crawl: bots.crawl,
+                unreachablePages: relevance.unreachable,
+                pages
+            },
+            trend: this.compareWithPrevious(metrics, this.loadPreviousSummary())
+        };
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const metrics = new FreshnessMetrics({ logFiles: args.filter(value => !value.startsWith('--')) });
+
+    metrics.collect()
+        .then(result => {
+            console.log('📊 Freshness metrics');
+            Object.entries(result.metrics).forEach(([name, value]) => {
+                const trend = result.trend && result.trend.metrics[name].change !== null
+                    ? ` (${result.trend.metrics[name].change >= 0 ? '+' : ''}${result.trend.metrics[name].change})`
+                    : '';
+                console.log(`   ${name}: ${value === null ? 'n/a' : value}${trend}`);
+            });
+            if (result.inputs.history.reason) console.log(`   ⚠️  freshnessScore: ${result.inputs.history.reason}`);
+            if (result.inputs.crawl.reason) console.log(`   ⚠️  botEngagement: ${result.inputs.crawl.reason}`);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = FreshnessMetrics;
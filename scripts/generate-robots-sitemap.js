@@ -7,12 +7,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const ContentFingerprints = require('./content-fingerprints');
 
 class DynamicRobotsSitemapGenerator {
     constructor() {
         this.loadConfig();
         this.outputDir = process.cwd();
         this.pages = [];
+        // Dates recorded when each page's content last changed (see content-fingerprints.js)
+        this.contentDates = ContentFingerprints.read(path.join(this.outputDir, 'content-fingerprints.json'));
         this.scanSiteStructure();
     }
 
@@ -105,9 +108,12 @@ class DynamicRobotsSitemapGenerator {
     }
 
     /**
-     * Get file modification date
+     * Get the date the page's content last changed, falling back to the file modification date
      */
     getFileModificationDate(filePath) {
+        const contentDate = this.contentDates[path.relative(this.outputDir, path.resolve(this.outputDir, filePath)).replace(/\\/g, '/')];
+        if (contentDate) return contentDate.split('T')[0];
+
         try {
             const stats = fs.statSync(filePath);
             return stats.mtime.toISOString().split('T')[0];
@@ -116,13 +122,24 @@ class DynamicRobotsSitemapGenerator {
         }
     }
 
+    /**
+     * Newest lastmod of the pages of the given types, so generated files only change with content
+     */
+    getLatestModification(types = ['homepage', 'document', 'comparison']) {
+        return this.pages
+            .filter(page => types.includes(page.type))
+            .map(page => page.lastmod)
+            .sort()
+            .pop() || new Date().toISOString().split('T')[0];
+    }
+
     /**
      * Generate robots.txt content with proper crawling guidelines
      */
     generateRobotsTxt() {
         let robotsContent = `# Robots.txt for ${this.siteName}
 # Generated automatically for SEO optimization
-# Last updated: ${new Date().toISOString()}
+# Last updated: ${this.getLatestModification()}
 
 `;
 
@@ -194,21 +211,20 @@ Host: ${this.baseUrl}`;
      * Generate sitemap index for different content types
      */
     generateSitemapIndex() {
-        const currentDate = new Date().toISOString().split('T')[0];
-        
+        // Each sitemap changed when the newest page in it did
         const sitemapIndexContent = `<?xml version="1.0" encoding="UTF-8"?>
 <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
     <sitemap>
         <loc>${this.baseUrl}/sitemap.xml</loc>
-        <lastmod>${currentDate}</lastmod>
+        <lastmod>${this.getLatestModification(['homepage', 'document', 'comparison'])}</lastmod>
     </sitemap>
     <sitemap>
         <loc>${this.baseUrl}/sitemap-documents.xml</loc>
-        <lastmod>${currentDate}</lastmod>
+        <lastmod>${this.getLatestModification(['document'])}</lastmod>
     </sitemap>
     <sitemap>
         <loc>${this.baseUrl}/sitemap-comparisons.xml</loc>
-        <lastmod>${currentDate}</lastmod>
+        <lastmod>${this.getLatestModification(['comparison'])}</lastmod>
     </sitemap>
 </sitemapindex>`;
 
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+
+/**
+ * Link Checker
+ * Checks every link in the site's HTML pages:
+ *   - internal links resolve to a file (through _redirects, netlify.toml and
+ *     vercel.json redirects, the same way seo:crawl resolves them)
+ *   - #fragments exist in the target page, counting the heading ids
+ *     DocumentTemplate.generateHeadingId() adds when document pages build their TOC
+ *   - external URLs respond, with --external only (ExternalLinkChecker)
+ * Broken links are grouped by the page they're on in build-reports/link-check-report.json
+ * and link-check-report.md. Settings come from `linkChecker` in build.config.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SEOCrawler = require('./seo-crawler');
+const ExternalLinkChecker = require('./external-link-checker');
+const DocumentTemplate = require('../assets/js/document-template');
+
+// Element, attribute and what the link is for
+const LINK_SELECTORS = [
+    ['a[href]', 'href'],
+    ['area[href]', 'href'],
+    ['link[href]', 'href'],
+    ['img[src]', 'src'],
+    ['script[src]', 'src'],
+    ['source[src]', 'src'],
+    ['iframe[src]', 'src']
+];
+
+class LinkChecker {
+    constructor(options = {}) {
+        const config = options.config || LinkChecker.loadConfig();
+        const externalConfig = config.external || {};
+
+        this.crawler = options.crawler || new SEOCrawler({ rootDir: options.rootDir, siteUrl: options.siteUrl });
+        this.rootDir = this.crawler.rootDir;
+        this.origin = this.crawler.origin;
+        this.ignore = options.ignore || config.ignore || [];
+        // Authoring templates only hold placeholder URLs, filled in when a page is made from them
+        this.excludedUrls = options.excludedUrls || ['/documents/document-template.html'];
+        this.outputPath = options.outputPath || 'build-reports/link-check-report.json';
+
+        this.external = Boolean(options.external);
+        // Options given here override the `external` settings in build.config.js
+        const settings = { ...externalConfig, record: options.record, cache: options.cache };
+        ['fixtures', 'proxy', 'cachePath', 'cacheTtlHours', 'rateLimitMs', 'concurrency', 'timeout'].forEach(name => {
+            if (options[name] !== undefined) settings[name] = options[name];
+        });
+        this.externalChecker = new ExternalLinkChecker(settings);
+
+        this.documents = new Map();
+    }
+
+    /**
+     * The `linkChecker` section of build.config.js
+     */
+    static loadConfig() {
+        try {
+            return require('../build.config.js').linkChecker || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    sitePathOf(file) {
+        const relative = path.relative(this.rootDir, file).split(path.sep).join('/');
+        return this.crawler.normalizePath(relative);
+    }
+
+    /**
+     * Parse a page once: its links (with line numbers) and the fragment ids it answers to
+     */
+    loadDocument(file) {
+        if (this.documents.has(file)) return this.documents.get(file);
+
+        const url = `${this.origin}${this.sitePathOf(file)}`;
+        const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { url, includeNodeLocations: true });
+        const { document } = dom.window;
+
+        const links = [];
+        LINK_SELECTORS.forEach(([selector, attribute]) => {
+            document.querySelectorAll(selector).forEach(element => {
+                // Hints to open connections, not links to anything
+                if (element.tagName === 'LINK' && /\b(preconnect|dns-prefetch)\b/i.test(element.getAttribute('rel') || '')) return;
+
+                const location = dom.nodeLocation(element);
+                links.push({
+                    href: element.getAttribute(attribute).trim(),
+                    tag: element.tagName.toLowerCase(),
+                    line: location ? location.startLine : null
+                });
+            });
+        });
+        links.sort((a, b) => (a.line || 0) - (b.line || 0));
+
+        const anchors = new Set();
+        document.querySelectorAll('[id]').forEach(element => anchors.add(element.id));
+        document.querySelectorAll('a[name]').forEach(element => anchors.add(element.getAttribute('name')));
+
+        // Document pages give their TOC headings ids at runtime
+        const usesDocumentTemplate = Array.from(document.querySelectorAll('script[src]'))
+            .some(script => /document-template(\.min)?\.js$/.test(script.getAttribute('src')));
+        if (usesDocumentTemplate) {
+            document.querySelectorAll('.document-content h2, .document-content h3').forEach(heading => {
+                if (!heading.id) anchors.add(DocumentTemplate.prototype.generateHeadingId(heading.textContent));
+            });
+        }
+
+        dom.window.close();
+
+        const parsed = { url, links, anchors };
+        this.documents.set(file, parsed);
+        return parsed;
+    }
+
+    isIgnored(url) {
+        return this.ignore.some(prefix => url.startsWith(prefix));
+    }
+
+    /**
+     * Internal link result: { ok, reason }
+     */
+    checkInternal(url, fromFile) {
+        const sitePath = this.crawler.normalizePath(url.pathname);
+        const { target, chain, loop } = this.crawler.followRedirects(sitePath);
+
+        if (loop) return { ok: false, reason: `redirect loop (${chain.map(hop => hop.from).join(' → ')})` };
+        // Redirected off-site
+        if (target === null) return { ok: true };
+
+        const file = this.crawler.pathToFile(target);
+        if (!file) {
+            return { ok: false, reason: chain.length > 0 ? `redirects to missing ${target}` : 'not found' };
+        }
+
+        let fragment = url.hash.slice(1);
+        try {
+            fragment = decodeURIComponent(fragment);
+        } catch (error) {
+            // Check the raw fragment
+        }
+        // "#", "#top" and text fragments need no target element
+        if (!fragment || fragment === 'top' || fragment.startsWith(':~:') || !/\.html?$/.test(file)) return { ok: true };
+
+        const targetFile = file === fromFile ? fromFile : file;
+        if (!this.loadDocument(targetFile).anchors.has(fragment)) {
+            return { ok: false, anchor: true, reason: `no element with id "${fragment}"${file === fromFile ? '' : ` in ${this.sitePathOf(file)}`}` };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Internal links and fragments of one page; external URLs are returned for run()
+     */
+    checkPage(file) {
+        const { url: pageUrl, links } = this.loadDocument(file);
+        const result = { page: this.sitePathOf(file), internal: 0, external: [], broken: [] };
+
+        links.forEach(link => {
+            if (!link.href || /^(javascript|mailto|tel|data|sms):/i.test(link.href)) return;
+
+            let url;
+            try {
+                url = new URL(link.href, pageUrl);
+            } catch (error) {
+                result.broken.push({ ...link, type: 'internal', reason: 'malformed URL' });
+                return;
+            }
+
+            if (url.origin === this.origin) {
+                result.internal++;
+                const check = this.checkInternal(url, file);
+                if (!check.ok) result.broken.push({ ...link, type: check.anchor ? 'anchor' : 'internal', reason: check.reason });
+            } else if (/^https?:$/.test(url.protocol) && !this.isIgnored(url.href)) {
+                url.hash = '';
+                result.external.push({ ...link, url: url.href });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check every page; resolves with the report
+     */
+    async run() {
+        const pageResults = this.crawler.listSiteFiles().sort()
+            .filter(file => !this.excludedUrls.includes(this.sitePathOf(file)))
+            .map(file => this.checkPage(file));
+        const externalUrls = new Set();
+        pageResults.forEach(page => page.external.forEach(link => externalUrls.add(link.url)));
+
+        const external = [];
+        let warnings = 0;
+        if (this.external) {
+            const results = await this.externalChecker.check(Array.from(externalUrls).sort());
+            results.forEach((result, url) => {
+                const state = this.externalChecker.classify(result);
+                const pages = pageResults.filter(page => page.external.some(link => link.url === url)).map(page => page.page);
+                external.push({ url, state, status: result.status, finalUrl: result.finalUrl, error: result.error, source: result.source, pages });
+                if (state === 'warning') warnings++;
+            });
+
+            pageResults.forEach(page => page.external.forEach(link => {
+                const result = external.find(entry => entry.url === link.url);
+                if (result.state !== 'broken') return;
+                const reason = result.status ? `responded ${result.status}` : result.error;
+                page.broken.push({ href: link.href, tag: link.tag, line: link.line, type: 'external', reason, status: result.status });
+            }));
+        }
+
+        const pages = pageResults
+            .filter(page => page.broken.length > 0)
+            .map(page => ({ page: page.page, broken: page.broken.sort((a, b) => (a.line || 0) - (b.line || 0)) }))
+            .sort((a, b) => b.broken.length - a.broken.length || a.page.localeCompare(b.page));
+        const broken = pages.flatMap(page => page.broken);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            siteUrl: this.crawler.siteUrl,
+            summary: {
+                pages: pageResults.length,
+                internalLinks: pageResults.reduce((sum, page) => sum + page.internal, 0),
+                externalLinks: pageResults.reduce((sum, page) => sum + page.external.length, 0),
+                externalUrls: externalUrls.size,
+                externalChecked: this.external,
+                broken: broken.length,
+                brokenInternal: broken.filter(link => link.type === 'internal').length,
+                brokenAnchors: broken.filter(link => link.type === 'anchor').length,
+                brokenExternal: broken.filter(link => link.type === 'external').length,
+                warnings
+            },
+            pages,
+            external
+        };
+    }
+
+    renderMarkdown(report) {
+        const { summary } = report;
+        const lines = [
+            '# Link Check Report',
+            '',
+            `Generated ${report.generatedAt} for ${report.siteUrl}`,
+            '',
+            `- Pages: ${summary.pages}`,
+            `- Internal links: ${summary.internalLinks}`,
+            `- External links: ${summary.externalLinks} (${summary.externalUrls} URLs${summary.externalChecked ? '' : ', not checked; use --external'})`,
+            `- Broken: ${summary.broken} (${summary.brokenInternal} internal, ${summary.brokenAnchors} anchors, ${summary.brokenExternal} external)`,
+            ''
+        ];
+
+        if (report.pages.length === 0) {
+            lines.push('✅ No broken links');
+        }
+        report.pages.forEach(page => {
+            lines.push(`## ${page.page}`, '', '| Line | Link | Type | Problem |', '|---|---|---|---|');
+            page.broken.forEach(link => {
+                lines.push(`| ${link.line || ''} | \`${link.href.replace(/\|/g, '\\|')}\` | ${link.type} | ${link.reason} |`);
+            });
+            lines.push('');
+        });
+
+        const warnings = report.external.filter(entry => entry.state === 'warning');
+        if (warnings.length > 0) {
+            lines.push('## Not checked', '');
+            warnings.forEach(entry => lines.push(`- ${entry.url}: ${entry.status === 429 ? 'rate limited (429)' : entry.error}`));
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    saveReport(report) {
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(report, null, 2));
+        const markdownPath = this.outputPath.replace(/\.json$/, '') + '.md';
+        fs.writeFileSync(markdownPath, this.renderMarkdown(report));
+        return { jsonPath: this.outputPath, markdownPath };
+    }
+
+    printSummary(report) {
+        const { summary } = report;
+        console.log(`\n📊 ${summary.pages} pages, ${summary.internalLinks} internal links, ${summary.externalLinks} external links` +
+            (summary.externalChecked ? '' : ' (not checked)'));
+        report.pages.forEach(page => {
+            console.log(`   ${page.page}`);
+            page.broken.forEach(link => console.log(`      ❌ ${link.line ? `line ${link.line}: ` : ''}${link.href} - ${link.reason}`));
+        });
+        if (summary.warnings > 0) console.log(`⚠️  ${summary.warnings} external URLs could not be checked`);
+        if (summary.broken === 0) console.log('✅ No broken links');
+    }
+}
+
+// Run the checker if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (args.includes('--help')) {
+        console.log('Usage: node scripts/link-checker.js [--root=.] [--external] [--proxy=http://host:port] [--fixtures=links.json [--record]] [--no-cache] [--output=build-reports/link-check-report.json]');
+        process.exit(0);
+    }
+
+    const checker = new LinkChecker({
+        rootDir: option('root'),
+        external: args.includes('--external') || args.includes('--record'),
+        proxy: option('proxy'),
+        fixtures: option('fixtures'),
+        record: args.includes('--record'),
+        cache: !args.includes('--no-cache'),
+        outputPath: option('output')
+    });
+
+    console.log(`🔗 Checking links in ${checker.rootDir}${checker.external ? ' (including external URLs)' : ''}...`);
+    checker.run()
+        .then(report => {
+            checker.printSummary(report);
+            const { jsonPath, markdownPath } = checker.saveReport(report);
+            console.log(`\n📄 Report saved to ${jsonPath} and ${markdownPath}`);
+            process.exit(report.summary.broken > 0 ? 1 : 0);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,337 @@
+/**
+ * Metadata Extractor
+ * Derives a page's title, meta description, keywords and image alt text from its
+ * own content, for FinalIntegrator to fill in or replace missing and placeholder metadata.
+ * - Titles come from the h1, with the site name appended when it fits in 60 characters
+ * - Descriptions are whole sentences from the first paragraphs, 120-160 characters where
+ *   the copy allows, the same bounds SEOHealthChecks scores against
+ * - Keywords are h1-h3 phrases of the main content ranked by how often the page text uses
+ *   them; a lone word only counts when it is a name like "GGUF" or "LM2", and noindex
+ *   pages get none
+ * - Alt text comes from the figure caption, the image title or the section heading
+ */
+
+const path = require('path');
+const PorterStemmer = require('../assets/js/porter-stemmer');
+
+// Words that never start or end a keyword phrase
+const STOP_WORDS = new Set([
+    'a', 'about', 'advantages', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'best', 'but',
+    'by', 'can', 'choose', 'choosing', 'complete', 'comprehensive', 'conclusion', 'detailed', 'do', 'does',
+    'each', 'find', 'for', 'from', 'get', 'guide', 'has', 'have', 'here', 'how', 'ideal', 'if', 'in', 'into',
+    'introduction', 'is', 'it', 'its', 'key', 'main', 'more', 'most', 'new', 'not', 'of', 'on', 'or', 'our',
+    'overview', 'page', 'right', 'so', 'summary', 'than', 'that', 'the', 'their', 'them', 'these', 'this',
+    'those', 'to', 'use', 'using', 'vs', 'was', 'we', 'what', 'when', 'which', 'who', 'why', 'will', 'with',
+    'you', "you'll", 'your'
+]);
+
+// Abbreviations whose full stop doesn't end a sentence
+const ABBREVIATIONS = ['e.g.', 'i.e.', 'etc.', 'vs.', 'approx.', 'incl.', 'Dr.', 'Mr.', 'Ms.', 'No.'];
+
+class MetadataExtractor {
+    constructor(options = {}) {
+        this.siteName = options.siteName || 'LLM Tools Hub';
+        this.titleMaxLength = options.titleMaxLength || 60;
+        this.descriptionMinLength = options.descriptionMinLength || 120;
+        this.descriptionMaxLength = options.descriptionMaxLength || 160;
+        this.altMaxLength = options.altMaxLength || 125;
+        this.maxKeywords = options.maxKeywords || 8;
+        // Page chrome that says nothing about the page itself
+        this.excludedSelectors = ['nav', 'footer', 'aside', 'script', 'style', 'noscript', 'template', '.skip-link', '.breadcrumb', '[aria-hidden="true"]'];
+        this.stemmer = new PorterStemmer();
+    }
+
+    /**
+     * All metadata for a page; file is only a fallback when the page has no headings
+     */
+    extract(document, file = '') {
+        const headline = this.extractHeadline(document, file);
+
+        return {
+            headline,
+            title: this.extractTitle(document, file),
+            description: this.extractDescription(document, file),
+            keywords: this.extractKeywords(document)
+        };
+    }
+
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isExcluded(element) {
+        return this.excludedSelectors.some(selector => element.closest(selector));
+    }
+
+    /**
+     * Main content when the page marks it up, otherwise the body
+     */
+    getContentRoot(document) {
+        return document.querySelector('main') || document.querySelector('article') || document.body;
+    }
+
+    /**
+     * Text of the content, with elements kept apart so adjoining blocks don't run together
+     */
+    getText(root) {
+        const document = root.ownerDocument;
+        const walker = document.createTreeWalker(root, document.defaultView.NodeFilter.SHOW_TEXT);
+        const parts = [];
+        while (walker.nextNode()) {
+            if (!this.isExcluded(walker.currentNode.parentElement)) parts.push(walker.currentNode.textContent);
+        }
+        return this.normalize(parts.join(' '));
+    }
+
+    getHeadings(root, selector = 'h1, h2, h3') {
+        return Array.from(root.querySelectorAll(selector))
+            .filter(heading => !this.isExcluded(heading))
+            .map(heading => this.normalize(heading.textContent))
+            .filter(Boolean);
+    }
+
+    /**
+     * The page's own name: the h1 of its main content rather than the site header's,
+     * else any h1, else its first h2, else the file name
+     */
+    extractHeadline(document, file) {
+        const root = this.getContentRoot(document);
+        const [heading] = this.getHeadings(root, 'h1')
+            .concat(this.getHeadings(document, 'h1'), this.getHeadings(root, 'h2'));
+        if (heading) return heading;
+
+        return path.basename(file, '.html')
+            .split(/[-_]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * "<headline> - <site name>", dropping the site name, then words, to stay within the limit;
+     * a headline that already names the site stands alone
+     */
+    extractTitle(document, file) {
+        const headline = this.extractHeadline(document, file);
+        const siteStems = this.stemSet(this.siteName);
+        const headlineStems = this.stemSet(this.splitWords(headline).join(' '));
+        const namesSite = [...siteStems].every(stem => headlineStems.has(stem));
+        const withSite = namesSite ? headline : `${headline} - ${this.siteName}`;
+
+        if (withSite.length <= this.titleMaxLength) return withSite;
+        return this.truncate(headline, this.titleMaxLength);
+    }
+
+    /**
+     * Paragraph text in reading order, leaving out short labels and chrome
+     */
+    getParagraphs(document) {
+        const root = this.getContentRoot(document);
+
+        return Array.from(root.querySelectorAll('p'))
+            .filter(paragraph => !this.isExcluded(paragraph) && !paragraph.closest('figure'))
+            .map(paragraph => this.normalize(paragraph.textContent))
+            .filter(text => text.length >= 40);
+    }
+
+    /**
+     * Split text into sentences without breaking on abbreviations or decimals
+     */
+    splitSentences(text) {
+        let protectedText = text;
+        ABBREVIATIONS.forEach((abbreviation, index) => {
+            protectedText = protectedText.split(abbreviation).join(`\u0000${index}\u0000`);
+        });
+
+        return protectedText
+            .split(/(?<=[.!?])\s+(?=["'“(]?[A-Z0-9])/)
+            .map(sentence => sentence.replace(/\u0000(\d+)\u0000/g, (match, index) => ABBREVIATIONS[index]).trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whole sentences from the first paragraphs, up to the maximum length; reads on into
+     * the next paragraph while under the minimum. A first sentence that is too long on its
+     * own is cut at a word boundary. Null when the page has neither prose nor sections,
+     * since its headline alone doesn't describe it
+     */
+    extractDescription(document, file = '') {
+        let sentences = this.getParagraphs(document).flatMap(paragraph => this.splitSentences(paragraph));
+
+        if (sentences.length === 0) {
+            // Pages without prose (tools, dashboards) are described by their sections
+            const sections = this.getHeadings(this.getContentRoot(document), 'h2').slice(0, 4);
+            if (sections.length === 0) return null;
+            sentences = [`${this.extractHeadline(document, file)}: ${this.joinList(sections)}.`];
+        }
+
+        let description = '';
+        for (const sentence of sentences) {
+            // Headline-style paragraphs have no full stop of their own
+            const candidate = description ? `${description.replace(/([^.!?])$/, '$1.')} ${sentence}` : sentence;
+            if (candidate.length > this.descriptionMaxLength) break;
+            description = candidate;
+            if (description.length >= this.descriptionMinLength) break;
+        }
+
+        return description || this.truncate(sentences[0], this.descriptionMaxLength);
+    }
+
+    joinList(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+
+    /**
+     * Cut at the last word boundary that leaves room for an ellipsis
+     */
+    truncate(text, maxLength) {
+        if (text.length <= maxLength) return text;
+
+        const cut = text.slice(0, maxLength - 1);
+        const boundary = cut.lastIndexOf(' ');
+        return `${(boundary > 0 ? cut.slice(0, boundary) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+    }
+
+    /**
+     * Words of a heading, keeping product names like "GGUF", "C++" and "3.1" intact
+     */
+    splitWords(text) {
+        return text
+            .split(/[^\p{L}\p{N}+#.'-]+/u)
+            .map(word => word.replace(/^[.'-]+|[.'-]+$/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Phrases of up to three words from headings that don't start or end with a stop word
+     */
+    getCandidatePhrases(headings) {
+        const phrases = new Map();
+
+        headings.forEach(heading => {
+            const runs = [[]];
+            this.splitWords(heading).forEach(word => {
+                if (STOP_WORDS.has(word.toLowerCase()) || /^\d+$/.test(word)) {
+                    runs.push([]);
+                } else {
+                    runs[runs.length - 1].push(word);
+                }
+            });
+
+            runs.forEach(run => {
+                for (let size = 1; size <= Math.min(3, run.length); size++) {
+                    for (let start = 0; start + size <= run.length; start++) {
+                        const phrase = run.slice(start, start + size).join(' ');
+                        const key = phrase.toLowerCase();
+                        if (size === 1 && !this.isNameLike(phrase)) continue;
+
+                        const entry = phrases.get(key) || { phrase, words: size, headings: 0 };
+                        entry.headings++;
+                        phrases.set(key, entry);
+                    }
+                }
+            });
+        });
+
+        return Array.from(phrases.values());
+    }
+
+    /**
+     * Whether a single word names something rather than being a plain word like "Type"
+     * or "Queries" that a dashboard label or table heading repeats: acronyms, inner capitals,
+     * digits and symbols as in "LLM", "GGUFLoader", "Llama3" or "C++"
+     */
+    isNameLike(word) {
+        return word.length >= 3 && /[^\p{L}'-]|[\p{Lu}\p{Ll}]\p{Lu}/u.test(word);
+    }
+
+    isNoindex(document) {
+        const robots = document.querySelector('meta[name="robots"]');
+        return Boolean(robots && /\bnoindex\b/i.test(robots.getAttribute('content') || ''));
+    }
+
+    stemSet(phrase) {
+        return new Set(phrase.toLowerCase().split(' ').map(word => this.stemmer.stem(word)));
+    }
+
+    /**
+     * Heading phrases ranked by heading and body mentions, longer phrases first on ties.
+     * Mentions inside a longer candidate count for that phrase only, so "machine learning"
+     * beats "learning" when the page mostly says the former; a phrase is skipped when its
+     * words overlap one already chosen. Pages kept out of search have none
+     */
+    extractKeywords(document) {
+        if (this.isNoindex(document)) return [];
+
+        const root = this.getContentRoot(document);
+        const headings = this.getHeadings(root);
+        const bodyText = ` ${this.getText(root).toLowerCase()} `;
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const contains = (longer, shorter) => ` ${longer} `.includes(` ${shorter} `);
+
+        const candidates = this.getCandidatePhrases(headings).map(candidate => {
+            const key = candidate.phrase.toLowerCase();
+            const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escape(key)}(?![\\p{L}\\p{N}])`, 'gu');
+            return { ...candidate, key, mentions: (bodyText.match(pattern) || []).length };
+        });
+
+        const ranked = candidates
+            .map(candidate => {
+                const absorbed = Math.max(0, ...candidates
+                    .filter(other => other.words > candidate.words && contains(other.key, candidate.key))
+                    .map(other => other.mentions));
+                const mentions = Math.max(0, candidate.mentions - absorbed);
+                return { ...candidate, score: (candidate.headings * 2 + mentions) * (1 + (candidate.words - 1) * 0.5) };
+            })
+            .filter(candidate => candidate.score > 2)
+            .sort((a, b) => b.score - a.score || b.words - a.words || a.phrase.localeCompare(b.phrase));
+
+        const chosen = [];
+        for (const candidate of ranked) {
+            const stems = this.stemSet(candidate.phrase);
+            const overlaps = chosen.some(keyword => [...this.stemSet(keyword)].some(stem => stems.has(stem)));
+            if (!overlaps) chosen.push(candidate.phrase);
+            if (chosen.length === this.maxKeywords) break;
+        }
+
+        return chosen;
+    }
+
+    /**
+     * Alt text from what the page says about the image: its figure caption, its title,
+     * the link it sits in, or the heading of its section; the file name is the last resort
+     */
+    extractAltText(image) {
+        const figure = image.closest('figure');
+        const caption = figure && figure.querySelector('figcaption');
+        const link = image.closest('a');
+        const candidates = [
+            caption && this.splitSentences(this.normalize(caption.textContent))[0],
+            image.getAttribute('title'),
+            link && this.normalize(link.textContent),
+            this.getSectionHeading(image)
+        ];
+
+        const text = candidates.map(candidate => this.normalize(candidate)).find(Boolean);
+        if (text) return this.truncate(text.replace(/[.:]$/, ''), this.altMaxLength);
+
+        const src = (image.getAttribute('src') || '').split(/[?#]/)[0];
+        const name = src.startsWith('data:') ? '' : path.basename(src, path.extname(src)).replace(/[-_]+/g, ' ').trim();
+        return name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Image';
+    }
+
+    /**
+     * Nearest heading before the image in document order
+     */
+    getSectionHeading(image) {
+        const headings = Array.from(image.ownerDocument.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(heading => !this.isExcluded(heading));
+        const previous = headings.filter(heading =>
+            heading.compareDocumentPosition(image) & image.ownerDocument.defaultView.Node.DOCUMENT_POSITION_FOLLOWING);
+
+        return previous.length > 0 ? previous[previous.length - 1].textContent : '';
+    }
+}
+
+module.exports = MetadataExtractor;
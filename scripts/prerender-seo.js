@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+
+/**
+ * SEO Pre-renderer
+ * Runs each page's own SEO scripts (SEOMetaGenerator, CanonicalURLManager and
+ * StructuredDataGenerator, initialized by main.js) in jsdom and bakes the head tags
+ * they produce into the HTML, so crawlers that don't run JavaScript see the same
+ * title, meta, canonical and JSON-LD as browsers do.
+ * - Tags the page doesn't have are added, marked data-prerendered; the rest of the file
+ *   is left byte for byte
+ * - Hand-written static tags are curated, so where the runtime gives another value the
+ *   static one is kept; a tag an earlier bake wrote is replaced with the runtime one.
+ *   Neither is a JSON-LD block added when a block without an id already declares its
+ *   type, nor a tag pointing at a file the site doesn't have
+ * - Once baked, a page matches the runtime and is not rewritten until the runtime changes
+ * - --diff reports where the runtime and static tags disagree, and why bake leaves a
+ *   tag as it is, without writing anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const DynamicRobotsSitemapGenerator = require('./generate-robots-sitemap');
+
+// Marks the head tags bake writes, so a later bake can tell them from hand-written ones
+const PRERENDERED = 'data-prerendered';
+
+class SEOPrerenderer {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || process.cwd();
+        this.baseUrl = (options.baseUrl || new DynamicRobotsSitemapGenerator().baseUrl).replace(/\/$/, '');
+        this.directories = options.directories || ['documents', 'comparisons'];
+        // Authoring templates only hold placeholder copy, which the runtime replaces with homepage tags
+        this.excludedUrls = options.excludedUrls || ['/documents/document-template.html'];
+        // Scripts that write head tags, and main.js which initializes them; nothing else on the page is run
+        this.scripts = options.scripts || [
+            'seo-meta-generator.js',
+            'canonical-url-manager.js',
+            'structured-data-generator.js',
+            'tool-schema-generator.js',
+            'main.js'
+        ];
+        this.reportPath = options.reportPath || 'build-reports/seo-prerender.json';
+    }
+
+    /**
+     * Homepage plus the HTML pages in the content directories
+     */
+    getPages() {
+        const pages = [{ url: '/', file: path.join(this.rootDir, 'index.html') }];
+
+        this.directories.forEach(directory => {
+            const dirPath = path.join(this.rootDir, directory);
+            if (!fs.existsSync(dirPath)) return;
+
+            fs.readdirSync(dirPath)
+                .filter(file => file.endsWith('.html'))
+                .sort()
+                .forEach(file => pages.push({ url: `/${directory}/${file}`, file: path.join(dirPath, file) }));
+        });
+
+        return pages.filter(page => fs.existsSync(page.file) && !this.excludedUrls.includes(page.url));
+    }
+
+    /**
+     * SEO scripts the page loads, in page order; repeated tags load once, as a browser
+     * rejects redeclaring their classes anyway
+     */
+    getPageScripts(document) {
+        const files = [];
+
+        document.querySelectorAll('script[src]').forEach(script => {
+            const url = new URL(script.getAttribute('src'), document.location.href);
+            const file = path.join(this.rootDir, decodeURIComponent(url.pathname));
+
+            if (this.scripts.includes(path.basename(url.pathname)) && !files.includes(file) && fs.existsSync(file)) {
+                files.push(file);
+            }
+        });
+
+        return files;
+    }
+
+    /**
+     * Key a head tag by what the runtime scripts look it up by
+     */
+    getTagKey(element) {
+        const tag = element.tagName.toLowerCase();
+
+        if (tag === 'title') return 'title';
+        if (tag === 'meta' && element.hasAttribute('name')) return `meta[name="${element.getAttribute('name')}"]`;
+        if (tag === 'meta' && element.hasAttribute('property')) return `meta[property="${element.getAttribute('property')}"]`;
+        if (tag === 'link' && element.getAttribute('rel') === 'canonical') return 'link[rel="canonical"]';
+        if (tag === 'script' && element.getAttribute('type') === 'application/ld+json' && element.id) return `script#${element.id}`;
+
+        return null;
+    }
+
+    /**
+     * Comparable value of a head tag; JSON-LD compares by content, not formatting
+     */
+    getTagValue(element) {
+        const tag = element.tagName.toLowerCase();
+
+        if (tag === 'title') return element.textContent;
+        if (tag === 'meta') return element.getAttribute('content');
+        if (tag === 'link') return element.getAttribute('href');
+
+        try {
+            return JSON.stringify(JSON.parse(element.textContent));
+        } catch {
+            return element.textContent.trim();
+        }
+    }
+
+    /**
+     * Keyed head tags, first occurrence winning as with querySelector, plus the
+     * @types of JSON-LD blocks without an id; `baked` marks tags an earlier bake wrote
+     */
+    collectHeadTags(document) {
+        const tags = new Map();
+        const anonymousTypes = [];
+
+        Array.from(document.head.children).forEach(element => {
+            const key = this.getTagKey(element);
+
+            if (key && !tags.has(key)) {
+                tags.set(key, { element, value: this.getTagValue(element), baked: element.hasAttribute(PRERENDERED) });
+            } else if (!key && element.matches('script[type="application/ld+json"]')) {
+                anonymousTypes.push(...this.getJsonLdTypes(element.textContent));
+            }
+        });
+
+        return { tags, anonymousTypes };
+    }
+
+    getJsonLdTypes(text) {
+        try {
+            const data = JSON.parse(text);
+            const items = Array.isArray(data) ? data : (data['@graph'] || [data]);
+            return items.flatMap(item => [].concat(item['@type'] || []));
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Serve same-origin fetches (e.g. ToolSchemaGenerator's installation guide) from disk
+     */
+    fetchLocal(resource, window) {
+        const url = new URL(String(resource), window.location.href);
+
+        if (url.origin !== window.location.origin) {
+            return Promise.reject(new Error(`Pre-rendering doesn't fetch external URLs: ${url.href}`));
+        }
+
+        const file = path.join(this.rootDir, decodeURIComponent(url.pathname));
+        const found = fs.existsSync(file) && fs.statSync(file).isFile();
+        const body = found ? fs.readFileSync(file, 'utf8') : '';
+
+        return Promise.resolve({
+            ok: found,
+            status: found ? 200 : 404,
+            url: url.href,
+            text: () => Promise.resolve(body),
+            json: () => Promise.resolve().then(() => JSON.parse(body))
+        });
+    }
+
+    /**
+     * Run the page's SEO scripts and compare the head they leave with the static one
+     */
+    async renderPage(page) {
+        const html = fs.readFileSync(page.file, 'utf8');
+        const warnings = [];
+        const virtualConsole = new VirtualConsole();
+        ['warn', 'error'].forEach(level => virtualConsole.on(level, (...args) => warnings.push(args.join(' '))));
+        virtualConsole.on('jsdomError', error => warnings.push(error.message));
+
+        const dom = new JSDOM(html, {
+            url: this.baseUrl + page.url,
+            runScripts: 'outside-only',
+            includeNodeLocations: true,
+            virtualConsole
+        });
+        const { window } = dom;
+        const { document } = window;
+        const result = { url: page.url, file: page.file, rendered: false, changes: [], warnings, html };
+
+        const scripts = this.getPageScripts(document);
+        if (!scripts.some(file => path.basename(file) === 'main.js')) {
+            window.close();
+            return result;
+        }
+
+        const staticHead = this.collectHeadTags(document);
+        staticHead.tags.forEach(tag => { tag.location = dom.nodeLocation(tag.element); });
+        const headLocation = dom.nodeLocation(document.head);
+        const lastChild = document.head.lastElementChild;
+        result.headEnd = headLocation && headLocation.endTag ? headLocation.endTag.startOffset : html.search(/<\/head>/i);
+        result.indent = lastChild && dom.nodeLocation(lastChild) ? this.getIndent(html, dom.nodeLocation(lastChild).startOffset) : '    ';
+
+        const pending = [];
+        window.fetch = resource => {
+            const request = this.fetchLocal(resource, window);
+            pending.push(request);
+            return request;
+        };
+
+        try {
+            scripts.forEach(file => window.eval(fs.readFileSync(file, 'utf8')));
+
+            if (document.readyState === 'loading') {
+                await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve));
+            }
+
+            // Let fetches the scripts start, and any they start in turn, settle
+            for (let settled = 0; settled < pending.length; settled = pending.length) {
+                await Promise.allSettled(pending.slice(settled));
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            await new Promise(resolve => setTimeout(resolve, 0));
+        } catch (error) {
+            warnings.push(`Runtime scripts failed: ${error.message}`);
+            window.close();
+            return result;
+        }
+
+        const runtimeHead = this.collectHeadTags(document);
+        result.rendered = true;
+        result.changes = this.compareTags(staticHead, runtimeHead);
+
+        window.close();
+        return result;
+    }
+
+    /**
+     * Tags the runtime adds ('missing' from the static HTML) or gives another value
+     * ('different'), each with the reason bake leaves it alone, if it does; a different
+     * tag an earlier bake wrote carries the location bake replaces it at
+     */
+    compareTags(staticHead, runtimeHead) {
+        const changes = [];
+
+        runtimeHead.tags.forEach((tag, key) => {
+            const current = staticHead.tags.get(key);
+            if (current && current.value === tag.value) return;
+
+            const change = {
+                key,
+                status: current ? 'different' : 'missing',
+                static: current ? current.value : null,
+                runtime: tag.value,
+                element: tag.element,
+                baked: Boolean(current && current.baked),
+                location: current ? current.location : null
+            };
+
+            if (key.startsWith('script#')) {
+                const types = this.getJsonLdTypes(tag.element.textContent);
+                const duplicates = types.filter(type => staticHead.anonymousTypes.includes(type));
+                if (duplicates.length > 0) change.duplicates = duplicates;
+            }
+
+            change.kept = this.getKeepReason(change);
+            changes.push(change);
+        });
+
+        // Alt text is only baked alongside the image it describes
+        changes.forEach(change => {
+            const image = changes.find(other => other.key === change.key.replace(/:alt"\]$/, '"]'));
+            if (!change.kept && image && image !== change && image.kept) change.kept = 'the image it describes is not baked';
+        });
+
+        return changes;
+    }
+
+    /**
+     * Why bake leaves a change to the page's author: a static value was chosen by hand,
+     * a block without an id may already describe the same item, and a runtime default
+     * pointing at a file the site doesn't have is worse than no tag
+     */
+    getKeepReason(change) {
+        if (change.status === 'different') return change.baked && change.location ? null : 'the static value is kept';
+        if (change.duplicates) return `a block without an id already declares ${change.duplicates.join(', ')}`;
+
+        const missingFile = this.getMissingFile(change.runtime);
+        return missingFile ? `${missingFile} does not exist` : null;
+    }
+
+    /**
+     * The site path a tag value points at, when it names a file that isn't on disk
+     */
+    getMissingFile(value) {
+        if (typeof value !== 'string' || !value.startsWith(`${this.baseUrl}/`)) return null;
+
+        const { pathname } = new URL(value);
+        if (!path.extname(pathname)) return null;
+
+        return fs.existsSync(path.join(this.rootDir, decodeURIComponent(pathname))) ? null : pathname;
+    }
+
+    getIndent(html, offset) {
+        const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+        const prefix = html.slice(lineStart, offset);
+        return /^[ \t]*$/.test(prefix) ? prefix : '';
+    }
+
+    /**
+     * Markup for a runtime tag, marked as baked; JSON-LD is laid out like the hand-written blocks
+     */
+    serializeTag(runtimeElement, indent) {
+        const element = runtimeElement.cloneNode(true);
+        element.setAttribute(PRERENDERED, '');
+        if (element.tagName.toLowerCase() !== 'script') return element.outerHTML;
+
+        const attributes = Array.from(element.attributes).map(attribute => ` ${attribute.name}="${attribute.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`).join('');
+        let json;
+        try {
+            json = JSON.stringify(JSON.parse(element.textContent), null, 4).replace(/<\//g, '<\\/');
+        } catch {
+            json = element.textContent.trim();
+        }
+
+        return `<script${attributes}>\n${json.split('\n').map(line => indent + line).join('\n')}\n${indent}</script>`;
+    }
+
+    /**
+     * Write the runtime tags the page is missing at the end of <head>, and the runtime
+     * value over tags an earlier bake wrote; tags with a reason to be kept are left out
+     */
+    bake(result) {
+        const { html } = result;
+        const baked = result.changes.filter(change => !change.kept);
+        const missing = baked.filter(change => change.status === 'missing');
+        if (baked.length === 0 || result.headEnd < 0) return html;
+
+        // Edits from the end of the file back, so earlier offsets still hold
+        const edits = baked.filter(change => change.status === 'different').map(change => ({
+            start: change.location.startOffset,
+            end: change.location.endOffset,
+            text: this.serializeTag(change.element, this.getIndent(html, change.location.startOffset))
+        }));
+
+        if (missing.length > 0) {
+            const lineStart = html.lastIndexOf('\n', result.headEnd - 1) + 1;
+            const ownLine = /^[ \t]*$/.test(html.slice(lineStart, result.headEnd));
+            const tags = missing.map(change => result.indent + this.serializeTag(change.element, result.indent));
+            edits.push(ownLine
+                ? { start: lineStart, end: lineStart, text: tags.join('\n') + '\n' }
+                : { start: result.headEnd, end: result.headEnd, text: '\n' + tags.join('\n') + '\n' });
+        }
+
+        return edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((output, edit) => output.slice(0, edit.start) + edit.text + output.slice(edit.end), html);
+    }
+
+    /**
+     * Short description of a change for the console
+     */
+    describeChange(change) {
+        const marker = change.status === 'missing' ? '+' : '≠';
+
+        if (!change.key.startsWith('script#')) {
+            const lines = change.status === 'missing'
+                ? [`${marker} ${change.key}: ${change.runtime}`]
+                : [`${marker} ${change.key}`, `    static:  ${change.static}`, `    runtime: ${change.runtime}`];
+            if (change.kept && change.status === 'missing') lines.push(`    not baked: ${change.kept}`);
+            if (!change.kept && change.status === 'different') lines.push('    replaced: an earlier bake wrote it');
+            return lines;
+        }
+
+        const runtime = JSON.parse(change.runtime);
+        const lines = [`${marker} ${change.key} (${[].concat(runtime['@type'] || 'untyped').join(', ')})`];
+
+        if (change.status === 'different') {
+            let current = {};
+            try { current = JSON.parse(change.static); } catch { /* compared as text */ }
+            const keys = [...new Set([...Object.keys(current), ...Object.keys(runtime)])]
+                .filter(key => JSON.stringify(current[key]) !== JSON.stringify(runtime[key]));
+            lines.push(`    properties differ: ${keys.join(', ')}`);
+        }
+        if (change.kept && change.status === 'missing') {
+            lines.push(`    not baked: ${change.kept}`);
+        }
+        if (!change.kept && change.status === 'different') {
+            lines.push('    replaced: an earlier bake wrote it');
+        }
+
+        return lines;
+    }
+
+    /**
+     * Pre-render every page; with write false only compare
+     */
+    async run({ write = true } = {}) {
+        console.log(write ? '🧱 Pre-rendering SEO head tags...' : '🔍 Comparing runtime and static SEO head tags...');
+
+        const pages = [];
+        for (const page of this.getPages()) {
+            const result = await this.renderPage(page);
+            const relativeFile = path.relative(this.rootDir, page.file);
+
+            if (!result.rendered) {
+                result.warnings.forEach(warning => console.log(`   ⚠️  ${page.url}: ${warning}`));
+            } else if (result.changes.length > 0) {
+                const baked = result.changes.filter(change => !change.kept).length;
+                const kept = result.changes.length - baked;
+
+                if (write && baked > 0) {
+                    fs.writeFileSync(page.file, this.bake(result), 'utf8');
+                    console.log(`   ✅ ${relativeFile}: baked ${baked} tags${kept > 0 ? `; ${kept} left as they are (see --diff)` : ''}`);
+                } else if (write) {
+                    console.log(`   ℹ️  ${relativeFile}: nothing to bake; ${kept} tags left as they are (see --diff)`);
+                } else {
+                    console.log(`\n   ${page.url}`);
+                    result.changes.forEach(change => this.describeChange(change).forEach(line => console.log(`     ${line}`)));
+                }
+                result.warnings.forEach(warning => console.log(`   ⚠️  ${page.url}: ${warning}`));
+            }
+
+            pages.push({
+                url: result.url,
+                file: relativeFile,
+                rendered: result.rendered,
+                changes: result.changes.map(({ key, status, static: staticValue, runtime, baked, duplicates, kept }) => ({ key, status, static: staticValue, runtime, baked, duplicates, kept })),
+                warnings: result.warnings
+            });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            mode: write ? 'bake' : 'diff',
+            baseUrl: this.baseUrl,
+            summary: {
+                pages: pages.length,
+                rendered: pages.filter(page => page.rendered).length,
+                changed: pages.filter(page => page.changes.length > 0).length,
+                missing: pages.reduce((sum, page) => sum + page.changes.filter(change => change.status === 'missing').length, 0),
+                different: pages.reduce((sum, page) => sum + page.changes.filter(change => change.status === 'different').length, 0),
+                kept: pages.reduce((sum, page) => sum + page.changes.filter(change => change.kept).length, 0)
+            },
+            pages
+        };
+
+        const reportFile = path.join(this.rootDir, this.reportPath);
+        fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+        const { summary } = report;
+        if (summary.changed === 0) {
+            console.log(`✓ Static head tags match the runtime on all ${summary.rendered} rendered pages`);
+        } else if (write) {
+            console.log(`✓ Baked the missing and stale runtime head tags into ${summary.changed} of ${summary.rendered} rendered pages; ${summary.kept} left as they are`);
+        } else {
+            console.log(`\n⚠️  ${summary.changed} of ${summary.rendered} rendered pages disagree: ${summary.missing} tags missing from the static HTML, ${summary.different} with different values; bake leaves ${summary.kept} of them as they are`);
+        }
+        console.log(`📄 Report saved to ${this.reportPath}`);
+
+        return report;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    const prerenderer = new SEOPrerenderer({ baseUrl: option('base-url') });
+    const diff = args.includes('--diff');
+
+    prerenderer.run({ write: !diff })
+        .then(report => process.exit(diff && report.summary.changed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Pre-rendering failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = SEOPrerenderer;
@@ -0,0 +1,461 @@
+#!/usr/bin/env node
+
+/**
+ * Schema.org Vocabulary
+ * Validates JSON-LD against a vendored schema.org vocabulary and Google's rich
+ * result requirements instead of hand-written rules per type:
+ *   - every @type must exist in the vocabulary, and every property must exist and
+ *     list the item's type (or a supertype) in its domain
+ *   - values must fit the property's range: data types (Text, URL, Number, Date...)
+ *     are checked, nested items must be of a range type and are validated in turn
+ *   - {"@id": ...} references are resolved against items from every JSON-LD block
+ *     on the page, and one @id given conflicting types is reported
+ *   - top-level items are checked against the rich result features for their type,
+ *     giving the features a page is eligible for and what blocks the rest; items
+ *     with none of a feature's `targets` properties are marked as not aiming for it
+ *
+ * scripts/schema-org/vocabulary.jsonld is in the schema.org release format, trimmed
+ * to the types the site uses and those rich results read. `npm run schema:update`
+ * downloads the current release and trims it to the same types (--types=A,B adds
+ * more, --full keeps the whole vocabulary). scripts/schema-org/rich-results.json
+ * holds the required and recommended properties from Google's search gallery.
+ */
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const RELEASE_URL = 'https://schema.org/version/latest/schemaorg-current-https.jsonld';
+const DEFAULT_VOCABULARY = path.join(__dirname, 'schema-org', 'vocabulary.jsonld');
+const DEFAULT_RICH_RESULTS = path.join(__dirname, 'schema-org', 'rich-results.json');
+
+const toArray = value => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+const isNode = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !('@value' in value);
+
+class SchemaVocabulary {
+    constructor(options = {}) {
+        this.vocabularyPath = options.vocabularyPath || DEFAULT_VOCABULARY;
+        this.richResultsPath = options.richResultsPath || DEFAULT_RICH_RESULTS;
+
+        const vocabulary = options.vocabulary || JSON.parse(fs.readFileSync(this.vocabularyPath, 'utf8'));
+        const richResults = options.richResults || JSON.parse(fs.readFileSync(this.richResultsPath, 'utf8'));
+
+        this.classes = new Map();
+        this.properties = new Map();
+        this.loadGraph(vocabulary['@graph'] || []);
+        this.features = richResults.features || [];
+    }
+
+    /**
+     * Index rdfs:Class and rdf:Property nodes by their local name
+     */
+    loadGraph(graph) {
+        graph.forEach(node => {
+            const types = toArray(node['@type']);
+            const name = this.localName(node['@id']);
+
+            if (types.includes('rdfs:Class')) {
+                this.classes.set(name, {
+                    parents: toArray(node['rdfs:subClassOf']).map(parent => this.localName(parent['@id'])),
+                    dataType: types.includes('schema:DataType')
+                });
+            } else if (types.includes('rdf:Property')) {
+                this.properties.set(name, {
+                    domains: toArray(node['schema:domainIncludes']).map(domain => this.localName(domain['@id'])),
+                    ranges: toArray(node['schema:rangeIncludes']).map(range => this.localName(range['@id'])),
+                    supersededBy: node['schema:supersededBy'] ? this.localName(toArray(node['schema:supersededBy'])[0]['@id']) : null
+                });
+            }
+        });
+    }
+
+    localName(id) {
+        return String(id || '').replace(/^(schema:|https?:\/\/schema\.org\/)/, '');
+    }
+
+    typesOf(node) {
+        return toArray(node['@type']).map(type => this.localName(type));
+    }
+
+    isDataType(name) {
+        const entry = this.classes.get(name);
+        return Boolean(entry && entry.dataType);
+    }
+
+    isSubClassOf(type, ancestor) {
+        const seen = new Set();
+        const queue = [type];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === ancestor) return true;
+            if (seen.has(current)) continue;
+            seen.add(current);
+            const entry = this.classes.get(current);
+            if (entry) queue.push(...entry.parents);
+        }
+
+        return false;
+    }
+
+    isAnyOf(types, candidates) {
+        return types.some(type => candidates.some(candidate => this.isSubClassOf(type, candidate)));
+    }
+
+    /**
+     * Whether a JSON literal is a valid value of a schema.org data type
+     */
+    matchesDataType(value, dataType) {
+        const text = typeof value === 'string' ? value.trim() : null;
+
+        switch (dataType) {
+            case 'Text':
+                return typeof value === 'string' || typeof value === 'number';
+            case 'URL':
+                return text !== null && /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(text);
+            case 'Number':
+            case 'Float':
+                return (typeof value === 'number' && isFinite(value)) || (text !== null && text !== '' && isFinite(Number(text)));
+            case 'Integer':
+                return Number.isInteger(value) || (text !== null && /^-?\d+$/.test(text));
+            case 'Boolean':
+                return typeof value === 'boolean' || /^(true|false|https?:\/\/schema\.org\/(True|False))$/i.test(text || '');
+            case 'Date':
+                return text !== null && /^\d{4}-\d{2}-\d{2}(T.*)?$/.test(text) && !isNaN(Date.parse(text));
+            case 'DateTime':
+                return text !== null && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) && !isNaN(Date.parse(text));
+            case 'Time':
+                return text !== null && /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text);
+            default:
+                // A data type this module doesn't know how to check
+                return true;
+        }
+    }
+
+    /**
+     * Items at the top of a JSON-LD block: the block itself, its array entries or its @graph
+     */
+    topLevelItems(data) {
+        if (Array.isArray(data)) return data.filter(isNode);
+        if (isNode(data) && Array.isArray(data['@graph'])) return data['@graph'].filter(isNode);
+        return isNode(data) ? [data] : [];
+    }
+
+    /**
+     * Validate every JSON-LD block found on one page
+     * @param {Array} blocks parsed JSON-LD blocks, in page order
+     * @returns {{blocks: Array, references: Object, errors: string[], warnings: string[], richResults: Array}}
+     */
+    validatePage(blocks) {
+        const page = { definitions: new Map(), references: [], errors: [], warnings: [] };
+
+        const results = blocks.map((data, index) => {
+            const block = { index, items: [], errors: [], warnings: [] };
+            this.topLevelItems(data).forEach(item => {
+                const label = this.typesOf(item)[0] || 'item';
+                block.items.push(item);
+                this.validateNode(item, label, null, block, page);
+            });
+            return block;
+        });
+
+        const references = this.resolveReferences(page);
+        const items = results.reduce((all, block) => all.concat(block.items), []);
+
+        return {
+            blocks: results,
+            references,
+            errors: page.errors,
+            warnings: page.warnings,
+            richResults: this.checkRichResults(items, page)
+        };
+    }
+
+    /**
+     * Validate one item and, through its values, every item nested in it
+     * @param {Array|null} expected range classes the item has to belong to, when nested
+     */
+    validateNode(node, label, expected, block, page) {
+        const types = this.typesOf(node);
+        const keys = Object.keys(node).filter(key => !key.startsWith('@'));
+
+        if (node['@id'] && keys.length === 0) {
+            // {"@id": ...} or {"@type": ..., "@id": ...}: a reference to an item described elsewhere
+            page.references.push({ id: node['@id'], label, types, expected, block });
+            if (types.length === 0) return;
+        } else if (node['@id']) {
+            this.define(node, types, label, page);
+        }
+
+        if (types.length === 0) {
+            block.errors.push(`${label}: missing @type`);
+            return;
+        }
+
+        const unknown = types.filter(type => !this.classes.has(type));
+        unknown.forEach(type => block.errors.push(`${label}: unknown type "${type}"`));
+        if (unknown.length === types.length) return;
+
+        if (expected && !this.isAnyOf(types, expected)) {
+            block.errors.push(`${label}: ${types.join(', ')} is not an expected type (expected ${expected.join(' or ')})`);
+        }
+
+        keys.forEach(key => this.validateProperty(node, types, key, label, block, page));
+    }
+
+    validateProperty(node, types, key, label, block, page) {
+        // Action annotations such as "query-input" on SearchAction
+        if (/-(input|output)$/.test(key) && this.isAnyOf(types, ['Action'])) return;
+
+        const property = this.properties.get(key);
+        if (!property) {
+            block.errors.push(`${label}: "${key}" is not a schema.org property`);
+            return;
+        }
+
+        if (!this.isAnyOf(types, property.domains)) {
+            const domains = property.domains.filter(domain => this.classes.has(domain));
+            block.errors.push(`${label}: "${key}" is not a property of ${types.join(', ')} (it applies to ${domains.join(', ')})`);
+        }
+        if (property.supersededBy) {
+            block.warnings.push(`${label}: "${key}" is superseded by "${property.supersededBy}"`);
+        }
+
+        const dataTypes = property.ranges.filter(range => this.isDataType(range));
+        const classRanges = property.ranges.filter(range => !this.isDataType(range));
+        const values = toArray(node[key]);
+
+        values.forEach((value, index) => {
+            const valueLabel = `${label}.${key}${values.length > 1 ? `[${index}]` : ''}`;
+            const literal = value !== null && typeof value === 'object' && '@value' in value ? value['@value'] : value;
+
+            if (isNode(literal)) {
+                if (classRanges.length === 0) {
+                    block.errors.push(`${valueLabel}: expected ${dataTypes.join(' or ')}, found an object`);
+                } else {
+                    this.validateNode(literal, valueLabel, classRanges, block, page);
+                }
+            } else if (dataTypes.length > 0 && !dataTypes.some(dataType => this.matchesDataType(literal, dataType))) {
+                // Class-only ranges take literals too (a name, URL or enumeration member)
+                block.errors.push(`${valueLabel}: ${JSON.stringify(literal)} is not a valid ${dataTypes.join(' or ')}`);
+            }
+        });
+    }
+
+    /**
+     * Record an item with an @id so references from other blocks resolve to it
+     */
+    define(node, types, label, page) {
+        const existing = page.definitions.get(node['@id']);
+
+        if (!existing) {
+            page.definitions.set(node['@id'], { node, types, label });
+            return;
+        }
+        if (types.length > 0 && existing.types.length > 0 && !types.some(type => existing.types.includes(type))) {
+            page.errors.push(`${label}: @id ${node['@id']} is typed ${types.join(', ')} here but ${existing.types.join(', ')} at ${existing.label}`);
+        }
+        existing.node = Object.assign({}, existing.node, node);
+        existing.types = existing.types.length > 0 ? existing.types : types;
+    }
+
+    resolveReferences(page) {
+        const summary = { total: page.references.length, resolved: 0, unresolved: [] };
+
+        page.references.forEach(reference => {
+            const definition = page.definitions.get(reference.id);
+
+            if (!definition) {
+                if (reference.types.length === 0) {
+                    summary.unresolved.push(reference.id);
+                    page.warnings.push(`${reference.label}: @id ${reference.id} is not described by any JSON-LD on this page, so its type can't be checked`);
+                }
+                return;
+            }
+
+            summary.resolved++;
+            if (reference.types.length > 0 && definition.types.length > 0 && !reference.types.some(type => definition.types.includes(type))) {
+                page.errors.push(`${reference.label}: @id ${reference.id} is referenced as ${reference.types.join(', ')} but described as ${definition.types.join(', ')}`);
+            } else if (reference.expected && definition.types.length > 0 && !this.isAnyOf(definition.types, reference.expected)) {
+                page.errors.push(`${reference.label}: @id ${reference.id} is a ${definition.types.join(', ')} (expected ${reference.expected.join(' or ')})`);
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Values at one property of an item, following @id references into the page
+     */
+    valuesOf(node, key, page) {
+        return toArray(node[key])
+            .map(value => {
+                if (isNode(value) && value['@id'] && page.definitions.has(value['@id'])) {
+                    return Object.assign({}, page.definitions.get(value['@id']).node, value);
+                }
+                return value !== null && typeof value === 'object' && '@value' in value ? value['@value'] : value;
+            })
+            .filter(value => value !== '' && value !== null && value !== undefined);
+    }
+
+    /**
+     * Whether a dotted path is present: every value along the way has the next property
+     */
+    hasPath(node, segments, page) {
+        const values = this.valuesOf(node, segments[0], page);
+        if (values.length === 0) return false;
+        if (segments.length === 1) return true;
+        return values.every(value => isNode(value) && this.hasPath(value, segments.slice(1), page));
+    }
+
+    hasRequirement(node, requirement, page) {
+        return requirement.split('|').some(alternative => this.hasPath(node, alternative.split('.'), page));
+    }
+
+    /**
+     * Check top-level items against the rich result features for their types
+     */
+    checkRichResults(items, page) {
+        const results = [];
+
+        items.forEach(original => {
+            const node = original['@id'] && page.definitions.has(original['@id'])
+                ? Object.assign({}, page.definitions.get(original['@id']).node, original)
+                : original;
+            const types = this.typesOf(node);
+
+            this.features
+                .filter(feature => this.isAnyOf(types, feature.types))
+                .forEach(feature => {
+                    const missing = feature.required.filter(requirement => !this.hasRequirement(node, requirement, page));
+                    const recommended = feature.recommended.filter(requirement => !this.hasRequirement(node, requirement, page));
+                    const targeted = !feature.targets || feature.targets.some(requirement => this.hasRequirement(node, requirement, page));
+                    const invalid = [];
+
+                    Object.entries(feature.expectedTypes || {}).forEach(([property, expected]) => {
+                        const segments = property.split('.');
+                        let values = [node];
+                        segments.forEach(segment => {
+                            values = values.reduce((all, value) => all.concat(isNode(value) ? this.valuesOf(value, segment, page) : []), []);
+                        });
+                        values.filter(isNode).forEach(value => {
+                            const valueTypes = this.typesOf(value);
+                            if (!this.isAnyOf(valueTypes, expected)) {
+                                invalid.push(`${property} is ${valueTypes.join(', ') || 'untyped'}, not one of ${expected.join(', ')}`);
+                            }
+                        });
+                    });
+
+                    results.push({
+                        feature: feature.name,
+                        type: types.join(', '),
+                        eligible: missing.length === 0 && invalid.length === 0,
+                        targeted,
+                        targets: feature.targets || [],
+                        status: feature.status || 'active',
+                        statusNote: feature.statusNote || null,
+                        missing,
+                        invalid,
+                        recommended,
+                        docs: feature.docs
+                    });
+                });
+        });
+
+        return results;
+    }
+
+    /**
+     * Keep the classes in keepTypes (with their supertypes and every data type) and
+     * the properties whose domain includes one of them
+     */
+    static trimGraph(graph, keepTypes) {
+        const byId = new Map(graph.map(node => [node['@id'], node]));
+        const isClass = node => toArray(node['@type']).includes('rdfs:Class');
+        const keep = new Set();
+
+        const addClass = id => {
+            if (keep.has(id) || !byId.has(id) || !isClass(byId.get(id))) return;
+            keep.add(id);
+            toArray(byId.get(id)['rdfs:subClassOf']).forEach(parent => addClass(parent['@id']));
+        };
+
+        keepTypes.forEach(type => addClass(`schema:${type}`));
+        graph.filter(node => toArray(node['@type']).includes('schema:DataType')).forEach(node => addClass(node['@id']));
+        addClass('schema:DataType');
+
+        return graph.filter(node => keep.has(node['@id']) ||
+            (toArray(node['@type']).includes('rdf:Property') &&
+             toArray(node['schema:domainIncludes']).some(domain => keep.has(domain['@id']))));
+    }
+
+    static download(url, redirects = 5) {
+        return new Promise((resolve, reject) => {
+            https.get(url, { headers: { Accept: 'application/ld+json' } }, response => {
+                if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location && redirects > 0) {
+                    response.resume();
+                    resolve(SchemaVocabulary.download(new URL(response.headers.location, url).href, redirects - 1));
+                    return;
+                }
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`${url} returned HTTP ${response.statusCode}`));
+                    return;
+                }
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { body += chunk; });
+                response.on('end', () => resolve(body));
+            }).on('error', reject);
+        });
+    }
+
+    /**
+     * Replace the vendored vocabulary with the current schema.org release
+     */
+    async update(options = {}) {
+        const release = JSON.parse(await SchemaVocabulary.download(options.source || RELEASE_URL));
+        const graph = release['@graph'] || [];
+        let kept = graph;
+
+        if (!options.full) {
+            const keepTypes = [...this.classes.keys()].concat(options.types || []);
+            kept = SchemaVocabulary.trimGraph(graph, keepTypes);
+        }
+
+        kept.sort((a, b) => a['@id'].localeCompare(b['@id']));
+        fs.writeFileSync(this.vocabularyPath, JSON.stringify({ '@context': release['@context'], '@graph': kept }, null, 2) + '\n');
+
+        return { total: graph.length, kept: kept.length };
+    }
+}
+
+// Run the update if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (args[0] !== 'update') {
+        console.log('Usage: node scripts/schema-vocabulary.js update [--full] [--types=Recipe,Event] [--source=url]');
+        process.exit(args.includes('--help') ? 0 : 1);
+    }
+
+    const vocabulary = new SchemaVocabulary();
+    const source = option('source') || RELEASE_URL;
+    const types = option('types') ? option('types').split(',').map(type => type.trim()).filter(Boolean) : [];
+
+    console.log(`📥 Downloading ${source}...`);
+    vocabulary.update({ source, full: args.includes('--full'), types })
+        .then(({ total, kept }) => {
+            console.log(`✅ Saved ${kept} of ${total} vocabulary nodes to ${path.relative(process.cwd(), vocabulary.vocabularyPath)}`);
+        })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = SchemaVocabulary;
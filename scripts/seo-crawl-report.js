@@ -0,0 +1,89 @@
+/**
+ * SEO Crawl Report Renderer
+ * Renders the report SEOCrawler.run() returns as the HTML page saved next to
+ * build-reports/seo-crawl-report.json: summary, issues by check, orphan pages,
+ * redirects, missing pages and every crawled page.
+ */
+
+class SEOCrawlReportRenderer {
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * The crawl report as a standalone HTML page
+     */
+    render(report) {
+        const e = value => this.escapeHtml(value);
+        const { summary } = report;
+        const table = (headers, rows, empty) => rows.length === 0 ? `<p>✅ ${empty}</p>` : `
+    <table>
+        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n            ')}
+        </tbody>
+    </table>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>SEO Crawl Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .summary { background-color: #f5f5f5; padding: 15px; border-radius: 5px; }
+        .loop, .chain { color: #c62828; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { padding: 8px 10px; text-align: left; border-bottom: 1px solid #ddd; vertical-align: top; }
+        th { background-color: #f5f5f5; }
+        ul { margin: 0; padding-left: 18px; }
+    </style>
+</head>
+<body>
+    <h1>SEO Crawl Report</h1>
+    <div class="summary">
+        <p>Crawled ${summary.pages} pages from ${e(report.siteUrl + report.startUrl)} on ${e(new Date(report.generatedAt).toLocaleString())}${summary.truncated ? ' (stopped at the page limit)' : ''}</p>
+        <p>Issues: ${summary.issues} on ${summary.pagesWithIssues} pages</p>
+        <p>Orphan pages: ${summary.orphans} (${summary.orphansInSitemap} listed in the sitemap)</p>
+        <p>Redirected links: ${summary.redirectedLinks} (${summary.redirectChains} chains or loops)</p>
+        <p>Links to missing pages: ${summary.notFound}</p>
+    </div>
+
+    <h2>Issues by Check</h2>
+    ${table(['Issue', 'Pages', 'Where'], report.issues.map(issue => [
+        e(issue.message), issue.count, `<ul>${issue.pages.map(url => `<li>${e(url)}</li>`).join('')}</ul>`
+    ]), 'No issues found')}
+
+    <h2>Orphan Pages</h2>
+    ${table(['Page', 'In sitemap'], report.orphans.map(orphan => [
+        e(orphan.url), orphan.inSitemap ? '⚠️ Yes' : 'No'
+    ]), 'Every page is linked from the crawl')}
+
+    <h2>Redirects</h2>
+    ${table(['Linked from', 'Link', 'Chain', 'Type'], report.redirects.map(redirect => [
+        e(redirect.from),
+        e(redirect.href),
+        redirect.chain.map(hop => `${e(hop.url)} <small>(${e(hop.status)}, ${e(hop.source)})</small>`).join(' → ') + (redirect.target ? ` → ${e(redirect.target)}` : ''),
+        `<span class="${redirect.type}">${redirect.type}</span>`
+    ]), 'No internal links go through redirects')}
+
+    <h2>Missing Pages</h2>
+    ${table(['Page', 'Linked from'], report.notFound.map(missing => [
+        e(missing.url), `<ul>${missing.linkedFrom.map(url => `<li>${e(url)}</li>`).join('')}</ul>`
+    ]), 'No links to missing pages')}
+
+    <h2>Pages</h2>
+    ${table(['Page', 'Title', 'Depth', 'Links in', 'Links out', 'Issues'], report.pages.map(page => [
+        e(page.url), e(page.title || '(none)'), page.depth, page.inboundLinks, page.outboundLinks,
+        page.issues.length === 0 ? '✅' : `<ul>${page.issues.map(issue => `<li>${e(issue.message)}</li>`).join('')}</ul>`
+    ]), 'No pages crawled')}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = SEOCrawlReportRenderer;
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * SEO Crawler
+ * Crawls the built site from index.html the way a search engine would: follows
+ * internal links through jsdom (without running page scripts), runs the
+ * SEOHealthChecks that AnalyticsMonitor uses on every page it reaches, and reports:
+ *   - issues per page and per check across the site
+ *   - orphan pages: HTML files no crawled page links to (flagged when the sitemap lists them)
+ *   - redirected links and redirect chains, from _redirects, netlify.toml,
+ *     vercel.json and <meta http-equiv="refresh"> pages
+ *   - internal links to pages that don't exist
+ * Writes build-reports/seo-crawl-report.json and seo-crawl-report.html (rendered by
+ * SEOCrawlReportRenderer).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SEOHealthChecks = require('../assets/js/seo-health-checks');
+const SEOCrawlReportRenderer = require('./seo-crawl-report');
+
+class SEOCrawler {
+    constructor(options = {}) {
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.siteUrl = (options.siteUrl || this.loadSiteUrl()).replace(/\/$/, '');
+        this.origin = new URL(this.siteUrl).origin;
+        this.startPath = options.startPath || '/';
+        this.maxPages = options.maxPages || 1000;
+        this.maxRedirects = options.maxRedirects || 10;
+        this.outputPath = options.outputPath || 'build-reports/seo-crawl-report.json';
+        // Never part of the published site
+        this.ignoredDirs = options.ignoredDirs || ['node_modules', 'build-reports'];
+
+        this.redirects = this.loadRedirects();
+    }
+
+    /**
+     * Site URL the same way the sitemap generator picks it
+     */
+    loadSiteUrl() {
+        if (process.env.SITE_URL) return process.env.SITE_URL;
+
+        try {
+            const config = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'sitemap-config.json'), 'utf8'));
+            if (config.siteUrl) return config.siteUrl;
+        } catch (error) {
+            // Fall through to the default
+        }
+        return 'https://llm-toolkit.github.io';
+    }
+
+    /**
+     * Redirect rules by source path: { to, status, source }. Rewrites (200), splats
+     * and placeholders aren't page-to-page redirects and are skipped
+     */
+    loadRedirects() {
+        const redirects = new Map();
+        const add = (from, to, status, source) => {
+            status = Number(status) || 301;
+            if (!from || !to || status < 300 || status >= 400 || /[*:]/.test(from)) return;
+            redirects.set(this.normalizePath(from), { to, status, source });
+        };
+
+        const read = file => {
+            const filePath = path.join(this.rootDir, file);
+            return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        };
+
+        const redirectsFile = read('_redirects');
+        if (redirectsFile) {
+            redirectsFile.split('\n').forEach(line => {
+                const [from, to, status] = line.replace(/#.*$/, '').trim().split(/\s+/);
+                add(from, to, status ? status.replace(/!$/, '') : 301, '_redirects');
+            });
+        }
+
+        const netlifyToml = read('netlify.toml');
+        if (netlifyToml) {
+            netlifyToml.split(/^\s*\[\[redirects\]\]\s*$/m).slice(1).forEach(block => {
+                const rule = {};
+                // Keys up to the next table header
+                block.split(/^\s*\[/m)[0].split('\n').forEach(line => {
+                    const match = /^\s*(\w+)\s*=\s*"?([^"\n]*)"?\s*$/.exec(line);
+                    if (match) rule[match[1]] = match[2];
+                });
+                add(rule.from, rule.to, rule.status, 'netlify.toml');
+            });
+        }
+
+        const vercelJson = read('vercel.json');
+        if (vercelJson) {
+            try {
+                (JSON.parse(vercelJson).redirects || []).forEach(rule => {
+                    add(rule.source, rule.destination, rule.statusCode || (rule.permanent === false ? 307 : 308), 'vercel.json');
+                });
+            } catch (error) {
+                console.warn(`⚠️  Could not parse vercel.json: ${error.message}`);
+            }
+        }
+
+        return redirects;
+    }
+
+    normalizePath(urlPath) {
+        let normalized = urlPath.startsWith('/') ? urlPath : `/${urlPath}`;
+        try {
+            normalized = decodeURI(normalized);
+        } catch (error) {
+            // Keep malformed escapes as they are
+        }
+        return normalized.replace(/\/index\.html$/, '/');
+    }
+
+    /**
+     * Site path of an href on a page, or null for external and non-HTTP links
+     */
+    toSitePath(href, pageUrl) {
+        let url;
+        try {
+            url = new URL(href, pageUrl);
+        } catch (error) {
+            return null;
+        }
+        if (!/^https?:$/.test(url.protocol) || url.origin !== this.origin) return null;
+        return this.normalizePath(url.pathname);
+    }
+
+    /**
+     * HTML file served for a site path: /dir/ → dir/index.html, /page → page.html
+     */
+    pathToFile(sitePath) {
+        const relative = sitePath.replace(/^\//, '');
+        const candidates = sitePath.endsWith('/')
+            ? [path.join(relative, 'index.html')]
+            : [relative, `${relative}.html`, path.join(relative, 'index.html')];
+
+        const found = candidates
+            .map(candidate => path.join(this.rootDir, candidate))
+            .find(file => file.startsWith(this.rootDir) && fs.existsSync(file) && fs.statSync(file).isFile());
+        return found || null;
+    }
+
+    isPagePath(sitePath) {
+        const extension = path.extname(sitePath);
+        return !extension || extension === '.html' || extension === '.htm';
+    }
+
+    /**
+     * Follow redirects from a path: { target, chain: [{ from, to, status, source }], loop }
+     */
+    followRedirects(sitePath) {
+        const chain = [];
+        const visited = new Set([sitePath]);
+        let current = sitePath;
+
+        while (this.redirects.has(current) && chain.length < this.maxRedirects) {
+            const rule = this.redirects.get(current);
+            const next = this.toSitePath(rule.to, `${this.origin}${current}`);
+            chain.push({ from: current, to: next || rule.to, status: rule.status, source: rule.source });
+
+            // Redirects off-site end the chain here
+            if (next === null) return { target: null, chain, loop: false };
+            if (visited.has(next)) return { target: next, chain, loop: true };
+            visited.add(next);
+            current = next;
+        }
+
+        return { target: current, chain, loop: chain.length >= this.maxRedirects };
+    }
+
+    /**
+     * Parse one page, run the SEO checks and collect its internal links
+     */
+    crawlPage(sitePath, file) {
+        const url = `${this.origin}${sitePath}`;
+        const dom = new JSDOM(fs.readFileSync(file, 'utf8'), { url });
+        const { document } = dom.window;
+
+        const { metrics, issues } = new SEOHealthChecks(dom.window).run();
+
+        const links = [];
+        document.querySelectorAll('a[href], area[href]').forEach(link => {
+            const target = this.toSitePath(link.getAttribute('href'), url);
+            if (target !== null && target !== sitePath) links.push({ href: link.getAttribute('href'), path: target });
+        });
+
+        // A meta refresh is a redirect search engines follow
+        let refresh = null;
+        const refreshMeta = Array.from(document.querySelectorAll('meta[http-equiv]'))
+            .find(meta => meta.getAttribute('http-equiv').toLowerCase() === 'refresh');
+        const refreshUrl = refreshMeta && /url\s*=\s*['"]?([^'";]+)/i.exec(refreshMeta.getAttribute('content') || '');
+        if (refreshUrl) {
+            refresh = refreshUrl[1].trim();
+            const target = this.toSitePath(refresh, url);
+            if (target !== null) links.push({ href: refresh, path: target });
+        }
+
+        const title = document.querySelector('title');
+        dom.window.close();
+
+        return {
+            url: sitePath,
+            file: path.relative(this.rootDir, file),
+            title: title ? title.textContent.trim() : null,
+            refresh,
+            issues,
+            metrics,
+            links
+        };
+    }
+
+    /**
+     * Breadth-first crawl from the start page
+     */
+    crawl() {
+        const pages = new Map();
+        const crawledFiles = new Map();
+        const notFound = new Map();
+        const queue = [{ path: this.normalizePath(this.startPath), depth: 0 }];
+        const queued = new Set();
+
+        while (queue.length > 0 && pages.size < this.maxPages) {
+            const { path: sitePath, depth } = queue.shift();
+            if (queued.has(sitePath)) continue;
+            queued.add(sitePath);
+
+            const { target, chain } = this.followRedirects(sitePath);
+            if (chain.length > 0) {
+                // Crawl the target at the depth of the link, ahead of deeper pages
+                if (target !== null) queue.unshift({ path: target, depth });
+                continue;
+            }
+            if (!this.isPagePath(sitePath)) continue;
+
+            const file = this.pathToFile(sitePath);
+            if (!file) {
+                notFound.set(sitePath, []);
+                continue;
+            }
+            // /page and /page.html are the same page
+            if (crawledFiles.has(file)) continue;
+
+            const page = this.crawlPage(sitePath, file);
+            page.depth = depth;
+            pages.set(sitePath, page);
+            crawledFiles.set(file, sitePath);
+            // Links to a meta refresh page are reported as redirects from here on
+            if (page.refresh && this.toSitePath(page.refresh, `${this.origin}${sitePath}`) !== null) {
+                this.redirects.set(sitePath, { to: page.refresh, status: 'meta-refresh', source: page.file });
+            }
+
+            page.links.forEach(link => queue.push({ path: link.path, depth: depth + 1 }));
+        }
+
+        return { pages, crawledFiles, notFound, truncated: queue.length > 0 };
+    }
+
+    /**
+     * Every HTML file in the site, as site paths
+     */
+    listSiteFiles(dir = this.rootDir, files = []) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            if (entry.name.startsWith('.') || this.ignoredDirs.includes(entry.name)) return;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                this.listSiteFiles(fullPath, files);
+            } else if (/\.html?$/.test(entry.name)) {
+                files.push(fullPath);
+            }
+        });
+        return files;
+    }
+
+    /**
+     * Site paths listed in sitemap*.xml
+     */
+    loadSitemapPaths() {
+        const paths = new Set();
+        fs.readdirSync(this.rootDir)
+            .filter(file => /^sitemap.*\.xml$/.test(file))
+            .forEach(file => {
+                const xml = fs.readFileSync(path.join(this.rootDir, file), 'utf8');
+                for (const match of xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/g)) {
+                    const sitePath = this.toSitePath(match[1], this.siteUrl);
+                    if (sitePath !== null && this.isPagePath(sitePath)) paths.add(sitePath);
+                }
+            });
+        return paths;
+    }
+
+    /**
+     * Crawl the site and build the report
+     */
+    run() {
+        const { pages, crawledFiles, notFound, truncated } = this.crawl();
+        const inbound = new Map();
+        const redirects = [];
+        const seenRedirects = new Set();
+
+        pages.forEach(page => {
+            page.links.forEach(link => {
+                const { target, chain, loop } = this.followRedirects(link.path);
+
+                if (chain.length > 0 && !seenRedirects.has(`${page.url} ${link.path}`)) {
+                    seenRedirects.add(`${page.url} ${link.path}`);
+                    redirects.push({
+                        from: page.url,
+                        href: link.href,
+                        chain: chain.map(hop => ({ url: hop.from, status: hop.status, source: hop.source })),
+                        target: loop ? null : (target || chain[chain.length - 1].to),
+                        hops: chain.length,
+                        loop,
+                        type: loop ? 'loop' : chain.length > 1 ? 'chain' : 'redirect'
+                    });
+                }
+
+                const targetPath = target === null ? null : crawledFiles.get(this.pathToFile(target)) || target;
+                if (targetPath === null) return;
+                if (notFound.has(targetPath) && !notFound.get(targetPath).includes(page.url)) notFound.get(targetPath).push(page.url);
+                if (!inbound.has(targetPath)) inbound.set(targetPath, new Set());
+                inbound.get(targetPath).add(page.url);
+            });
+        });
+
+        const sitemapPaths = this.loadSitemapPaths();
+        const orphans = this.listSiteFiles()
+            .filter(file => !crawledFiles.has(file))
+            .map(file => {
+                const relative = path.relative(this.rootDir, file).split(path.sep).join('/');
+                return this.normalizePath(relative);
+            })
+            // Pages that only exist to redirect aren't orphans
+            .filter(sitePath => !this.redirects.has(sitePath))
+            .map(sitePath => ({ url: sitePath, inSitemap: sitemapPaths.has(sitePath) }))
+            .sort((a, b) => Number(b.inSitemap) - Number(a.inSitemap) || a.url.localeCompare(b.url));
+
+        const pageList = Array.from(pages.values()).map(page => ({
+            url: page.url,
+            file: page.file,
+            title: page.title,
+            depth: page.depth,
+            inboundLinks: inbound.has(page.url) ? inbound.get(page.url).size : 0,
+            outboundLinks: new Set(page.links.map(link => link.path)).size,
+            issues: page.issues.map(issue => ({ message: issue.message, details: issue.details })),
+            metrics: page.metrics
+        }));
+
+        const issuesByMessage = new Map();
+        pageList.forEach(page => page.issues.forEach(issue => {
+            if (!issuesByMessage.has(issue.message)) issuesByMessage.set(issue.message, []);
+            issuesByMessage.get(issue.message).push(page.url);
+        }));
+        const issues = Array.from(issuesByMessage.entries())
+            .map(([message, urls]) => ({ message, count: urls.length, pages: urls }))
+            .sort((a, b) => b.count - a.count || a.message.localeCompare(b.message));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            siteUrl: this.siteUrl,
+            startUrl: this.normalizePath(this.startPath),
+            summary: {
+                pages: pageList.length,
+                pagesWithIssues: pageList.filter(page => page.issues.length > 0).length,
+                issues: pageList.reduce((sum, page) => sum + page.issues.length, 0),
+                orphans: orphans.length,
+                orphansInSitemap: orphans.filter(orphan => orphan.inSitemap).length,
+                redirectedLinks: redirects.length,
+                redirectChains: redirects.filter(redirect => redirect.type !== 'redirect').length,
+                notFound: notFound.size,
+                truncated
+            },
+            issues,
+            orphans,
+            redirects,
+            notFound: Array.from(notFound.entries()).map(([url, linkedFrom]) => ({ url, linkedFrom })),
+            pages: pageList
+        };
+    }
+
+    saveReport(report) {
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(report, null, 2));
+
+        const htmlPath = this.outputPath.replace(/\.json$/, '') + '.html';
+        fs.writeFileSync(htmlPath, new SEOCrawlReportRenderer().render(report));
+
+        return { jsonPath: this.outputPath, htmlPath };
+    }
+
+    printSummary(report) {
+        const { summary } = report;
+        console.log(`\n📊 ${summary.pages} pages crawled, ${summary.issues} issues on ${summary.pagesWithIssues} pages`);
+        report.issues.slice(0, 10).forEach(issue => {
+            console.log(`   ${issue.message.padEnd(40)} ${String(issue.count).padStart(4)} pages`);
+        });
+        if (summary.truncated) console.log(`⚠️  Stopped at ${this.maxPages} pages`);
+        if (summary.orphans > 0) console.log(`🏝️  ${summary.orphans} orphan pages (${summary.orphansInSitemap} in the sitemap)`);
+        if (summary.redirectedLinks > 0) console.log(`↪️  ${summary.redirectedLinks} links through redirects, ${summary.redirectChains} chains or loops`);
+        if (summary.notFound > 0) console.log(`❌ ${summary.notFound} linked pages not found`);
+    }
+}
+
+// Run the crawler if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const arg = args.find(value => value.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+
+    if (args.includes('--help')) {
+        console.log('Usage: node scripts/seo-crawler.js [--root=.] [--start=/] [--site-url=https://example.com] [--max-pages=1000] [--output=build-reports/seo-crawl-report.json]');
+        process.exit(0);
+    }
+
+    try {
+        const crawler = new SEOCrawler({
+            rootDir: option('root'),
+            startPath: option('start'),
+            siteUrl: option('site-url'),
+            maxPages: Number(option('max-pages')) || undefined,
+            outputPath: option('output')
+        });
+
+        console.log(`🕷️  Crawling ${crawler.siteUrl} from ${crawler.rootDir}...`);
+        const report = crawler.run();
+        crawler.printSummary(report);
+        const { jsonPath, htmlPath } = crawler.saveReport(report);
+        console.log(`\n✅ Report saved to ${jsonPath} and ${htmlPath}`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SEOCrawler;
@@ -3,10 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 const FileSizeMonitor = require('./file-size-monitor');
+const AlertRouter = require('./alert-router');
 
 class SizeAlertSystem {
-    constructor() {
-        this.monitor = new FileSizeMonitor();
+    constructor(options = {}) {
+        this.monitor = options.monitor || new FileSizeMonitor();
+        this.router = options.router || new AlertRouter();
         this.alertsFile = 'build-reports/size-alerts.json';
         this.thresholds = {
             warning: 400,
@@ -96,14 +98,29 @@ class SizeAlertSystem {
         console.log(`\n📊 Summary: ${errors.length} errors, ${warnings.length} warnings`);
     }
 
-    // Send email alert (placeholder for future implementation)
-    sendEmailAlert(alerts) {
-        const errors = alerts.filter(a => a.level === 'error');
-        
-        if (errors.length > 0) {
-            console.log('📧 Email alert would be sent for critical file size violations');
-            console.log('   Configure email settings in build.config.js to enable');
+    // Route alerts to the channels in build.config.js (errors as high severity,
+    // warnings as low); a file that stays over the limit is only re-sent once the
+    // dedup window has passed
+    async sendAlerts(alerts) {
+        const summary = await this.router.dispatch(alerts.map(alert => ({
+            source: 'size-monitor',
+            category: 'file-size',
+            severity: alert.level === 'error' ? 'high' : 'low',
+            key: `${alert.file}|${alert.level}`,
+            title: `${alert.file}: ${alert.lines} lines`,
+            message: alert.message,
+            details: { file: alert.file, lines: alert.lines, excess: alert.excess },
+            timestamp: alert.timestamp
+        })));
+
+        const sent = Object.entries(summary.sent).map(([name, count]) => `${name} (${count})`);
+        if (sent.length > 0) {
+            console.log(`📣 Alerts sent to ${sent.join(', ')}`);
+        }
+        if (summary.suppressed > 0 || summary.deferred > 0) {
+            console.log(`   ${summary.suppressed} already reported, ${summary.deferred} held for quiet hours`);
         }
+        return summary;
     }
 
     // Generate HTML alert report
@@ -170,7 +187,7 @@ class SizeAlertSystem {
     }
 
     // Main alert process
-    run() {
+    async run() {
         console.log('🔔 Running file size alert system...');
         
         const alerts = this.generateAlerts();
@@ -178,7 +195,7 @@ class SizeAlertSystem {
         
         this.displayAlerts(alerts);
         this.generateHTMLReport(alerts);
-        this.sendEmailAlert(alerts);
+        await this.sendAlerts(alerts);
         
         return alertData;
     }
@@ -187,7 +204,10 @@ class SizeAlertSystem {
 // CLI interface
 if (require.main === module) {
     const alertSystem = new SizeAlertSystem();
-    alertSystem.run();
+    alertSystem.run().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = SizeAlertSystem;
\ No newline at end of file
@@ -9,9 +9,10 @@ const fs = require('fs');
 
 console.log('🔍 Testing GGUF Loader Search Integration...\n');
 
-// Test 1: Verify search engine contains GGUF Loader content
-console.log('1. Checking search engine content...');
+// Test 1: Verify the generated search index contains GGUF Loader content
+console.log('1. Checking search index content...');
 const searchEngineContent = fs.readFileSync('assets/js/search-engine.js', 'utf8');
+const searchIndexContent = fs.existsSync('search-index.json') ? fs.readFileSync('search-index.json', 'utf8') : '';
 
 const ggufLoaderTerms = [
     'GGUF Loader',
@@ -25,13 +26,14 @@ const ggufLoaderTerms = [
     'quantized models',
     'floating assistant',
     'cross-platform',
-    'Q4_0 Q6_K'
+    'Q4_0',
+    'Q6_K'
 ];
 
-const missingTerms = ggufLoaderTerms.filter(term => !searchEngineContent.includes(term));
+const missingTerms = ggufLoaderTerms.filter(term => !searchIndexContent.includes(term));
 
 if (missingTerms.length === 0) {
-    console.log('   ✅ All GGUF Loader terms found in search engine');
+    console.log('   ✅ All GGUF Loader terms found in search index');
 } else {
     console.log(`   ❌ Missing terms: ${missingTerms.join(', ')}`);
 }
@@ -84,7 +86,7 @@ if (comparisonPageExists) {
     console.log('   ✅ GGUF Loader comparison page exists');
     
     // Check if it's properly indexed in search
-    const comparisonInSearch = searchEngineContent.includes('ggufloader-vs-lmstudio.html');
+    const comparisonInSearch = searchIndexContent.includes('ggufloader-vs-lmstudio.html');
     if (comparisonInSearch) {
         console.log('   ✅ Comparison page is indexed in search');
     } else {
@@ -119,7 +121,7 @@ if (searchValidationExists) {
 }
 
 console.log('\n🎯 GGUF Loader Search Integration Summary:');
-console.log('   • Search engine contains comprehensive GGUF Loader content');
+console.log('   • Search index contains comprehensive GGUF Loader content');
 console.log('   • Search suggestions include GGUF Loader terms');
 console.log('   • Test page includes GGUF Loader test queries');
 console.log('   • GGUF Loader comparison page is properly indexed');
@@ -3,27 +3,225 @@
  * Implements caching strategies for better performance
  */
 
-const CACHE_NAME = 'llm-tools-hub-v1';
-const STATIC_CACHE_URLS = [
-    '/',
-    '/index.html',
-    '/assets/css/styles.css',
-    '/assets/js/main.js',
-    '/assets/js/performance-optimizer.js',
-    '/assets/js/lazy-loading.js',
-    '/assets/js/seo-meta-generator.js',
-    '/assets/js/canonical-url-manager.js',
-    '/assets/js/structured-data-generator.js',
-    '/manifest.json'
+// Service worker config: generated by scripts/build-precache-manifest.js from build.config.js, don't edit by hand
+const CACHE_VERSION = 'e37e9c7f';
+const OFFLINE_PAGE = '/offline.html';
+const ROUTES = [
+    { pattern: '(\\.html|/)$', strategy: 'network-first', cache: 'pages', networkTimeoutSeconds: 4, maxEntries: 50 },
+    { pattern: '\\.(css|js|json)$', strategy: 'stale-while-revalidate', cache: 'assets', maxEntries: 80 },
+    { pattern: '\\.(png|jpe?g|gif|webp|svg|ico)$', strategy: 'cache-first', cache: 'images', maxEntries: 60, maxAgeSeconds: 2592000 }
 ];
+const PRECACHE_MANIFEST = [
+    { url: '/assets/css/search-refinements.css', revision: '5cc0b3458d70f18c' },
+    { url: '/assets/css/search-styles.css', revision: 'fda082f23b470102' },
+    { url: '/assets/css/styles.css', revision: '32e559735075f029' },
+    { url: '/assets/images/ai-tools-icon.png', revision: '820bee8cfc24c744' },
+    { url: '/assets/images/comparison-icon.png', revision: '9241cd82d067550c' },
+    { url: '/assets/images/documentation-icon.png', revision: '501aee26efc72979' },
+    { url: '/assets/images/hero-ai-illustration.png', revision: 'ac297f6385010d8e' },
+    { url: '/assets/js/accessibility-enhancer.js', revision: '1f27c806aa916bff' },
+    { url: '/assets/js/analytics-collector.js', revision: '14c191aa5886f648' },
+    { url: '/assets/js/analytics-dashboard.js', revision: '3dde9073c09441fa' },
+    { url: '/assets/js/analytics-monitor.js', revision: 'e1fb43451bcd4673' },
+    { url: '/assets/js/analytics-rollups.js', revision: '8de900e9dd3c7c70' },
+    { url: '/assets/js/bot-detector.js', revision: 'c05729f243a368da' },
+    { url: '/assets/js/canonical-url-manager.js', revision: 'bd2ebef153104826' },
+    { url: '/assets/js/document-template.js', revision: '2529bed4bfbf7025' },
+    { url: '/assets/js/image-optimizer.js', revision: 'e01b897186f35b20' },
+    { url: '/assets/js/inverted-index.js', revision: '4f89ea701da6db0b' },
+    { url: '/assets/js/lazy-loading.js', revision: 'd84a075ff28a895c' },
+    { url: '/assets/js/main.js', revision: 'bd63edd1c507006d' },
+    { url: '/assets/js/offline-page.js', revision: '9ac2fb8bc16d098b' },
+    { url: '/assets/js/performance-optimizer.js', revision: '5a68538af0e902a6' },
+    { url: '/assets/js/porter-stemmer.js', revision: '1823f3e89e992fab' },
+    { url: '/assets/js/query-expander.js', revision: 'd2601a2d9780ceef' },
+    { url: '/assets/js/robots-sitemap-generator.js', revision: '86858acb42538858' },
+    { url: '/assets/js/search-autocomplete.js', revision: '252809d1892286a4' },
+    { url: '/assets/js/search-engine.js', revision: 'ba936e0797ed4ba0' },
+    { url: '/assets/js/search-facets.js', revision: '180939b0f30234cb' },
+    { url: '/assets/js/search-highlighter.js', revision: '95077d6f1d3ae71e' },
+    { url: '/assets/js/search-index-backend.js', revision: '5080b03fe6cafa7a' },
+    { url: '/assets/js/search-insights.js', revision: '07c4e4b95b7ba578' },
+    { url: '/assets/js/search-integration.js', revision: 'eaaab1bc00751ed1' },
+    { url: '/assets/js/search-worker-client.js', revision: '7e57050bb6c2a5e0' },
+    { url: '/assets/js/search-worker.js', revision: 'd010c81b743e3fa5' },
+    { url: '/assets/js/seo-health-checks.js', revision: '93952a69cf2a3aa0' },
+    { url: '/assets/js/seo-meta-generator.js', revision: 'c80fc798a4eca923' },
+    { url: '/assets/js/service-worker-registration.js', revision: '926adf8a1582ec33' },
+    { url: '/assets/js/structured-data-generator.js', revision: '499d1c1fd1e8fc06' },
+    { url: '/assets/js/tool-schema-generator.js', revision: 'b10ef11a01751643' },
+    { url: '/assets/js/trend-charts.js', revision: 'a90beb1bb1413d20' },
+    { url: '/assets/js/web-vitals-attribution.js', revision: '6c9582ddc24ba899' },
+    { url: '/comparisons/ggufloader-vs-lmstudio.html', revision: 'f232a27aa943db30' },
+    { url: '/comparisons/ollama-comparison.html', revision: '2370697ad91e4ad2' },
+    { url: '/documents/ai-tools-overview.html', revision: '1e4b60b37ca5b705' },
+    { url: '/documents/llm-guide.html', revision: '1f3f89da3f0afaa0' },
+    { url: '/documents/machine-learning-basics.html', revision: '1d6f08575943f819' },
+    { url: '/index.html', revision: 'ad19869e43578673' },
+    { url: '/offline.html', revision: 'c5e36b044f3fb434' },
+    { url: '/search-index.json', revision: '669dd2b385e9034a' }
+];
+// End of service worker config
+
+const CACHE_PREFIX = 'llm-tools-hub-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache`;
+const runtimeCacheName = (route) => `${CACHE_PREFIX}${route.cache}`;
+
+// Precached responses are stored under their revision, so a new manifest only
+// downloads the entries whose content hash changed
+const precacheKey = (entry) => `${entry.url}?__revision=${entry.revision}`;
+const PRECACHE_KEYS = new Map(PRECACHE_MANIFEST.map((entry) => [entry.url, precacheKey(entry)]));
+
+// Directory URLs are served by their index.html
+const precachePath = (pathname) => (pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+const ROUTE_PATTERNS = ROUTES.map((route) => ({ route, pattern: new RegExp(route.pattern) }));
+const findRoute = (pathname) => (ROUTE_PATTERNS.find(({ pattern }) => pattern.test(pathname)) || {}).route;
+
+const matchPrecache = (key) => {
+    if (!key) {
+        return Promise.resolve(undefined);
+    }
+    return caches.open(PRECACHE_NAME).then((cache) => cache.match(key));
+};
+
+const isCacheable = (response) => response && response.status === 200 && response.type === 'basic';
+
+// Cache-first entries carry the time they were cached so they can expire
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+const isExpired = (response, route) => {
+    if (!route.maxAgeSeconds) {
+        return false;
+    }
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    return !cachedAt || Date.now() - cachedAt > route.maxAgeSeconds * 1000;
+};
+
+// Drop the oldest entries once a route's cache holds more than maxEntries
+const trimCache = (cache, maxEntries) => {
+    if (!maxEntries) {
+        return Promise.resolve();
+    }
+    return cache.keys().then((requests) => {
+        const excess = requests.slice(0, Math.max(0, requests.length - maxEntries));
+        return Promise.all(excess.map((request) => cache.delete(request)));
+    });
+};
+
+const putInCache = (cache, request, response, route) => {
+    let stored = response;
+    if (route.maxAgeSeconds) {
+        const headers = new Headers(response.headers);
+        headers.set(CACHED_AT_HEADER, String(Date.now()));
+        stored = new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+    }
+    // Re-adding moves the entry to the end, so trimming drops the least recently stored
+    return cache.delete(request)
+        .then(() => cache.put(request, stored))
+        .then(() => trimCache(cache, route.maxEntries));
+};
+
+// Fetch and, when the response is cacheable, store a copy in the route's cache
+const fetchAndCache = (event, cache, route) => {
+    return fetch(event.request).then((response) => {
+        if (isCacheable(response)) {
+            event.waitUntil(putInCache(cache, event.request, response.clone(), route));
+        }
+        return response;
+    });
+};
+
+const STRATEGIES = {
+    // Pages: the network first so edits show up straight away; the cached copy when
+    // the network fails or takes longer than networkTimeoutSeconds
+    'network-first': (event, route, key) => caches.open(runtimeCacheName(route)).then((cache) => {
+        const cached = () => cache.match(event.request).then((response) => response || matchPrecache(key));
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            const settle = (response) => {
+                if (!settled && response) {
+                    settled = true;
+                    clearTimeout(timer);
+                    resolve(response);
+                }
+                return response;
+            };
+
+            if (route.networkTimeoutSeconds) {
+                timer = setTimeout(() => cached().then(settle), route.networkTimeoutSeconds * 1000);
+            }
+
+            fetchAndCache(event, cache, route)
+                .then(settle)
+                .catch((error) => cached().then((response) => {
+                    if (!settle(response)) {
+                        clearTimeout(timer);
+                        reject(error);
+                    }
+                }));
+        });
+    }),
 
-// Install event - cache static resources
+    // CSS and JavaScript: answer from the cache at once and refresh it in the background
+    'stale-while-revalidate': (event, route) => caches.open(runtimeCacheName(route)).then((cache) => {
+        return cache.match(event.request).then((cached) => {
+            const network = fetchAndCache(event, cache, route);
+            if (!cached) {
+                return network;
+            }
+            event.waitUntil(network.catch(() => null));
+            return cached;
+        });
+    }),
+
+    // Images: the cached copy until it is older than maxAgeSeconds
+    'cache-first': (event, route) => caches.open(runtimeCacheName(route)).then((cache) => {
+        return cache.match(event.request).then((cached) => {
+            if (cached && !isExpired(cached, route)) {
+                return cached;
+            }
+            return fetchAndCache(event, cache, route).catch((error) => {
+                if (cached) {
+                    return cached;
+                }
+                throw error;
+            });
+        });
+    })
+};
+
+// Page navigations that fail with nothing cached get the offline page
+const offlineFallback = (request) => {
+    if (request.mode !== 'navigate' || !OFFLINE_PAGE) {
+        return Promise.resolve(Response.error());
+    }
+    return matchPrecache(PRECACHE_KEYS.get(OFFLINE_PAGE)).then((response) => response || Response.error());
+};
+
+// Install event - cache new and changed precache entries
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
+        caches.open(PRECACHE_NAME)
             .then((cache) => {
-                console.log('Caching static resources');
-                return cache.addAll(STATIC_CACHE_URLS);
+                console.log('Precaching version', CACHE_VERSION);
+                return Promise.all(PRECACHE_MANIFEST.map((entry) => {
+                    const key = precacheKey(entry);
+                    return cache.match(key).then((cached) => {
+                        if (cached) {
+                            return null;
+                        }
+
+                        return fetch(entry.url, { cache: 'reload' }).then((response) => {
+                            if (!response.ok) {
+                                throw new Error(`Precache request for ${entry.url} failed: ${response.status}`);
+                            }
+                            return cache.put(key, response);
+                        });
+                    });
+                }));
             })
             .then(() => {
                 return self.skipWaiting();
@@ -31,25 +229,39 @@ self.addEventListener('install', (event) => {
     );
 });
 
-// Activate event - clean up old caches
+// Activate event - drop caches no route uses and superseded precache revisions
 self.addEventListener('activate', (event) => {
+    const currentCaches = new Set([PRECACHE_NAME, ...ROUTES.map(runtimeCacheName)]);
+    const currentKeys = new Set(PRECACHE_KEYS.values());
+
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (!currentCaches.has(cacheName)) {
                         console.log('Deleting old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
                 })
             );
+        }).then(() => {
+            return caches.open(PRECACHE_NAME);
+        }).then((cache) => {
+            return cache.keys().then((requests) => {
+                return Promise.all(requests.map((request) => {
+                    const url = new URL(request.url);
+                    if (!currentKeys.has(url.pathname + url.search)) {
+                        return cache.delete(request);
+                    }
+                }));
+            });
         }).then(() => {
             return self.clients.claim();
         })
     );
 });
 
-// Fetch event - serve from cache with network fallback
+// Fetch event - answer with the strategy of the first matching route
 self.addEventListener('fetch', (event) => {
     // Skip non-GET requests
     if (event.request.method !== 'GET') {
@@ -61,38 +273,21 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                // Return cached version if available
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-
-                // Otherwise fetch from network
-                return fetch(event.request)
-                    .then((response) => {
-                        // Don't cache non-successful responses
-                        if (!response || response.status !== 200 || response.type !== 'basic') {
-                            return response;
-                        }
+    const pathname = new URL(event.request.url).pathname;
+    const key = PRECACHE_KEYS.get(precachePath(pathname));
+    const route = findRoute(pathname);
+    let response;
 
-                        // Clone the response for caching
-                        const responseToCache = response.clone();
-
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseToCache);
-                            });
+    if (route && route.strategy === 'network-first') {
+        response = STRATEGIES[route.strategy](event, route, key);
+    } else if (route) {
+        // Precached copies belong to this deployment, so they are served as they are
+        response = matchPrecache(key).then((precached) => precached || STRATEGIES[route.strategy](event, route));
+    } else if (key || event.request.mode === 'navigate') {
+        response = matchPrecache(key).then((precached) => precached || fetch(event.request));
+    } else {
+        return;
+    }
 
-                        return response;
-                    })
-                    .catch(() => {
-                        // Return offline page for navigation requests
-                        if (event.request.mode === 'navigate') {
-                            return caches.match('/index.html');
-                        }
-                    });
-            })
-    );
-});
\ No newline at end of file
+    event.respondWith(response.catch(() => offlineFallback(event.request)));
+});
@@ -0,0 +1,401 @@
+/**
+ * Alert Router Validation Test Suite
+ * Tests delivery to webhook, Slack, SMTP and file channels through the local mock
+ * receiver, plus deduplication, severity routing, quiet hours and size alerts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertRouter = require('../scripts/alert-router');
+const AlertMockReceiver = require('../scripts/alert-mock-receiver');
+const SizeAlertSystem = require('../scripts/size-alert-system');
+
+class AlertRouterValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.routerCount = 0;
+    }
+
+    /**
+     * Run all alert router validations
+     */
+    async validateAlertRouter() {
+        console.log('📣 Validating alert routing...\n');
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-router-'));
+        this.receiver = new AlertMockReceiver({ httpPort: 0, smtpPort: 0 });
+        this.failingReceiver = new AlertMockReceiver({ httpPort: 0, smtpPort: 0, httpStatus: 500 });
+
+        try {
+            await this.receiver.start();
+            await this.failingReceiver.start();
+
+            await this.testChannelDelivery();
+            await this.testDeduplication();
+            await this.testSeverityRouting();
+            await this.testQuietHours();
+            await this.testFailingChannel();
+            await this.testPlaintextAuth();
+            await this.testSizeAlerts();
+        } catch (error) {
+            this.addTest('Alert Router', false, `Error running alert checks: ${error.message}`);
+        } finally {
+            await this.receiver.stop();
+            await this.failingReceiver.stop();
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Router with every channel pointed at the mock receiver and its own state file
+     */
+    createRouter(overrides = {}) {
+        const id = ++this.routerCount;
+        const http = `http://127.0.0.1:${this.receiver.httpPort}`;
+        const router = new AlertRouter({
+            statePath: path.join(this.dir, `state-${id}.json`),
+            config: {
+                dedupWindowMinutes: 60,
+                quietHours: { start: '22:00', end: '07:00', timeZone: 'UTC', allow: ['critical'] },
+                channels: {
+                    webhook: { type: 'webhook', url: `${http}/hooks/generic` },
+                    slack: { type: 'slack', url: `${http}/hooks/slack` },
+                    email: {
+                        type: 'smtp', host: '127.0.0.1', port: this.receiver.smtpPort, startTls: false,
+                        from: 'alerts@example.com', to: 'ops@example.com, web@example.com'
+                    },
+                    file: { type: 'file', path: path.join(this.dir, `alerts-${id}.ndjson`) }
+                },
+                routes: [
+                    { severities: ['critical', 'high'], channels: ['webhook', 'slack', 'email', 'file'] },
+                    { severities: ['medium'], channels: ['email', 'file'] },
+                    { severities: ['low'], channels: ['file'] }
+                ],
+                ...overrides
+            }
+        });
+        router.filePath = path.join(this.dir, `alerts-${id}.ndjson`);
+        return router;
+    }
+
+    reset() {
+        this.receiver.requests.length = 0;
+        this.receiver.messages.length = 0;
+    }
+
+    readFileSink(router) {
+        if (!fs.existsSync(router.filePath)) return [];
+        return fs.readFileSync(router.filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Compare per-channel counts regardless of the order channels finished in
+     */
+    sameCounts(actual, expected) {
+        const sorted = counts => JSON.stringify(Object.keys(counts).sort().map(key => [key, counts[key]]));
+        return sorted(actual) === sorted(expected);
+    }
+
+    alert(overrides = {}) {
+        return {
+            source: 'analytics',
+            category: 'performance',
+            severity: 'critical',
+            title: 'javascript error detected',
+            message: '.env could not be loaded\non /index.html',
+            ...overrides
+        };
+    }
+
+    /**
+     * A critical alert reaches the webhook, Slack, SMTP and file channels
+     */
+    async testChannelDelivery() {
+        const testName = 'Channel Delivery';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            const summary = await router.dispatch([this.alert()], new Date('2024-05-01T12:00:00Z'));
+
+            const webhook = this.receiver.requests.find(request => request.path === '/hooks/generic');
+            const slack = this.receiver.requests.find(request => request.path === '/hooks/slack');
+            const mail = this.receiver.messages[0];
+            const file = this.readFileSink(router);
+            const issues = [];
+
+            if (!webhook || webhook.body.alerts[0].title !== 'javascript error detected' || !webhook.body.alerts[0].fingerprint) issues.push('webhook body');
+            if (!slack || !slack.body.text.includes('*[CRITICAL] analytics: javascript error detected*')) issues.push('Slack text');
+            if (!mail || mail.to.join(',') !== 'ops@example.com,web@example.com' || mail.subject !== '[LLM Tools Hub] 1 alert (highest: critical)') issues.push(`email ${mail ? mail.subject : 'missing'}`);
+            // The leading dot survives dot-stuffing
+            if (mail && !mail.body.includes('\r\n  .env could not be loaded')) issues.push('email body');
+            if (file.length !== 1 || file[0].severity !== 'critical') issues.push('file sink');
+            if (summary.failed.length > 0) issues.push(`failures ${JSON.stringify(summary.failed)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Webhook JSON, Slack text, an SMTP email and an NDJSON line were delivered');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing channel delivery: ${error.message}`);
+        }
+    }
+
+    /**
+     * Repeats within the window are counted, then sent once with the count
+     */
+    async testDeduplication() {
+        const testName = 'Deduplication';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            const at = minutes => new Date(Date.parse('2024-05-01T12:00:00Z') + minutes * 60 * 1000);
+            const lowAlert = overrides => this.alert({ severity: 'low', ...overrides });
+
+            const first = await router.dispatch([lowAlert()], at(0));
+            const repeat = await router.dispatch([lowAlert({ message: 'on /documents/llm-guide.html' }), lowAlert()], at(10));
+            const other = await router.dispatch([lowAlert({ title: 'resource error detected' })], at(20));
+            const later = await router.dispatch([lowAlert()], at(75));
+            const file = this.readFileSink(router);
+
+            if (first.sent.file === 1 && repeat.suppressed === 2 && other.sent.file === 1 &&
+                later.sent.file === 1 && file.length === 3 && file[2].occurrences === 3) {
+                this.addTest(testName, true, 'Same fingerprint is suppressed for the window, then re-sent with its repeat count');
+            } else {
+                this.addTest(testName, false, `Sent ${file.length}, suppressed ${repeat.suppressed}, occurrences ${file[2] && file[2].occurrences}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing deduplication: ${error.message}`);
+        }
+    }
+
+    /**
+     * Each severity goes to its rule's channels; one email digests the batch
+     */
+    async testSeverityRouting() {
+        const testName = 'Severity Routing';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            const summary = await router.dispatch([
+                this.alert({ severity: 'medium', title: 'lcp threshold exceeded' }),
+                this.alert({ severity: 'medium', title: 'cls threshold exceeded' }),
+                this.alert({ severity: 'low', title: 'Title length not optimal' })
+            ], new Date('2024-05-01T12:00:00Z'));
+
+            const mail = this.receiver.messages;
+            if (this.sameCounts(summary.sent, { email: 2, file: 3 }) && this.receiver.requests.length === 0 &&
+                mail.length === 1 && mail[0].subject === '[LLM Tools Hub] 2 alerts (highest: medium)') {
+                this.addTest(testName, true, 'Medium alerts went to email as one digest, low alerts only to the file');
+            } else {
+                this.addTest(testName, false, `Sent ${JSON.stringify(summary.sent)}, ${this.receiver.requests.length} webhooks, ${mail.length} emails`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing severity routing: ${error.message}`);
+        }
+    }
+
+    /**
+     * Non-critical alerts wait out quiet hours (the file sink still logs them)
+     */
+    async testQuietHours() {
+        const testName = 'Quiet Hours';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            const night = await router.dispatch([
+                this.alert({ severity: 'high', title: 'No H1 tag found' }),
+                this.alert({ severity: 'critical', title: 'resource error detected' })
+            ], new Date('2024-05-01T23:30:00Z'));
+            const nightRequests = this.receiver.requests.length;
+
+            const stillQuiet = await router.flushDeferred(new Date('2024-05-02T02:00:00Z'));
+            const morning = await router.flushDeferred(new Date('2024-05-02T07:30:00Z'));
+            const heldAlert = this.receiver.requests.slice(nightRequests).find(request => request.path === '/hooks/generic');
+            const issues = [];
+
+            if (night.deferred !== 3 || !this.sameCounts(night.sent, { webhook: 1, slack: 1, email: 1, file: 2 })) issues.push(`night ${JSON.stringify(night)}`);
+            if (Object.keys(stillQuiet.sent).length > 0 || stillQuiet.deferred !== 3) issues.push('flushed during quiet hours');
+            if (!this.sameCounts(morning.sent, { webhook: 1, slack: 1, email: 1 }) || !heldAlert || heldAlert.body.alerts[0].title !== 'No H1 tag found') issues.push(`morning ${JSON.stringify(morning.sent)}`);
+            if (!router.isQuietTime(new Date('2024-05-01T06:59:00Z')) || router.isQuietTime(new Date('2024-05-01T07:00:00Z'))) issues.push('window wrapping midnight');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Critical alerts go out at night; the rest are sent as a digest after 07:00');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing quiet hours: ${error.message}`);
+        }
+    }
+
+    /**
+     * A failing channel is reported without stopping the others
+     */
+    async testFailingChannel() {
+        const testName = 'Failing Channel';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            router.channels.webhook.url = `http://127.0.0.1:${this.failingReceiver.httpPort}/hooks/generic`;
+
+            const summary = await router.dispatch([this.alert({ title: 'Invalid JSON-LD structured data' })], new Date('2024-05-01T12:00:00Z'));
+            const failure = summary.failed[0];
+
+            if (summary.failed.length === 1 && failure.channel === 'webhook' && failure.error.includes('500') &&
+                summary.sent.slack === 1 && summary.sent.email === 1 && summary.sent.file === 1) {
+                this.addTest(testName, true, 'A 500 from the webhook is reported; Slack, email and file still delivered');
+            } else {
+                this.addTest(testName, false, `Unexpected summary: ${JSON.stringify(summary)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing failing channel: ${error.message}`);
+        }
+    }
+
+    /**
+     * SMTP credentials are never sent over a connection without TLS
+     */
+    async testPlaintextAuth() {
+        const testName = 'Plaintext AUTH Refused';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            Object.assign(router.channels.email, { user: 'alerts', pass: 'secret' });
+
+            const summary = await router.dispatch([this.alert()], new Date('2024-05-01T12:00:00Z'));
+            const failure = summary.failed.find(entry => entry.channel === 'email');
+
+            if (failure && failure.error.includes('SMTP AUTH refused') && this.receiver.messages.length === 0 && summary.sent.file === 1) {
+                this.addTest(testName, true, 'The email channel fails before AUTH when the server offers no STARTTLS');
+            } else {
+                this.addTest(testName, false, `Unexpected summary: ${JSON.stringify(summary)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing plaintext AUTH: ${error.message}`);
+        }
+    }
+
+    /**
+     * SizeAlertSystem routes errors as high and warnings as low severity
+     */
+    async testSizeAlerts() {
+        const testName = 'Size Alerts';
+
+        try {
+            this.reset();
+            const router = this.createRouter();
+            const monitor = {
+                analyze: () => [
+                    { path: 'assets/js/analytics-monitor.js', lines: 930, excess: 430 },
+                    { path: 'assets/js/inverted-index.js', lines: 429, excess: 0 },
+                    { path: 'assets/js/main.js', lines: 120, excess: 0 }
+                ]
+            };
+            const sizeAlerts = new SizeAlertSystem({ monitor, router });
+            const originalLog = console.log;
+            console.log = () => {};
+            const summary = await sizeAlerts.sendAlerts(sizeAlerts.generateAlerts());
+            const again = await sizeAlerts.sendAlerts(sizeAlerts.generateAlerts());
+            console.log = originalLog;
+
+            const slack = this.receiver.requests.find(request => request.path === '/hooks/slack');
+            if (this.sameCounts(summary.sent, { webhook: 1, slack: 1, email: 1, file: 2 }) &&
+                slack && slack.body.text.includes('size-monitor: assets/js/analytics-monitor.js: 930 lines') && again.suppressed === 2) {
+                this.addTest(testName, true, 'File size errors reach people, warnings the file sink; reruns are deduplicated');
+            } else {
+                this.addTest(testName, false, `Sent ${JSON.stringify(summary.sent)}, rerun suppressed ${again.suppressed}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing size alerts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📣 ALERT ROUTER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/alert-router-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new AlertRouterValidator();
+    validator.validateAlertRouter().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = AlertRouterValidator;
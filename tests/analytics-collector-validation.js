@@ -0,0 +1,260 @@
+/**
+ * Analytics Collector Validation Test Suite
+ * Tests event forwarding, batching, page-hide flushing and the beacon transport in jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'assets', 'js', 'analytics-collector.js');
+
+class AnalyticsCollectorValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all analytics collector validations
+     */
+    validateAnalyticsCollector() {
+        console.log('📡 Validating analytics collector...\n');
+
+        this.testEventForwarding();
+        this.testBatching();
+        this.testPageHideFlush();
+        this.testBeaconTransport();
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Page with the collector script and a transport that records batches
+     */
+    createFixture(options = {}, head = '') {
+        const dom = new JSDOM(`<!DOCTYPE html><html><head>${head}</head><body></body></html>`, {
+            url: 'https://example.com/documents/llm-guide.html',
+            runScripts: 'outside-only'
+        });
+        const { window } = dom;
+        window.eval(fs.readFileSync(SCRIPT_PATH, 'utf8'));
+
+        const fixture = { window, batches: [], accept: true };
+        fixture.collector = new window.AnalyticsCollector({
+            endpoint: '',
+            transport: { send: batch => (fixture.accept ? fixture.batches.push(batch) > 0 : false) },
+            ...options
+        });
+        fixture.dispatch = (type, detail) => window.dispatchEvent(new window.CustomEvent(type, { detail }));
+        fixture.hide = () => {
+            Object.defineProperty(window.document, 'visibilityState', { value: 'hidden', configurable: true });
+            window.document.dispatchEvent(new window.Event('visibilitychange'));
+        };
+
+        return fixture;
+    }
+
+    /**
+     * The events other modules already dispatch are queued with the page view's id and path
+     */
+    testEventForwarding() {
+        const testName = 'Event Forwarding';
+
+        try {
+            const { collector, dispatch, batches, window } = this.createFixture();
+            collector.start();
+
+            dispatch('botDetected', { botType: 'llm-bot', confidence: 90, userAgent: 'GPTBot/1.2', referrer: '', sessionData: { interactions: 0 } });
+            dispatch('siteSearch', { type: 'search', query: 'ollama', resultCount: 3, isBot: false, userAgent: 'Chrome' });
+            dispatch('searchClick', { query: 'ollama', position: 1, url: '/comparisons/ollama-comparison.html', isBot: false });
+            dispatch('analyticsError', { type: 'javascript', details: { message: 'x is undefined', filename: '/assets/js/main.js', lineno: 4 } });
+            dispatch('analyticsAlert', { category: 'performance', message: 'lcp threshold exceeded', severity: 'medium', details: { metric: 'lcp', value: 3100, attribution: { element: 'img' } } });
+            collector.flush();
+            collector.stop();
+
+            const events = batches.length === 1 ? batches[0].events : [];
+            const types = events.map(event => event.type).join(' ');
+            const issues = [];
+
+            if (types !== 'bot-visit search search-click error alert') issues.push(`forwarded ${types || 'nothing'}`);
+            if (!events.every(event => event.pageId === collector.pageId && event.path === '/documents/llm-guide.html')) issues.push('events lack the page id or path');
+            if (events[0] && 'sessionData' in events[0].data) issues.push('bot visit session data was forwarded');
+            if (events[3] && (events[3].data.message !== 'x is undefined' || events[3].data.line !== 4)) issues.push(`error event ${JSON.stringify(events[3].data)}`);
+            if (events[4] && (events[4].data.metric !== 'lcp' || events[4].data.value !== 3100 || 'attribution' in events[4].data)) issues.push(`alert event ${JSON.stringify(events[4].data)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Bot visits, searches, result clicks, errors and alerts are forwarded');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing event forwarding: ${error.message}`);
+        }
+    }
+
+    /**
+     * A full batch is sent immediately; refused batches stay queued, oldest dropped past maxQueue
+     */
+    testBatching() {
+        const testName = 'Batching';
+
+        try {
+            const fixture = this.createFixture({ batchSize: 3, maxQueue: 4 });
+            const { collector, batches, window } = fixture;
+
+            ['a', 'b', 'c'].forEach(query => collector.track('search', { query }));
+            const sentFullBatch = batches.length === 1 && batches[0].events.length === 3 && collector.queue.length === 0;
+
+            fixture.accept = false;
+            ['d', 'e', 'f', 'g', 'h'].forEach(query => collector.track('search', { query }));
+            const kept = collector.queue.map(event => event.data.query).join('');
+
+            if (sentFullBatch && kept === 'efgh' && batches.length === 1) {
+                this.addTest(testName, true, 'Batches go out at batchSize; unsent events are retried up to maxQueue');
+            } else {
+                this.addTest(testName, false, `Unexpected batching: ${batches.length} batches, queue "${kept}"`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing batching: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hiding the page flushes the queue with one final Web Vitals event
+     */
+    testPageHideFlush() {
+        const testName = 'Page Hide Flush';
+
+        try {
+            const { collector, batches, hide, window } = this.createFixture();
+            window.analyticsMonitor = {
+                metrics: { performance: { lcp: 1830.5, cls: 0.04, fid: undefined, navigationTiming: { pageLoad: 0 } } }
+            };
+            collector.start();
+
+            hide();
+            window.dispatchEvent(new window.Event('pagehide'));
+            collector.stop();
+
+            const vitals = batches.length === 1 ? batches[0].events[0] : null;
+            if (vitals && vitals.type === 'vitals' && JSON.stringify(vitals.data) === '{"lcp":1830.5,"cls":0.04}') {
+                this.addTest(testName, true, 'visibilitychange to hidden sends measured vitals once per page view');
+            } else {
+                this.addTest(testName, false, `Unexpected batches: ${JSON.stringify(batches)}`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing page hide flush: ${error.message}`);
+        }
+    }
+
+    /**
+     * The default transport beacons text/plain JSON to the endpoint named by the meta tag
+     */
+    testBeaconTransport() {
+        const testName = 'Beacon Transport';
+
+        try {
+            const { window } = this.createFixture({}, '<meta name="analytics-collector" content="https://stats.example.com/">');
+            const beacons = [];
+            window.navigator.sendBeacon = (url, blob) => beacons.push({ url, blob }) > 0;
+
+            const collector = new window.AnalyticsCollector();
+            collector.track('search', { query: 'gguf' });
+            const sent = collector.flush();
+            const beacon = beacons[0];
+
+            if (sent && collector.endpoint === 'https://stats.example.com' && beacon &&
+                beacon.url === 'https://stats.example.com/collect' && beacon.blob.type === 'text/plain;charset=utf-8') {
+                this.addTest(testName, true, 'Batches are beaconed as text/plain to <collector>/collect');
+            } else {
+                this.addTest(testName, false, `Unexpected beacon: ${beacon ? `${beacon.url} (${beacon.blob.type})` : 'none'}, endpoint ${collector.endpoint}`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing beacon transport: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📡 ANALYTICS COLLECTOR VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/analytics-collector-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new AnalyticsCollectorValidator();
+    const success = validator.validateAnalyticsCollector();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = AnalyticsCollectorValidator;
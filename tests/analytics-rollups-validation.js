@@ -0,0 +1,273 @@
+/**
+ * Analytics Rollups Validation Test Suite
+ * Tests the daily rollups behind the dashboard's trends (averaging, 90-day retention,
+ * week-over-week deltas, collector events) and the SVG trend charts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AnalyticsRollups = require('../assets/js/analytics-rollups');
+const TrendCharts = require('../assets/js/trend-charts');
+
+class AnalyticsRollupsValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all analytics rollup validations
+     */
+    validateAnalyticsRollups() {
+        console.log('📉 Validating analytics rollups and trend charts...\n');
+
+        this.testDailyRollups();
+        this.testRetention();
+        this.testWeekOverWeek();
+        this.testCollectorEvents();
+        this.testTrendCharts();
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Rollups over an in-memory localStorage stand-in
+     */
+    createRollups(options = {}) {
+        const items = {};
+        const storage = {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); }
+        };
+        return new AnalyticsRollups({ storage, ...options });
+    }
+
+    /**
+     * Samples are averaged per day, counts summed; days without data are null or 0
+     */
+    testDailyRollups() {
+        const testName = 'Daily Rollups';
+
+        try {
+            const rollups = this.createRollups({ retentionDays: 3650 });
+            rollups.addSample({ lcp: 1000, cls: 0.1, seoScore: 90, fid: undefined }, '2024-03-10T08:00:00Z');
+            rollups.addSample({ lcp: 2001, cls: 0.25, seoScore: 80, inp: 180 }, '2024-03-10T20:00:00Z');
+            rollups.increment('alerts', 1, '2024-03-10T09:00:00Z');
+            rollups.increment('alerts', 2, '2024-03-10T10:00:00Z');
+            rollups.increment('botVisits', 1, '2024-03-12T10:00:00Z');
+
+            const series = rollups.getSeries({ from: '2024-03-10', to: '2024-03-12' });
+            const [first, gap, last] = series;
+            const issues = [];
+
+            if (series.length !== 3) issues.push(`${series.length} days in a 3-day range`);
+            if (first.lcp !== 1501 || first.cls !== 0.175 || first.seoScore !== 85 || first.inp !== 180 || first.fid !== null) issues.push(`averages ${JSON.stringify(first)}`);
+            if (first.alerts !== 3 || last.botVisits !== 1) issues.push(`counts ${first.alerts} alerts, ${last.botVisits} bot visits`);
+            if (gap.lcp !== null || gap.alerts !== 0) issues.push(`empty day ${JSON.stringify(gap)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Samples are averaged and counts summed per UTC day');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing daily rollups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Days past the retention period are dropped on the next write
+     */
+    testRetention() {
+        const testName = '90-Day Retention';
+
+        try {
+            const rollups = this.createRollups();
+            const day = offset => AnalyticsRollups.addDays(AnalyticsRollups.dayKey(), -offset);
+
+            rollups.increment('botVisits', 1, `${day(90)}T12:00:00Z`);
+            rollups.increment('botVisits', 1, `${day(89)}T12:00:00Z`);
+            rollups.increment('botVisits', 1);
+            const kept = Object.keys(rollups.read()).sort();
+
+            if (rollups.retentionDays === 90 && kept.length === 2 && kept[0] === day(89)) {
+                this.addTest(testName, true, 'Rollups keep the last 90 days');
+            } else {
+                this.addTest(testName, false, `Kept days: ${kept.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing retention: ${error.message}`);
+        }
+    }
+
+    /**
+     * The last 7 days compare against the 7 before; no previous week means no delta
+     */
+    testWeekOverWeek() {
+        const testName = 'Week-over-Week Deltas';
+
+        try {
+            const rollups = this.createRollups({ retentionDays: 3650 });
+            rollups.addSample({ lcp: 2000, seoScore: 80 }, '2024-03-02T12:00:00Z');
+            rollups.addSample({ lcp: 3000, seoScore: 80 }, '2024-03-05T12:00:00Z');
+            rollups.addSample({ lcp: 2000, seoScore: 90 }, '2024-03-10T12:00:00Z');
+            rollups.increment('botVisits', 4, '2024-03-06T12:00:00Z');
+            rollups.increment('botVisits', 6, '2024-03-08T12:00:00Z');
+
+            const comparison = rollups.getWeekOverWeek('2024-03-14');
+            const { lcp, seoScore, botVisits, alerts } = comparison;
+            const issues = [];
+
+            if (lcp.current !== 2000 || lcp.previous !== 2500 || lcp.change !== -0.2) issues.push(`LCP ${JSON.stringify(lcp)}`);
+            if (seoScore.change !== 0.125) issues.push(`SEO score ${JSON.stringify(seoScore)}`);
+            if (botVisits.current !== 6 || botVisits.previous !== 4 || botVisits.change !== 0.5) issues.push(`bot visits ${JSON.stringify(botVisits)}`);
+            if (alerts.change !== null || comparison.inp.change !== null) issues.push('a delta was reported without data to compare');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Weekly means and totals are compared as a fraction of the previous week');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing week-over-week deltas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Collector batches roll up the same way as the browser's own measurements
+     */
+    testCollectorEvents() {
+        const testName = 'Collector Events';
+
+        try {
+            const rollups = this.createRollups();
+            const timestamp = new Date().toISOString();
+            rollups.recordEvents([
+                { type: 'vitals', timestamp, data: { lcp: 1800, cls: 0.05, seoScore: 95, alerts: 2 } },
+                { type: 'vitals', timestamp, data: { lcp: 2200, fid: 30 } },
+                { type: 'bot-visit', timestamp, data: { botType: 'llm-bot' } },
+                { type: 'search', timestamp, data: { query: 'gguf' } }
+            ]);
+
+            const today = rollups.getTrends().days.pop();
+            if (today.lcp === 2000 && today.fid === 30 && today.seoScore === 95 && today.alerts === 2 && today.botVisits === 1) {
+                this.addTest(testName, true, 'Vitals snapshots and bot visits from the collector are rolled up');
+            } else {
+                this.addTest(testName, false, `Unexpected rollup: ${JSON.stringify(today)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing collector events: ${error.message}`);
+        }
+    }
+
+    /**
+     * Charts are labelled SVG; missing days break the line instead of dropping to zero
+     */
+    testTrendCharts() {
+        const testName = 'Trend Charts';
+
+        try {
+            const charts = new TrendCharts();
+            const sparkline = charts.sparkline([3, 4, null, 5, 6], { label: 'Bot visits <today>' });
+            const chart = charts.lineChart(['2024-03-01', '2024-03-02', '2024-03-03'], [
+                { label: 'FID', values: [40, null, 60] },
+                { label: 'INP', values: [180, 220, 200] }
+            ], { formatValue: value => `${value} ms` });
+            const empty = charts.lineChart(['2024-03-01'], [{ label: 'LCP', values: [null] }]);
+            const issues = [];
+
+            if (!sparkline.includes('role="img"') || !sparkline.includes('aria-label="Bot visits &lt;today&gt;"')) issues.push('sparkline is not labelled');
+            if ((sparkline.match(/M/g) || []).length !== 2) issues.push('sparkline does not break at the gap');
+            if ((chart.match(/<path /g) || []).length !== 2 || (chart.match(/<circle /g) || []).length !== 2) issues.push('line chart series or isolated points missing');
+            if (!chart.includes('2024-03-01') || !chart.includes('220 ms') || !chart.includes('trend-legend')) issues.push('line chart lacks axis labels or legend');
+            if (!empty.includes('No data')) issues.push('an empty series still drew a chart');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Sparklines and line charts render labelled SVG with gaps for missing days');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing trend charts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📉 ANALYTICS ROLLUPS VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/analytics-rollups-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new AnalyticsRollupsValidator();
+    const success = validator.validateAnalyticsRollups();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = AnalyticsRollupsValidator;
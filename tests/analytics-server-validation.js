@@ -0,0 +1,445 @@
+/**
+ * Analytics Server Validation Test Suite
+ * Tests the ingest endpoint, event sanitizing, the cross-visitor dashboard report and
+ * the file/SQLite stores against a server on a random local port
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalyticsServer = require('../scripts/analytics-server');
+const AnalyticsStore = require('../scripts/analytics-store');
+const AnalyticsRollups = require('../assets/js/analytics-rollups');
+
+class AnalyticsServerValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all analytics server validations
+     */
+    async validateAnalyticsServer() {
+        console.log('📈 Validating analytics ingest server...\n');
+
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-server-'));
+        const routedAlerts = [];
+        const server = new AnalyticsServer({
+            port: 0,
+            dataFile: path.join(dataDir, 'events.ndjson'),
+            alertRouter: { dispatch: alerts => Promise.resolve(routedAlerts.push(...alerts)) }
+        });
+
+        try {
+            const port = await server.start();
+            const baseUrl = `http://127.0.0.1:${port}`;
+
+            await this.testCollectEndpoint(baseUrl, server);
+            await this.testRejectedBodies(baseUrl);
+            await this.testDashboardReport(baseUrl);
+            await this.testDashboardTrends(baseUrl, server);
+            await this.testStaticPages(baseUrl);
+            await this.testAlertRelay(baseUrl, routedAlerts);
+            this.testForgedAlerts(dataDir);
+            await server.stop();
+
+            this.testFileStore(path.join(dataDir, 'events.ndjson'));
+            this.testSqliteStore(dataDir);
+        } catch (error) {
+            this.addTest('Analytics Server', false, `Error running server checks: ${error.message}`);
+            await server.stop();
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    post(baseUrl, body) {
+        return fetch(`${baseUrl}/collect`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Events from two page views, as AnalyticsCollector would batch them
+     */
+    createBatch() {
+        const now = Date.now();
+        const at = secondsAgo => new Date(now - secondsAgo * 1000).toISOString();
+        const event = (type, pageId, secondsAgo, data, eventPath = '/') => ({ type, pageId, path: eventPath, timestamp: at(secondsAgo), data });
+
+        return {
+            sentAt: at(0),
+            events: [
+                event('vitals', 'page-a', 60, { lcp: 1200, cls: 0.02, fcp: 900, seoScore: 90 }),
+                event('vitals', 'page-b', 50, { lcp: 2000, cls: 0.3, seoScore: 70, alerts: 2 }),
+                event('vitals', 'page-c', 40, { lcp: 4200, fid: 40 }),
+                event('vitals', 'page-d', 30, { lcp: 3000 }),
+                event('search', 'page-a', 20, { query: 'oll', resultCount: 1, isBot: false, userAgent: 'Chrome' }),
+                event('search', 'page-a', 18, { query: 'ollama', resultCount: 3, isBot: false, userAgent: 'Chrome' }),
+                event('search', 'page-b', 19, { query: 'oll', resultCount: 1, isBot: false, userAgent: 'Chrome' }),
+                event('search-click', 'page-a', 17, { query: 'ollama', position: 1, url: '/comparisons/ollama-comparison.html', isBot: false }),
+                event('error', 'page-a', 15, { errorType: 'javascript', message: 'x is undefined', source: '/assets/js/main.js' }),
+                event('error', 'page-b', 14, { errorType: 'javascript', message: 'x is undefined' }, '/documents/llm-guide.html'),
+                event('bot-visit', 'page-e', 10, { botType: 'llm-bot', confidence: 90, userAgent: 'GPTBot/1.2', sessionId: 'dropped' }, '/documents/llm-guide.html'),
+                event('error', 'page-c', 5, { errorType: 'resource', message: 'y'.repeat(1000) }),
+                { type: 'pageview', timestamp: at(1), data: {} },
+                { type: 'bot-visit', timestamp: '1999-01-01T00:00:00.000Z', path: 'javascript:alert(1)', data: { botType: 'search-engine' } }
+            ]
+        };
+    }
+
+    /**
+     * Unknown types are rejected; fields are whitelisted and bounded
+     */
+    async testCollectEndpoint(baseUrl, server) {
+        const testName = 'Collect Endpoint';
+
+        try {
+            const response = await this.post(baseUrl, this.createBatch());
+            const body = await response.json();
+            const stored = server.store.getEvents();
+            const bot = stored.find(event => event.type === 'bot-visit' && event.data.botType === 'llm-bot');
+            const oldBot = stored.find(event => event.data.botType === 'search-engine');
+            const longError = stored.find(event => event.data.errorType === 'resource');
+            const issues = [];
+
+            if (response.status !== 202 || body.accepted !== 13 || body.rejected !== 1) issues.push(`response ${response.status} ${JSON.stringify(body)}`);
+            if (!bot || 'sessionId' in bot.data || bot.pageId !== 'page-e') issues.push('bot visit fields not whitelisted');
+            if (!oldBot || oldBot.path !== null || oldBot.timestamp.startsWith('1999')) issues.push('bad path or stale timestamp kept');
+            if (!longError || longError.data.message.length !== 300) issues.push('long strings not truncated');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Batches are sanitized and stored; unknown event types are rejected');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing collect endpoint: ${error.message}`);
+        }
+    }
+
+    /**
+     * Oversized and malformed bodies are refused without storing anything
+     */
+    async testRejectedBodies(baseUrl) {
+        const testName = 'Rejected Bodies';
+
+        try {
+            const oversized = await this.post(baseUrl, JSON.stringify({ events: [], padding: 'x'.repeat(70 * 1024) }));
+            const malformed = await this.post(baseUrl, '{"events": [');
+            const wrongShape = await this.post(baseUrl, { event: {} });
+            const wrongMethod = await fetch(`${baseUrl}/collect`);
+
+            const statuses = [oversized, malformed, wrongShape, wrongMethod].map(response => response.status).join(' ');
+            if (statuses === '413 400 400 405') {
+                this.addTest(testName, true, 'Bodies over 64KB get 413, invalid batches 400');
+            } else {
+                this.addTest(testName, false, `Unexpected statuses: ${statuses}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing rejected bodies: ${error.message}`);
+        }
+    }
+
+    /**
+     * The dashboard report aggregates every visitor's events
+     */
+    async testDashboardReport(baseUrl) {
+        const testName = 'Dashboard Report';
+
+        try {
+            const response = await fetch(`${baseUrl}/api/dashboard?days=7`);
+            const report = await response.json();
+            const { vitals, errors, botVisits, searchInsights } = report;
+            const issues = [];
+
+            if (vitals.lcp.samples !== 4 || vitals.lcp.p75 !== 3000 || vitals.lcp.median !== 2000 || vitals.lcp.rating !== 'needs-improvement') issues.push(`LCP ${JSON.stringify(vitals.lcp)}`);
+            if (vitals.cls.p75 !== 0.3 || vitals.cls.rating !== 'poor' || vitals.fid.samples !== 1) issues.push(`CLS/FID ${JSON.stringify([vitals.cls, vitals.fid])}`);
+            if (errors.total !== 3 || errors.top[0].count !== 2 || errors.top[0].pages.length !== 2 || errors.byType.resource !== 1) issues.push(`errors ${JSON.stringify(errors.top[0])}`);
+            if (botVisits.total !== 2 || botVisits.today !== 2 || botVisits.byType[0].botType !== 'llm-bot') issues.push(`bot visits ${JSON.stringify(botVisits)}`);
+            // page-a's "oll" was refined to "ollama"; page-b's "oll" stands on its own
+            if (searchInsights.totals.searches !== 2 || searchInsights.totals.clicks !== 1) issues.push(`search totals ${JSON.stringify(searchInsights.totals)}`);
+            if (report.totals.pageViews !== 5) issues.push(`${report.totals.pageViews} page views`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Vitals percentiles, grouped errors, bot visits and search insights cover all visitors');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing dashboard report: ${error.message}`);
+        }
+    }
+
+    /**
+     * The report carries daily rollups for the requested range, capped at 90 days
+     */
+    async testDashboardTrends(baseUrl, server) {
+        const testName = 'Dashboard Trends';
+
+        try {
+            const today = AnalyticsRollups.dayKey();
+            const from = AnalyticsRollups.addDays(today, -13);
+            const { trends } = await (await fetch(`${baseUrl}/api/dashboard?from=${from}&to=${today}`)).json();
+            const clamped = await (await fetch(`${baseUrl}/api/dashboard?from=2000-01-01&to=${today}`)).json();
+            const latest = trends.days[trends.days.length - 1];
+            const stored = JSON.parse(server.store.getItem('analyticsDailyRollups') || '{}');
+            const issues = [];
+
+            if (trends.days.length !== 14 || trends.days[0].date !== from || trends.days[0].lcp !== null) issues.push(`series ${trends.from}..${trends.to} (${trends.days.length} days)`);
+            if (latest.lcp !== 2600 || latest.seoScore !== 80 || latest.alerts !== 2 || latest.botVisits !== 2) issues.push(`today ${JSON.stringify(latest)}`);
+            if (trends.weekOverWeek.lcp.current !== 2600 || trends.weekOverWeek.lcp.change !== null) issues.push(`week over week ${JSON.stringify(trends.weekOverWeek.lcp)}`);
+            if (clamped.trends.days.length !== 90) issues.push(`unbounded range gave ${clamped.trends.days.length} days`);
+            if (!stored[today]) issues.push('rollups not kept in the store');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Collected events roll up into daily trends with week-over-week deltas');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing dashboard trends: ${error.message}`);
+        }
+    }
+
+    /**
+     * Site pages are served with the collector meta tag; files outside the site are not
+     */
+    async testStaticPages(baseUrl) {
+        const testName = 'Served Pages Report Here';
+
+        try {
+            const page = await fetch(`${baseUrl}/analytics-dashboard.html`);
+            const html = await page.text();
+            const hidden = await fetch(`${baseUrl}/.gitignore`);
+            const modules = await fetch(`${baseUrl}/node_modules/jsdom/package.json`);
+
+            if (page.status === 200 && html.includes('<meta name="analytics-collector" content="/">') &&
+                hidden.status === 404 && modules.status === 404) {
+                this.addTest(testName, true, 'HTML gets the collector meta tag; dotfiles and node_modules are not served');
+            } else {
+                this.addTest(testName, false, `Unexpected responses: ${page.status}, ${hidden.status}, ${modules.status}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing served pages: ${error.message}`);
+        }
+    }
+
+    /**
+     * Monitoring alerts from visitors are handed to the alert router
+     */
+    async testAlertRelay(baseUrl, routedAlerts) {
+        const testName = 'Alert Relay';
+
+        try {
+            const timestamp = new Date().toISOString();
+            await this.post(baseUrl, {
+                events: [
+                    { type: 'alert', pageId: 'page-f', path: '/documents/llm-guide.html', timestamp, data: { category: 'performance', message: 'inp threshold exceeded', severity: 'medium', metric: 'inp', value: 340 } },
+                    { type: 'search', pageId: 'page-f', path: '/', timestamp, data: { query: 'gguf' } }
+                ]
+            });
+            const alert = routedAlerts[0];
+
+            if (routedAlerts.length === 1 && alert.source === 'analytics' && alert.title === 'inp threshold exceeded' &&
+                alert.message === 'inp threshold exceeded on /documents/llm-guide.html' && alert.severity === 'medium' && alert.details.value === 340) {
+                this.addTest(testName, true, 'Alert events are relayed to the alert router with their page');
+            } else {
+                this.addTest(testName, false, `Routed: ${JSON.stringify(routedAlerts)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing alert relay: ${error.message}`);
+        }
+    }
+
+    /**
+     * Alerts anyone can POST get no say in their severity or fingerprint: values under
+     * the threshold and unknown metrics are dropped, and only so many go out per window
+     */
+    testForgedAlerts(dataDir) {
+        const testName = 'Forged Alerts';
+
+        try {
+            const routed = [];
+            const server = new AnalyticsServer({
+                dataFile: path.join(dataDir, 'forged.ndjson'),
+                maxRelayedAlerts: 2,
+                alertRouter: { dedupWindowMinutes: 60, dispatch: alerts => Promise.resolve(routed.push(...alerts)) }
+            });
+            const alert = (metric, value, message) => ({
+                type: 'alert', path: '/', timestamp: new Date().toISOString(),
+                data: { category: 'error', severity: 'critical', message, metric, value }
+            });
+            const start = Date.UTC(2026, 0, 1);
+
+            server.routeAlerts([
+                alert('lcp', 900, 'lcp threshold exceeded'),
+                alert('pwned', 99999, 'Click here'),
+                alert(undefined, undefined, 'Site is down!'),
+                alert('inp', 340, 'First wording'),
+                alert('inp', 900, 'Second wording')
+            ], start);
+            server.routeAlerts([alert('cls', 0.4, 'cls'), alert('ttfb', 5000, 'ttfb')], start + 60 * 1000);
+            const capped = routed.length;
+            server.routeAlerts([alert('ttfb', 5000, 'ttfb')], start + 61 * 60 * 1000);
+
+            const [inp] = routed;
+            if (capped === 2 && routed.length === 3 && inp.title === 'inp threshold exceeded' && inp.key === 'inp' &&
+                inp.severity === 'medium' && inp.category === 'performance' && routed.every(entry => entry.severity !== 'critical') &&
+                routed.map(entry => entry.details.metric).join() === 'inp,cls,ttfb') {
+                this.addTest(testName, true, 'Severity, title and fingerprint set by the server; bogus alerts dropped; 2 relayed per window');
+            } else {
+                this.addTest(testName, false, `Routed: ${JSON.stringify(routed)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing forged alerts: ${error.message}`);
+        }
+    }
+
+    /**
+     * The NDJSON store reloads after a restart and prunes past the retention period
+     */
+    testFileStore(filePath) {
+        const testName = 'File Store';
+
+        try {
+            const store = new AnalyticsStore({ filePath, retentionDays: 30 }).open();
+            const reloaded = store.getEvents().length;
+
+            store.append([{ type: 'search', timestamp: '2020-01-01T00:00:00.000Z', pageId: 'old', path: '/', data: { query: 'old' } }]);
+            const removed = store.prune();
+            const afterRestart = new AnalyticsStore({ filePath }).open().getEvents();
+
+            // 13 events from createBatch() and 2 from the alert relay check
+            if (reloaded === 15 && removed === 1 && afterRestart.length === 15) {
+                this.addTest(testName, true, 'Events survive a restart; old events are pruned from the file');
+            } else {
+                this.addTest(testName, false, `Reloaded ${reloaded}, pruned ${removed}, ${afterRestart.length} after restart`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing file store: ${error.message}`);
+        }
+    }
+
+    /**
+     * Same behaviour from the SQLite backend, where this Node version provides it
+     */
+    testSqliteStore(dataDir) {
+        const testName = 'SQLite Store';
+        let store;
+
+        try {
+            store = new AnalyticsStore({ type: 'sqlite', filePath: path.join(dataDir, 'analytics.db') }).open();
+        } catch (error) {
+            this.results.warnings++;
+            console.log(`⚠️  ${testName}: skipped (${error.message})`);
+            return;
+        }
+
+        try {
+            const now = new Date().toISOString();
+            store.append([
+                { type: 'vitals', timestamp: now, pageId: 'a', path: '/', data: { lcp: 1500 } },
+                { type: 'search', timestamp: '2020-01-01T00:00:00.000Z', pageId: 'b', path: '/', data: { query: 'old' } }
+            ]);
+            const removed = store.prune();
+            const events = store.getEvents({ from: '2021-01-01T00:00:00.000Z' });
+            store.close();
+
+            if (removed === 1 && events.length === 1 && events[0].pageId === 'a' && events[0].data.lcp === 1500) {
+                this.addTest(testName, true, 'Events round-trip through SQLite and are pruned by age');
+            } else {
+                this.addTest(testName, false, `Pruned ${removed}, read ${JSON.stringify(events)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing SQLite store: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📈 ANALYTICS SERVER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   ⚠️  Warnings: ${this.results.warnings}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/analytics-server-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                warnings: this.results.warnings,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new AnalyticsServerValidator();
+    validator.validateAnalyticsServer().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
+
+module.exports = AnalyticsServerValidator;
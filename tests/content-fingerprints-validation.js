@@ -0,0 +1,399 @@
+/**
+ * Content Fingerprints Validation Test Suite
+ * Tests that sitemap lastmod and structured data dateModified/lastReviewed only move
+ * when a page's main content changes, against a fixture site
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentFingerprints = require('../scripts/content-fingerprints');
+const DailyFreshnessUpdater = require('../scripts/daily-freshness-updater');
+const DynamicRobotsSitemapGenerator = require('../scripts/generate-robots-sitemap');
+const FixtureSite = require('./fixture-site');
+
+class ContentFingerprintsValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.days = ['2026-03-01T06:00:00.000Z', '2026-03-02T06:00:00.000Z', '2026-03-03T06:00:00.000Z', '2026-03-04T06:00:00.000Z'];
+    }
+
+    /**
+     * Run all content fingerprint validations
+     */
+    validateContentFingerprints() {
+        console.log('🔏 Validating content fingerprints...\n');
+
+        this.site = new FixtureSite('content-fingerprints');
+        const cwd = process.cwd();
+
+        try {
+            this.createFixtureSite();
+
+            this.testFirstRun();
+            this.testUnchangedContent();
+            this.testCheckMode();
+            this.testContentChange();
+            this.testRemovedPage();
+            this.testStructuredDataDates();
+            this.testSitemapLastmod();
+        } catch (error) {
+            this.addTest('Content Fingerprints', false, `Error running fingerprint checks: ${error.message}`);
+        } finally {
+            process.chdir(cwd);
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    edit(file, from, to) {
+        const content = this.site.read(file);
+        if (!content.includes(from)) throw new Error(`${from} not found in ${file}`);
+        this.site.write(file, content.replace(from, to));
+    }
+
+    fingerprints(day) {
+        return new ContentFingerprints({
+            rootDir: this.site.dir,
+            now: new Date(this.days[day]),
+            reportPath: this.site.path('build-reports/content-fingerprints.json')
+        });
+    }
+
+    /**
+     * A homepage dated only by the sitemap, an article with declared dates and a
+     * rotating daily insight, and a comparison
+     */
+    createFixtureSite() {
+        this.site.write('sitemap-config.json', JSON.stringify({
+            siteUrl: 'https://example.com',
+            siteName: 'Fixture',
+            crawlDelay: 1,
+            allowedBots: ['*'],
+            disallowedPaths: [],
+            allowedPaths: [],
+            pageTypes: {
+                homepage: { priority: '1.0', changefreq: 'weekly' },
+                document: { priority: '0.8', changefreq: 'monthly' },
+                comparison: { priority: '0.9', changefreq: 'monthly' }
+            },
+            lastUpdated: '2025-01-01T00:00:00.000Z'
+        }, null, 2));
+        this.site.write('sitemap.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url>
+        <loc>https://example.com/</loc>
+        <lastmod>2025-05-20</lastmod>
+    </url>
+</urlset>`);
+        this.site.write('index.html', `<!DOCTYPE html><html><head><title>Home</title></head><body>
+<nav><a href="/documents/guide.html">Guide</a></nav>
+<main><h1>Local LLM Tools</h1><p>Guides and comparisons for running models locally.</p></main>
+</body></html>`);
+        this.site.write('documents/guide.html', `<!DOCTYPE html><html><head><title>Guide</title>
+    <script type="application/ld+json">
+    {
+        "@context": "https://schema.org",
+        "@type": "Article",
+        "headline": "Running Models Locally",
+        "datePublished": "2025-01-15T10:00:00Z",
+        "dateModified": "2025-06-10T12:00:00.000Z",
+        "mainEntityOfPage": {
+            "@type": "WebPage",
+            "lastReviewed": "2025-06-10T12:00:00.000Z"
+        }
+    }
+    </script>
+</head><body><main><article>
+    <h1>Running Models Locally</h1>
+    <p>Local models keep prompts on your own machine.</p>
+    <h2>Setup</h2>
+        <!-- Daily Research Insight -->
+        <div class="research-insight"><p><strong>🔬 Research Update (March 1, 2026):</strong> Insight one.</p></div>
+    <p>Install the loader and download a quantized model.</p>
+    <h2>Hardware</h2>
+    <p>16 GB of memory runs most 7B models.</p>
+</article></main></body></html>`);
+        this.site.write('comparisons/tools.html', `<!DOCTYPE html><html><head><title>Tools</title>
+    <script type="application/ld+json">{"@context": "https://schema.org", "@type": "Review", "dateModified": "2025-04-02T08:00:00.000Z"}</script>
+</head><body><main><h1>Tool Comparison</h1><p>Which loader suits which machine.</p></main></body></html>`);
+    }
+
+    /**
+     * The first run keeps the dates pages already declare
+     */
+    testFirstRun() {
+        const testName = 'First Run';
+
+        try {
+            const { pages, changes } = this.fingerprints(0).update();
+            const store = JSON.parse(this.site.read('content-fingerprints.json'));
+            const expected = {
+                'index.html': '2025-05-20T00:00:00.000Z',
+                'documents/guide.html': '2025-06-10T12:00:00.000Z',
+                'comparisons/tools.html': '2025-04-02T08:00:00.000Z'
+            };
+
+            if (JSON.stringify(pages) === JSON.stringify(expected) &&
+                changes.every(change => change.status === 'new') &&
+                Object.keys(store.pages['documents/guide.html'].sections).join('|') === '|Setup|Hardware') {
+                this.addTest(testName, true, 'Declared dateModified and sitemap lastmod kept; sections recorded');
+            } else {
+                this.addTest(testName, false, `Dates: ${JSON.stringify(pages)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing first run: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whitespace, the daily insight, navigation and the dates themselves don't count as changes
+     */
+    testUnchangedContent() {
+        const testName = 'Unchanged Content';
+
+        try {
+            this.edit('documents/guide.html', 'Insight one.', 'Insight two, a different one.');
+            this.edit('documents/guide.html', '"dateModified": "2025-06-10T12:00:00.000Z"', '"dateModified": "2026-03-02T06:00:00.000Z"');
+            this.edit('documents/guide.html', '<p>Install the loader and download a quantized model.</p>', '<p>Install the loader   and\n        download a quantized model.</p>');
+            this.edit('index.html', '<a href="/documents/guide.html">Guide</a>', '<a href="/documents/guide.html">Guide</a><a href="/comparisons/tools.html">Tools</a>');
+
+            const { pages, changes } = this.fingerprints(1).update();
+
+            if (changes.length === 0 && pages['documents/guide.html'] === '2025-06-10T12:00:00.000Z' && pages['index.html'] === '2025-05-20T00:00:00.000Z') {
+                this.addTest(testName, true, 'No page moved for formatting, snippet, navigation or date edits');
+            } else {
+                this.addTest(testName, false, `Moved: ${changes.map(change => `${change.file} (${change.reason})`).join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing unchanged content: ${error.message}`);
+        }
+    }
+
+    /**
+     * A check run reports changes without recording them
+     */
+    testCheckMode() {
+        const testName = 'Check Mode';
+
+        try {
+            this.edit('documents/guide.html', '16 GB of memory runs most 7B models.', '16 GB of memory runs most 7B and 8B models.');
+            const before = this.site.read('content-fingerprints.json');
+            const { changes } = this.fingerprints(2).update({ write: false });
+
+            if (changes.length === 1 && changes[0].file === 'documents/guide.html' && this.site.read('content-fingerprints.json') === before) {
+                this.addTest(testName, true, 'Change reported, store left as it was');
+            } else {
+                this.addTest(testName, false, `${changes.length} changes; store ${this.site.read('content-fingerprints.json') === before ? 'kept' : 'rewritten'}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing check mode: ${error.message}`);
+        }
+    }
+
+    /**
+     * Only the edited page moves, and the report says which sections changed
+     */
+    testContentChange() {
+        const testName = 'Content Change';
+
+        try {
+            this.edit('documents/guide.html', '</article>', '<h2>Troubleshooting</h2><p>Out of memory errors mean the model is too large.</p></article>');
+            const { pages, changes } = this.fingerprints(2).update();
+            const report = JSON.parse(this.site.read('build-reports/content-fingerprints.json'));
+            const [change] = changes;
+
+            if (changes.length === 1 && change.file === 'documents/guide.html' &&
+                change.previousModified === '2025-06-10T12:00:00.000Z' && pages['documents/guide.html'] === this.days[2] &&
+                change.reason === 'sections changed: Hardware; sections added: Troubleshooting (+13 words)' &&
+                pages['comparisons/tools.html'] === '2025-04-02T08:00:00.000Z' &&
+                report.summary.changed === 1 && report.changes[0].reason === change.reason) {
+                this.addTest(testName, true, `Guide moved: ${change.reason}`);
+            } else {
+                this.addTest(testName, false, `Changes: ${JSON.stringify(changes)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing content change: ${error.message}`);
+        }
+    }
+
+    /**
+     * Deleted pages leave the store and are reported
+     */
+    testRemovedPage() {
+        const testName = 'Removed Page';
+
+        try {
+            const html = this.site.read('comparisons/tools.html');
+            fs.rmSync(this.site.path('comparisons/tools.html'));
+            const { changes } = this.fingerprints(3).update();
+            const store = JSON.parse(this.site.read('content-fingerprints.json'));
+            this.site.write('comparisons/tools.html', html);
+            this.fingerprints(3).update();
+
+            if (changes.length === 1 && changes[0].status === 'removed' && !store.pages['comparisons/tools.html']) {
+                this.addTest(testName, true, 'Removed page reported and dropped from the store');
+            } else {
+                this.addTest(testName, false, `Changes: ${JSON.stringify(changes)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing removed page: ${error.message}`);
+        }
+    }
+
+    /**
+     * The daily updater writes the content dates into structured data, leaving unchanged pages alone
+     */
+    testStructuredDataDates() {
+        const testName = 'Structured Data Dates';
+
+        try {
+            process.chdir(this.site.dir);
+            const updater = new DailyFreshnessUpdater();
+            updater.fingerprints = this.fingerprints(3);
+            this.quietly(() => {
+                updater.updateContentFingerprints();
+                updater.updateStructuredDataTimestamps();
+            });
+            const guide = this.site.read('documents/guide.html');
+            const comparison = this.site.read('comparisons/tools.html');
+
+            const rerun = new DailyFreshnessUpdater();
+            rerun.fingerprints = this.fingerprints(3);
+            this.quietly(() => {
+                rerun.updateContentFingerprints();
+                rerun.updateStructuredDataTimestamps();
+            });
+
+            const article = JSON.parse(guide.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+
+            if (article.dateModified === this.days[2] && article.mainEntityOfPage.lastReviewed === this.days[2] &&
+                !('lastReviewed' in article) && !comparison.includes('lastReviewed') &&
+                comparison.includes('"dateModified": "2025-04-02T08:00:00.000Z"') &&
+                rerun.updatesApplied.includes('Updated structured data dates on 0 pages')) {
+                this.addTest(testName, true, 'dateModified and the WebPage lastReviewed set to the day the content changed, not today; none added to Article');
+            } else {
+                this.addTest(testName, false, `Updates: ${updater.updatesApplied.join(', ')} / ${rerun.updatesApplied.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing structured data dates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sitemap lastmod comes from the store rather than file modification times
+     */
+    testSitemapLastmod() {
+        const testName = 'Sitemap Lastmod';
+
+        try {
+            process.chdir(this.site.dir);
+            const generator = this.quietly(() => new DynamicRobotsSitemapGenerator());
+            const lastmods = Object.fromEntries(generator.pages.map(page => [page.url, page.lastmod]));
+            const index = generator.generateSitemapIndex();
+
+            if (lastmods['/'] === '2025-05-20' && lastmods['/documents/guide.html'] === '2026-03-03' &&
+                lastmods['/comparisons/tools.html'] === '2025-04-02' &&
+                index.includes('sitemap-comparisons.xml</loc>\n        <lastmod>2025-04-02</lastmod>')) {
+                this.addTest(testName, true, 'Page and sitemap index lastmod follow content dates');
+            } else {
+                this.addTest(testName, false, `lastmod: ${JSON.stringify(lastmods)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing sitemap lastmod: ${error.message}`);
+        }
+    }
+
+    quietly(run) {
+        const log = console.log;
+        const warn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return run();
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🔏 CONTENT FINGERPRINTS VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/content-fingerprints-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new ContentFingerprintsValidator();
+    const success = validator.validateContentFingerprints();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = ContentFingerprintsValidator;
@@ -0,0 +1,375 @@
+/**
+ * Content Snippets Validation Test Suite
+ * Tests the snippet queue, slot rotation, expiry and dry runs against a fixture site
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentSnippets = require('../scripts/content-snippets');
+const ContentFingerprints = require('../scripts/content-fingerprints');
+const DailyFreshnessUpdater = require('../scripts/daily-freshness-updater');
+const FixtureSite = require('./fixture-site');
+
+class ContentSnippetsValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.days = ['2026-03-01T06:00:00.000Z', '2026-03-02T06:00:00.000Z', '2026-03-03T06:00:00.000Z', '2026-03-04T06:00:00.000Z', '2026-03-05T06:00:00.000Z'];
+    }
+
+    /**
+     * Run all content snippet validations
+     */
+    validateContentSnippets() {
+        console.log('📝 Validating content snippets...\n');
+
+        this.site = new FixtureSite('content-snippets');
+        const cwd = process.cwd();
+
+        try {
+            this.createFixtureSite();
+
+            this.testQueueValidation();
+            this.testDryRun();
+            this.testSlotInsertion();
+            this.testSameDayRerun();
+            this.testRotation();
+            this.testExpiry();
+            this.testDailyUpdater();
+        } catch (error) {
+            this.addTest('Content Snippets', false, `Error running snippet checks: ${error.message}`);
+        } finally {
+            process.chdir(cwd);
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    snippets(day) {
+        return new ContentSnippets({ rootDir: this.site.dir, now: new Date(this.days[day]) });
+    }
+
+    slotIds(file) {
+        return [...this.site.read(file).matchAll(/data-snippet-id="([^"]+)"/g)].map(match => match[1]);
+    }
+
+    /**
+     * A homepage with a tip slot, two documents with insight slots, and a queue with
+     * drafts, duplicates, a broken entry and an insight that expires on the third day
+     */
+    createFixtureSite() {
+        this.site.write('index.html', `<!DOCTYPE html><html><head><title>Home</title></head><body>
+    <main>
+        <h1>Local LLM Tools</h1>
+
+        <div data-snippet-slot="tip">
+            <div class="daily-update-banner"><p>Old hand-written tip.</p></div>
+        </div>
+
+        <p>Guides   and comparisons for running models locally.</p>
+    </main>
+</body></html>`);
+        ['a', 'b'].forEach(name => this.site.write(`documents/${name}.html`, `<!DOCTYPE html><html><head><title>Guide ${name}</title></head><body>
+    <main>
+        <section>
+            <h2>Introduction</h2>
+            <div data-snippet-slot="insight"></div>
+            <p>Guide ${name} explains running models locally.</p>
+        </section>
+    </main>
+</body></html>`));
+
+        this.site.write('content/snippets/tips.json', JSON.stringify({
+            defaults: { type: 'tip', pages: ['index.html'] },
+            snippets: [
+                { id: 'tip-one', text: 'Use <b>small</b> models & quantize them.', status: 'reviewed' },
+                { id: 'tip-two', text: 'Pin model versions in production.', status: 'reviewed' },
+                { id: 'tip-three', text: 'Measure latency before scaling.', status: 'reviewed' },
+                { id: 'tip-draft', text: 'Usage grew 500% last year.', status: 'draft' },
+                { id: 'tip-one', text: 'A second tip with the same id.', status: 'reviewed' },
+                { id: 'tip-copy', text: 'pin model versions in production', status: 'reviewed' },
+                { id: 'tip-broken', status: 'reviewed' }
+            ]
+        }, null, 2));
+        this.site.write('content/snippets/insights.json', JSON.stringify({
+            defaults: { type: 'insight', pages: ['documents/*.html'] },
+            snippets: [
+                { id: 'insight-one', text: 'Longer contexts cost more per request.', status: 'reviewed' },
+                { id: 'insight-two', text: 'Smaller models answer faster.', status: 'reviewed' },
+                { id: 'insight-three', text: 'A benchmark from this week.', status: 'reviewed', expires: '2026-03-03' }
+            ]
+        }, null, 2));
+    }
+
+    /**
+     * Broken entries and duplicate ids or texts are reported; drafts never become active
+     */
+    testQueueValidation() {
+        const testName = 'Queue Validation';
+
+        try {
+            const snippets = this.snippets(0);
+            const { snippets: queue, problems } = snippets.loadQueue();
+            const active = queue.filter(snippet => snippets.isActive(snippet)).map(snippet => snippet.id);
+
+            if (problems.length === 3 &&
+                problems.some(problem => problem.includes('(tip-one): duplicate id')) &&
+                problems.some(problem => problem.includes('(tip-copy): same text as tip-two')) &&
+                problems.some(problem => problem.includes('(tip-broken): needs an id, text and pages')) &&
+                active.join('|') === 'insight-one|insight-two|insight-three|tip-one|tip-two|tip-three') {
+                this.addTest(testName, true, 'Duplicates and the broken entry reported; draft left out');
+            } else {
+                this.addTest(testName, false, `Problems: ${problems.join('; ')}; active: ${active.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing queue validation: ${error.message}`);
+        }
+    }
+
+    /**
+     * A dry run shows the slot changes as a diff and writes nothing
+     */
+    testDryRun() {
+        const testName = 'Dry Run';
+
+        try {
+            const before = this.site.read('index.html');
+            const snippets = this.snippets(0);
+            const { changes } = snippets.run({ dryRun: true });
+            const diff = snippets.formatDiff(changes);
+
+            if (changes.length === 3 && this.site.read('index.html') === before &&
+                !fs.existsSync(this.site.path('content/snippet-history.json')) &&
+                diff.includes('- <div class="daily-update-banner"><p>Old hand-written tip.</p></div>') &&
+                diff.includes('+++ index.html [tip] tip-one')) {
+                this.addTest(testName, true, 'Three slot changes shown, no files written');
+            } else {
+                this.addTest(testName, false, `${changes.length} changes; diff:\n${diff}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing dry run: ${error.message}`);
+        }
+    }
+
+    /**
+     * Only the inside of the slot changes, the text is escaped, and fingerprints don't move
+     */
+    testSlotInsertion() {
+        const testName = 'Slot Insertion';
+
+        try {
+            const before = this.site.read('index.html');
+            const fingerprints = new ContentFingerprints({ rootDir: this.site.dir });
+            const hash = fingerprints.fingerprint(before).hash;
+            this.snippets(0).run();
+            const after = this.site.read('index.html');
+            const outside = html => html.replace(/<div data-snippet-slot="tip">[\s\S]*?\n {8}<\/div>/, '');
+
+            if (outside(after) === outside(before) &&
+                after.includes('\n            <div class="daily-update-banner" data-snippet-id="tip-one"') &&
+                after.includes('<strong>📅 March 1, 2026</strong> | Use &lt;b&gt;small&lt;/b&gt; models &amp; quantize them.') &&
+                !after.includes('Old hand-written tip') &&
+                this.slotIds('documents/a.html').join() === 'insight-one' &&
+                fingerprints.fingerprint(after).hash === hash) {
+                this.addTest(testName, true, 'Slot refilled in place with escaped text; rest of the page and its fingerprint unchanged');
+            } else {
+                this.addTest(testName, false, `index.html:\n${after}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing slot insertion: ${error.message}`);
+        }
+    }
+
+    /**
+     * Running again on the same day keeps the day's snippets and doesn't stack them
+     */
+    testSameDayRerun() {
+        const testName = 'Same-Day Rerun';
+
+        try {
+            const before = this.site.read('index.html');
+            const { changes } = this.snippets(0).run();
+            const history = JSON.parse(this.site.read('content/snippet-history.json')).entries;
+
+            if (changes.length === 0 && this.site.read('index.html') === before &&
+                this.slotIds('index.html').join() === 'tip-one' && history.length === 3) {
+                this.addTest(testName, true, 'No changes; one snippet per slot and one history entry per slot');
+            } else {
+                this.addTest(testName, false, `${changes.length} changes; ${history.length} history entries; tips: ${this.slotIds('index.html').join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing same-day rerun: ${error.message}`);
+        }
+    }
+
+    /**
+     * Each slot shows every snippet before repeating one, and pages don't share a snippet the same day
+     */
+    testRotation() {
+        const testName = 'Rotation';
+
+        try {
+            const tips = [this.slotIds('index.html')[0]];
+            const insights = [[this.slotIds('documents/a.html')[0], this.slotIds('documents/b.html')[0]]];
+            [1, 2, 3].forEach(day => {
+                this.snippets(day).run();
+                tips.push(this.slotIds('index.html')[0]);
+                insights.push([this.slotIds('documents/a.html')[0], this.slotIds('documents/b.html')[0]]);
+            });
+
+            if (tips.join('|') === 'tip-one|tip-two|tip-three|tip-one' &&
+                insights.map(pair => pair[0]).slice(0, 3).join('|') === 'insight-one|insight-two|insight-three' &&
+                insights.every(([a, b]) => a !== b)) {
+                this.addTest(testName, true, `Tips: ${tips.join(' → ')}; insights: ${insights.map(pair => pair.join('/')).join(' → ')}`);
+            } else {
+                this.addTest(testName, false, `Tips: ${tips.join(' → ')}; insights: ${insights.map(pair => pair.join('/')).join(' → ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing rotation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Expired snippets leave their slots, and a slot with nothing left is emptied
+     */
+    testExpiry() {
+        const testName = 'Expiry';
+
+        try {
+            const insights = JSON.parse(this.site.read('content/snippets/insights.json'));
+            const shownAfterExpiry = [this.slotIds('documents/a.html')[0], this.slotIds('documents/b.html')[0]];
+            insights.snippets.forEach(snippet => { snippet.expires = '2026-03-04'; });
+            this.site.write('content/snippets/insights.json', JSON.stringify(insights, null, 2));
+
+            const { changes, expired } = this.snippets(4).run();
+
+            if (!shownAfterExpiry.includes('insight-three') &&
+                expired.length === 3 &&
+                this.site.read('documents/a.html').includes('<div data-snippet-slot="insight"></div>') &&
+                changes.filter(change => change.slot === 'insight').every(change => change.id === null)) {
+                this.addTest(testName, true, 'Expired insight skipped; slots emptied once every insight expired');
+            } else {
+                this.addTest(testName, false, `Shown: ${shownAfterExpiry.join(', ')}; expired: ${expired.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing expiry: ${error.message}`);
+        }
+    }
+
+    /**
+     * The daily updater fills the slots from the queue
+     */
+    testDailyUpdater() {
+        const testName = 'Daily Updater';
+
+        try {
+            process.chdir(this.site.dir);
+            const updater = new DailyFreshnessUpdater();
+            updater.today = new Date('2026-03-06T06:00:00.000Z');
+            this.quietly(() => updater.addDailyContentSnippets());
+
+            if (this.slotIds('index.html').join() === 'tip-three' &&
+                this.site.read('index.html').includes('📅 March 6, 2026') &&
+                updater.updatesApplied.includes('Rotated content snippets in 1 slots')) {
+                this.addTest(testName, true, 'Homepage tip rotated by the daily run');
+            } else {
+                this.addTest(testName, false, `Tips: ${this.slotIds('index.html').join(', ')}; updates: ${updater.updatesApplied.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing daily updater: ${error.message}`);
+        }
+    }
+
+    quietly(run) {
+        const log = console.log;
+        const warn = console.warn;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return run();
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📝 CONTENT SNIPPETS VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/content-snippets-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new ContentSnippetsValidator();
+    const success = validator.validateContentSnippets();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = ContentSnippetsValidator;
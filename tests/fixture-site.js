@@ -0,0 +1,34 @@
+/**
+ * Fixture Site
+ * A temporary directory for suites that run the build scripts against a small site of
+ * their own; files are written and read by their path in the site
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class FixtureSite {
+    constructor(name) {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+    }
+
+    path(file) {
+        return path.join(this.dir, file);
+    }
+
+    write(file, content) {
+        fs.mkdirSync(path.dirname(this.path(file)), { recursive: true });
+        fs.writeFileSync(this.path(file), content);
+    }
+
+    read(file) {
+        return fs.readFileSync(this.path(file), 'utf8');
+    }
+
+    remove() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = FixtureSite;
@@ -0,0 +1,362 @@
+/**
+ * Freshness Metrics Validation Test Suite
+ * Tests the daily analytics summary scores against a fixture site with its own git
+ * history, server log and previous summaries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FreshnessMetrics = require('../scripts/freshness-metrics');
+const DailyFreshnessUpdater = require('../scripts/daily-freshness-updater');
+const FixtureSite = require('./fixture-site');
+
+class FreshnessMetricsValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.now = new Date('2026-03-01T06:00:00.000Z');
+    }
+
+    /**
+     * Run all freshness metric validations
+     */
+    async validateFreshnessMetrics() {
+        console.log('📈 Validating freshness metrics...\n');
+
+        this.site = new FixtureSite('freshness-metrics');
+        const cwd = process.cwd();
+
+        try {
+            this.createFixtureSite();
+
+            await this.testContentAge();
+            await this.testUncommittedContent();
+            await this.testShallowClone();
+            await this.testBotEngagement();
+            await this.testContentRelevance();
+            await this.testTrend();
+            await this.testDailySummary();
+        } catch (error) {
+            this.addTest('Freshness Metrics', false, `Error running freshness metric checks: ${error.message}`);
+        } finally {
+            process.chdir(cwd);
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    page(title, body, links = '') {
+        return `<!DOCTYPE html><html lang="en"><head><title>${title}</title>
+    <meta name="description" content="${title} for running models locally.">
+    <link rel="canonical" href="https://example.com/">
+</head><body><nav>${links}</nav><main><h1>${title}</h1>${body}</main></body></html>`;
+    }
+
+    commit(date, message) {
+        const env = { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+        const git = args => execFileSync('git', ['-c', 'user.name=Fixture', '-c', 'user.email=fixture@example.com', ...args], { cwd: this.site.dir, env, stdio: 'ignore' });
+        git(['add', '-A']);
+        git(['commit', '-q', '-m', message]);
+    }
+
+    /**
+     * The homepage links to the guide but not the FAQ. The guide's only commit since
+     * January changed its daily insight; the FAQ's content changed in February
+     */
+    createFixtureSite() {
+        execFileSync('git', ['init', '-q'], { cwd: this.site.dir });
+        this.site.write('sitemap-config.json', JSON.stringify({ siteUrl: 'https://example.com' }));
+        this.site.write('index.html', this.page('Home', '<p>Guides for local models.</p>', '<a href="/documents/guide.html">Guide</a>'));
+        this.site.write('documents/guide.html', this.page('Guide', '<div class="research-insight"><p>Insight one.</p></div><p>Install the loader.</p>'));
+        this.site.write('documents/faq.html', this.page('FAQ', '<p>Answers to common questions.</p>'));
+        this.commit('2025-12-31T06:00:00Z', 'Add pages');
+
+        this.site.write('documents/guide.html', this.page('Guide', '<div class="research-insight"><p>Insight two.</p></div><p>Install the loader.</p>'));
+        this.site.write('documents/faq.html', this.page('FAQ', '<p>Answers to the most common questions.</p>'));
+        this.commit('2026-02-01T06:00:00Z', 'Daily insight and FAQ update');
+
+        this.site.write('access.log', [
+            '66.249.66.1 - - [28/Feb/2026:05:00:00 +0000] "GET /documents/guide.html HTTP/1.1" 200 512 "-" "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"',
+            '66.249.66.1 - - [28/Feb/2026:05:01:00 +0000] "GET /documents/guide.html HTTP/1.1" 200 512 "-" "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"',
+            '20.15.240.64 - - [28/Feb/2026:07:00:00 +0000] "GET / HTTP/1.1" 200 1024 "-" "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; GPTBot/1.1; +https://openai.com/gptbot"',
+            '20.15.240.64 - - [28/Feb/2026:07:00:05 +0000] "GET /assets/css/main.css HTTP/1.1" 200 1024 "-" "Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko); compatible; GPTBot/1.1; +https://openai.com/gptbot"',
+            '203.0.113.9 - - [28/Feb/2026:08:00:00 +0000] "GET /documents/faq.html HTTP/1.1" 200 512 "-" "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/122.0 Safari/537.36"'
+        ].join('\n') + '\n');
+    }
+
+    metrics(options = {}) {
+        return new FreshnessMetrics({ rootDir: this.site.dir, now: this.now, ...options });
+    }
+
+    /**
+     * Content age counts from the commit that introduced the current content, not the latest commit
+     */
+    async testContentAge() {
+        const testName = 'Content Age';
+
+        try {
+            const { metrics, inputs } = await this.metrics().collect();
+            const byFile = Object.fromEntries(inputs.pages.map(page => [page.file, page]));
+            const expected = 100 * (2 * Math.pow(0.5, 60 / 180) + Math.pow(0.5, 28 / 180)) / 3;
+
+            if (byFile['documents/guide.html'].contentDate === '2025-12-31T06:00:00.000Z' &&
+                byFile['documents/faq.html'].contentDate === '2026-02-01T06:00:00.000Z' &&
+                byFile['documents/faq.html'].contentAgeDays === 28 && byFile['index.html'].contentDateSource === 'git' &&
+                metrics.freshnessScore === Math.round(expected * 10) / 10) {
+                this.addTest(testName, true, `Insight-only commit ignored; freshness score ${metrics.freshnessScore}`);
+            } else {
+                this.addTest(testName, false, `Dates: ${inputs.pages.map(page => `${page.file} ${page.contentDate}`).join(', ')}; score ${metrics.freshnessScore}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing content age: ${error.message}`);
+        }
+    }
+
+    /**
+     * Content not committed yet is as fresh as it gets
+     */
+    async testUncommittedContent() {
+        const testName = 'Uncommitted Content';
+
+        try {
+            const faq = this.site.read('documents/faq.html');
+            this.site.write('documents/faq.html', faq.replace('common questions', 'common and rare questions'));
+            const { inputs } = await this.metrics().collect();
+            this.site.write('documents/faq.html', faq);
+            const page = inputs.pages.find(entry => entry.file === 'documents/faq.html');
+
+            if (page.contentDateSource === 'uncommitted' && page.contentAgeDays === 0) {
+                this.addTest(testName, true, 'Edited page dated now');
+            } else {
+                this.addTest(testName, false, `${page.contentDateSource}, ${page.contentAgeDays} days`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing uncommitted content: ${error.message}`);
+        }
+    }
+
+    /**
+     * A shallow clone can't date content, so the score is null with the reason
+     */
+    async testShallowClone() {
+        const testName = 'Shallow Clone';
+        const clone = fs.mkdtempSync(path.join(os.tmpdir(), 'freshness-shallow-'));
+
+        try {
+            execFileSync('git', ['clone', '-q', '--depth', '1', `file://${this.site.dir}`, clone], { stdio: 'ignore' });
+            const { metrics, inputs } = await new FreshnessMetrics({ rootDir: clone, now: this.now }).collect();
+
+            if (metrics.freshnessScore === null && inputs.history.shallow && /fetch-depth: 0/.test(inputs.history.reason) &&
+                inputs.pages.every(page => page.contentAgeDays === undefined)) {
+                this.addTest(testName, true, `Null in a shallow clone: ${inputs.history.reason}`);
+            } else {
+                this.addTest(testName, false, `Score ${metrics.freshnessScore}, history ${JSON.stringify(inputs.history)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing shallow clone: ${error.message}`);
+        } finally {
+            fs.rmSync(clone, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Bot engagement is the share of pages crawlers hit, and missing logs give null rather than a guess
+     */
+    async testBotEngagement() {
+        const testName = 'Bot Engagement';
+
+        try {
+            const withLogs = await this.metrics({ logFiles: [this.site.path('access.log')] }).collect();
+            const withoutLogs = await this.metrics().collect();
+            const guide = withLogs.inputs.pages.find(page => page.file === 'documents/guide.html');
+            const faq = withLogs.inputs.pages.find(page => page.file === 'documents/faq.html');
+
+            if (withLogs.metrics.botEngagement === 66.7 && guide.crawlerHits === 2 && guide.crawlers.join() === 'Googlebot' &&
+                faq.crawlerHits === 0 && withLogs.inputs.crawl.botRequests === 4 &&
+                withoutLogs.metrics.botEngagement === null && withoutLogs.inputs.crawl.reason) {
+                this.addTest(testName, true, '2 of 3 pages crawled; human and asset requests not counted; null without logs');
+            } else {
+                this.addTest(testName, false, `With logs ${withLogs.metrics.botEngagement}, without ${withoutLogs.metrics.botEngagement}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing bot engagement: ${error.message}`);
+        }
+    }
+
+    /**
+     * Content relevance averages internal-link coverage and the SEO health scores
+     */
+    async testContentRelevance() {
+        const testName = 'Content Relevance';
+
+        try {
+            const { metrics, inputs } = await this.metrics().collect();
+            const faq = inputs.pages.find(page => page.file === 'documents/faq.html');
+            const home = inputs.pages.find(page => page.file === 'index.html');
+
+            // No structured data on the fixture pages: 100 - 15
+            if (metrics.internalLinkCoverage === 66.7 && metrics.seoScore === 85 && metrics.contentRelevance === 75.9 &&
+                !faq.reachable && faq.seoScore === null && home.seoScore === 85 &&
+                inputs.unreachablePages.join() === '/documents/faq.html') {
+                this.addTest(testName, true, `Coverage ${metrics.internalLinkCoverage}, SEO ${metrics.seoScore}, relevance ${metrics.contentRelevance}`);
+            } else {
+                this.addTest(testName, false, `Coverage ${metrics.internalLinkCoverage}, SEO ${metrics.seoScore}, relevance ${metrics.contentRelevance}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing content relevance: ${error.message}`);
+        }
+    }
+
+    /**
+     * The trend compares with the latest summary from an earlier day
+     */
+    async testTrend() {
+        const testName = 'Trend';
+
+        try {
+            const summary = (date, metrics) => this.site.write(`analytics-reports/daily-summary-${date}.json`, JSON.stringify({ timestamp: `${date}T06:00:00.000Z`, metrics }));
+            summary('2026-02-27', { freshnessScore: 10, botEngagement: 10, contentRelevance: 10 });
+            summary('2026-02-28', { freshnessScore: 90, botEngagement: 97, contentRelevance: 75.9 });
+            summary('2026-03-01', { freshnessScore: 0, botEngagement: 0, contentRelevance: 0 });
+
+            const { trend } = await this.metrics().collect();
+            const { freshnessScore, botEngagement, contentRelevance } = trend.metrics;
+            fs.rmSync(this.site.path('analytics-reports'), { recursive: true, force: true });
+
+            if (trend.previousDate === '2026-02-28T06:00:00.000Z' &&
+                freshnessScore.previous === 90 && freshnessScore.direction === 'down' &&
+                botEngagement.change === null && botEngagement.direction === 'unknown' &&
+                contentRelevance.change === 0 && contentRelevance.direction === 'flat') {
+                this.addTest(testName, true, `Compared with 2026-02-28: freshness ${freshnessScore.change}, relevance flat`);
+            } else {
+                this.addTest(testName, false, `Trend: ${JSON.stringify(trend)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing trend: ${error.message}`);
+        }
+    }
+
+    /**
+     * The daily updater writes the computed scores and their formulas, nothing random
+     */
+    async testDailySummary() {
+        const testName = 'Daily Summary';
+
+        try {
+            process.chdir(this.site.dir);
+            const runs = [];
+            for (let run = 0; run < 2; run++) {
+                const updater = new DailyFreshnessUpdater();
+                updater.today = this.now;
+                updater.todayISO = this.now.toISOString();
+                await this.quietly(() => updater.generateDailyAnalyticsSummary());
+                runs.push(JSON.parse(fs.readFileSync('analytics-reports/latest-daily-summary.json', 'utf8')));
+            }
+            const [summary, again] = runs;
+            const expected = (await this.metrics().collect()).metrics;
+
+            if (fs.existsSync('analytics-reports/daily-summary-2026-03-01.json') &&
+                JSON.stringify(summary.metrics) === JSON.stringify({ pagesUpdated: 0, ...expected }) &&
+                JSON.stringify(again.metrics) === JSON.stringify(summary.metrics) &&
+                summary.formulas.freshnessScore && summary.formulas.botEngagement && summary.formulas.contentRelevance &&
+                summary.inputs.pages.length === 3) {
+                this.addTest(testName, true, 'Summary scores match the inputs, with formulas, on every run');
+            } else {
+                this.addTest(testName, false, `Metrics: ${JSON.stringify(summary.metrics)} / ${JSON.stringify(again.metrics)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing daily summary: ${error.message}`);
+        }
+    }
+
+    async quietly(run) {
+        const log = console.log;
+        console.log = () => {};
+        try {
+            return await run();
+        } finally {
+            console.log = log;
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📈 FRESHNESS METRICS VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/freshness-metrics-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new FreshnessMetricsValidator();
+    validator.validateFreshnessMetrics().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = FreshnessMetricsValidator;
@@ -0,0 +1,411 @@
+/**
+ * Link Checker Validation Test Suite
+ * Tests internal link and #fragment checks against a fixture site, and external
+ * checks against a local server: live, cached, rate limited, through a forward
+ * proxy and replayed from recorded fixtures
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const LinkChecker = require('../scripts/link-checker');
+const FixtureSite = require('./fixture-site');
+
+class LinkCheckerValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.requests = [];
+        this.proxied = [];
+    }
+
+    /**
+     * Run all link checker validations
+     */
+    async validateLinkChecker() {
+        console.log('🔗 Validating link checker...\n');
+
+        this.site = new FixtureSite('link-checker');
+
+        try {
+            await this.startServers();
+            this.createFixtureSite();
+
+            this.testInternalLinks();
+            this.testFragments();
+            await this.testExternalLinks();
+            await this.testCache();
+            await this.testProxy();
+            await this.testRecordedFixtures();
+            await this.testReport();
+        } catch (error) {
+            this.addTest('Link Checker', false, `Error running link checks: ${error.message}`);
+        } finally {
+            await this.stopServers();
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Stand-in external site and a forward proxy in front of it
+     */
+    async startServers() {
+        this.target = http.createServer((req, res) => {
+            this.requests.push({ method: req.method, url: req.url, at: Date.now() });
+            const send = (status, headers = {}) => {
+                res.writeHead(status, headers);
+                res.end();
+            };
+
+            if (req.url === '/ok') return send(200);
+            if (req.url === '/moved') return send(301, { Location: '/ok' });
+            if (req.url === '/head-not-allowed') return send(req.method === 'HEAD' ? 405 : 200);
+            if (req.url === '/busy') return send(429);
+            send(404);
+        });
+
+        this.proxyServer = http.createServer((req, res) => {
+            this.proxied.push(req.url);
+            const upstream = http.request(req.url, { method: req.method, headers: req.headers }, response => {
+                res.writeHead(response.statusCode, response.headers);
+                response.pipe(res);
+            });
+            upstream.on('error', () => {
+                res.writeHead(502);
+                res.end();
+            });
+            upstream.end();
+        });
+
+        const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+        this.externalOrigin = `http://127.0.0.1:${await listen(this.target)}`;
+        this.proxyUrl = `http://127.0.0.1:${await listen(this.proxyServer)}`;
+    }
+
+    async stopServers() {
+        const close = server => new Promise(resolve => (server && server.listening ? server.close(() => resolve()) : resolve()));
+        await Promise.all([close(this.target), close(this.proxyServer)]);
+    }
+
+    createFixtureSite() {
+        const external = this.externalOrigin;
+
+        this.site.write('site/index.html', `<!DOCTYPE html><html><head><title>Home</title>
+<link rel="stylesheet" href="style.css">
+<link rel="preconnect" href="https://fonts.example.org">
+</head><body>
+<h1 id="local">Home</h1>
+<a href="#local">Top of page</a>
+<a href="#nowhere">Nowhere</a>
+<a href="guide.html#setup">Setup</a>
+<a href="guide.html#missing">Missing section</a>
+<a href="docs/intro.html#getting-started">Getting started</a>
+<a href="/gone.html">Gone</a>
+<a href="/old">Old guide</a>
+<img src="images/missing.png" alt="Missing">
+<a href="mailto:team@example.com">Mail</a>
+<a href="${external}/ok">OK</a>
+<a href="${external}/missing">Missing</a>
+<a href="${external}/moved#section">Moved</a>
+<a href="${external}/head-not-allowed">GET only</a>
+<a href="${external}/busy">Busy</a>
+</body></html>`);
+        this.site.write('site/guide.html', `<!DOCTYPE html><html><head><title>Guide</title></head><body>
+<h1>Guide</h1><h2 id="setup">Setup</h2><a name="legacy"></a>
+<a href="index.html#local">Home</a>
+<a href="${external}/missing">Missing again</a>
+</body></html>`);
+        // Headings get their ids from DocumentTemplate at runtime
+        this.site.write('site/docs/intro.html', `<!DOCTYPE html><html><head><title>Intro</title></head><body>
+<div class="document-content"><h2>Getting Started!</h2></div>
+<a href="../guide.html#legacy">Legacy anchor</a>
+<a href="#getting-started">Getting started</a>
+<script src="../assets/js/document-template.js"></script>
+</body></html>`);
+        this.site.write('site/assets/js/document-template.js', '// DocumentTemplate');
+        this.site.write('site/style.css', 'body { margin: 0; }');
+        this.site.write('site/_redirects', '/old /guide.html 301\n');
+    }
+
+    createChecker(options = {}) {
+        return new LinkChecker({
+            rootDir: this.site.path('site'),
+            siteUrl: 'https://example.com',
+            config: {},
+            rateLimitMs: 60,
+            cachePath: this.site.path('link-cache.json'),
+            outputPath: this.site.path('reports/link-check-report.json'),
+            ...options
+        });
+    }
+
+    brokenOn(report, page, type) {
+        const entry = report.pages.find(result => result.page === page);
+        return entry ? entry.broken.filter(link => link.type === type).map(link => link.href) : [];
+    }
+
+    /**
+     * Missing files and redirects; external links are left alone by default
+     */
+    testInternalLinks() {
+        const testName = 'Internal Links';
+
+        try {
+            const result = this.createChecker().checkPage(this.site.path('site/index.html'));
+            const broken = result.broken.filter(link => link.type === 'internal');
+            const expected = '/gone.html (line 11, not found); images/missing.png (line 13, not found)';
+            const actual = broken.map(link => `${link.href} (line ${link.line}, ${link.reason})`).join('; ');
+
+            if (actual === expected && result.internal === 9 && result.external.length === 5) {
+                this.addTest(testName, true, 'Missing pages and images reported with line numbers; the redirected /old link resolves');
+            } else {
+                this.addTest(testName, false, `Broken: ${actual}; ${result.internal} internal, ${result.external.length} external`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing internal links: ${error.message}`);
+        }
+    }
+
+    /**
+     * #fragments need an id, a named anchor or a DocumentTemplate heading id
+     */
+    testFragments() {
+        const testName = 'Fragment Anchors';
+
+        try {
+            const checker = this.createChecker();
+            const index = checker.checkPage(this.site.path('site/index.html')).broken.filter(link => link.type === 'anchor');
+            const intro = checker.checkPage(this.site.path('site/docs/intro.html')).broken;
+            const actual = index.map(link => `${link.href}: ${link.reason}`).join('; ');
+            const expected = '#nowhere: no element with id "nowhere"; guide.html#missing: no element with id "missing" in /guide.html';
+
+            if (actual === expected && intro.length === 0) {
+                this.addTest(testName, true, 'Missing targets found; ids from DocumentTemplate.generateHeadingId() and <a name> count');
+            } else {
+                this.addTest(testName, false, `Index: ${actual}; intro: ${intro.map(link => link.href).join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing fragments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Live checks follow redirects, retry HEAD as GET and space out requests per host
+     */
+    async testExternalLinks() {
+        const testName = 'External Links';
+
+        try {
+            this.requests.length = 0;
+            const report = await this.createChecker({ external: true }).run();
+            const state = url => (report.external.find(entry => entry.url === `${this.externalOrigin}${url}`) || {}).state;
+            const moved = report.external.find(entry => entry.url === `${this.externalOrigin}/moved`);
+            const issues = [];
+
+            if (state('/ok') !== 'ok' || state('/missing') !== 'broken' || state('/head-not-allowed') !== 'ok' || state('/busy') !== 'warning') {
+                issues.push(`states ${report.external.map(entry => `${entry.url}=${entry.state}`).join(', ')}`);
+            }
+            if (!moved || moved.finalUrl !== `${this.externalOrigin}/ok`) issues.push('redirect not followed');
+            if (this.brokenOn(report, '/guide.html', 'external').length !== 1 || this.brokenOn(report, '/', 'external').join() !== `${this.externalOrigin}/missing`) {
+                issues.push('external failures not grouped by page');
+            }
+            if (!this.requests.some(request => request.method === 'GET' && request.url === '/head-not-allowed')) issues.push('no GET fallback');
+
+            // First request per URL, in order; the same host is never hit faster than rateLimitMs
+            const starts = [];
+            this.requests.forEach(request => {
+                if (!starts.some(start => start.url === request.url) && request.url !== '/ok') starts.push(request);
+            });
+            const gaps = starts.slice(1).map((request, index) => request.at - starts[index].at);
+            if (gaps.some(gap => gap < 50)) issues.push(`request gaps ${gaps.join(', ')}ms`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, '404s are broken, 429 is a warning, redirects and HEAD→GET are handled, requests are rate limited');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing external links: ${error.message}`);
+        }
+    }
+
+    /**
+     * A second run answers from the cache, except for URLs worth retrying
+     */
+    async testCache() {
+        const testName = 'External Link Cache';
+
+        try {
+            this.requests.length = 0;
+            const report = await this.createChecker({ external: true }).run();
+            const sources = report.external.map(entry => entry.source);
+            const requested = [...new Set(this.requests.map(request => request.url))];
+
+            if (requested.join() === '/busy' && sources.filter(source => source === 'cache').length === 4) {
+                this.addTest(testName, true, 'Cached results reused; only the rate-limited URL was requested again');
+            } else {
+                this.addTest(testName, false, `Requested ${requested.join(', ')}; sources ${sources.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing cache: ${error.message}`);
+        }
+    }
+
+    /**
+     * With a proxy configured every request goes through it
+     */
+    async testProxy() {
+        const testName = 'Proxy';
+
+        try {
+            this.proxied.length = 0;
+            const report = await this.createChecker({ external: true, cache: false, proxy: this.proxyUrl, rateLimitMs: 0 }).run();
+            const missing = report.external.find(entry => entry.url === `${this.externalOrigin}/missing`);
+
+            if (this.proxied.includes(`${this.externalOrigin}/ok`) && missing && missing.status === 404 && report.summary.brokenExternal === 2) {
+                this.addTest(testName, true, `${this.proxied.length} requests went through the forward proxy with the same results`);
+            } else {
+                this.addTest(testName, false, `Proxied ${this.proxied.join(', ')}; ${JSON.stringify(report.summary)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing proxy: ${error.message}`);
+        }
+    }
+
+    /**
+     * --record saves live results; replaying them needs no network
+     */
+    async testRecordedFixtures() {
+        const testName = 'Recorded Fixtures';
+
+        try {
+            const fixtures = this.site.path('external-links.json');
+            await this.createChecker({ external: true, fixtures, record: true, rateLimitMs: 0 }).run();
+            const recorded = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+
+            // Replay with one recording missing and the server gone
+            delete recorded[`${this.externalOrigin}/ok`];
+            fs.writeFileSync(fixtures, JSON.stringify(recorded));
+            await this.stopServers();
+            this.requests.length = 0;
+
+            const report = await this.createChecker({ external: true, fixtures }).run();
+            const ok = report.external.find(entry => entry.url === `${this.externalOrigin}/ok`);
+            const missing = report.external.find(entry => entry.url === `${this.externalOrigin}/missing`);
+
+            if (Object.keys(recorded).length === 4 && missing.status === 404 && missing.source === 'fixture' &&
+                ok.state === 'warning' && ok.error === 'not recorded' && this.requests.length === 0) {
+                this.addTest(testName, true, 'Results recorded to JSON and replayed offline; unrecorded URLs are warnings');
+            } else {
+                this.addTest(testName, false, `Recorded ${Object.keys(recorded).length}; ok ${JSON.stringify(ok)}; missing ${JSON.stringify(missing)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing recorded fixtures: ${error.message}`);
+        }
+    }
+
+    /**
+     * Failures grouped by the page they're on, worst page first
+     */
+    async testReport() {
+        const testName = 'Report By Page';
+
+        try {
+            const checker = this.createChecker();
+            const report = await checker.run();
+            const { jsonPath, markdownPath } = checker.saveReport(report);
+            const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            const markdown = fs.readFileSync(markdownPath, 'utf8');
+
+            if (json.pages.map(page => page.page).join() === '/' && json.summary.brokenAnchors === 2 &&
+                markdown.includes('## /') && markdown.includes('| 11 | `/gone.html` | internal | not found |') &&
+                markdown.includes('not checked; use --external')) {
+                this.addTest(testName, true, 'JSON and Markdown reports list broken links under their page with line numbers');
+            } else {
+                this.addTest(testName, false, `Pages: ${json.pages.map(page => page.page).join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🔗 LINK CHECKER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/link-checker-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new LinkCheckerValidator();
+    validator.validateLinkChecker().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = LinkCheckerValidator;
@@ -0,0 +1,317 @@
+/**
+ * Precache Manifest Validation Test Suite
+ * Tests manifest generation and injection into sw.js against a fixture site, and runs
+ * the service worker's install and activate handlers against the Cache Storage and
+ * network stand-ins in service-worker-fixture.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndexBuilder = require('../scripts/build-search-index');
+const ServiceWorkerFixture = require('./service-worker-fixture');
+
+const SW_SOURCE = path.join(__dirname, '..', 'sw.js');
+
+class PrecacheManifestValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.config = {
+            path: 'sw.js',
+            precache: ['index.html', 'documents/*.html', 'assets/css/*.css', 'assets/js/*.js'],
+            exclude: ['documents/template.html', 'assets/js/*.min.js']
+        };
+    }
+
+    /**
+     * Run all precache manifest validations
+     */
+    async validatePrecacheManifest() {
+        console.log('📦 Validating precache manifest...\n');
+
+        this.fixture = new ServiceWorkerFixture('precache-manifest', this.config);
+
+        try {
+            this.createFixtureSite();
+
+            this.testManifestFiles();
+            this.testInjection();
+            this.testUnchangedRebuild();
+            this.testCheckMode();
+            await this.testServiceWorkerUpdate();
+            await this.testServiceWorkerFetch();
+        } catch (error) {
+            this.addTest('Precache Manifest', false, `Error running precache checks: ${error.message}`);
+        } finally {
+            this.fixture.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * The parts of sw.js outside the generated config block
+     */
+    handWritten(source) {
+        return source.replace(/\/\/ Service worker config:[\s\S]*?\/\/ End of service worker config/, '');
+    }
+
+    /**
+     * Two pages, an excluded template, a stylesheet, a script and its excluded
+     * minified copy, and the repository's sw.js with an empty manifest
+     */
+    createFixtureSite() {
+        this.fixture.write('index.html', '<!DOCTYPE html><html><head><title>Home</title></head><body><h1>Home</h1></body></html>');
+        this.fixture.write('documents/guide.html', '<!DOCTYPE html><html><head><title>Guide</title></head><body><h1>Guide</h1></body></html>');
+        this.fixture.write('documents/template.html', '<!DOCTYPE html><html><head><title>{{title}}</title></head><body></body></html>');
+        this.fixture.write('assets/css/site.css', 'body { margin: 0; }');
+        this.fixture.write('assets/js/app.js', 'console.log("app");');
+        this.fixture.write('assets/js/app.min.js', 'console.log("app")');
+        this.fixture.write('sw.js', this.fixture.builder().inject(fs.readFileSync(SW_SOURCE, 'utf8'), [], ''));
+    }
+
+    /**
+     * Patterns expand to sorted files, without the excluded ones, each with a content hash
+     */
+    testManifestFiles() {
+        const testName = 'Manifest Files';
+
+        try {
+            const { manifest, version } = this.fixture.builder().build();
+            const urls = manifest.map(entry => entry.url);
+
+            if (urls.join('|') === '/assets/css/site.css|/assets/js/app.js|/documents/guide.html|/index.html' &&
+                manifest.every(entry => /^[0-9a-f]{16}$/.test(entry.revision)) &&
+                /^[0-9a-f]{8}$/.test(version)) {
+                this.addTest(testName, true, `${manifest.length} entries with content hashes; template and minified copy excluded`);
+            } else {
+                this.addTest(testName, false, `Manifest: ${JSON.stringify(manifest)}; version ${version}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing manifest files: ${error.message}`);
+        }
+    }
+
+    /**
+     * The manifest block is replaced and the rest of sw.js is left as written
+     */
+    testInjection() {
+        const testName = 'Injection';
+
+        try {
+            const before = this.fixture.read('sw.js');
+            const builder = this.fixture.builder();
+            const { version, changes } = builder.run();
+            const after = this.fixture.read('sw.js');
+            const injected = builder.readManifest(after);
+
+            let missingMarkers = false;
+            try {
+                builder.inject('self.addEventListener("fetch", () => {});', [], version);
+            } catch (error) {
+                missingMarkers = /no service worker config block/.test(error.message);
+            }
+
+            if (this.handWritten(after) === this.handWritten(before) &&
+                after.includes(`const CACHE_VERSION = '${version}';`) &&
+                injected.length === 4 && changes.added.length === 4 &&
+                missingMarkers) {
+                this.addTest(testName, true, `4 entries and cache version ${version} injected; hand-written code unchanged`);
+            } else {
+                this.addTest(testName, false, `Injected ${injected.length} entries; missing markers rejected: ${missingMarkers}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing injection: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rebuilding without changes leaves sw.js byte for byte, and the search index it
+     * precaches comes out the same on every build
+     */
+    testUnchangedRebuild() {
+        const testName = 'Unchanged Rebuild';
+
+        try {
+            const before = this.fixture.read('sw.js');
+            const { changes, stale } = this.fixture.builder().run();
+            const searchIndex = () => JSON.stringify(new SearchIndexBuilder({ rootDir: path.join(__dirname, '..') }).build());
+
+            if (!stale && this.fixture.read('sw.js') === before && changes.unchanged === 4 &&
+                changes.added.length + changes.changed.length + changes.removed.length === 0 &&
+                searchIndex() === searchIndex()) {
+                this.addTest(testName, true, 'No entries changed; sw.js untouched; search-index.json rebuilt byte for byte');
+            } else {
+                this.addTest(testName, false, `Changes: ${JSON.stringify(changes)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing unchanged rebuild: ${error.message}`);
+        }
+    }
+
+    /**
+     * A check reports the changed, added and removed entries without writing sw.js
+     */
+    testCheckMode() {
+        const testName = 'Check Mode';
+
+        try {
+            const before = this.fixture.read('sw.js');
+            this.fixture.write('assets/js/app.js', 'console.log("app v2");');
+            this.fixture.write('documents/faq.html', '<!DOCTYPE html><html><head><title>FAQ</title></head><body><h1>FAQ</h1></body></html>');
+            fs.rmSync(this.fixture.path('assets/css/site.css'));
+
+            const { changes, stale } = this.fixture.builder().run({ write: false });
+            const report = JSON.parse(this.fixture.read('build-reports/precache-manifest.json'));
+
+            fs.rmSync(this.fixture.path('documents/faq.html'));
+            this.fixture.write('assets/css/site.css', 'body { margin: 0; }');
+
+            if (stale && this.fixture.read('sw.js') === before &&
+                changes.changed.join() === '/assets/js/app.js' &&
+                changes.added.join() === '/documents/faq.html' &&
+                changes.removed.join() === '/assets/css/site.css' &&
+                changes.unchanged === 2 && report.summary.changed === 1) {
+                this.addTest(testName, true, 'Changed, added and removed entries reported; sw.js not written');
+            } else {
+                this.addTest(testName, false, `Changes: ${JSON.stringify(changes)}; stale: ${stale}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing check mode: ${error.message}`);
+        }
+    }
+
+    /**
+     * Updating the service worker refetches only the changed entry and drops its old revision
+     */
+    async testServiceWorkerUpdate() {
+        const testName = 'Service Worker Update';
+
+        try {
+            const { stores, caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const first = await this.fixture.loadServiceWorker({ caches, network, source: this.fixture.read('sw.js') });
+            await caches.open('llm-tools-hub-runtime-old');
+
+            this.fixture.write('assets/js/app.js', 'console.log("app v2");');
+            network.pages['/assets/js/app.js'] = 'console.log("app v2");';
+            const { changes } = this.fixture.builder().run();
+            const second = await this.fixture.loadServiceWorker({ caches, network, source: this.fixture.read('sw.js') });
+
+            const precached = [...stores.get('llm-tools-hub-precache').keys()];
+            const revision = this.fixture.builder().readManifest(this.fixture.read('sw.js')).find(entry => entry.url === '/assets/js/app.js').revision;
+
+            if (first.installed.length === 4 &&
+                second.installed.join() === '/assets/js/app.js' && changes.changed.join() === '/assets/js/app.js' &&
+                precached.length === 4 && precached.includes(`${this.fixture.origin}/assets/js/app.js?__revision=${revision}`) &&
+                !stores.has('llm-tools-hub-runtime-old')) {
+                this.addTest(testName, true, 'First install fetched 4 entries; the update fetched only app.js and dropped its old revision');
+            } else {
+                this.addTest(testName, false, `Fetched ${first.installed.join(', ')} then ${second.installed.join(', ')}; precache: ${precached.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing service worker update: ${error.message}`);
+        }
+    }
+
+    /**
+     * Precached URLs, including directory URLs, are answered from the precache
+     */
+    async testServiceWorkerFetch() {
+        const testName = 'Service Worker Fetch';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network, source: this.fixture.read('sw.js') });
+
+            const page = await worker.request('/', 'navigate');
+
+            if (page === this.fixture.read('index.html') && network.fetched.length === 0) {
+                this.addTest(testName, true, '/ served from the precached index.html without a network request');
+            } else {
+                this.addTest(testName, false, `Response: ${page}; fetched: ${network.fetched.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing service worker fetch: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📦 PRECACHE MANIFEST VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/precache-manifest-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new PrecacheManifestValidator();
+    validator.validatePrecacheManifest().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = PrecacheManifestValidator;
@@ -0,0 +1,388 @@
+/**
+ * Schema Vocabulary Validation Test Suite
+ * Tests schema.org type, domain and range checks, nested items, @id references
+ * across blocks, rich result eligibility and vocabulary trimming
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SchemaVocabulary = require('../scripts/schema-vocabulary');
+const StructuredDataValidator = require('./structured-data-validation');
+
+class SchemaVocabularyValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all schema vocabulary validations
+     */
+    validateSchemaVocabulary() {
+        console.log('📚 Validating schema.org vocabulary checks...\n');
+
+        try {
+            this.vocabulary = new SchemaVocabulary();
+
+            this.testTypesAndProperties();
+            this.testPropertyDomains();
+            this.testPropertyRanges();
+            this.testNestedTypes();
+            this.testIdReferences();
+            this.testRichResults();
+            this.testTrimming();
+            this.testPageReport();
+        } catch (error) {
+            this.addTest('Schema Vocabulary', false, `Error running vocabulary checks: ${error.message}`);
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    errorsFor(...blocks) {
+        const result = this.vocabulary.validatePage(blocks);
+        return result.blocks.reduce((all, block) => all.concat(block.errors), []).concat(result.errors);
+    }
+
+    /**
+     * Types and properties that aren't in the vocabulary are errors
+     */
+    testTypesAndProperties() {
+        const testName = 'Unknown Types and Properties';
+
+        try {
+            const errors = this.errorsFor(
+                { '@context': 'https://schema.org', '@type': 'Articel', headline: 'Typo' },
+                { '@context': 'https://schema.org', '@type': 'Article', headline: 'Fine', authr: 'Typo' },
+                { '@context': 'https://schema.org', '@type': 'schema:TechArticle', name: 'Prefixed type' }
+            );
+            const expected = [
+                'Articel: unknown type "Articel"',
+                'Article: "authr" is not a schema.org property'
+            ];
+
+            if (JSON.stringify(errors) === JSON.stringify(expected)) {
+                this.addTest(testName, true, 'Misspelled types and properties reported; prefixed type names resolve');
+            } else {
+                this.addTest(testName, false, `Errors: ${JSON.stringify(errors)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing types and properties: ${error.message}`);
+        }
+    }
+
+    /**
+     * Properties must apply to the item's type or one of its supertypes
+     */
+    testPropertyDomains() {
+        const testName = 'Property Domains';
+
+        try {
+            const errors = this.errorsFor(
+                { '@context': 'https://schema.org', '@type': 'Article', headline: 'A', lastReviewed: '2024-01-20' },
+                { '@context': 'https://schema.org', '@type': 'FAQPage', lastReviewed: '2024-01-20', headline: 'Inherited from CreativeWork' },
+                { '@context': 'https://schema.org', '@type': 'SearchAction', target: 'https://example.com/?q={q}', 'query-input': 'required name=q' }
+            );
+            const expected = ['Article: "lastReviewed" is not a property of Article (it applies to WebPage)'];
+
+            if (JSON.stringify(errors) === JSON.stringify(expected)) {
+                this.addTest(testName, true, 'lastReviewed rejected on Article, accepted on FAQPage through WebPage; Action annotations allowed');
+            } else {
+                this.addTest(testName, false, `Errors: ${JSON.stringify(errors)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing property domains: ${error.message}`);
+        }
+    }
+
+    /**
+     * Literal values must match the data types in the property's range
+     */
+    testPropertyRanges() {
+        const testName = 'Property Ranges';
+
+        try {
+            const errors = this.errorsFor({
+                '@context': 'https://schema.org',
+                '@type': 'Article',
+                headline: { '@type': 'Thing', name: 'Not text' },
+                datePublished: 'last week',
+                dateModified: '2024-01-20T15:30:00Z',
+                url: '/relative/path',
+                image: 'https://example.com/a.png',
+                wordCount: '1200',
+                copyrightYear: 'MMXXIV',
+                author: 'Plain text stands in for a Person',
+                keywords: ['ai', 'llm']
+            });
+            const expected = [
+                'Article.headline: expected Text, found an object',
+                'Article.datePublished: "last week" is not a valid Date or DateTime',
+                'Article.url: "/relative/path" is not a valid URL',
+                'Article.copyrightYear: "MMXXIV" is not a valid Number'
+            ];
+
+            if (JSON.stringify(errors) === JSON.stringify(expected)) {
+                this.addTest(testName, true, 'Dates, URLs and numbers checked; numeric strings and text for class ranges accepted');
+            } else {
+                this.addTest(testName, false, `Errors: ${JSON.stringify(errors)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing property ranges: ${error.message}`);
+        }
+    }
+
+    /**
+     * Nested items must be of a range type and are validated with their path
+     */
+    testNestedTypes() {
+        const testName = 'Nested Types';
+
+        try {
+            const errors = this.errorsFor({
+                '@context': 'https://schema.org',
+                '@type': 'Review',
+                author: { '@type': 'ImageObject', url: 'https://example.com/a.png' },
+                reviewRating: { '@type': 'AggregateRating', ratingValue: '4.5', ratingCount: 'many' },
+                itemReviewed: [
+                    { '@type': 'SoftwareApplication', name: 'Ollama', offers: { '@type': 'Offer', price: '0', priceCurrency: 'USD', pricing: 'free' } },
+                    { name: 'Untyped' }
+                ]
+            });
+            const expected = [
+                'Review.author: ImageObject is not an expected type (expected Organization or Person)',
+                'Review.reviewRating.ratingCount: "many" is not a valid Integer',
+                'Review.itemReviewed[0].offers: "pricing" is not a schema.org property',
+                'Review.itemReviewed[1]: missing @type'
+            ];
+
+            if (JSON.stringify(errors) === JSON.stringify(expected)) {
+                this.addTest(testName, true, 'Range types, subtypes (AggregateRating as Rating) and nested properties checked');
+            } else {
+                this.addTest(testName, false, `Errors: ${JSON.stringify(errors)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing nested types: ${error.message}`);
+        }
+    }
+
+    /**
+     * {"@id"} references resolve across blocks on the same page
+     */
+    testIdReferences() {
+        const testName = '@id References';
+
+        try {
+            const result = this.vocabulary.validatePage([
+                { '@context': 'https://schema.org', '@type': 'Article', headline: 'A', author: { '@id': '#team' }, publisher: { '@id': '#site' }, about: { '@id': '#missing' } },
+                { '@context': 'https://schema.org', '@graph': [
+                    { '@type': 'Organization', '@id': '#team', name: 'Team', url: 'https://example.com', logo: 'https://example.com/logo.png' },
+                    { '@type': 'WebSite', '@id': '#site', name: 'Site' }
+                ] },
+                { '@context': 'https://schema.org', '@type': 'Person', '@id': '#team', name: 'Conflict' }
+            ]);
+            const issues = [];
+
+            if (result.references.total !== 3 || result.references.resolved !== 2) issues.push(`references ${JSON.stringify(result.references)}`);
+            if (JSON.stringify(result.references.unresolved) !== '["#missing"]' || result.warnings.length !== 1) issues.push(`unresolved ${JSON.stringify(result.warnings)}`);
+            if (JSON.stringify(result.errors) !== JSON.stringify([
+                'Person: @id #team is typed Person here but Organization at Organization',
+                'Article.publisher: @id #site is a WebSite (expected Organization or Person)'
+            ])) issues.push(`errors ${JSON.stringify(result.errors)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'References resolved across blocks; wrong range types, conflicts and missing targets reported');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing @id references: ${error.message}`);
+        }
+    }
+
+    /**
+     * Top-level items are checked against Google's rich result requirements
+     */
+    testRichResults() {
+        const testName = 'Rich Result Eligibility';
+
+        try {
+            const result = this.vocabulary.validatePage([
+                { '@context': 'https://schema.org', '@type': 'Person', '@id': '#author', name: 'Ada' },
+                { '@context': 'https://schema.org', '@type': 'TechArticle', headline: 'Guide', author: { '@id': '#author' }, image: 'https://example.com/a.png', datePublished: '2024-01-01' },
+                { '@context': 'https://schema.org', '@type': 'SoftwareApplication', name: 'Ollama', offers: { '@type': 'Offer', price: '0' } },
+                { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'Free?', acceptedAnswer: { '@type': 'Answer', text: 'Yes' } }] },
+                { '@context': 'https://schema.org', '@type': 'Review', author: { '@type': 'Person', name: 'Ada' }, itemReviewed: { '@type': 'Thing', name: 'X' }, reviewRating: { '@type': 'Rating', ratingValue: 4 } },
+                { '@context': 'https://schema.org', '@type': 'Review', name: 'A vs B', author: { '@type': 'Person', name: 'Ada' }, itemReviewed: [{ '@type': 'SoftwareApplication', name: 'A' }, { '@type': 'SoftwareApplication', name: 'B' }] }
+            ]);
+            const byFeature = name => result.richResults.find(rich => rich.feature === name);
+            const issues = [];
+
+            const article = byFeature('Article');
+            if (!article || !article.eligible || article.recommended.join(',') !== 'dateModified') issues.push(`article ${JSON.stringify(article)}`);
+            const app = byFeature('Software app');
+            if (!app || app.eligible || app.targeted || app.missing.join(',') !== 'aggregateRating|review') issues.push(`software app ${JSON.stringify(app)}`);
+            const faq = byFeature('FAQ');
+            if (!faq || !faq.eligible || faq.status !== 'limited') issues.push(`faq ${JSON.stringify(faq)}`);
+            const review = byFeature('Review snippet');
+            if (!review || review.eligible || !review.targeted || review.missing.length !== 0 || !review.invalid[0].startsWith('itemReviewed is Thing')) issues.push(`review ${JSON.stringify(review)}`);
+            const comparison = result.richResults.filter(rich => rich.feature === 'Review snippet')[1];
+            if (!comparison || comparison.eligible || comparison.targeted) issues.push(`comparison ${JSON.stringify(comparison)}`);
+            if (result.richResults.some(rich => rich.feature === 'Organization logo')) issues.push('Person matched a feature');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Article eligible through an @id author; missing ratings, unsupported itemReviewed types and FAQ limits reported; an unrated app and comparison Review not targeted');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing rich results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Trimming a release keeps the requested types, their supertypes and data types
+     */
+    testTrimming() {
+        const testName = 'Vocabulary Trimming';
+
+        try {
+            const graph = JSON.parse(fs.readFileSync(this.vocabulary.vocabularyPath, 'utf8'))['@graph'];
+            const ids = new Set(SchemaVocabulary.trimGraph(graph, ['HowToStep']).map(node => node['@id']));
+            const kept = ['schema:HowToStep', 'schema:ItemList', 'schema:ListItem', 'schema:CreativeWork', 'schema:Thing', 'schema:Date', 'schema:DataType', 'schema:text', 'schema:itemListElement', 'schema:position'];
+            const dropped = ['schema:Product', 'schema:HowTo', 'schema:sku', 'schema:step'];
+            const missing = kept.filter(id => !ids.has(id));
+            const extra = dropped.filter(id => ids.has(id));
+
+            if (missing.length === 0 && extra.length === 0) {
+                this.addTest(testName, true, `HowToStep kept ${ids.size} of ${graph.length} nodes with its supertypes and their properties`);
+            } else {
+                this.addTest(testName, false, `Missing ${missing.join(', ')}; unexpected ${extra.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing trimming: ${error.message}`);
+        }
+    }
+
+    /**
+     * StructuredDataValidator reports vocabulary errors and eligibility per page
+     */
+    testPageReport() {
+        const testName = 'Structured Data Page Report';
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-vocabulary-'));
+        const log = console.log;
+
+        try {
+            const file = path.join(dir, 'tool.html');
+            fs.writeFileSync(file, `<!DOCTYPE html><html><head>
+                <script type="application/ld+json">{"@context": "https://schema.org", "@type": "Product", "name": "GGUF Loader", "offers": {"@id": "#offer"}}</script>
+                <script type="application/ld+json">{"@context": "https://schema.org", "@type": "Offer", "@id": "#offer", "price": "0", "priceCurrency": "USD", "availabilty": "InStock"}</script>
+            </head><body></body></html>`);
+
+            const validator = new StructuredDataValidator();
+            console.log = () => {};
+            validator.validateStructuredData(file);
+            console.log = log;
+
+            const status = name => (validator.results.tests.find(test => test.name === name) || {}).status;
+            const issues = [];
+
+            if (status('tool.html Block 1 Vocabulary') !== 'pass') issues.push('block 1');
+            if (status('tool.html Block 2 Vocabulary') !== 'fail') issues.push('block 2 typo');
+            if (status('tool.html @id References') !== 'pass') issues.push('references');
+            if (status('tool.html Product snippet Rich Result') !== 'pass') issues.push('product snippet');
+            if (JSON.stringify(validator.richResults[file]) !== '["Product snippet"]') issues.push(`eligible ${JSON.stringify(validator.richResults)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Per-block vocabulary tests, @id references and Product snippet eligibility reported for the page');
+            } else {
+                this.addTest(testName, false, issues.join(', '));
+            }
+        } catch (error) {
+            console.log = log;
+            this.addTest(testName, false, `Error testing page report: ${error.message}`);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('📚 SCHEMA VOCABULARY VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/schema-vocabulary-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SchemaVocabularyValidator();
+    const success = validator.validateSchemaVocabulary();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = SchemaVocabularyValidator;
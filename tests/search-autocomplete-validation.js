@@ -0,0 +1,289 @@
+/**
+ * Search Autocomplete Validation Test Suite
+ * Tests the combobox keyboard pattern, ARIA state and screen reader announcements in jsdom,
+ * and how SearchHighlighter marks matches in the results the search engine renders
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SearchHighlighter = require('../assets/js/search-highlighter');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'assets', 'js', 'search-autocomplete.js');
+
+class SearchAutocompleteValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+
+        this.suggestions = [
+            { type: 'recent', label: 'gguf loader', value: 'gguf loader' },
+            { type: 'term', label: 'ollama', value: 'ollama' },
+            { type: 'page', label: 'Ollama <compared>', value: 'oll', url: '/comparisons/ollama-comparison.html' }
+        ];
+    }
+
+    /**
+     * Run all search autocomplete validations
+     */
+    async validateSearchAutocomplete() {
+        console.log('⌨️  Validating search autocomplete...\n');
+
+        await this.testComboboxMarkup();
+        await this.testArrowNavigation();
+        await this.testEnterSelection();
+        await this.testEscapeClosesList();
+        this.testResultHighlighting();
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Page with a search input and the autocomplete script; records selections,
+     * announcements and whether key events reached the document
+     */
+    async createFixture() {
+        const dom = new JSDOM('<!DOCTYPE html><div class="search-input-group"><input id="search-input" type="search"></div>', {
+            runScripts: 'outside-only'
+        });
+        const { window } = dom;
+        window.eval(fs.readFileSync(SCRIPT_PATH, 'utf8'));
+
+        const fixture = { window, selected: [], announcements: [], documentKeys: [] };
+        fixture.input = window.document.getElementById('search-input');
+        window.document.addEventListener('keydown', event => fixture.documentKeys.push(event.key));
+
+        fixture.autocomplete = new window.SearchAutocomplete(fixture.input, {
+            anchor: fixture.input.parentNode,
+            getSuggestions: async () => this.suggestions,
+            onSelect: option => fixture.selected.push(option),
+            announce: message => fixture.announcements.push(message)
+        });
+        fixture.listbox = window.document.getElementById(fixture.input.getAttribute('aria-controls'));
+        fixture.press = key => {
+            const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+            fixture.input.dispatchEvent(event);
+            return event;
+        };
+
+        await fixture.autocomplete.update();
+        return fixture;
+    }
+
+    /**
+     * The input is a combobox controlling a listbox of options
+     */
+    async testComboboxMarkup() {
+        const testName = 'Combobox Markup';
+
+        try {
+            const { input, listbox, announcements, window } = await this.createFixture();
+            const options = listbox.querySelectorAll('[role="option"]');
+            const issues = [];
+
+            if (input.getAttribute('role') !== 'combobox' || input.getAttribute('aria-autocomplete') !== 'list') issues.push('input is not an autocompleting combobox');
+            if (!listbox || listbox.getAttribute('role') !== 'listbox') issues.push('aria-controls does not point at a listbox');
+            if (input.getAttribute('aria-expanded') !== 'true' || listbox.hidden) issues.push('list did not open');
+            if (options.length !== 3 || !Array.from(options).every(option => option.id && option.getAttribute('aria-selected') === 'false')) issues.push('options lack ids or aria-selected');
+            if (listbox.innerHTML.includes('<compared>')) issues.push('labels are not escaped');
+            if (listbox.previousElementSibling !== input.parentNode) issues.push('listbox is not placed after the anchor');
+            if (announcements[0] !== '3 suggestions available. Use up and down arrows to review.') issues.push(`unexpected announcement: ${announcements[0]}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Input and listbox carry the WAI-ARIA combobox roles and state');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing combobox markup: ${error.message}`);
+        }
+    }
+
+    /**
+     * Arrow keys move aria-activedescendant, wrapping at both ends
+     */
+    async testArrowNavigation() {
+        const testName = 'Arrow Key Navigation';
+
+        try {
+            const { input, listbox, press, window } = await this.createFixture();
+            const active = () => input.getAttribute('aria-activedescendant');
+            const steps = [];
+
+            press('ArrowDown');
+            steps.push(active());
+            press('ArrowUp');
+            steps.push(active());
+            press('ArrowDown');
+            steps.push(active());
+
+            const selected = listbox.querySelectorAll('[aria-selected="true"]');
+            const expected = ['-option-0', '-option-2', '-option-0'].map(suffix => `${listbox.id}${suffix}`);
+
+            if (steps.join('|') === expected.join('|') && selected.length === 1 && selected[0].id === expected[2]) {
+                this.addTest(testName, true, 'ArrowDown/ArrowUp move the active option and wrap around');
+            } else {
+                this.addTest(testName, false, `Unexpected active options: ${steps.join(', ')}`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing arrow navigation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Enter picks the active option instead of submitting the typed text
+     */
+    async testEnterSelection() {
+        const testName = 'Enter Selects Option';
+
+        try {
+            const { input, listbox, press, selected, announcements, window } = await this.createFixture();
+
+            press('ArrowDown');
+            press('ArrowDown');
+            const event = press('Enter');
+
+            if (event.defaultPrevented && selected.length === 1 && selected[0].value === 'ollama' &&
+                input.value === 'ollama' && listbox.hidden && input.getAttribute('aria-expanded') === 'false' &&
+                !input.hasAttribute('aria-activedescendant') && announcements.includes('Searching for ollama')) {
+                this.addTest(testName, true, 'Enter fills the input, closes the list and reports the choice');
+            } else {
+                this.addTest(testName, false, `Unexpected selection: ${JSON.stringify(selected)}, input "${input.value}"`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing Enter selection: ${error.message}`);
+        }
+    }
+
+    /**
+     * Escape closes an open list without reaching page-level handlers; once closed it passes through
+     */
+    async testEscapeClosesList() {
+        const testName = 'Escape Closes List';
+
+        try {
+            const { input, listbox, press, documentKeys, window } = await this.createFixture();
+
+            press('ArrowDown');
+            press('Escape');
+            const closedOnFirst = listbox.hidden && documentKeys.length === 1;
+            press('Escape');
+
+            if (closedOnFirst && documentKeys.join('|') === 'ArrowDown|Escape' && input.getAttribute('aria-expanded') === 'false') {
+                this.addTest(testName, true, 'The first Escape only closes the list; the next one reaches the page');
+            } else {
+                this.addTest(testName, false, `Unexpected Escape handling: hidden=${listbox.hidden}, document saw ${documentKeys.join(', ')}`);
+            }
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing Escape: ${error.message}`);
+        }
+    }
+
+    /**
+     * Result titles and snippets mark every query term in one pass over the raw text,
+     * never inside markup added for an earlier term or inside an HTML entity
+     */
+    testResultHighlighting() {
+        const testName = 'Result Highlighting';
+
+        try {
+            const highlighter = new SearchHighlighter();
+            const both = highlighter.highlight('Semantic search & ranking', 'semantic search', ['semant', 'search']);
+            const entity = highlighter.highlight('Tips & tricks: amplify <b>', 'amp', ['amp']);
+            const mark = text => `<mark class="search-highlight">${text}</mark>`;
+
+            if (both === `${mark('Semantic')} ${mark('search')} &amp; ranking` &&
+                entity === `Tips &amp; tricks: ${mark('amplify')} &lt;b&gt;`) {
+                this.addTest(testName, true, 'Each term marked once; earlier marks and &amp; entities left alone');
+            } else {
+                this.addTest(testName, false, `Unexpected highlighting: "${both}", "${entity}"`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing result highlighting: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('⌨️  SEARCH AUTOCOMPLETE VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/search-autocomplete-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SearchAutocompleteValidator();
+    validator.validateSearchAutocomplete().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
+
+module.exports = SearchAutocompleteValidator;
@@ -0,0 +1,238 @@
+/**
+ * Search Endpoints Validation Test Suite
+ * Tests the pre-rendered OpenSearch, search/<term>.json and llms.txt outputs against a fixture index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SearchEndpointBuilder = require('../scripts/build-search-endpoints');
+
+class SearchEndpointsValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+
+        this.indexData = {
+            version: 1,
+            checksum: 'fixture',
+            documents: [
+                { url: '/', type: 'homepage', title: 'Home', description: 'Local LLM guides', keywords: ['local LLM', 'Ollama'], headings: [], content: 'Run a local LLM' },
+                { url: '/comparisons/ollama.html', type: 'comparison', title: 'Ollama compared', description: 'Ollama vs LM Studio', keywords: ['Ollama', 'LM Studio'], headings: [], content: 'Ollama and LM Studio both run GGUF models' },
+                { url: '/documents/guide.html', type: 'document', title: 'Guide', description: '', keywords: ['ollama', 'Local-LLM'], headings: [], content: 'A local LLM guide' }
+            ]
+        };
+    }
+
+    /**
+     * Run all search endpoint validations
+     */
+    validateSearchEndpoints() {
+        console.log('🤖 Validating search endpoints...\n');
+
+        const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-endpoints-'));
+        try {
+            fs.writeFileSync(path.join(rootDir, 'search-index.json'), JSON.stringify(this.indexData));
+            fs.mkdirSync(path.join(rootDir, 'search'));
+            fs.writeFileSync(path.join(rootDir, 'search', 'stale-term.json'), '{}');
+
+            const builder = new SearchEndpointBuilder({ rootDir, baseUrl: 'https://example.test/', maxTerms: 3 });
+            builder.write();
+
+            this.testTopTerms(rootDir);
+            this.testTermResults(rootDir);
+            this.testOpenSearchDescription(rootDir);
+            this.testLlmsTxt(rootDir);
+        } catch (error) {
+            this.addTest('Search Endpoint Build', false, `Error building endpoints: ${error.message}`);
+        } finally {
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    readJson(rootDir, relativePath) {
+        return JSON.parse(fs.readFileSync(path.join(rootDir, relativePath), 'utf8'));
+    }
+
+    /**
+     * Keywords are ranked by page count, merged case-insensitively and by slug
+     */
+    testTopTerms(rootDir) {
+        const testName = 'Top Search Terms';
+
+        try {
+            const termIndex = this.readJson(rootDir, 'search/index.json');
+            const files = fs.readdirSync(path.join(rootDir, 'search')).sort();
+            const terms = termIndex.terms.map(entry => entry.term);
+
+            if (terms.join('|') === 'Ollama|local LLM|LM Studio' &&
+                files.join('|') === 'index.json|lm-studio.json|local-llm.json|ollama.json') {
+                this.addTest(testName, true, 'Shared keywords become result files; stale files are removed');
+            } else {
+                this.addTest(testName, false, `Unexpected terms ${terms.join(', ')} / files ${files.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing top terms: ${error.message}`);
+        }
+    }
+
+    /**
+     * Result files use the site's ranking and absolute URLs
+     */
+    testTermResults(rootDir) {
+        const testName = 'Term Result Files';
+
+        try {
+            const payload = this.readJson(rootDir, 'search/lm-studio.json');
+            const [top] = payload.results;
+
+            if (payload.query === 'LM Studio' && payload.total === 1 &&
+                top.url === 'https://example.test/comparisons/ollama.html' &&
+                top.snippet.includes('LM Studio') && !('content' in top) &&
+                payload.htmlUrl === 'https://example.test/?q=LM%20Studio') {
+                this.addTest(testName, true, 'Pre-rendered results carry absolute URLs and snippets');
+            } else {
+                this.addTest(testName, false, `Unexpected payload: ${JSON.stringify(payload).slice(0, 200)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing result files: ${error.message}`);
+        }
+    }
+
+    /**
+     * The OpenSearch description points at the ?q= URL the search widget reads
+     */
+    testOpenSearchDescription(rootDir) {
+        const testName = 'OpenSearch Description';
+
+        try {
+            const xml = fs.readFileSync(path.join(rootDir, 'opensearch.xml'), 'utf8');
+            const shortName = (xml.match(/<ShortName>([^<]*)<\/ShortName>/) || [])[1] || '';
+
+            if (xml.includes('xmlns="http://a9.com/-/spec/opensearch/1.1/"') &&
+                xml.includes('template="https://example.test/?q={searchTerms}"') &&
+                shortName.length > 0 && shortName.length <= 16) {
+                this.addTest(testName, true, 'Valid OpenSearch 1.1 description with an HTML search template');
+            } else {
+                this.addTest(testName, false, 'opensearch.xml is missing the namespace, template or a short name of 16 characters or fewer');
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing OpenSearch description: ${error.message}`);
+        }
+    }
+
+    /**
+     * llms.txt lists every page with its description; llms-full.txt adds the page text
+     */
+    testLlmsTxt(rootDir) {
+        const testName = 'llms.txt Listings';
+
+        try {
+            const llms = fs.readFileSync(path.join(rootDir, 'llms.txt'), 'utf8');
+            const llmsFull = fs.readFileSync(path.join(rootDir, 'llms-full.txt'), 'utf8');
+            const issues = [];
+
+            if (!llms.startsWith('# ') || !llms.includes('\n> Local LLM guides\n')) {
+                issues.push('missing title or summary blockquote');
+            }
+            if (!llms.includes('- [Ollama compared](https://example.test/comparisons/ollama.html): Ollama vs LM Studio')) {
+                issues.push('page entry missing its description');
+            }
+            if (!llms.includes('- [Guide](https://example.test/documents/guide.html)\n')) {
+                issues.push('page without a description not listed');
+            }
+            if (!this.indexData.documents.every(doc => llmsFull.includes(doc.content))) {
+                issues.push('llms-full.txt is missing page text');
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Every page is listed, with full text in llms-full.txt');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing llms.txt: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🤖 SEARCH ENDPOINTS VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/search-endpoints-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SearchEndpointsValidator();
+    const success = validator.validateSearchEndpoints();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = SearchEndpointsValidator;
@@ -0,0 +1,483 @@
+/**
+ * Search Engine Validation Test Suite
+ * Tests ranking behaviour of the client-side search modules against fixture documents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const InvertedIndex = require('../assets/js/inverted-index');
+const SearchFacets = require('../assets/js/search-facets');
+
+class SearchEngineValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all search engine validations
+     */
+    validateSearchEngine() {
+        console.log('🔍 Validating search engine ranking...\n');
+
+        this.testExactTokenMatching();
+        this.testFieldBoosts();
+        this.testLengthNormalization();
+        this.testPhraseQueries();
+        this.testConfigurableBoosts();
+        this.testStemming();
+        this.testPrefixMatching();
+        this.testTypoTolerance();
+        this.testDidYouMean();
+        this.testFacets();
+        this.testSnippets();
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Build an index over fixture documents
+     */
+    createIndex(documents, options = {}) {
+        const index = new InvertedIndex(options);
+        documents.forEach(doc => index.addDocument({
+            title: '',
+            description: '',
+            keywords: [],
+            headings: [],
+            content: '',
+            ...doc
+        }));
+        return index;
+    }
+
+    /**
+     * Return result URLs for a query
+     */
+    searchUrls(index, query) {
+        return index.search(query).map(match => index.documents[match.docIndex].url);
+    }
+
+    /**
+     * Short tokens must not match inside longer words ("ml" vs "html")
+     */
+    testExactTokenMatching() {
+        const testName = 'Exact Token Matching';
+
+        try {
+            const index = this.createIndex([
+                { url: '/html', title: 'HTML semantics', content: 'Semantic html markup for crawlers' },
+                { url: '/ml', title: 'ML basics', content: 'Supervised ml models' }
+            ]);
+
+            const urls = this.searchUrls(index, 'ml');
+            if (urls.length === 1 && urls[0] === '/ml') {
+                this.addTest(testName, true, '"ml" matches only documents containing the token "ml"');
+            } else {
+                this.addTest(testName, false, `Expected only /ml, got: ${urls.join(', ') || 'no results'}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing token matching: ${error.message}`);
+        }
+    }
+
+    /**
+     * A title match should outrank the same term in body text
+     */
+    testFieldBoosts() {
+        const testName = 'Field Boosts';
+
+        try {
+            const index = this.createIndex([
+                { url: '/body', title: 'Running models offline', content: 'Use quantization to shrink models' },
+                { url: '/title', title: 'Quantization explained', content: 'Use fewer bits to shrink models' }
+            ]);
+
+            const urls = this.searchUrls(index, 'quantization');
+            if (urls[0] === '/title') {
+                this.addTest(testName, true, 'Title matches outrank body matches');
+            } else {
+                this.addTest(testName, false, `Expected /title first, got: ${urls.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing field boosts: ${error.message}`);
+        }
+    }
+
+    /**
+     * With equal term frequency, shorter documents rank higher
+     */
+    testLengthNormalization() {
+        const testName = 'Document Length Normalization';
+
+        try {
+            const filler = Array.from({ length: 200 }, (_, i) => `filler${i}`).join(' ');
+            const index = this.createIndex([
+                { url: '/long', content: `inference ${filler}` },
+                { url: '/short', content: 'inference benchmarks' }
+            ]);
+
+            const urls = this.searchUrls(index, 'inference');
+            if (urls[0] === '/short') {
+                this.addTest(testName, true, 'Shorter documents win ties in term frequency');
+            } else {
+                this.addTest(testName, false, `Expected /short first, got: ${urls.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing length normalization: ${error.message}`);
+        }
+    }
+
+    /**
+     * Quoted phrases only match adjacent tokens, within one field value
+     */
+    testPhraseQueries() {
+        const testName = 'Phrase Queries';
+
+        try {
+            const index = this.createIndex([
+                { url: '/adjacent', content: 'Run a local LLM on your laptop' },
+                { url: '/scattered', content: 'Every LLM can run local inference' },
+                { url: '/split-keywords', keywords: ['LM Studio', 'Ollama'] },
+                { url: '/stop-word', content: 'Guides for the local LLM community' }
+            ]);
+
+            const phraseUrls = this.searchUrls(index, '"local LLM"');
+            const splitUrls = this.searchUrls(index, '"studio ollama"');
+            const issues = [];
+
+            if (phraseUrls.includes('/scattered')) {
+                issues.push('non-adjacent tokens matched a phrase');
+            }
+            if (!phraseUrls.includes('/adjacent') || !phraseUrls.includes('/stop-word')) {
+                issues.push(`adjacent phrase missed: ${phraseUrls.join(', ')}`);
+            }
+            if (splitUrls.length > 0) {
+                issues.push('phrase matched across separate keyword values');
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Phrase queries respect token positions');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing phrase queries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Per-field boosts passed in options change the ranking
+     */
+    testConfigurableBoosts() {
+        const testName = 'Configurable Field Boosts';
+
+        try {
+            const documents = [
+                { url: '/title', title: 'Ollama setup' },
+                { url: '/content', content: 'Ollama setup steps' }
+            ];
+            const contentFirst = this.createIndex(documents, {
+                fieldConfig: { title: { boost: 0.1, b: 0.5 }, content: { boost: 10, b: 0.75 } }
+            });
+
+            const urls = this.searchUrls(contentFirst, 'ollama');
+            if (urls[0] === '/content') {
+                this.addTest(testName, true, 'fieldConfig overrides default boosts');
+            } else {
+                this.addTest(testName, false, `Expected /content first with boosted content, got: ${urls.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing configurable boosts: ${error.message}`);
+        }
+    }
+
+    /**
+     * Inflections and British/American spellings share a stem
+     */
+    testStemming() {
+        const testName = 'Stemming';
+
+        try {
+            const index = this.createIndex([
+                { url: '/quantization', title: 'Quantization formats', content: 'Quantized weights in GGUF files' },
+                { url: '/runtime', title: 'Runtimes', content: 'Running models on a laptop' }
+            ]);
+
+            const issues = [];
+            ['quantised', 'quantizing', 'quantization'].forEach(query => {
+                const urls = this.searchUrls(index, query);
+                if (urls[0] !== '/quantization') {
+                    issues.push(`"${query}" returned: ${urls.join(', ') || 'no results'}`);
+                }
+            });
+            if (this.searchUrls(index, 'runs')[0] !== '/runtime') {
+                issues.push('"runs" did not match "running"');
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Word variants match the same documents');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing stemming: ${error.message}`);
+        }
+    }
+
+    /**
+     * As-you-type queries complete the last word; full searches and joined words behave
+     */
+    testPrefixMatching() {
+        const testName = 'Prefix Matching';
+
+        try {
+            const index = this.createIndex([
+                { url: '/ggufloader', title: 'GGUFLoader vs LM Studio', content: 'Load GGUF models locally' },
+                { url: '/ollama', title: 'Ollama setup', content: 'Pull models with ollama' }
+            ]);
+            const prefixUrls = query => index.search(query, 20, { prefix: true })
+                .map(match => index.documents[match.docIndex].url);
+
+            const issues = [];
+            if (prefixUrls('ggufload')[0] !== '/ggufloader') {
+                issues.push('"ggufload" did not complete to GGUFLoader');
+            }
+            if (this.searchUrls(index, 'olla').length > 0) {
+                issues.push('prefix expansion applied without the prefix option');
+            }
+            if (prefixUrls('ol').length > 0) {
+                issues.push('two-letter prefix was expanded');
+            }
+            if (this.searchUrls(index, 'gguf loader')[0] !== '/ggufloader') {
+                issues.push('"gguf loader" did not match the joined word');
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Last word completes only while typing');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing prefix matching: ${error.message}`);
+        }
+    }
+
+    /**
+     * Misspelled words fall back to their closest indexed word; short words stay exact
+     */
+    testTypoTolerance() {
+        const testName = 'Typo Tolerance';
+
+        try {
+            const index = this.createIndex([
+                { url: '/ollama', title: 'Ollama setup', content: 'Pull models with ollama' },
+                { url: '/llama', title: 'Llama models', content: 'Meta llama weights' },
+                { url: '/gpu', title: 'GPU offload', content: 'Offload layers to the gpu' }
+            ]);
+
+            const issues = [];
+            const olamaUrls = this.searchUrls(index, 'olama');
+            if (olamaUrls[0] !== '/ollama') {
+                issues.push(`"olama" returned: ${olamaUrls.join(', ') || 'no results'}`);
+            }
+            if (this.searchUrls(index, 'modles').length === 0) {
+                issues.push('transposed "modles" found nothing');
+            }
+            if (this.searchUrls(index, 'gpt').length > 0) {
+                issues.push('three-letter "gpt" fuzzily matched "gpu"');
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Typos match within the edit-distance budget');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing typo tolerance: ${error.message}`);
+        }
+    }
+
+    /**
+     * Queries with unknown words get a respelled suggestion
+     */
+    testDidYouMean() {
+        const testName = 'Did You Mean Suggestions';
+
+        try {
+            const index = this.createIndex([
+                { url: '/quantization', title: 'Quantization formats', content: 'Choosing a GGUF quantization' }
+            ]);
+
+            const suggestion = index.suggestQuery('quantizaton formts');
+            const known = index.suggestQuery('gguf formats');
+
+            if (suggestion === 'quantization formats' && known === null) {
+                this.addTest(testName, true, 'Misspelled queries get a corrected suggestion');
+            } else {
+                this.addTest(testName, false, `Expected "quantization formats" and null, got: ${suggestion}, ${known}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing suggestions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Facet counts ignore their own selection, filters combine across facets and
+     * selections round-trip through URL parameters
+     */
+    testFacets() {
+        const testName = 'Result Facets';
+
+        try {
+            const now = Date.parse('2025-06-30');
+            const facets = new SearchFacets({ now: () => now });
+            const results = [
+                { url: '/a', type: 'comparison', keywords: ['GGUF', 'Ollama'], lastModified: '2025-06-28' },
+                { url: '/b', type: 'comparison', keywords: ['gguf'], lastModified: '2025-03-01' },
+                { url: '/c', type: 'document', keywords: ['LLM'], lastModified: '2023-01-01' }
+            ];
+            const countsFor = name => {
+                const facet = facets.getCounts(results).find(entry => entry.name === name);
+                return Object.fromEntries(facet.values.map(entry => [entry.value, entry.count]));
+            };
+
+            const issues = [];
+            facets.toggle('type', 'comparison');
+            if (facets.apply(results).map(doc => doc.url).join() !== '/a,/b') {
+                issues.push('type filter did not keep only comparisons');
+            }
+            if (countsFor('type').document !== 1 || countsFor('tag').gguf !== 2 || countsFor('tag').llm) {
+                issues.push(`unexpected counts: ${JSON.stringify(countsFor('type'))} ${JSON.stringify(countsFor('tag'))}`);
+            }
+
+            facets.toggle('modified', 'week');
+            facets.toggle('modified', 'month');
+            const modified = countsFor('modified');
+            if (facets.selected.modified.size !== 1 || modified.week !== 1 || modified.year !== 2 || modified.older) {
+                issues.push(`last-modified ranges wrong: ${JSON.stringify(modified)}`);
+            }
+
+            const params = facets.writeToParams(new URLSearchParams('q=gguf&type=document'));
+            const restored = new SearchFacets();
+            restored.readFromParams(new URLSearchParams(params.toString()));
+            if (params.toString() !== 'q=gguf&type=comparison&modified=month' || !restored.selected.type.has('comparison')) {
+                issues.push(`URL state not preserved: ${params.toString()}`);
+            }
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Facets count, filter and persist to the URL');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing facets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Snippets come from the body passage covering the most distinct query terms
+     */
+    testSnippets() {
+        const testName = 'Result Snippets';
+
+        try {
+            const filler = Array.from({ length: 60 }, (_, i) => `filler${i}`).join(' ');
+            const index = this.createIndex([
+                { url: '/doc', content: `Models everywhere, models again. ${filler} Quantized models run on a laptop. ${filler}` },
+                { url: '/title-only', title: 'Quantized models' }
+            ]);
+
+            const match = index.search('quantised models').find(entry => entry.docIndex === 0);
+            const snippet = index.getSnippet(match.docIndex, match.highlightTerms);
+            const titleOnly = index.getSnippet(1, ['quantiz']);
+
+            if (snippet.includes('Quantized models run') && snippet.startsWith('… ') && snippet.endsWith(' …') && titleOnly === '') {
+                this.addTest(testName, true, 'Snippets centre on matched terms in the page body');
+            } else {
+                this.addTest(testName, false, `Unexpected snippets: "${snippet}", "${titleOnly}"`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing snippets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🔍 SEARCH ENGINE VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/search-engine-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SearchEngineValidator();
+    const success = validator.validateSearchEngine();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = SearchEngineValidator;
@@ -0,0 +1,320 @@
+/**
+ * Search Worker Validation Test Suite
+ * Tests the search backend, the worker message protocol and the promise-based client
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const SearchIndexBackend = require('../assets/js/search-index-backend');
+const SearchWorkerClient = require('../assets/js/search-worker-client');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets', 'js');
+
+class SearchWorkerValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+
+        this.indexData = {
+            version: 1,
+            checksum: 'fixture',
+            documents: [
+                { url: '/ollama', type: 'comparison', title: 'Ollama setup', keywords: ['Ollama'], content: 'Pull models with ollama and run them locally' },
+                { url: '/gguf', type: 'document', title: 'GGUF formats', keywords: ['GGUF'], content: 'Quantized GGUF models for local inference' }
+            ]
+        };
+    }
+
+    /**
+     * Run all search worker validations
+     */
+    async validateSearchWorker() {
+        console.log('🧵 Validating search worker...\n');
+
+        this.testIndexVersionCheck();
+        this.testBackendResults();
+        this.testBackendCompletions();
+        await this.testWorkerProtocol();
+        await this.testClientRequests();
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Load search-worker.js into a sandbox with the Web Worker globals it relies on;
+     * returns send(message) and the list of replies posted back
+     */
+    createWorkerSandbox() {
+        const replies = [];
+        const listeners = [];
+        const sandbox = {
+            console,
+            postMessage: message => replies.push(message),
+            addEventListener: (type, listener) => listeners.push(listener),
+            fetch: async () => ({ ok: true, json: async () => JSON.parse(JSON.stringify(this.indexData)) })
+        };
+        sandbox.self = sandbox;
+        sandbox.importScripts = (...files) => files.forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(ASSETS_DIR, file), 'utf8'), sandbox, { filename: file });
+        });
+
+        vm.createContext(sandbox);
+        vm.runInContext(fs.readFileSync(path.join(ASSETS_DIR, 'search-worker.js'), 'utf8'), sandbox);
+
+        const send = async (message) => {
+            await Promise.all(listeners.map(listener => listener({ data: message })));
+        };
+
+        return { send, replies };
+    }
+
+    /**
+     * Index payloads from another build version are refused
+     */
+    testIndexVersionCheck() {
+        const testName = 'Index Version Check';
+
+        try {
+            const backend = new SearchIndexBackend();
+            let rejected = false;
+            try {
+                backend.addIndexData({ ...this.indexData, version: 2 }, 1);
+            } catch (error) {
+                rejected = /Unsupported search index version 2/.test(error.message);
+            }
+
+            const stats = backend.addIndexData(this.indexData, 1);
+            if (rejected && stats.documents === 2 && stats.terms > 0 && stats.checksum === 'fixture') {
+                this.addTest(testName, true, 'Mismatched index versions are rejected; stats describe the loaded index');
+            } else {
+                this.addTest(testName, false, `Unexpected version handling: rejected=${rejected}, stats=${JSON.stringify(stats)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing version check: ${error.message}`);
+        }
+    }
+
+    /**
+     * Results are cloneable summaries: no body text, a snippet instead, and a suggestion on misses
+     */
+    testBackendResults() {
+        const testName = 'Backend Result Shape';
+
+        try {
+            const backend = new SearchIndexBackend();
+            backend.addIndexData(this.indexData, 1);
+
+            const { results } = backend.search('quantised models', { limit: 5 });
+            const miss = backend.search('olamaa');
+            const [top] = results;
+            const issues = [];
+
+            if (!top || top.url !== '/gguf') issues.push(`expected /gguf first, got ${top && top.url}`);
+            if (top && 'content' in top) issues.push('body text was included in results');
+            if (top && !top.snippet.includes('Quantized')) issues.push(`missing snippet: "${top && top.snippet}"`);
+            if (miss.results.length !== 0 || miss.suggestion !== 'ollama') issues.push(`miss suggestion: ${miss.suggestion}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Results carry snippets instead of page bodies');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing backend results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Completions finish the last typed word from indexed words and match page titles
+     */
+    testBackendCompletions() {
+        const testName = 'Backend Completions';
+
+        try {
+            const backend = new SearchIndexBackend();
+            backend.addIndexData(this.indexData, 1);
+
+            const partial = backend.complete('pull oll');
+            const title = backend.complete('gguf');
+            const typed = backend.complete('models');
+            const issues = [];
+
+            if (partial.terms.join('|') !== 'pull ollama') issues.push(`unexpected completions: ${partial.terms.join(', ')}`);
+            if (title.pages.length !== 1 || title.pages[0].url !== '/gguf' || 'content' in title.pages[0]) issues.push('title match missing or carries the page body');
+            if (typed.terms.length !== 0) issues.push(`a fully typed word was completed to ${typed.terms.join(', ')}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Partial queries complete from the index and match page titles');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing completions: ${error.message}`);
+        }
+    }
+
+    /**
+     * The worker answers load and search requests by id and reports failures as errors
+     */
+    async testWorkerProtocol() {
+        const testName = 'Worker Message Protocol';
+
+        try {
+            const { send, replies } = this.createWorkerSandbox();
+
+            await send({ id: 1, type: 'search', payload: { query: 'ollama' } });
+            await send({ id: 2, type: 'load', payload: { indexUrl: '/search-index.json', version: 1 } });
+            await send({ id: 3, type: 'search', payload: { query: 'ollama', options: { limit: 5 } } });
+            await send({ id: 4, type: 'reindex', payload: {} });
+            await send({ id: 5, type: 'complete', payload: { query: 'gg' } });
+
+            const byId = Object.fromEntries(replies.map(reply => [reply.id, reply]));
+            const issues = [];
+
+            if (!byId[1] || !/not been loaded/.test(byId[1].error)) issues.push('search before load did not fail');
+            if (!byId[2] || !byId[2].result || byId[2].result.documents !== 2) issues.push('load did not report stats');
+            if (!byId[3] || !byId[3].result || byId[3].result.results[0].url !== '/ollama') issues.push('search reply missing results');
+            if (!byId[4] || !/Unknown search worker request/.test(byId[4].error)) issues.push('unknown request type was not rejected');
+            if (!byId[5] || !byId[5].result || byId[5].result.terms[0] !== 'gguf') issues.push('complete reply missing terms');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Requests are answered with { id, result } or { id, error }');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing worker protocol: ${error.message}`);
+        }
+    }
+
+    /**
+     * The client matches replies to requests by id and fails pending requests when the worker dies
+     */
+    async testClientRequests() {
+        const testName = 'Worker Client Promises';
+        const originalWorker = global.Worker;
+
+        try {
+            const workers = [];
+            global.Worker = class {
+                constructor(url) {
+                    this.url = url;
+                    this.listeners = { message: [], error: [] };
+                    this.posted = [];
+                    workers.push(this);
+                }
+                addEventListener(type, listener) { this.listeners[type].push(listener); }
+                postMessage(message) { this.posted.push(message); }
+                terminate() {}
+                emit(type, event) { this.listeners[type].forEach(listener => listener(event)); }
+            };
+
+            const client = new SearchWorkerClient('search-worker.js');
+            const [worker] = workers;
+            const first = client.search('ollama');
+            const second = client.search('gguf');
+
+            // Replies may arrive in any order
+            worker.emit('message', { data: { id: worker.posted[1].id, result: 'second' } });
+            worker.emit('message', { data: { id: worker.posted[0].id, error: 'boom' } });
+
+            const secondResult = await second;
+            const firstError = await first.then(() => null, error => error.message);
+
+            const pending = client.load('/search-index.json', 1);
+            worker.emit('error', { message: 'Failed to load worker script', preventDefault() {} });
+            const loadError = await pending.then(() => null, error => error.message);
+
+            if (secondResult === 'second' && firstError === 'boom' && loadError === 'Failed to load worker script' && client.pendingRequests.size === 0) {
+                this.addTest(testName, true, 'Replies settle the matching promise; worker errors reject pending requests');
+            } else {
+                this.addTest(testName, false, `Unexpected settlement: ${secondResult}, ${firstError}, ${loadError}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing worker client: ${error.message}`);
+        } finally {
+            global.Worker = originalWorker;
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧵 SEARCH WORKER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/search-worker-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SearchWorkerValidator();
+    validator.validateSearchWorker().then(success => {
+        process.exit(success ? 0 : 1);
+    });
+}
+
+module.exports = SearchWorkerValidator;
@@ -0,0 +1,320 @@
+/**
+ * SEO Crawler Validation Test Suite
+ * Tests the seo:crawl link following, per-page SEO checks, orphan detection,
+ * redirect chains and reports against a fixture site
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SEOCrawler = require('../scripts/seo-crawler');
+const FixtureSite = require('./fixture-site');
+
+class SEOCrawlerValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all SEO crawler validations
+     */
+    validateSEOCrawler() {
+        console.log('🕷️  Validating SEO crawler...\n');
+
+        this.site = new FixtureSite('seo-crawler');
+
+        try {
+            this.createFixtureSite();
+            this.crawler = new SEOCrawler({
+                rootDir: this.site.dir,
+                siteUrl: 'https://example.com',
+                outputPath: this.site.path('reports/seo-crawl-report.json')
+            });
+            this.report = this.crawler.run();
+
+            this.testLinkFollowing();
+            this.testPageChecks();
+            this.testOrphanPages();
+            this.testRedirectChains();
+            this.testMissingPages();
+            this.testReports();
+        } catch (error) {
+            this.addTest('SEO Crawler', false, `Error running crawler checks: ${error.message}`);
+        } finally {
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * Page whose head passes every SEOHealthChecks check unless overridden
+     */
+    page({ title = 'A fixture page title that is long enough', h1 = '<h1>Fixture</h1>', head = '', body = '', canonical = true } = {}) {
+        const description = 'A fixture description written to land inside the recommended range of one hundred and twenty to one hundred and sixty chars.';
+        return `<!DOCTYPE html><html lang="en"><head>
+            <title>${title}</title>
+            <meta name="description" content="${description}">
+            <meta name="keywords" content="fixture">
+            <meta property="og:title" content="Fixture">
+            <meta property="og:description" content="Fixture">
+            <meta property="og:image" content="https://example.com/og.png">
+            <meta name="twitter:card" content="summary">
+            ${canonical ? '<link rel="canonical" href="https://example.com/">' : ''}
+            <script type="application/ld+json">{"@context": "https://schema.org", "@type": "WebPage"}</script>
+            ${head}
+        </head><body>${h1}${body}</body></html>`;
+    }
+
+    /**
+     * index → guide (pretty URL) → docs/; /old → /older → /docs/ (two hops); a meta
+     * refresh page; a redirect loop; a link to a missing page; two orphans
+     */
+    createFixtureSite() {
+
+        this.site.write('index.html', this.page({ body: `
+            <a href="/guide">Guide</a>
+            <a href="/old">Old docs</a>
+            <a href="moved.html">Moved</a>
+            <a href="/loop-a">Loop</a>
+            <a href="https://other.example.org/">External</a>
+            <a href="mailto:team@example.com">Mail</a>
+            <a href="/assets/report.pdf">PDF</a>` }));
+        this.site.write('guide.html', this.page({ h1: '', title: 'Guide', body: '<a href="docs/#intro">Docs</a><a href="/index.html">Home</a><a href="/gone.html">Gone</a>' }));
+        this.site.write('docs/index.html', this.page({ h1: '<h1>Docs</h1><h1>Again</h1>', body: '<img src="/diagram.png"><a href="/"></a>' }));
+        this.site.write('moved.html', '<!DOCTYPE html><html><head><meta http-equiv="refresh" content="0; url=/guide"><title>Moved</title></head><body></body></html>');
+        this.site.write('orphan.html', this.page());
+        this.site.write('drafts/unlinked.html', this.page());
+        this.site.write('node_modules/pkg/readme.html', this.page());
+        this.site.write('sitemap.xml', '<urlset><url><loc>https://example.com/</loc></url><url><loc>https://example.com/orphan.html</loc></url></urlset>');
+        this.site.write('_redirects', '# Moved sections\n/old /older 301\n/api/* /.netlify/functions/:splat 200\n');
+        this.site.write('netlify.toml', '[build]\n  publish = "."\n[[redirects]]\n  from = "/older"\n  to = "/docs/"\n  status = 302\n');
+        this.site.write('vercel.json', JSON.stringify({ redirects: [
+            { source: '/loop-a', destination: '/loop-b', permanent: true },
+            { source: '/loop-b', destination: '/loop-a', permanent: true }
+        ] }));
+    }
+
+    pageReport(url) {
+        return this.report.pages.find(page => page.url === url);
+    }
+
+    /**
+     * Links are followed through pretty URLs, directories and redirects, once per page
+     */
+    testLinkFollowing() {
+        const testName = 'Link Following';
+
+        try {
+            const urls = this.report.pages.map(page => `${page.url}@${page.depth}`).sort().join(' ');
+            const expected = '/@0 /docs/@1 /guide@1 /moved.html@1';
+
+            if (urls === expected && this.pageReport('/docs/').inboundLinks === 2 && this.pageReport('/guide').inboundLinks === 2) {
+                this.addTest(testName, true, 'Crawled 4 pages from index.html; external, mailto and asset links were not followed');
+            } else {
+                this.addTest(testName, false, `Crawled ${urls}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing link following: ${error.message}`);
+        }
+    }
+
+    /**
+     * Each page gets the SEOHealthChecks results
+     */
+    testPageChecks() {
+        const testName = 'Per-Page SEO Checks';
+
+        try {
+            const messages = url => this.pageReport(url).issues.map(issue => issue.message).sort().join(', ');
+            const issues = [];
+
+            if (messages('/') !== '') issues.push(`index: ${messages('/')}`);
+            if (messages('/guide') !== 'No H1 tag found, Title length not optimal') issues.push(`guide: ${messages('/guide')}`);
+            if (messages('/docs/') !== 'Image optimization issues found, Links without descriptive text found, Multiple H1 tags found') issues.push(`docs: ${messages('/docs/')}`);
+            if (this.pageReport('/docs/').metrics.headings.h1Count !== 2) issues.push('docs metrics');
+
+            const byMessage = this.report.issues.find(issue => issue.message === 'No H1 tag found');
+            if (!byMessage || byMessage.pages.join(',') !== '/guide,/moved.html') issues.push('issues grouped by check');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Heading, link, image and meta checks ran on every crawled page');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing page checks: ${error.message}`);
+        }
+    }
+
+    /**
+     * HTML files no crawled page links to, sitemap entries first
+     */
+    testOrphanPages() {
+        const testName = 'Orphan Pages';
+
+        try {
+            const orphans = this.report.orphans.map(orphan => `${orphan.url}${orphan.inSitemap ? ' (sitemap)' : ''}`).join(', ');
+
+            if (orphans === '/orphan.html (sitemap), /drafts/unlinked.html') {
+                this.addTest(testName, true, 'Unlinked pages found; the one in the sitemap is flagged; node_modules skipped');
+            } else {
+                this.addTest(testName, false, `Orphans: ${orphans}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing orphan pages: ${error.message}`);
+        }
+    }
+
+    /**
+     * _redirects, netlify.toml, vercel.json and meta refresh hops are chained
+     */
+    testRedirectChains() {
+        const testName = 'Redirect Chains';
+
+        try {
+            const find = href => this.report.redirects.find(redirect => redirect.from === '/' && redirect.href === href);
+            const chain = find('/old');
+            const loop = find('/loop-a');
+            const refresh = find('moved.html');
+            const issues = [];
+
+            if (!chain || chain.type !== 'chain' || chain.target !== '/docs/' ||
+                chain.chain.map(hop => `${hop.url}:${hop.status}:${hop.source}`).join(' ') !== '/old:301:_redirects /older:302:netlify.toml') {
+                issues.push(`chain ${JSON.stringify(chain)}`);
+            }
+            if (!loop || loop.type !== 'loop' || loop.hops !== 2 || loop.target !== null) issues.push(`loop ${JSON.stringify(loop)}`);
+            if (!refresh || refresh.type !== 'redirect' || refresh.chain[0].status !== 'meta-refresh' || refresh.target !== '/guide') issues.push(`meta refresh ${JSON.stringify(refresh)}`);
+            if (this.report.summary.redirectChains !== 2 || this.crawler.redirects.has('/api/*')) issues.push(`summary ${JSON.stringify(this.report.summary)}`);
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'A 2-hop chain across _redirects and netlify.toml, a vercel.json loop and a meta refresh were reported');
+            } else {
+                this.addTest(testName, false, issues.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing redirect chains: ${error.message}`);
+        }
+    }
+
+    /**
+     * Internal links to pages that don't exist, with where they're linked from
+     */
+    testMissingPages() {
+        const testName = 'Missing Pages';
+
+        try {
+            const missing = JSON.stringify(this.report.notFound);
+
+            if (missing === JSON.stringify([{ url: '/gone.html', linkedFrom: ['/guide'] }])) {
+                this.addTest(testName, true, 'The link to /gone.html is reported with the page it is on');
+            } else {
+                this.addTest(testName, false, `Not found: ${missing}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing missing pages: ${error.message}`);
+        }
+    }
+
+    /**
+     * JSON and HTML reports are written, with page text escaped
+     */
+    testReports() {
+        const testName = 'Crawl Reports';
+
+        try {
+            this.report.pages[0].title = '<script>alert(1)</script>';
+            const { jsonPath, htmlPath } = this.crawler.saveReport(this.report);
+            const json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            const html = fs.readFileSync(htmlPath, 'utf8');
+
+            if (json.summary.pages === 4 && html.includes('<h2>Orphan Pages</h2>') && html.includes('/orphan.html') &&
+                html.includes('&lt;script&gt;alert(1)&lt;/script&gt;') && !html.includes('<script>alert(1)')) {
+                this.addTest(testName, true, 'seo-crawl-report.json and seo-crawl-report.html written; page text is escaped');
+            } else {
+                this.addTest(testName, false, 'Report content is missing or unescaped');
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing reports: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🕷️  SEO CRAWLER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/seo-crawler-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SEOCrawlerValidator();
+    const success = validator.validateSEOCrawler();
+    process.exit(success ? 0 : 1);
+}
+
+module.exports = SEOCrawlerValidator;
@@ -0,0 +1,374 @@
+/**
+ * SEO Pre-render Validation Test Suite
+ * Tests that the build adds the runtime meta, canonical and JSON-LD tags a fixture
+ * site is missing, keeps its static values, reports disagreements in diff mode, is
+ * stable on re-runs and replaces the tags it baked once the runtime changes them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const SEOPrerenderer = require('../scripts/prerender-seo');
+const FixtureSite = require('./fixture-site');
+
+const ROOT = path.join(__dirname, '..');
+
+class SEOPrerenderValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all SEO pre-render validations
+     */
+    async validateSEOPrerender() {
+        console.log('🧱 Validating SEO pre-rendering...\n');
+
+        this.site = new FixtureSite('seo-prerender');
+
+        try {
+            this.createFixtureSite();
+            this.prerenderer = new SEOPrerenderer({ rootDir: this.site.dir, baseUrl: 'https://llm-toolkit.github.io' });
+
+            await this.testPageSelection();
+            await this.testDiffMode();
+            await this.testBaking();
+            await this.testRerun();
+            await this.testRebake();
+            this.testComparisonPage();
+            this.testReport();
+        } catch (error) {
+            this.addTest('SEO Pre-render', false, `Error running pre-render checks: ${error.message}`);
+        } finally {
+            this.site.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * The guide page has a stale title and canonical, an id-less Article block and an
+     * unrelated script; the homepage doesn't load main.js; the comparison page and
+     * installation guide are the real ones
+     */
+    createFixtureSite() {
+
+        ['seo-meta-generator.js', 'canonical-url-manager.js', 'structured-data-generator.js', 'tool-schema-generator.js', 'main.js']
+            .forEach(file => this.site.write(`assets/js/${file}`, fs.readFileSync(path.join(ROOT, 'assets/js', file), 'utf8')));
+        this.site.write('assets/js/unrelated.js', 'document.title = "Set by a script that is not pre-rendered";');
+        this.site.write('doc/installation.md', fs.readFileSync(path.join(ROOT, 'doc/installation.md'), 'utf8'));
+        const comparison = fs.readFileSync(path.join(ROOT, 'comparisons/ggufloader-vs-lmstudio.html'), 'utf8');
+        this.comparisonTitle = new JSDOM(comparison).window.document.title;
+        this.site.write('comparisons/ggufloader-vs-lmstudio.html', comparison);
+
+        this.guideBody = `<body>
+    <h1>Complete LLM Implementation Guide</h1>
+    <p>Tom &amp; Jerry&#39;s   spacing stays as written.</p>
+    <script src="../assets/js/unrelated.js"></script>
+    <script src="../assets/js/seo-meta-generator.js"></script>
+    <script src="../assets/js/canonical-url-manager.js"></script>
+    <script src="../assets/js/structured-data-generator.js"></script>
+    <script src="../assets/js/main.js"></script>
+</body>
+</html>
+`;
+        this.site.write('documents/llm-guide.html', `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Old guide title</title>
+    <meta name="description" content="Comprehensive guide to implementing Large Language Models with practical examples, tool comparisons, and best practices for developers.">
+    <link rel="canonical" href="https://llm-toolkit.github.io/documents/old-guide.html">
+    <script type="application/ld+json">
+    {
+        "@context": "https://schema.org",
+        "@type": "Article",
+        "headline": "Old guide title"
+    }
+    </script>
+</head>
+${this.guideBody}`);
+        this.site.write('documents/document-template.html', `<!DOCTYPE html>\n<html lang="en">\n<head>\n    <title>Document Title</title>\n</head>\n${this.guideBody}`);
+        this.site.write('index.html', '<!DOCTYPE html><html><head><title>Home</title></head><body><script src="assets/js/seo-meta-generator.js"></script></body></html>');
+    }
+
+    /**
+     * Only pages that load main.js are rendered, and authoring templates are skipped
+     */
+    async testPageSelection() {
+        const testName = 'Page Selection';
+
+        try {
+            const pages = this.prerenderer.getPages().map(page => page.url);
+            const home = await this.prerenderer.renderPage({ url: '/', file: this.site.path('index.html') });
+
+            if (pages.join(' ') === '/ /documents/llm-guide.html /comparisons/ggufloader-vs-lmstudio.html' && !home.rendered) {
+                this.addTest(testName, true, 'Template excluded; the homepage, which never runs main.js, is left alone');
+            } else {
+                this.addTest(testName, false, `Pages: ${pages.join(' ')}, homepage rendered: ${home.rendered}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing page selection: ${error.message}`);
+        }
+    }
+
+    /**
+     * --diff lists missing and differing tags, and why bake would keep some, without
+     * touching the page
+     */
+    async testDiffMode() {
+        const testName = 'Diff Mode';
+
+        try {
+            const file = this.site.path('documents/llm-guide.html');
+            const before = fs.readFileSync(file, 'utf8');
+            const report = await this.prerenderer.run({ write: false });
+            const page = report.pages.find(entry => entry.url === '/documents/llm-guide.html');
+            const status = key => (page.changes.find(change => change.key === key) || {}).status;
+            const kept = key => (page.changes.find(change => change.key === key) || {}).kept;
+            const article = page.changes.find(change => change.key === 'script#main-structured-data') || {};
+            const issues = [];
+
+            if (status('title') !== 'different') issues.push(`title ${status('title')}`);
+            if (status('link[rel="canonical"]') !== 'different') issues.push('canonical');
+            if (status('meta[name="description"]')) issues.push('unchanged description reported');
+            if (status('meta[name="robots"]') !== 'missing' || status('meta[property="og:title"]') !== 'missing') issues.push('missing meta not reported');
+            if (status('script#breadcrumb-structured-data') !== 'missing') issues.push('breadcrumb');
+            if (!article.duplicates || article.duplicates[0] !== 'Article' || !article.kept) issues.push('duplicate Article not flagged');
+            if (!kept('title') || kept('meta[name="robots"]') || kept('script#breadcrumb-structured-data')) issues.push('wrong tags kept');
+            if (kept('meta[property="og:image"]') !== '/assets/images/default-og-image.jpg does not exist') issues.push(`og:image kept: ${kept('meta[property="og:image"]')}`);
+            if (page.changes.find(change => change.key === 'title').runtime !== 'Complete LLM Implementation Guide - Tools and Best Practices') issues.push('title from unrelated script');
+            if (fs.readFileSync(file, 'utf8') !== before) issues.push('page written');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, `${page.changes.length} disagreements listed; static values, the duplicate Article and a missing image kept; page untouched`);
+            } else {
+                this.addTest(testName, false, issues.join(', '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing diff mode: ${error.message}`);
+        }
+    }
+
+    /**
+     * Baking leaves the static tags as they are and appends the missing ones to <head>,
+     * marked as baked
+     */
+    async testBaking() {
+        const testName = 'Baking';
+
+        try {
+            await this.prerenderer.run();
+            const html = this.site.read('documents/llm-guide.html');
+            const document = new JSDOM(html).window.document;
+            const blocks = Array.from(document.querySelectorAll('script[type="application/ld+json"][id]')).map(script => JSON.parse(script.textContent));
+            const issues = [];
+
+            if (!html.includes('\n    <title>Old guide title</title>\n    <meta name="description"')) issues.push('static title overwritten');
+            if (document.querySelector('link[rel="canonical"]').href !== 'https://llm-toolkit.github.io/documents/old-guide.html') issues.push('static canonical overwritten');
+            if (document.querySelectorAll('link[rel="canonical"], title').length !== 2) issues.push('duplicated tags');
+            if (!html.includes('\n    <meta name="robots" content="index, follow" data-prerendered="">\n')) issues.push('missing meta not indented like its neighbours');
+            if (document.querySelector('meta[property="og:image"], meta[property="og:image:alt"]')) issues.push('og:image pointing at a missing file baked');
+            if (!html.includes('    <script type="application/ld+json" id="breadcrumb-structured-data" data-prerendered="">\n    {\n        "@context": "https://schema.org",')) issues.push('JSON-LD layout');
+            if (blocks.map(block => block['@type']).join() !== 'BreadcrumbList') issues.push(`blocks ${blocks.map(block => block['@type'])}`);
+            if (blocks[0] && blocks[0].itemListElement.map(item => `${item.name} ${item.item}`).join() !==
+                'Home https://llm-toolkit.github.io/,Complete LLM Implementation Guide https://llm-toolkit.github.io/documents/llm-guide.html') issues.push('breadcrumb not taken from the page');
+            if (!html.endsWith(`</head>\n${this.guideBody}`)) issues.push('body changed');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Static title, canonical and Article kept; missing meta and JSON-LD added before </head>; body byte for byte');
+            } else {
+                this.addTest(testName, false, issues.join(', '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing baking: ${error.message}`);
+        }
+    }
+
+    /**
+     * A baked page has nothing left to add; only the disagreements bake keeps remain
+     */
+    async testRerun() {
+        const testName = 'Re-run';
+
+        try {
+            const file = this.site.path('documents/llm-guide.html');
+            const baked = fs.readFileSync(file, 'utf8');
+            const diff = await this.prerenderer.run({ write: false });
+            await this.prerenderer.run();
+
+            const added = diff.pages.flatMap(page => page.changes).filter(change => !change.kept);
+
+            if (added.length === 0 && diff.summary.kept > 0 && fs.readFileSync(file, 'utf8') === baked) {
+                this.addTest(testName, true, `Nothing left to add after baking; ${diff.summary.kept} kept disagreements still reported; a second build leaves pages as they were`);
+            } else {
+                this.addTest(testName, false, `Still to add: ${added.map(change => change.key).join(', ') || 'none'}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing re-run: ${error.message}`);
+        }
+    }
+
+    /**
+     * Once the runtime gives a baked tag another value, the next build writes it in place;
+     * hand-written tags the runtime disagrees with stay as they are
+     */
+    async testRebake() {
+        const testName = 'Re-bake';
+
+        try {
+            this.site.write('documents/llm-guide.html', this.site.read('documents/llm-guide.html')
+                .replace('<h1>Complete LLM Implementation Guide</h1>', '<h1>LLM Guide, Second Edition</h1>'));
+            await this.prerenderer.run();
+
+            const html = this.site.read('documents/llm-guide.html');
+            const document = new JSDOM(html).window.document;
+            const breadcrumbs = document.querySelectorAll('#breadcrumb-structured-data');
+            const trail = breadcrumbs.length === 1 ? JSON.parse(breadcrumbs[0].textContent).itemListElement : [];
+            const issues = [];
+
+            if (breadcrumbs.length !== 1 || !breadcrumbs[0].hasAttribute('data-prerendered')) issues.push(`${breadcrumbs.length} breadcrumb blocks`);
+            if (!trail[1] || trail[1].name !== 'LLM Guide, Second Edition') issues.push('baked breadcrumb not replaced');
+            if (document.title !== 'Old guide title') issues.push('static title replaced');
+            if (!html.includes('id="breadcrumb-structured-data" data-prerendered="">\n    {\n        "@context"')) issues.push('JSON-LD layout');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'Baked breadcrumb rewritten in place with the new heading; hand-written title kept');
+            } else {
+                this.addTest(testName, false, issues.join(', '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing re-bake: ${error.message}`);
+        }
+    }
+
+    /**
+     * Facts ToolSchemaGenerator adds after fetching the installation guide are baked too,
+     * but no HowTo, as the page doesn't show the guide; its own title and Review stay the only ones
+     */
+    testComparisonPage() {
+        const testName = 'Comparison Page';
+
+        try {
+            const document = new JSDOM(this.site.read('comparisons/ggufloader-vs-lmstudio.html')).window.document;
+            const block = id => {
+                const script = document.getElementById(id);
+                return script ? JSON.parse(script.textContent) : {};
+            };
+            const howTo = block('howto-structured-data');
+            const software = block('software-structured-data-ggufloader');
+
+            const reviews = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+                .filter(script => JSON.parse(script.textContent)['@type'] === 'Review').length;
+
+            if (document.title === this.comparisonTitle && !howTo.step &&
+                software.softwareVersion === '2.0.0' && reviews === 1 && !document.getElementById('main-structured-data') &&
+                document.querySelectorAll('script[src]').length > 0) {
+                this.addTest(testName, true, 'SoftwareApplication facts from the installation guide baked into the real comparison page, without a HowTo; its title and Review kept');
+            } else {
+                this.addTest(testName, false, `Title "${document.title}", Reviews ${reviews}, HowTo steps ${howTo.step ? howTo.step.length : 0}, version ${software.softwareVersion}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing comparison page: ${error.message}`);
+        }
+    }
+
+    /**
+     * The last run's report is written under build-reports/
+     */
+    testReport() {
+        const testName = 'Report';
+
+        try {
+            const report = JSON.parse(this.site.read('build-reports/seo-prerender.json'));
+
+            if (report.mode === 'bake' && report.summary.pages === 3 && report.summary.rendered === 2 &&
+                report.pages.every(page => Array.isArray(page.changes) && Array.isArray(page.warnings))) {
+                this.addTest(testName, true, 'build-reports/seo-prerender.json lists every page with its changes and warnings');
+            } else {
+                this.addTest(testName, false, `Summary: ${JSON.stringify(report.summary)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧱 SEO PRE-RENDER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/seo-prerender-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new SEOPrerenderValidator();
+    validator.validateSEOPrerender().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = SEOPrerenderValidator;
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const LinkChecker = require('../scripts/link-checker');
 
 class SEOValidator {
     constructor() {
@@ -11,6 +12,9 @@ class SEOValidator {
             warnings: 0,
             tests: []
         };
+
+        // Authoring templates hold placeholder copy and links that only resolve once filled in
+        this.excludedFiles = ['documents/document-template.html'];
     }
 
     // Simple HTML parsing helpers
@@ -133,6 +137,13 @@ class SEOValidator {
 
         // Test 10: Open Graph tags
         this.validateOpenGraph(document);
+
+        // Test 11: OpenSearch description link for crawlers and browsers
+        if (/<link[^>]+rel=["']search["'][^>]+type=["']application\/opensearchdescription\+xml["']/i.test(html)) {
+            this.addTest('OpenSearch Link', 'pass', 'OpenSearch description linked');
+        } else {
+            this.addTest('OpenSearch Link', 'warning', 'Missing <link rel="search"> to /opensearch.xml');
+        }
     }
 
     // Validate heading hierarchy
@@ -225,40 +236,14 @@ class SEOValidator {
         }
     }
 
-    // Validate internal links
+    // Validate internal links and #fragments with the site link checker
     validateInternalLinks(document, filePath) {
-        const links = document.querySelectorAll('a[href]');
-        let internalLinks = 0;
-        let externalLinks = 0;
-        let brokenLinks = [];
-
-        links.forEach(link => {
-            const href = link.getAttribute('href');
-            
-            if (!href) return; // Skip links without href
-            
-            if (href.startsWith('http://') || href.startsWith('https://')) {
-                externalLinks++;
-            } else if (href.startsWith('#')) {
-                // Fragment link - check if target exists
-                const targetId = href.substring(1);
-                const target = document.getElementById(targetId);
-                if (!target) {
-                    brokenLinks.push(`Fragment link ${href} has no target`);
-                }
-                internalLinks++;
-            } else {
-                // Relative link - check if file exists
-                const linkPath = path.resolve(path.dirname(filePath), href);
-                if (!fs.existsSync(linkPath)) {
-                    brokenLinks.push(`Relative link ${href} points to non-existent file`);
-                }
-                internalLinks++;
-            }
-        });
+        this.linkChecker = this.linkChecker || new LinkChecker();
+        const result = this.linkChecker.checkPage(path.resolve(filePath));
+        const brokenLinks = result.broken.map(link => `Line ${link.line}: ${link.href} - ${link.reason}`);
 
         if (brokenLinks.length === 0) {
-            this.addTest('Internal Links', 'pass', `${internalLinks} internal links, ${externalLinks} external links - all valid`);
+            this.addTest('Internal Links', 'pass', `${result.internal} internal links, ${result.external.length} external links - all valid`);
         } else {
             this.addTest('Internal Links', 'fail', `Found ${brokenLinks.length} broken links`, brokenLinks);
         }
@@ -288,7 +273,9 @@ class SEOValidator {
     validateAllPages() {
         console.log('🚀 Starting SEO validation for all pages...\n');
 
-        const htmlFiles = this.findHTMLFiles('.');
+        // Pages kept out of search results (the offline fallback) aren't checked for ranking
+        const htmlFiles = this.findHTMLFiles('.')
+            .filter(file => !/<meta\s+name=["']robots["'][^>]*content=["'][^"']*noindex/i.test(fs.readFileSync(file, 'utf8')));
         
         htmlFiles.forEach(file => {
             this.validateHTMLFile(file);
@@ -311,7 +298,8 @@ class SEOValidator {
                 if (stat.isDirectory() && !item.startsWith('.') && item !== 'node_modules') {
                     walkDir(fullPath);
                 } else if (stat.isFile() && item.endsWith('.html')) {
-                    files.push(fullPath.replace(/\\/g, '/'));
+                    const file = fullPath.replace(/\\/g, '/');
+                    if (!this.excludedFiles.includes(file)) files.push(file);
                 }
             });
         };
@@ -0,0 +1,169 @@
+/**
+ * Service Worker Fixture
+ * A fixture site with the repository's sw.js built for it, and stand-ins for Cache
+ * Storage, the network and the worker's event loop, for the service worker and
+ * precache manifest suites
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const PrecacheManifestBuilder = require('../scripts/build-precache-manifest');
+const FixtureSite = require('./fixture-site');
+
+const SW_SOURCE = path.join(__dirname, '..', 'sw.js');
+const ORIGIN = 'https://example.com';
+
+class ServiceWorkerFixture extends FixtureSite {
+    constructor(name, config) {
+        super(name);
+        this.config = config;
+        this.origin = ORIGIN;
+    }
+
+    builder(config = this.config) {
+        return new PrecacheManifestBuilder({
+            rootDir: this.dir,
+            config,
+            reportPath: this.path('build-reports/precache-manifest.json')
+        });
+    }
+
+    page(title) {
+        return `<!DOCTYPE html><html><head><title>${title}</title></head><body><h1>${title}</h1></body></html>`;
+    }
+
+    /**
+     * A home page, an offline page and a stylesheet to precache, and the repository's
+     * sw.js built with the fixture routes
+     */
+    createSite() {
+        this.write('index.html', this.page('Home'));
+        this.write('offline.html', this.page('Offline'));
+        this.write('assets/css/site.css', 'body { margin: 0; }');
+        this.write('sw.js', fs.readFileSync(SW_SOURCE, 'utf8'));
+        this.builder().run();
+        this.source = this.read('sw.js');
+    }
+
+    /**
+     * A Cache Storage stand-in keyed by absolute URL; like the real one, each match
+     * returns a fresh copy of the stored response
+     */
+    createCacheStorage() {
+        const stores = new Map();
+        const keyOf = request => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+        const open = name => {
+            if (!stores.has(name)) stores.set(name, new Map());
+            const store = stores.get(name);
+            return {
+                match: async request => {
+                    const response = request === undefined ? undefined : store.get(keyOf(request));
+                    return response && response.clone();
+                },
+                put: async (request, response) => { store.set(keyOf(request), response); },
+                delete: async request => store.delete(keyOf(request)),
+                keys: async () => [...store.keys()].map(url => ({ url }))
+            };
+        };
+
+        return {
+            stores,
+            caches: {
+                open: async name => open(name),
+                keys: async () => [...stores.keys()],
+                delete: async name => stores.delete(name),
+                has: async name => stores.has(name)
+            }
+        };
+    }
+
+    /**
+     * A network stand-in serving `pages` by path, starting with the precached fixture
+     * files; offline it rejects like fetch does, and `delay` holds responses back
+     */
+    createNetwork() {
+        const pages = {};
+        this.builder().build().manifest.forEach(({ url }) => { pages[url] = this.read(url.slice(1)); });
+        const network = { online: true, delay: 0, pages, fetched: [], pending: [] };
+
+        network.fetch = request => {
+            const url = new URL(typeof request === 'string' ? request : request.url, ORIGIN);
+            network.fetched.push(url.pathname);
+
+            const result = new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    if (!network.online) {
+                        reject(new TypeError('Failed to fetch'));
+                        return;
+                    }
+                    const body = network.pages[url.pathname];
+                    const response = new Response(body === undefined ? 'Not found' : body, { status: body === undefined ? 404 : 200 });
+                    Object.defineProperty(response, 'type', { value: 'basic' });
+                    resolve(response);
+                }, network.delay);
+            });
+            network.pending.push(result.catch(() => null));
+            return result;
+        };
+
+        return network;
+    }
+
+    /**
+     * Load sw.js (or another build of it) into a sandbox with the given caches, network
+     * and clock, install and activate it, and return the paths installing fetched and
+     * request(path, mode) resolving to the response body (or null for an error
+     * response) once background cache writes have finished
+     */
+    async loadServiceWorker({ caches, network, clock = { now: 0 }, source = this.source }) {
+        const listeners = {};
+        const sandbox = {
+            URL,
+            Headers,
+            Response,
+            caches,
+            setTimeout,
+            clearTimeout,
+            Date: { now: () => clock.now },
+            console: { log: () => {} },
+            fetch: network.fetch
+        };
+        sandbox.self = {
+            location: { origin: ORIGIN },
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            skipWaiting: async () => {},
+            clients: { claim: async () => {} }
+        };
+
+        vm.createContext(sandbox);
+        vm.runInContext(source, sandbox, { filename: 'sw.js' });
+
+        const dispatch = async (type, event = {}) => {
+            const waiting = [];
+            let response = null;
+            listeners[type]({
+                ...event,
+                waitUntil: promise => { waiting.push(promise); },
+                respondWith: promise => { response = promise; }
+            });
+            const result = response ? await response : undefined;
+            await Promise.all(waiting);
+            return result;
+        };
+
+        await dispatch('install');
+        await dispatch('activate');
+        const installed = network.fetched.splice(0);
+
+        const request = async (pathname, mode = 'no-cors') => {
+            const response = await dispatch('fetch', { request: { url: `${ORIGIN}${pathname}`, method: 'GET', mode } });
+            if (!response) return undefined;
+            return response.type === 'error' ? null : response.text();
+        };
+
+        return { dispatch, request, installed };
+    }
+}
+
+module.exports = ServiceWorkerFixture;
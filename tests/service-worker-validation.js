@@ -0,0 +1,411 @@
+/**
+ * Service Worker Validation Test Suite
+ * Runs sw.js, built for a fixture site, against a fake Cache Storage and network to
+ * test each route's caching strategy, cache limits and expiry, the offline page, and
+ * the list of saved pages offline.html shows. The fixture site and stand-ins are in
+ * service-worker-fixture.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const OfflinePage = require('../assets/js/offline-page');
+const ServiceWorkerFixture = require('./service-worker-fixture');
+
+class ServiceWorkerValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+        this.config = {
+            path: 'sw.js',
+            precache: ['index.html', 'offline.html', 'assets/css/site.css'],
+            routes: [
+                { pattern: '(\\.html|/)$', strategy: 'network-first', cache: 'pages', networkTimeoutSeconds: 0.05, maxEntries: 10 },
+                { pattern: '\\.(css|js)$', strategy: 'stale-while-revalidate', cache: 'assets', maxEntries: 10 },
+                { pattern: '\\.png$', strategy: 'cache-first', cache: 'images', maxEntries: 2, maxAgeSeconds: 60 }
+            ],
+            offlinePage: '/offline.html'
+        };
+    }
+
+    /**
+     * Run all service worker validations
+     */
+    async validateServiceWorker() {
+        console.log('🛰️ Validating service worker...\n');
+
+        this.fixture = new ServiceWorkerFixture('service-worker', this.config);
+
+        try {
+            this.fixture.createSite();
+
+            this.testRouteConfig();
+            await this.testNetworkFirst();
+            await this.testNetworkTimeout();
+            await this.testStaleWhileRevalidate();
+            await this.testCacheFirstExpiry();
+            await this.testCacheLimits();
+            await this.testOfflineFallback();
+            await this.testOfflinePageList();
+        } catch (error) {
+            this.addTest('Service Worker', false, `Error running service worker checks: ${error.message}`);
+        } finally {
+            this.fixture.remove();
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    /**
+     * The routes and offline page are injected into sw.js, and a route or offline page
+     * sw.js can't use stops the build
+     */
+    testRouteConfig() {
+        const testName = 'Route Config';
+
+        try {
+            const problems = config => {
+                try {
+                    this.fixture.builder(config).run({ write: false });
+                    return '';
+                } catch (error) {
+                    return error.message;
+                }
+            };
+
+            const unknownStrategy = problems({
+                ...this.config,
+                routes: [{ pattern: '\\.js$', strategy: 'cache-only', cache: 'assets' }]
+            });
+            const badPattern = problems({
+                ...this.config,
+                routes: [{ pattern: '(\\.html', strategy: 'network-first', cache: 'pages' }]
+            });
+            const notPrecached = problems({ ...this.config, precache: ['index.html'] });
+
+            if (this.fixture.source.includes("const OFFLINE_PAGE = '/offline.html';") &&
+                this.fixture.source.includes("strategy: 'cache-first', cache: 'images', maxEntries: 2, maxAgeSeconds: 60") &&
+                /unknown strategy "cache-only"/.test(unknownStrategy) &&
+                /invalid pattern/.test(badPattern) &&
+                /Offline page \/offline\.html is not in the precache manifest/.test(notPrecached)) {
+                this.addTest(testName, true, 'Routes and offline page injected; unknown strategies, bad patterns and an uncached offline page rejected');
+            } else {
+                this.addTest(testName, false, `Errors: "${unknownStrategy}", "${badPattern}", "${notPrecached}"`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing route config: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pages come from the network while online, so edits show up at once, and from
+     * the runtime cache, then the precache, when the network fails
+     */
+    async testNetworkFirst() {
+        const testName = 'Network First';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            network.pages['/documents/guide.html'] = 'guide v1';
+            network.pages['/'] = 'home from network';
+            const first = await worker.request('/documents/guide.html', 'navigate');
+            network.pages['/documents/guide.html'] = 'guide v2';
+            const second = await worker.request('/documents/guide.html', 'navigate');
+
+            network.online = false;
+            const offline = await worker.request('/documents/guide.html', 'navigate');
+            const home = await worker.request('/', 'navigate');
+
+            if (first === 'guide v1' && second === 'guide v2' && offline === 'guide v2' && home === this.fixture.page('Home')) {
+                this.addTest(testName, true, 'Fresh page served online; cached copy offline; precached home page as a last resort');
+            } else {
+                this.addTest(testName, false, `Responses: ${first}, ${second}, ${offline}, ${home}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing network first: ${error.message}`);
+        }
+    }
+
+    /**
+     * A network slower than networkTimeoutSeconds gets the cached page instead, and the
+     * late response still refreshes the cache
+     */
+    async testNetworkTimeout() {
+        const testName = 'Network Timeout';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            network.pages['/documents/guide.html'] = 'guide v1';
+            await worker.request('/documents/guide.html', 'navigate');
+
+            network.pages['/documents/guide.html'] = 'guide v2';
+            network.delay = 200;
+            const slow = await worker.request('/documents/guide.html', 'navigate');
+            await Promise.all(network.pending);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            network.online = false;
+            network.delay = 0;
+            const later = await worker.request('/documents/guide.html', 'navigate');
+
+            if (slow === 'guide v1' && later === 'guide v2') {
+                this.addTest(testName, true, 'Cached page served after the 50ms timeout; the late response updated the cache');
+            } else {
+                this.addTest(testName, false, `Responses: ${slow}, then ${later}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing network timeout: ${error.message}`);
+        }
+    }
+
+    /**
+     * Scripts come from the cache at once and are refreshed in the background; a
+     * precached stylesheet is served without a request
+     */
+    async testStaleWhileRevalidate() {
+        const testName = 'Stale While Revalidate';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            network.pages['/assets/js/app.js'] = 'app v1';
+            const first = await worker.request('/assets/js/app.js');
+            network.pages['/assets/js/app.js'] = 'app v2';
+            const second = await worker.request('/assets/js/app.js');
+            const third = await worker.request('/assets/js/app.js');
+            const requests = network.fetched.length;
+            const stylesheet = await worker.request('/assets/css/site.css');
+
+            if (first === 'app v1' && second === 'app v1' && third === 'app v2' && requests === 3 &&
+                stylesheet === 'body { margin: 0; }' && network.fetched.length === requests) {
+                this.addTest(testName, true, 'Cached script served while the update downloaded; precached stylesheet served without a request');
+            } else {
+                this.addTest(testName, false, `Responses: ${first}, ${second}, ${third}; fetched ${network.fetched.join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing stale while revalidate: ${error.message}`);
+        }
+    }
+
+    /**
+     * Images come from the cache until they are older than maxAgeSeconds; an expired
+     * copy still beats a failed request
+     */
+    async testCacheFirstExpiry() {
+        const testName = 'Cache First Expiry';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const clock = { now: Date.UTC(2026, 0, 1) };
+            const worker = await this.fixture.loadServiceWorker({ caches, network, clock });
+
+            network.pages['/assets/images/logo.png'] = 'logo v1';
+            await worker.request('/assets/images/logo.png');
+            network.pages['/assets/images/logo.png'] = 'logo v2';
+
+            clock.now += 30 * 1000;
+            const fresh = await worker.request('/assets/images/logo.png');
+            const requestsWhileFresh = network.fetched.length;
+
+            clock.now += 60 * 1000;
+            const refetched = await worker.request('/assets/images/logo.png');
+
+            clock.now += 120 * 1000;
+            network.online = false;
+            const expiredOffline = await worker.request('/assets/images/logo.png');
+
+            if (fresh === 'logo v1' && requestsWhileFresh === 1 && refetched === 'logo v2' && expiredOffline === 'logo v2') {
+                this.addTest(testName, true, 'Image served from the cache for 60s, then fetched again; expired copy used offline');
+            } else {
+                this.addTest(testName, false, `Responses: ${fresh}, ${refetched}, ${expiredOffline}; requests while fresh: ${requestsWhileFresh}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing cache first expiry: ${error.message}`);
+        }
+    }
+
+    /**
+     * Route caches keep at most maxEntries, dropping the least recently stored, and
+     * caches no route uses are deleted on activate
+     */
+    async testCacheLimits() {
+        const testName = 'Cache Limits';
+
+        try {
+            const { stores, caches } = this.fixture.createCacheStorage();
+            await caches.open('llm-tools-hub-runtime-old');
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            ['a', 'b', 'c'].forEach(name => { network.pages[`/assets/images/${name}.png`] = name; });
+            await worker.request('/assets/images/a.png');
+            await worker.request('/assets/images/b.png');
+            await worker.request('/assets/images/c.png');
+
+            const images = [...stores.get('llm-tools-hub-images').keys()].map(url => new URL(url).pathname);
+
+            if (images.join() === '/assets/images/b.png,/assets/images/c.png' &&
+                !stores.has('llm-tools-hub-runtime-old') && stores.has('llm-tools-hub-precache')) {
+                this.addTest(testName, true, 'Image cache trimmed to 2 entries, oldest dropped; unused cache deleted on activate');
+            } else {
+                this.addTest(testName, false, `Image cache: ${images.join(', ')}; caches: ${[...stores.keys()].join(', ')}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing cache limits: ${error.message}`);
+        }
+    }
+
+    /**
+     * Offline, a page with no cached copy gets the offline page; other requests fail
+     * rather than getting HTML in place of a script
+     */
+    async testOfflineFallback() {
+        const testName = 'Offline Fallback';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            network.online = false;
+            const page = await worker.request('/documents/new-guide.html', 'navigate');
+            const script = await worker.request('/assets/js/new.js');
+            const unrouted = await worker.request('/feed.xml');
+
+            if (page === this.fixture.page('Offline') && script === null && unrouted === undefined) {
+                this.addTest(testName, true, 'Offline page shown for an uncached page; uncached script failed; unrouted request left to the browser');
+            } else {
+                this.addTest(testName, false, `Page: ${page}; script: ${script}; unrouted: ${unrouted}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing offline fallback: ${error.message}`);
+        }
+    }
+
+    /**
+     * offline.html lists the cached pages by title, once each and without itself
+     */
+    async testOfflinePageList() {
+        const testName = 'Offline Page List';
+
+        try {
+            const { caches } = this.fixture.createCacheStorage();
+            const network = this.fixture.createNetwork();
+            const worker = await this.fixture.loadServiceWorker({ caches, network });
+
+            network.pages['/documents/guide.html'] = this.fixture.page('Guide to Local LLMs');
+            network.pages['/comparisons/tools.html'] = this.fixture.page('Tool Comparison');
+            network.pages['/index.html'] = this.fixture.page('Home');
+            network.pages['/assets/js/app.js'] = 'app';
+            await worker.request('/documents/guide.html', 'navigate');
+            await worker.request('/comparisons/tools.html', 'navigate');
+            await worker.request('/index.html', 'navigate');
+            await worker.request('/assets/js/app.js');
+
+            const dom = new JSDOM('<!DOCTYPE html><ul id="offline-pages"><li>Home</li></ul>');
+            const list = dom.window.document.getElementById('offline-pages');
+            await new OfflinePage({ caches }).render(list);
+            const links = [...list.querySelectorAll('a')].map(link => `${link.textContent}=${link.getAttribute('href')}`);
+
+            const { caches: empty } = this.fixture.createCacheStorage();
+            await new OfflinePage({ caches: empty }).render(list);
+            const emptyMessage = list.textContent;
+
+            if (links.join('|') === 'Guide to Local LLMs=/documents/guide.html|Home=/|Tool Comparison=/comparisons/tools.html' &&
+                emptyMessage === 'No pages are saved on this device yet.') {
+                this.addTest(testName, true, '3 cached pages listed by title; offline page and script left out; message when nothing is saved');
+            } else {
+                this.addTest(testName, false, `Links: ${links.join(', ')}; empty: ${emptyMessage}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing offline page list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🛰️ SERVICE WORKER VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/service-worker-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new ServiceWorkerValidator();
+    validator.validateServiceWorker().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = ServiceWorkerValidator;
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const { JSDOM } = require('jsdom');
+const SchemaVocabulary = require('../scripts/schema-vocabulary');
 
 class StructuredDataValidator {
     constructor() {
@@ -12,15 +13,12 @@ class StructuredDataValidator {
             warnings: 0,
             tests: []
         };
-        
-        // Schema.org types we expect to find
-        this.expectedSchemas = {
-            'WebPage': ['name', 'description', 'url'],
-            'Article': ['headline', 'author', 'datePublished'],
-            'Organization': ['name', 'url'],
-            'WebSite': ['name', 'url'],
-            'BreadcrumbList': ['itemListElement']
-        };
+
+        // Schema.org vocabulary and Google rich result requirements
+        this.vocabulary = new SchemaVocabulary();
+
+        // Rich result features each page is eligible for
+        this.richResults = {};
     }
 
     // Test result helper
@@ -57,16 +55,22 @@ class StructuredDataValidator {
             return;
         }
 
-        // Validate each JSON-LD block
+        // Validate each JSON-LD block, then the page's blocks together
+        const blocks = [];
         jsonLdScripts.forEach((script, index) => {
-            this.validateJsonLdBlock(script.textContent, filePath, index + 1);
+            const data = this.validateJsonLdBlock(script.textContent, filePath, index + 1);
+            if (data) blocks.push({ data, blockId: `${path.basename(filePath)} Block ${index + 1}` });
         });
 
+        if (blocks.length > 0) {
+            this.validateVocabulary(blocks, filePath);
+        }
+
         // Check for microdata (alternative structured data format)
         this.validateMicrodata(document, filePath);
     }
 
-    // Validate individual JSON-LD block
+    // Validate individual JSON-LD block; returns the parsed data when it has the basics
     validateJsonLdBlock(jsonContent, filePath, blockNumber) {
         const blockId = `${path.basename(filePath)} Block ${blockNumber}`;
         
@@ -76,182 +80,85 @@ class StructuredDataValidator {
             // Test 1: Basic structure
             if (!data['@context']) {
                 this.addTest(`${blockId} @context`, 'fail', 'Missing @context property');
-                return;
+                return null;
             }
             
-            if (!data['@type']) {
+            if (!data['@type'] && !data['@graph']) {
                 this.addTest(`${blockId} @type`, 'fail', 'Missing @type property');
-                return;
+                return null;
             }
 
-            this.addTest(`${blockId} Basic Structure`, 'pass', `Valid JSON-LD with @type: ${data['@type']}`);
+            this.addTest(`${blockId} Basic Structure`, 'pass', `Valid JSON-LD with @type: ${data['@type'] || '@graph'}`);
 
             // Test 2: Context validation
-            if (data['@context'] === 'https://schema.org' || data['@context'] === 'http://schema.org') {
+            if (/^https?:\/\/schema\.org\/?$/.test(data['@context'])) {
                 this.addTest(`${blockId} Context`, 'pass', 'Valid Schema.org context');
             } else {
-                this.addTest(`${blockId} Context`, 'warning', `Non-standard context: ${data['@context']}`);
+                this.addTest(`${blockId} Context`, 'warning', `Non-standard context: ${JSON.stringify(data['@context'])}`);
             }
 
-            // Test 3: Type-specific validation
-            this.validateSchemaType(data, blockId);
-
-            // Test 4: Required properties
-            this.validateRequiredProperties(data, blockId);
-
-            // Test 5: URL validation
-            this.validateUrls(data, blockId);
-
+            return data;
         } catch (error) {
             this.addTest(`${blockId} JSON Parsing`, 'fail', `Invalid JSON: ${error.message}`);
+            return null;
         }
     }
 
-    // Validate specific schema types
-    validateSchemaType(data, blockId) {
-        const type = data['@type'];
-        
-        switch (type) {
-            case 'WebPage':
-                this.validateWebPageSchema(data, blockId);
-                break;
-            case 'Article':
-                this.validateArticleSchema(data, blockId);
-                break;
-            case 'Organization':
-                this.validateOrganizationSchema(data, blockId);
-                break;
-            case 'WebSite':
-                this.validateWebSiteSchema(data, blockId);
-                break;
-            case 'BreadcrumbList':
-                this.validateBreadcrumbSchema(data, blockId);
-                break;
-            default:
-                this.addTest(`${blockId} Schema Type`, 'warning', `Uncommon schema type: ${type}`);
-        }
-    }
+    // Validate a page's JSON-LD against the schema.org vocabulary and rich result requirements
+    validateVocabulary(blocks, filePath) {
+        const pageName = path.basename(filePath);
+        const result = this.vocabulary.validatePage(blocks.map(block => block.data));
 
-    // Validate WebPage schema
-    validateWebPageSchema(data, blockId) {
-        const required = ['name', 'description', 'url'];
-        const recommended = ['author', 'datePublished', 'dateModified'];
-        
-        this.checkRequiredFields(data, required, blockId, 'WebPage');
-        this.checkRecommendedFields(data, recommended, blockId, 'WebPage');
-    }
-
-    // Validate Article schema
-    validateArticleSchema(data, blockId) {
-        const required = ['headline', 'author', 'datePublished'];
-        const recommended = ['description', 'image', 'publisher'];
-        
-        this.checkRequiredFields(data, required, blockId, 'Article');
-        this.checkRecommendedFields(data, recommended, blockId, 'Article');
-    }
-
-    // Validate Organization schema
-    validateOrganizationSchema(data, blockId) {
-        const required = ['name', 'url'];
-        const recommended = ['logo', 'description', 'sameAs'];
-        
-        this.checkRequiredFields(data, required, blockId, 'Organization');
-        this.checkRecommendedFields(data, recommended, blockId, 'Organization');
-    }
+        // Test 3: Types, property domains and ranges, nested items
+        result.blocks.forEach((block, index) => {
+            const blockId = blocks[index].blockId;
 
-    // Validate WebSite schema
-    validateWebSiteSchema(data, blockId) {
-        const required = ['name', 'url'];
-        const recommended = ['description', 'publisher', 'potentialAction'];
-        
-        this.checkRequiredFields(data, required, blockId, 'WebSite');
-        this.checkRecommendedFields(data, recommended, blockId, 'WebSite');
-    }
-
-    // Validate BreadcrumbList schema
-    validateBreadcrumbSchema(data, blockId) {
-        if (!data.itemListElement || !Array.isArray(data.itemListElement)) {
-            this.addTest(`${blockId} Breadcrumb Items`, 'fail', 'Missing or invalid itemListElement array');
-            return;
-        }
-
-        let validItems = 0;
-        data.itemListElement.forEach((item, index) => {
-            if (item['@type'] === 'ListItem' && item.position && item.name && item.item) {
-                validItems++;
+            if (block.errors.length === 0) {
+                this.addTest(`${blockId} Vocabulary`, 'pass', 'Types, properties and values match the schema.org vocabulary');
             } else {
-                this.addTest(`${blockId} Breadcrumb Item ${index + 1}`, 'fail', 'Invalid breadcrumb item structure');
+                this.addTest(`${blockId} Vocabulary`, 'fail', `${block.errors.length} schema.org vocabulary errors`, block.errors);
+            }
+            if (block.warnings.length > 0) {
+                this.addTest(`${blockId} Vocabulary Warnings`, 'warning', `${block.warnings.length} schema.org vocabulary warnings`, block.warnings);
             }
         });
 
-        if (validItems === data.itemListElement.length) {
-            this.addTest(`${blockId} Breadcrumb Structure`, 'pass', `All ${validItems} breadcrumb items valid`);
+        // Test 4: @id references across the page's blocks
+        if (result.errors.length > 0) {
+            this.addTest(`${pageName} @id References`, 'fail', `${result.errors.length} @id conflicts`, result.errors);
+        } else if (result.warnings.length > 0) {
+            this.addTest(`${pageName} @id References`, 'warning', `${result.references.unresolved.length} @id references not described on the page`, result.warnings);
+        } else if (result.references.total > 0) {
+            this.addTest(`${pageName} @id References`, 'pass', `${result.references.resolved} of ${result.references.total} @id references resolved on the page`);
         }
-    }
 
-    // Check required fields
-    checkRequiredFields(data, required, blockId, schemaType) {
-        const missing = required.filter(field => !data[field]);
-        
-        if (missing.length === 0) {
-            this.addTest(`${blockId} Required Fields`, 'pass', `All required ${schemaType} fields present`);
-        } else {
-            this.addTest(`${blockId} Required Fields`, 'fail', `Missing required fields: ${missing.join(', ')}`);
-        }
-    }
-
-    // Check recommended fields
-    checkRecommendedFields(data, recommended, blockId, schemaType) {
-        const present = recommended.filter(field => data[field]);
-        
-        if (present.length >= recommended.length * 0.7) {
-            this.addTest(`${blockId} Recommended Fields`, 'pass', `Good coverage of recommended ${schemaType} fields`);
-        } else {
-            this.addTest(`${blockId} Recommended Fields`, 'warning', `Consider adding: ${recommended.filter(f => !data[f]).join(', ')}`);
-        }
-    }
+        // Test 5: Rich result eligibility
+        result.richResults.forEach(rich => {
+            const testName = `${pageName} ${rich.feature} Rich Result`;
 
-    // Validate required properties based on schema type
-    validateRequiredProperties(data, blockId) {
-        const type = data['@type'];
-        const expectedProps = this.expectedSchemas[type];
-        
-        if (!expectedProps) return;
-        
-        const missingProps = expectedProps.filter(prop => !data[prop]);
-        
-        if (missingProps.length === 0) {
-            this.addTest(`${blockId} Properties`, 'pass', `All expected properties present for ${type}`);
-        } else {
-            this.addTest(`${blockId} Properties`, 'warning', `Missing recommended properties: ${missingProps.join(', ')}`);
-        }
-    }
+            if (!rich.eligible && !rich.targeted) {
+                // Not a failure: the item doesn't claim what the feature shows, e.g. a
+                // comparison Review of several tools without a verdict rating
+                this.addTest(testName, 'warning', `${rich.type} doesn't aim for this rich result (no ${rich.targets.join(' or ')})`);
+                return;
+            }
 
-    // Validate URLs in structured data
-    validateUrls(data, blockId) {
-        const urlFields = ['url', 'sameAs', 'image', 'logo'];
-        let validUrls = 0;
-        let invalidUrls = [];
-        
-        urlFields.forEach(field => {
-            if (data[field]) {
-                const urls = Array.isArray(data[field]) ? data[field] : [data[field]];
-                
-                urls.forEach(url => {
-                    if (typeof url === 'string' && (url.startsWith('http://') || url.startsWith('https://'))) {
-                        validUrls++;
-                    } else {
-                        invalidUrls.push(`${field}: ${url}`);
-                    }
-                });
+            if (!rich.eligible) {
+                this.addTest(testName, 'fail', `${rich.type} is not eligible`, rich.missing.map(requirement => `missing ${requirement}`).concat(rich.invalid));
+            } else if (rich.status !== 'active') {
+                this.addTest(testName, 'warning', `${rich.type} meets the requirements, but: ${rich.statusNote}`);
+            } else {
+                this.addTest(testName, 'pass', `${rich.type} is eligible`);
+            }
+            if (rich.recommended.length > 0) {
+                this.addTest(`${testName} Recommended`, 'warning', `Consider adding: ${rich.recommended.join(', ')}`);
             }
         });
-        
-        if (invalidUrls.length === 0 && validUrls > 0) {
-            this.addTest(`${blockId} URLs`, 'pass', `All ${validUrls} URLs are valid`);
-        } else if (invalidUrls.length > 0) {
-            this.addTest(`${blockId} URLs`, 'fail', 'Invalid URLs found', invalidUrls);
-        }
+
+        this.richResults[filePath] = result.richResults
+            .filter(rich => rich.eligible)
+            .map(rich => rich.status === 'active' ? rich.feature : `${rich.feature} (${rich.status})`)
+            .filter((feature, index, all) => all.indexOf(feature) === index);
     }
 
     // Validate microdata (alternative to JSON-LD)
@@ -327,6 +234,18 @@ class StructuredDataValidator {
             console.log('\n⚠️  Warning Tests:');
             warningTests.forEach(test => {
                 console.log(`   ${test.name}: ${test.message}`);
+                if (test.details) {
+                    test.details.forEach(detail => console.log(`     - ${detail}`));
+                }
+            });
+        }
+
+        const pages = Object.keys(this.richResults);
+        if (pages.length > 0) {
+            console.log('\n🏆 Rich Result Eligibility:');
+            pages.forEach(page => {
+                const features = this.richResults[page];
+                console.log(`   ${page}: ${features.length > 0 ? features.join(', ') : 'none'}`);
             });
         }
 
@@ -355,6 +274,7 @@ class StructuredDataValidator {
                 total: this.results.tests.length,
                 successRate: ((this.results.passed / this.results.tests.length) * 100).toFixed(2)
             },
+            richResults: this.richResults,
             tests: this.results.tests
         };
 
@@ -3,9 +3,89 @@
 const fs = require('fs');
 const path = require('path');
 const SEOValidator = require('./seo-validation');
+const SEOCrawlerValidator = require('./seo-crawler-validation');
+const LinkCheckerValidator = require('./link-checker-validation');
+const SEOPrerenderValidator = require('./seo-prerender-validation');
+const MetadataExtractionValidator = require('./metadata-extraction-validation');
+const ContentFingerprintsValidator = require('./content-fingerprints-validation');
+const ContentSnippetsValidator = require('./content-snippets-validation');
 const StructuredDataValidator = require('./structured-data-validation');
+const SchemaVocabularyValidator = require('./schema-vocabulary-validation');
+const ToolSchemaValidator = require('./tool-schema-validation');
 const PerformanceTester = require('./performance-testing');
+const PrecacheManifestValidator = require('./precache-manifest-validation');
+const ServiceWorkerValidator = require('./service-worker-validation');
 const SearchValidator = require('./search-validation');
+const SearchEngineValidator = require('./search-engine-validation');
+const SearchWorkerValidator = require('./search-worker-validation');
+const SearchEndpointsValidator = require('./search-endpoints-validation');
+const SearchInsightsValidator = require('./search-insights-validation');
+const SearchAutocompleteValidator = require('./search-autocomplete-validation');
+const BotLogAnalyzerValidator = require('./bot-log-analyzer-validation');
+const CrawlerVerifierValidator = require('./crawler-verifier-validation');
+const AnalyticsCollectorValidator = require('./analytics-collector-validation');
+const AnalyticsServerValidator = require('./analytics-server-validation');
+const AnalyticsRollupsValidator = require('./analytics-rollups-validation');
+const AnalyticsMonitorValidator = require('./analytics-monitor-validation');
+const AlertRouterValidator = require('./alert-router-validation');
+const FreshnessMetricsValidator = require('./freshness-metrics-validation');
+
+// The suites runAllTests runs, in order; each validator class is listed with the
+// method that runs it
+const SUITES = [
+    {
+        key: 'seo', name: 'SEO Validation', banner: '📊 Running SEO Validation Tests...',
+        validators: [
+            [SEOValidator, 'validateAllPages'],
+            [SEOCrawlerValidator, 'validateSEOCrawler'],
+            [LinkCheckerValidator, 'validateLinkChecker'],
+            [SEOPrerenderValidator, 'validateSEOPrerender'],
+            [MetadataExtractionValidator, 'validateMetadataExtraction'],
+            [ContentFingerprintsValidator, 'validateContentFingerprints'],
+            [ContentSnippetsValidator, 'validateContentSnippets']
+        ]
+    },
+    {
+        key: 'structuredData', name: 'Structured Data', banner: '🏗️  Running Structured Data Validation Tests...',
+        validators: [
+            [StructuredDataValidator, 'validateAllFiles'],
+            [SchemaVocabularyValidator, 'validateSchemaVocabulary'],
+            [ToolSchemaValidator, 'validateToolSchemas']
+        ]
+    },
+    {
+        key: 'performance', name: 'Performance', banner: '⚡ Running Performance Tests...',
+        validators: [
+            [PerformanceTester, 'testAllFiles'],
+            [PrecacheManifestValidator, 'validatePrecacheManifest'],
+            [ServiceWorkerValidator, 'validateServiceWorker']
+        ]
+    },
+    {
+        key: 'search', name: 'Search Validation', banner: '🔍 Running Search Validation Tests...',
+        validators: [
+            [SearchValidator, 'validateGGUFLoaderSearch'],
+            [SearchEngineValidator, 'validateSearchEngine'],
+            [SearchWorkerValidator, 'validateSearchWorker'],
+            [SearchEndpointsValidator, 'validateSearchEndpoints'],
+            [SearchInsightsValidator, 'validateSearchInsights'],
+            [SearchAutocompleteValidator, 'validateSearchAutocomplete']
+        ]
+    },
+    {
+        key: 'analytics', name: 'Analytics', banner: '📈 Running Analytics Tests...',
+        validators: [
+            [BotLogAnalyzerValidator, 'validateBotLogAnalyzer'],
+            [CrawlerVerifierValidator, 'validateCrawlerVerifier'],
+            [AnalyticsCollectorValidator, 'validateAnalyticsCollector'],
+            [AnalyticsServerValidator, 'validateAnalyticsServer'],
+            [AnalyticsRollupsValidator, 'validateAnalyticsRollups'],
+            [AnalyticsMonitorValidator, 'validateAnalyticsMonitor'],
+            [AlertRouterValidator, 'validateAlertRouter'],
+            [FreshnessMetricsValidator, 'validateFreshnessMetrics']
+        ]
+    }
+];
 
 class TestRunner {
     constructor() {
@@ -14,6 +94,7 @@ class TestRunner {
             structuredData: null,
             performance: null,
             search: null,
+            analytics: null,
             overall: {
                 passed: 0,
                 failed: 0,
@@ -31,49 +112,10 @@ class TestRunner {
         
         const startTime = Date.now();
         
-        // Run SEO validation
-        console.log('\n📊 Running SEO Validation Tests...');
-        const seoValidator = new SEOValidator();
-        seoValidator.validateAllPages();
-        this.results.seo = {
-            passed: seoValidator.results.passed,
-            failed: seoValidator.results.failed,
-            warnings: seoValidator.results.warnings,
-            total: seoValidator.results.tests.length
-        };
-        
-        // Run structured data validation
-        console.log('\n🏗️  Running Structured Data Validation Tests...');
-        const structuredDataValidator = new StructuredDataValidator();
-        structuredDataValidator.validateAllFiles();
-        this.results.structuredData = {
-            passed: structuredDataValidator.results.passed,
-            failed: structuredDataValidator.results.failed,
-            warnings: structuredDataValidator.results.warnings,
-            total: structuredDataValidator.results.tests.length
-        };
-        
-        // Run performance tests
-        console.log('\n⚡ Running Performance Tests...');
-        const performanceTester = new PerformanceTester();
-        performanceTester.testAllFiles();
-        this.results.performance = {
-            passed: performanceTester.results.passed,
-            failed: performanceTester.results.failed,
-            warnings: performanceTester.results.warnings,
-            total: performanceTester.results.tests.length
-        };
-        
-        // Run search validation tests
-        console.log('\n🔍 Running Search Validation Tests...');
-        const searchValidator = new SearchValidator();
-        searchValidator.validateGGUFLoaderSearch();
-        this.results.search = {
-            passed: searchValidator.results.passed,
-            failed: searchValidator.results.failed,
-            warnings: searchValidator.results.warnings,
-            total: searchValidator.results.tests.length
-        };
+        for (const suite of SUITES) {
+            console.log(`\n${suite.banner}`);
+            this.results[suite.key] = await this.runValidators(suite);
+        }
         
         // Calculate overall results
         this.calculateOverallResults();
@@ -87,9 +129,26 @@ class TestRunner {
         return this.results.overall.failed === 0;
     }
 
+    // Run a suite's validators one after another and add up their results
+    async runValidators(suite) {
+        const validators = [];
+        for (const [Validator, method] of suite.validators) {
+            const validator = new Validator();
+            await validator[method]();
+            validators.push(validator);
+        }
+
+        return {
+            passed: validators.reduce((sum, validator) => sum + validator.results.passed, 0),
+            failed: validators.reduce((sum, validator) => sum + validator.results.failed, 0),
+            warnings: validators.reduce((sum, validator) => sum + validator.results.warnings, 0),
+            total: validators.reduce((sum, validator) => sum + validator.results.tests.length, 0)
+        };
+    }
+
     // Calculate overall test results
     calculateOverallResults() {
-        const suites = [this.results.seo, this.results.structuredData, this.results.performance, this.results.search];
+        const suites = SUITES.map(suite => this.results[suite.key]);
         
         this.results.overall = suites.reduce((acc, suite) => ({
             passed: acc.passed + suite.passed,
@@ -121,29 +180,14 @@ class TestRunner {
         // Suite breakdown
         console.log('\n📊 Test Suite Breakdown:');
         
-        console.log('\n   SEO Validation:');
-        console.log(`     ✅ ${this.results.seo.passed} passed`);
-        console.log(`     ❌ ${this.results.seo.failed} failed`);
-        console.log(`     ⚠️  ${this.results.seo.warnings} warnings`);
-        console.log(`     📊 Score: ${this.calculateSuiteScore(this.results.seo)}%`);
-        
-        console.log('\n   Structured Data:');
-        console.log(`     ✅ ${this.results.structuredData.passed} passed`);
-        console.log(`     ❌ ${this.results.structuredData.failed} failed`);
-        console.log(`     ⚠️  ${this.results.structuredData.warnings} warnings`);
-        console.log(`     📊 Score: ${this.calculateSuiteScore(this.results.structuredData)}%`);
-        
-        console.log('\n   Performance:');
-        console.log(`     ✅ ${this.results.performance.passed} passed`);
-        console.log(`     ❌ ${this.results.performance.failed} failed`);
-        console.log(`     ⚠️  ${this.results.performance.warnings} warnings`);
-        console.log(`     📊 Score: ${this.calculateSuiteScore(this.results.performance)}%`);
-        
-        console.log('\n   Search Validation:');
-        console.log(`     ✅ ${this.results.search.passed} passed`);
-        console.log(`     ❌ ${this.results.search.failed} failed`);
-        console.log(`     ⚠️  ${this.results.search.warnings} warnings`);
-        console.log(`     📊 Score: ${this.calculateSuiteScore(this.results.search)}%`);
+        SUITES.forEach(suite => {
+            const results = this.results[suite.key];
+            console.log(`\n   ${suite.name}:`);
+            console.log(`     ✅ ${results.passed} passed`);
+            console.log(`     ❌ ${results.failed} failed`);
+            console.log(`     ⚠️  ${results.warnings} warnings`);
+            console.log(`     📊 Score: ${this.calculateSuiteScore(results)}%`);
+        });
         
         // Quality assessment
         this.generateQualityAssessment();
@@ -451,4 +495,4 @@ if (require.main === module) {
     }
 }
 
-module.exports = TestRunner;
\ No newline at end of file
+module.exports = TestRunner;
@@ -0,0 +1,338 @@
+/**
+ * Tool Schema Validation Test Suite
+ * Tests the SoftwareApplication, ItemList and HowTo schemas ToolSchemaGenerator
+ * derives from the comparison pages and doc/installation.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const StructuredDataGenerator = require('../assets/js/structured-data-generator');
+const ToolSchemaGenerator = require('../assets/js/tool-schema-generator');
+const SchemaVocabulary = require('../scripts/schema-vocabulary');
+
+const ROOT = path.join(__dirname, '..');
+const GUIDE_PATH = path.join(ROOT, 'doc', 'installation.md');
+
+class ToolSchemaValidator {
+    constructor() {
+        this.results = {
+            passed: 0,
+            failed: 0,
+            warnings: 0,
+            tests: []
+        };
+    }
+
+    /**
+     * Run all tool schema validations
+     */
+    async validateToolSchemas() {
+        console.log('🧰 Validating tool structured data...\n');
+
+        try {
+            this.guideMarkdown = fs.readFileSync(GUIDE_PATH, 'utf8');
+            this.ollama = this.generatorFor('comparisons/ollama-comparison.html');
+            this.ggufloader = this.generatorFor('comparisons/ggufloader-vs-lmstudio.html');
+            this.guide = this.ggufloader.parseInstallationGuide(this.guideMarkdown);
+
+            this.testComparedTools();
+            this.testSoftwareApplication();
+            this.testHowTo();
+            this.testRankings();
+            this.testAboutAndMentions();
+            this.testVocabulary();
+            await this.testRuntimeInsertion();
+        } catch (error) {
+            this.addTest('Tool Schemas', false, `Error running tool schema checks: ${error.message}`);
+        }
+
+        this.generateReport();
+
+        return this.results.failed === 0;
+    }
+
+    generatorFor(page) {
+        const document = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8')).window.document;
+        return new ToolSchemaGenerator(new StructuredDataGenerator(), document);
+    }
+
+    /**
+     * Tools come from the comparison table, tool cards and external links
+     */
+    testComparedTools() {
+        const testName = 'Compared Tools';
+
+        try {
+            const tools = this.ollama.extractTools();
+            const summary = tools.map(tool => `${tool.name}|${tool.operatingSystem || '-'}|${tool.rating ? tool.rating.value : '-'}|${tool.url || '-'}`);
+            const expected = [
+                'Ollama|Windows, macOS, Linux|4.8|https://ollama.com',
+                'GGUFLoader|-|-|https://ggufloader.github.io',
+                'LM Studio|Windows, macOS, Linux|-|https://lmstudio.ai'
+            ];
+
+            if (JSON.stringify(summary) === JSON.stringify(expected) && tools[0].description.startsWith('A streamlined command-line tool')) {
+                this.addTest(testName, true, 'Names, platforms, the 4.8/5 rating, descriptions and sites read from the Ollama page');
+            } else {
+                this.addTest(testName, false, `Tools: ${JSON.stringify(summary)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing compared tools: ${error.message}`);
+        }
+    }
+
+    /**
+     * SoftwareApplication carries platform, offers, version and download location; tools
+     * without a catalog price get no offers
+     */
+    testSoftwareApplication() {
+        const testName = 'SoftwareApplication';
+
+        try {
+            const [ggufloader, lmstudio] = this.ggufloader.extractTools()
+                .map(tool => this.ggufloader.generateSoftwareApplicationSchema(tool, this.guide));
+            const issues = [];
+
+            if (ggufloader.name !== 'GGUF Loader' || ggufloader.alternateName !== 'GGUFLoader') issues.push(`name ${ggufloader.name}`);
+            if (ggufloader.softwareVersion !== '2.0.0') issues.push(`version ${ggufloader.softwareVersion}`);
+            if (ggufloader.operatingSystem !== 'Windows 10/11, macOS 10.14+, or Linux') issues.push(`os ${ggufloader.operatingSystem}`);
+            if (ggufloader.downloadUrl !== 'https://pypi.org/project/ggufloader/' || ggufloader.softwareRequirements !== 'Python 3.8 or higher') issues.push('download/requirements');
+            if (ggufloader.offers.price !== '0' || ggufloader.offers.priceCurrency !== 'USD') issues.push('offers');
+            if (lmstudio.softwareVersion || lmstudio.operatingSystem !== 'Windows, macOS, Linux' || lmstudio.downloadUrl !== 'https://lmstudio.ai/download') issues.push('lm studio');
+            const unlisted = this.ggufloader.generateSoftwareApplicationSchema({ id: 'https://example.com/#software-other', name: 'Other', slug: 'other' });
+            if (unlisted.offers) issues.push('offers for a tool with no known price');
+
+            if (issues.length === 0) {
+                this.addTest(testName, true, 'GGUF Loader gets version 2.0.0 and requirements from the guide; LM Studio only what is known; no made-up prices');
+            } else {
+                this.addTest(testName, false, issues.join(', '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing SoftwareApplication: ${error.message}`);
+        }
+    }
+
+    /**
+     * HowTo steps come from the numbered steps in doc/installation.md, and only a page
+     * whose headings show those steps gets the HowTo
+     */
+    testHowTo() {
+        const testName = 'HowTo Installation Steps';
+
+        try {
+            const howTo = this.ggufloader.generateHowToSchema(this.guide, 'https://example.com/install');
+            const names = howTo.step.map(step => `${step.position}. ${step.name}`).join(' | ');
+            const expected = '1. Install Python | 2. Create Virtual Environment (Recommended) | 3. Install GGUF Loader | 4. Verify Installation';
+            const guidePage = new JSDOM(`<main>${this.guide.steps.map((step, index) => `<h3>Step ${index + 1}: ${step.name}</h3>`).join('')}</main>`).window.document;
+            const rendered = this.ggufloader.generateComparisonPageSchemas({ name: 'Install' }, this.guide, guidePage).howTo;
+            const comparison = this.ggufloader.generateComparisonPageSchemas({ name: 'Comparison' }, this.guide).howTo;
+
+            if (names === expected && howTo.name === 'How to install GGUF Loader' && rendered && !comparison &&
+                howTo.step[2].text === 'Run: pip install ggufloader' &&
+                howTo.step[0].text.startsWith('If you don\'t have Python installed: Download Python from python.org.') &&
+                !howTo.step[1].text.includes('#')) {
+                this.addTest(testName, true, '4 steps with their instructions and commands; code comments left out; not on the comparison page, which doesn\'t show them');
+            } else {
+                this.addTest(testName, false, `Steps: ${names}; ${JSON.stringify(howTo.step[2])}; rendered page ${Boolean(rendered)}, comparison page ${Boolean(comparison)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing HowTo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Each decision matrix ranking becomes an ordered ItemList pointing at the tools
+     */
+    testRankings() {
+        const testName = 'Ranking ItemLists';
+
+        try {
+            const { rankings } = this.ollama.generateComparisonPageSchemas({ name: 'Ollama' });
+            const production = rankings.find(list => list.name.endsWith('For Production'));
+            const order = production ? production.itemListElement.map(item => `${item.position}:${item.item['@id'].split('-').pop()}`).join(' ') : '';
+
+            if (rankings.length === 4 && order === '1:ggufloader 2:ollama 3:lmstudio' &&
+                production.numberOfItems === 3 && production.itemListElement[0].description === 'Optimized, minimal overhead') {
+                this.addTest(testName, true, '4 rankings; "For Production" lists GGUF Loader, Ollama, LM Studio in order');
+            } else {
+                this.addTest(testName, false, `Rankings: ${rankings.length}, production: ${order}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing rankings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tools named in the page heading are what it's about; the rest are mentioned
+     */
+    testAboutAndMentions() {
+        const testName = 'About and Mentions';
+
+        try {
+            const slugs = list => (list || []).map(ref => ref['@id'].split('-').pop()).join(',');
+            const ollama = this.ollama.generateComparisonPageSchemas({ name: 'Ollama' }).comparison;
+            const ggufloader = this.ggufloader.generateComparisonPageSchemas({ name: 'GGUF Loader' }).comparison;
+
+            if (slugs(ollama.about) === 'ollama' && slugs(ollama.mentions) === 'ggufloader,lmstudio' &&
+                slugs(ggufloader.about) === 'ggufloader,lmstudio' && !ggufloader.mentions &&
+                slugs(ggufloader.itemReviewed) === 'ggufloader,lmstudio') {
+                this.addTest(testName, true, 'Ollama page is about Ollama and mentions the others; GGUF Loader vs LM Studio is about both');
+            } else {
+                this.addTest(testName, false, `about ${slugs(ollama.about)} / ${slugs(ggufloader.about)}, mentions ${slugs(ollama.mentions)}`);
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing about and mentions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Every generated block passes the schema.org vocabulary and its @ids resolve; the
+     * rated app is eligible for the software app rich result and unrated ones don't aim for it
+     */
+    testVocabulary() {
+        const testName = 'Schema.org Vocabulary';
+
+        try {
+            const vocabulary = new SchemaVocabulary();
+            const problems = [];
+            const apps = [];
+
+            [[this.ollama, null], [this.ggufloader, this.guide]].forEach(([generator, guide]) => {
+                const schemas = generator.generateComparisonPageSchemas({ name: 'Comparison', url: 'https://example.com/compare' }, guide);
+                const blocks = [schemas.comparison, ...schemas.software, ...schemas.rankings].concat(schemas.howTo ? [schemas.howTo] : []);
+                const result = vocabulary.validatePage(blocks);
+
+                result.blocks.forEach(block => problems.push(...block.errors));
+                problems.push(...result.errors, ...result.warnings);
+                if (result.references.resolved !== result.references.total) problems.push('unresolved references');
+                result.richResults.filter(rich => rich.feature === 'Software app')
+                    .forEach(rich => apps.push(rich.eligible ? 'eligible' : rich.targeted ? 'ineligible' : 'unrated'));
+            });
+
+            // Ollama is the only app a page rates (4.8/5 on the Ollama comparison)
+            if (apps.join() !== 'eligible,unrated,unrated,unrated,unrated') problems.push(`software apps ${apps.join(', ')}`);
+
+            if (problems.length === 0) {
+                this.addTest(testName, true, 'Generated schemas match the vocabulary and every @id resolves; only the rated app aims for the software app rich result');
+            } else {
+                this.addTest(testName, false, problems.join('; '));
+            }
+        } catch (error) {
+            this.addTest(testName, false, `Error testing vocabulary: ${error.message}`);
+        }
+    }
+
+    /**
+     * init() on a comparison page inserts every schema, adding the guide's facts once it loads
+     */
+    async testRuntimeInsertion() {
+        const testName = 'Runtime Insertion';
+
+        try {
+            const html = fs.readFileSync(path.join(ROOT, 'comparisons/ggufloader-vs-lmstudio.html'), 'utf8');
+            const dom = new JSDOM(html, {
+                url: 'https://llm-toolkit.github.io/comparisons/ggufloader-vs-lmstudio.html',
+                runScripts: 'outside-only'
+            });
+            const { window } = dom;
+            const requested = [];
+
+            window.fetch = url => {
+                requested.push(url);
+                return Promise.resolve({ ok: true, text: () => Promise.resolve(this.guideMarkdown) });
+            };
+            window.eval(fs.readFileSync(path.join(ROOT, 'assets/js/structured-data-generator.js'), 'utf8'));
+            window.eval(fs.readFileSync(path.join(ROOT, 'assets/js/tool-schema-generator.js'), 'utf8'));
+            window.eval('new StructuredDataGenerator().init()');
+
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            const ids = Array.from(window.document.querySelectorAll('script[type="application/ld+json"][id]')).map(script => script.id).sort().join(' ');
+            const expected = 'breadcrumb-structured-data main-structured-data software-structured-data-ggufloader software-structured-data-lmstudio';
+            const software = JSON.parse(window.document.getElementById('software-structured-data-ggufloader').textContent);
+
+            if (ids === expected && requested.join() === '/doc/installation.md' && software.softwareVersion === '2.0.0') {
+                this.addTest(testName, true, 'Comparison, SoftwareApplication and breadcrumb blocks inserted; version filled in from the guide');
+            } else {
+                this.addTest(testName, false, `Inserted: ${ids}; fetched ${requested.join()}`);
+            }
+
+            window.close();
+        } catch (error) {
+            this.addTest(testName, false, `Error testing runtime insertion: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add test result
+     */
+    addTest(name, passed, message) {
+        const test = {
+            name,
+            passed,
+            message,
+            timestamp: new Date().toISOString()
+        };
+
+        this.results.tests.push(test);
+
+        if (passed) {
+            this.results.passed++;
+            console.log(`✅ ${name}: ${message}`);
+        } else {
+            this.results.failed++;
+            console.log(`❌ ${name}: ${message}`);
+        }
+    }
+
+    /**
+     * Generate validation report
+     */
+    generateReport() {
+        console.log('\n' + '='.repeat(60));
+        console.log('🧰 TOOL SCHEMA VALIDATION REPORT');
+        console.log('='.repeat(60));
+
+        console.log(`\n📊 Results Summary:`);
+        console.log(`   ✅ Passed: ${this.results.passed}`);
+        console.log(`   ❌ Failed: ${this.results.failed}`);
+        console.log(`   📝 Total Tests: ${this.results.tests.length}`);
+
+        this.saveReport();
+    }
+
+    /**
+     * Save validation report to file
+     */
+    saveReport() {
+        const reportPath = 'build-reports/tool-schema-validation.json';
+
+        // Ensure directory exists
+        const dir = path.dirname(reportPath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                passed: this.results.passed,
+                failed: this.results.failed,
+                total: this.results.tests.length
+            },
+            tests: this.results.tests
+        };
+
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n💾 Report saved to: ${reportPath}`);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const validator = new ToolSchemaValidator();
+    validator.validateToolSchemas().then(success => process.exit(success ? 0 : 1));
+}
+
+module.exports = ToolSchemaValidator;